@@ -31,6 +31,16 @@ module.exports = {
     'node/no-unpublished-require': 'off',
     'node/no-missing-require': 'off'
   },
+  overrides: [
+    {
+      // Admin console scripts run in the browser
+      files: ['src/admin/**/*.js'],
+      env: {
+        browser: true,
+        node: false
+      }
+    }
+  ],
   globals: {
     process: 'readonly',
     Buffer: 'readonly',
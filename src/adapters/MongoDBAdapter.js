@@ -410,7 +410,8 @@ class MongoDBAdapter extends DatabaseAdapter {
         { returnDocument: 'after', ...options }
       );
 
-      return result.value;
+      // Driver 6 returns the document itself unless result metadata is requested
+      return options.includeResultMetadata ? result.value : result;
     } catch (error) {
       handleDatabaseError(error);
     }
@@ -423,7 +424,7 @@ class MongoDBAdapter extends DatabaseAdapter {
     try {
       const collection = this._getCollection(collectionName);
       const result = await collection.findOneAndDelete(filter, options);
-      return result.value;
+      return options.includeResultMetadata ? result.value : result;
     } catch (error) {
       handleDatabaseError(error);
     }
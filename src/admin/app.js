@@ -0,0 +1,429 @@
+/**
+ * Admin console for Huly Webhook Service
+ * Lists webhooks, edits and pauses them, and shows their delivery log with
+ * redelivery and test sends, all through the /api/admin routes
+ */
+
+(() => {
+  'use strict';
+
+  const API_BASE = '../api/admin';
+  const KEY_STORAGE = 'huly-webhooks-api-key';
+
+  const state = {
+    webhooksPage: 1,
+    editing: null,
+    // JSON fields as loaded into the form, unchanged ones are not sent back
+    loaded: {},
+    webhook: null,
+    deliveriesPage: 1
+  };
+
+  const $ = (id) => document.getElementById(id);
+
+  /**
+   * Create an element. Text is always set as text, never parsed as HTML
+   * @param {string} tag - Tag name
+   * @param {Object} [props] - Properties, `on<event>` keys add listeners
+   * @param {...(Node|string)} children - Child nodes or text
+   * @returns {HTMLElement} - Element
+   */
+  const el = (tag, props = {}, ...children) => {
+    const element = document.createElement(tag);
+
+    for (const [name, value] of Object.entries(props)) {
+      if (name.startsWith('on')) {
+        element.addEventListener(name.substring(2), value);
+      } else {
+        element[name] = value;
+      }
+    }
+
+    for (const child of children) {
+      if (child !== null && child !== undefined) {
+        element.append(child);
+      }
+    }
+
+    return element;
+  };
+
+  class ApiError extends Error {
+    constructor (status, body) {
+      super(body?.message || `Request failed with status ${status}`);
+      this.status = status;
+      this.details = body?.details || [];
+    }
+  }
+
+  /**
+   * Call the admin API with the API key of the session
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/admin
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} - Response body
+   */
+  const api = async (method, path, body) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        'X-API-Key': sessionStorage.getItem(KEY_STORAGE) || '',
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body && JSON.stringify(body)
+    });
+
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+    if (response.status === 401) {
+      signOut('Your API key was rejected, sign in again.');
+    }
+
+    if (!response.ok) {
+      throw new ApiError(response.status, data);
+    }
+
+    return data;
+  };
+
+  const show = (view) => {
+    for (const id of ['sign-in-view', 'webhooks-view', 'form-view', 'deliveries-view']) {
+      $(id).hidden = id !== view;
+    }
+    $('sign-out').hidden = view === 'sign-in-view';
+  };
+
+  const formatJson = (value) => {
+    if (typeof value !== 'string') {
+      return JSON.stringify(value, null, 2);
+    }
+
+    // Response bodies are stored as received, JSON is indented when it parses
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  const pager = (container, page, hasMore, go) => {
+    container.replaceChildren(
+      el('button', { className: 'secondary', textContent: 'Previous', disabled: page <= 1, onclick: () => go(page - 1) }),
+      el('button', { className: 'secondary', textContent: 'Next', disabled: !hasMore, onclick: () => go(page + 1) })
+    );
+  };
+
+  // Sign in
+
+  const signOut = (message = '') => {
+    sessionStorage.removeItem(KEY_STORAGE);
+    $('sign-in-error').textContent = message;
+    show('sign-in-view');
+  };
+
+  $('sign-in-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const apiKey = /** @type {HTMLInputElement} */ ($('api-key'));
+    sessionStorage.setItem(KEY_STORAGE, apiKey.value.trim());
+    apiKey.value = '';
+    $('sign-in-error').textContent = '';
+    await loadWebhooks(1);
+  });
+
+  $('sign-out').addEventListener('click', () => signOut());
+
+  // Webhooks
+
+  const loadWebhooks = async (page = state.webhooksPage) => {
+    try {
+      const { webhooks, pagination } = await api('GET', `/webhooks?page=${page}`);
+      state.webhooksPage = page;
+
+      $('webhook-rows').replaceChildren(...webhooks.map(webhookRow));
+      pager($('webhooks-pager'), page, page < pagination.pages, loadWebhooks);
+      show('webhooks-view');
+    } catch (error) {
+      if (error.status !== 401) {
+        $('webhooks-notice').textContent = error.message;
+        show('webhooks-view');
+      }
+    }
+  };
+
+  const webhookRow = (webhook) => el('tr', {},
+    el('td', { textContent: webhook.name }),
+    el('td', { className: 'url', textContent: webhook.url }),
+    el('td', { textContent: webhook.workspace || '' }),
+    el('td', { textContent: (webhook.events || []).join(', ') }),
+    el('td', {}, el('span', {
+      className: `badge ${webhook.active ? 'ok' : 'paused'}`,
+      textContent: webhook.active ? 'Active' : 'Paused'
+    })),
+    el('td', { className: 'actions' },
+      el('button', { className: 'secondary', textContent: 'Deliveries', onclick: () => openDeliveries(webhook) }),
+      el('button', { className: 'secondary', textContent: 'Edit', onclick: () => openForm(webhook) }),
+      el('button', {
+        className: 'secondary',
+        textContent: webhook.active ? 'Pause' : 'Resume',
+        onclick: () => setActive(webhook, !webhook.active)
+      })
+    )
+  );
+
+  const setActive = async (webhook, active) => {
+    try {
+      await api('PUT', `/webhooks/${webhook._id}`, { active });
+      $('webhooks-notice').textContent = `${webhook.name} ${active ? 'resumed' : 'paused'}.`;
+      await loadWebhooks();
+    } catch (error) {
+      $('webhooks-notice').textContent = error.message;
+    }
+  };
+
+  $('new-webhook').addEventListener('click', () => openForm(null));
+
+  // Webhook form
+
+  const form = /** @type {HTMLFormElement} */ ($('webhook-form'));
+
+  /**
+   * Get a field of the webhook form
+   * @param {string} name - Field name
+   * @returns {HTMLInputElement} - Input, select or textarea
+   */
+  const formField = (name) => /** @type {HTMLInputElement} */ (form.elements.namedItem(name));
+
+  const clearFieldErrors = () => {
+    for (const label of form.querySelectorAll('label.invalid')) {
+      label.classList.remove('invalid');
+      label.querySelector('.field-error')?.remove();
+    }
+    $('form-error').textContent = '';
+  };
+
+  /**
+   * Show the errors of the webhook schema next to their fields
+   * @param {Array<Object>} details - Validation details, with the path of each field
+   */
+  const showFieldErrors = (details) => {
+    const unplaced = [];
+
+    for (const { field, message } of details) {
+      const input = formField(String(field).split('.')[0]);
+      const label = input?.closest('label');
+
+      if (!label) {
+        unplaced.push(message);
+        continue;
+      }
+
+      label.classList.add('invalid');
+      label.append(el('span', { className: 'field-error', textContent: message }));
+    }
+
+    $('form-error').textContent = unplaced.join(' ');
+  };
+
+  const openForm = (webhook) => {
+    state.editing = webhook;
+    form.reset();
+    clearFieldErrors();
+
+    $('form-title').textContent = webhook ? `Edit ${webhook.name}` : 'New webhook';
+    formField('workspace').disabled = Boolean(webhook);
+    formField('secret').placeholder = webhook ? 'Unchanged when empty' : 'Generated when empty';
+
+    if (webhook) {
+      formField('name').value = webhook.name;
+      formField('url').value = webhook.url;
+      formField('workspace').value = webhook.workspace || '';
+      formField('events').value = (webhook.events || []).join(', ');
+      formField('signatureScheme').value = webhook.signatureScheme || '';
+      formField('ordering').value = webhook.ordering || '';
+      formField('timeout').value = webhook.timeout || '';
+      formField('filters').value = webhook.filters && Object.keys(webhook.filters).length > 0 ? formatJson(webhook.filters) : '';
+      formField('headers').value = webhook.headers && Object.keys(webhook.headers).length > 0 ? formatJson(webhook.headers) : '';
+      formField('active').checked = webhook.active;
+    }
+
+    state.loaded = { filters: formField('filters').value, headers: formField('headers').value };
+
+    show('form-view');
+  };
+
+  /**
+   * Read the form into a webhook body, leaving out empty optional fields
+   * @returns {Object} - Body and the JSON fields that did not parse
+   */
+  const readForm = () => {
+    const body = {};
+    const invalid = [];
+    const value = (name) => formField(name).value.trim();
+
+    body.name = value('name');
+    body.url = value('url');
+    body.events = value('events').split(',').map(event => event.trim()).filter(Boolean);
+    body.active = formField('active').checked;
+
+    for (const name of ['workspace', 'secret', 'signatureScheme', 'ordering']) {
+      if (value(name) && !formField(name).disabled) {
+        body[name] = value(name);
+      }
+    }
+
+    if (value('timeout')) {
+      body.timeout = Number(value('timeout'));
+    }
+
+    // Sensitive header values are shown masked, sending them back would replace the real ones
+    for (const name of ['filters', 'headers']) {
+      if (!value(name) || formField(name).value === state.loaded[name]) {
+        continue;
+      }
+
+      try {
+        body[name] = JSON.parse(value(name));
+      } catch (error) {
+        invalid.push({ field: name, message: `"${name}" must be valid JSON` });
+      }
+    }
+
+    return { body, invalid };
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearFieldErrors();
+
+    const { body, invalid } = readForm();
+    if (invalid.length > 0) {
+      return showFieldErrors(invalid);
+    }
+
+    try {
+      if (state.editing) {
+        await api('PUT', `/webhooks/${state.editing._id}`, body);
+      } else {
+        await api('POST', '/webhooks', body);
+      }
+
+      $('webhooks-notice').textContent = `${body.name} saved.`;
+      await loadWebhooks();
+    } catch (error) {
+      if (error.details.length > 0) {
+        showFieldErrors(error.details);
+      } else {
+        $('form-error').textContent = error.message;
+      }
+    }
+  });
+
+  $('form-cancel').addEventListener('click', () => show('webhooks-view'));
+
+  // Delivery log
+
+  const openDeliveries = async (webhook) => {
+    state.webhook = webhook;
+    $('deliveries-title').textContent = `Deliveries of ${webhook.name}`;
+    /** @type {HTMLSelectElement} */ ($('deliveries-filter')).value = '';
+    $('deliveries-notice').textContent = '';
+    await loadDeliveries(1);
+  };
+
+  const loadDeliveries = async (page = state.deliveriesPage) => {
+    const success = /** @type {HTMLSelectElement} */ ($('deliveries-filter')).value;
+    const query = `page=${page}${success ? `&success=${success}` : ''}`;
+
+    try {
+      const { deliveries, pagination } = await api('GET', `/webhooks/${state.webhook._id}/deliveries?${query}`);
+      state.deliveriesPage = page;
+
+      $('delivery-rows').replaceChildren(...deliveries.flatMap(deliveryRows));
+      if (deliveries.length === 0) {
+        $('delivery-rows').append(el('tr', {}, el('td', { colSpan: 6, textContent: 'No deliveries yet.' })));
+      }
+
+      pager($('deliveries-pager'), page, pagination.hasMore, loadDeliveries);
+      show('deliveries-view');
+    } catch (error) {
+      $('deliveries-notice').textContent = error.message;
+    }
+  };
+
+  const deliveryRows = (record) => {
+    const result = record.result || {};
+    const details = el('tr', { className: 'details', hidden: true },
+      el('td', { colSpan: 6 },
+        result.error ? el('p', { className: 'error', textContent: result.error }) : null,
+        el('strong', { textContent: 'Request body' }),
+        el('pre', { textContent: formatJson(record.payload) }),
+        el('strong', { textContent: 'Response headers' }),
+        el('pre', { textContent: formatJson(result.headers || {}) }),
+        el('strong', {
+          textContent: result.bodySize > (result.body || '').length
+            ? `Response body (first ${result.body.length} of ${result.bodySize} characters)`
+            : 'Response body'
+        }),
+        el('pre', { textContent: result.body ? formatJson(result.body) : '(empty)' })
+      )
+    );
+
+    const row = el('tr', {},
+      el('td', { textContent: new Date(record.timestamp).toLocaleString() }),
+      el('td', { textContent: record.eventType || '' }),
+      el('td', { textContent: `${record.attempt} of ${record.maxAttempts}` }),
+      el('td', {}, el('span', {
+        className: `badge ${result.success ? 'ok' : 'failed'}`,
+        textContent: result.statusCode || result.errorType || 'Error'
+      })),
+      el('td', { textContent: result.responseTime !== undefined ? `${result.responseTime} ms` : '' }),
+      el('td', { className: 'actions' },
+        el('button', {
+          className: 'secondary',
+          textContent: 'Details',
+          onclick: () => { details.hidden = !details.hidden; }
+        }),
+        el('button', { textContent: 'Redeliver', onclick: (event) => redeliver(record, event.target) })
+      )
+    );
+
+    return [row, details];
+  };
+
+  const redeliver = async (record, button) => {
+    button.disabled = true;
+
+    try {
+      const { deliveryId } = await api('POST', `/deliveries/${record.id}/redeliver`, {});
+      $('deliveries-notice').textContent = `Delivery queued as ${deliveryId}, refresh to see the attempt.`;
+    } catch (error) {
+      $('deliveries-notice').textContent = error.message;
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  $('deliveries-test').addEventListener('click', async (event) => {
+    const button = /** @type {HTMLButtonElement} */ (event.currentTarget);
+    button.disabled = true;
+    $('deliveries-notice').textContent = 'Sending test event...';
+
+    try {
+      const result = await api('POST', `/webhooks/${state.webhook._id}/test`, {});
+      $('deliveries-notice').textContent = `${result.message} (${result.statusCode || 'no response'}, ${result.responseTime} ms)`;
+    } catch (error) {
+      $('deliveries-notice').textContent = error.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  $('deliveries-filter').addEventListener('change', () => loadDeliveries(1));
+  $('deliveries-back').addEventListener('click', () => loadWebhooks());
+
+  if (sessionStorage.getItem(KEY_STORAGE)) {
+    loadWebhooks(1);
+  } else {
+    show('sign-in-view');
+  }
+})();
@@ -0,0 +1,698 @@
+/**
+ * Command-line admin tool for Huly Webhook Service
+ * Manages webhooks, delivery history, the dead letter queue and resume tokens
+ * directly in MongoDB, and reads the change stream status of a running service
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { handleValidationError, ServiceUnavailableError, ValidationError } = require('../middleware/errorHandler');
+const ValidationUtils = require('../utils/validation');
+const WorkspaceScope = require('../utils/workspace');
+
+const USAGE = `Usage: huly-webhooks <command> [options]
+
+Commands:
+  webhooks list [--active true|false] [--workspace <id>] [--limit <n>]
+  webhooks get <id>
+  webhooks create <file>              Create webhooks from a YAML or JSON file
+  webhooks update <id> <file>         Update a webhook with the fields in a file
+  webhooks delete <id> --yes
+  deliveries tail [--webhook <id>] [--failed] [--interval <seconds>]
+  deliveries export [--webhook <id>] [--failed] [--from <date>] [--to <date>]
+                    [--format json|csv] [--limit <n>] [--output <file>]
+  dlq list [--webhook <id>] [--event-type <type>] [--limit <n>]
+  dlq retry [<entry-id>] [--webhook <id>] [--event-type <type>]
+  resume-tokens reset --yes           Start the change stream from now on the next start
+  status [--url <url>]                Change stream status of a running service
+
+Options:
+  --json                              Print machine readable output
+  -h, --help                          Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/** @type {import('util').ParseArgsConfig['options']} */
+const ARGUMENT_OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  yes: { type: 'boolean', short: 'y' },
+  failed: { type: 'boolean' },
+  active: { type: 'string' },
+  workspace: { type: 'string' },
+  webhook: { type: 'string' },
+  'event-type': { type: 'string' },
+  limit: { type: 'string' },
+  interval: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  url: { type: 'string' }
+};
+
+const optionsSchema = Joi.object({
+  json: Joi.boolean().default(false),
+  help: Joi.boolean(),
+  yes: Joi.boolean().default(false),
+  failed: Joi.boolean().default(false),
+  active: Joi.boolean(),
+  workspace: Joi.string().max(100),
+  webhook: Joi.string(),
+  'event-type': Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(10000),
+  interval: Joi.number().min(0.1).max(3600).default(2),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  output: Joi.string(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] })
+});
+
+// Handler method of each command
+const COMMANDS = {
+  'webhooks list': 'listWebhooks',
+  'webhooks get': 'getWebhook',
+  'webhooks create': 'createWebhooks',
+  'webhooks update': 'updateWebhook',
+  'webhooks delete': 'deleteWebhook',
+  'deliveries tail': 'tailDeliveries',
+  'deliveries export': 'exportDeliveries',
+  'dlq list': 'listDeadLetters',
+  'dlq retry': 'retryDeadLetters',
+  'resume-tokens reset': 'resetResumeTokens',
+  status: 'showStatus'
+};
+
+// Audit log target of a webhook
+const webhookTarget = (webhook) => ({ type: 'webhook', id: String(webhook._id), name: webhook.name, workspace: webhook.workspace });
+
+/**
+ * Wrong command line, reported together with the usage
+ */
+class UsageError extends Error {}
+
+class AdminCli {
+  /**
+   * @param {Object} options - CLI dependencies
+   * @param {Object} options.config - Service configuration
+   * @param {Object} options.services - Services, see src/cli/services.js
+   * @param {string} [options.statusUrl] - Base URL of the running service
+   * @param {Object} [options.output] - Stream for results
+   * @param {Object} [options.errorOutput] - Stream for errors
+   * @param {Object} [options.http] - HTTP client
+   * @param {Function} [options.sleep] - Wait between polls
+   */
+  constructor ({ config, services, statusUrl, output = process.stdout, errorOutput = process.stderr, http = axios, sleep }) {
+    this.config = config;
+    this.services = services;
+    this.statusUrl = statusUrl || `http://localhost:${config.server.port}`;
+    this.output = output;
+    this.errorOutput = errorOutput;
+    this.http = http;
+    this.sleep = sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+    this.json = false;
+    this.stopped = false;
+
+    // Changes made from the CLI are audited as made by the operating system user
+    const user = process.env.USER || process.env.USERNAME || 'unknown';
+    this.auditRequest = { auth: { type: 'cli', keyId: `cli:${user}@${os.hostname()}`, keyName: 'huly-webhooks' } };
+  }
+
+  /**
+   * Run a command line
+   * @param {Array<string>} argv - Arguments after the program name
+   * @returns {Promise<number>} - Exit code
+   */
+  async run (argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: ARGUMENT_OPTIONS, allowPositionals: true });
+    } catch (error) {
+      return this.usage(error.message);
+    }
+
+    const [command, subcommand, ...rest] = parsed.positionals;
+    let handler = COMMANDS[`${command} ${subcommand}`];
+    let args = rest;
+
+    if (!handler && COMMANDS[command]) {
+      handler = COMMANDS[command];
+      args = parsed.positionals.slice(1);
+    }
+
+    if (parsed.values.help || !command) {
+      this.write(USAGE);
+      return EXIT_OK;
+    }
+
+    if (!handler) {
+      return this.usage(`Unknown command: ${parsed.positionals.join(' ')}`);
+    }
+
+    try {
+      const options = handleValidationError(optionsSchema.validate(parsed.values));
+      this.json = options.json;
+
+      return (await this[handler](args, options)) ?? EXIT_OK;
+    } catch (error) {
+      if (error instanceof UsageError) {
+        return this.usage(error.message);
+      }
+
+      this.errorOutput.write(`Error: ${error.message}\n`);
+      for (const detail of error.details || []) {
+        this.errorOutput.write(`  ${detail.field}: ${detail.message}\n`);
+      }
+      return EXIT_FAILURE;
+    } finally {
+      await this.services.close();
+    }
+  }
+
+  /**
+   * Stop a running tail after its current poll
+   */
+  stop () {
+    this.stopped = true;
+  }
+
+  /**
+   * huly-webhooks webhooks list
+   */
+  async listWebhooks (args, options) {
+    const webhookService = await this.services.get('webhook');
+    const { documents, total } = await webhookService.listWebhooks({
+      active: options.active,
+      limit: options.limit || 100,
+      workspaces: options.workspace ? [options.workspace] : undefined
+    });
+
+    if (this.json) {
+      return this.printJson({ webhooks: documents, total });
+    }
+
+    this.printTable([
+      { title: 'ID', value: webhook => String(webhook._id) },
+      { title: 'NAME', value: webhook => webhook.name },
+      { title: 'WORKSPACE', value: webhook => webhook.workspace },
+      { title: 'STATUS', value: webhook => webhook.active ? 'active' : 'paused' },
+      { title: 'EVENTS', value: webhook => webhook.events.join(',') },
+      { title: 'URL', value: webhook => webhook.url }
+    ], documents);
+
+    if (total > documents.length) {
+      this.write(`Showing ${documents.length} of ${total} webhooks, use --limit to see more`);
+    }
+  }
+
+  /**
+   * huly-webhooks webhooks get <id>
+   */
+  async getWebhook ([id]) {
+    this.requireArguments({ id });
+
+    const webhookService = await this.services.get('webhook');
+    this.printJson(await webhookService.getWebhook(id));
+  }
+
+  /**
+   * huly-webhooks webhooks create <file>
+   * A file holds one webhook or a list of them, all are validated before any is created
+   */
+  async createWebhooks ([file]) {
+    this.requireArguments({ file });
+
+    const definitions = await this.readDefinitions(file);
+    const list = Array.isArray(definitions) ? definitions : [definitions];
+    const bodies = this.validateDefinitions(file, list, ValidationUtils.createWebhookSchema());
+
+    const [webhookService, audit] = await Promise.all([this.services.get('webhook'), this.services.get('audit')]);
+    const defaultWorkspace = new WorkspaceScope().getDefaultWorkspace();
+    const created = [];
+
+    for (const body of bodies) {
+      body.workspace = body.workspace || defaultWorkspace;
+
+      const webhook = await webhookService.createWebhook(body);
+      await audit.recordRequest(this.auditRequest, { action: 'webhook.created', target: webhookTarget(webhook), after: webhook });
+
+      created.push(webhook);
+      if (!this.json) {
+        this.write(`Created webhook ${webhook._id} (${webhook.name})`);
+      }
+    }
+
+    if (this.json) {
+      this.printJson(Array.isArray(definitions) ? created : created[0]);
+    }
+  }
+
+  /**
+   * huly-webhooks webhooks update <id> <file>
+   * Only the fields in the file are changed
+   */
+  async updateWebhook ([id, file]) {
+    this.requireArguments({ id, file });
+
+    const definition = await this.readDefinitions(file);
+    if (Array.isArray(definition)) {
+      throw new ValidationError(`${file} must hold a single webhook to update`);
+    }
+
+    const [body] = this.validateDefinitions(file, [definition], ValidationUtils.createWebhookUpdateSchema(), { noDefaults: true });
+
+    const [webhookService, audit] = await Promise.all([this.services.get('webhook'), this.services.get('audit')]);
+    const existing = await webhookService.getWebhook(id);
+    const webhook = await webhookService.updateWebhook(id, body);
+
+    let action = 'webhook.updated';
+    if (body.active !== undefined && body.active !== existing.active) {
+      action = body.active ? 'webhook.resumed' : 'webhook.paused';
+    }
+
+    await audit.recordRequest(this.auditRequest, { action, target: webhookTarget(webhook), before: existing, after: webhook });
+
+    if (this.json) {
+      return this.printJson(webhook);
+    }
+
+    this.write(`Updated webhook ${webhook._id} (${webhook.name})`);
+  }
+
+  /**
+   * huly-webhooks webhooks delete <id> --yes
+   */
+  async deleteWebhook ([id], options) {
+    this.requireArguments({ id });
+    if (!options.yes) {
+      throw new UsageError(`Deleting webhook ${id} cannot be undone, pass --yes to confirm`);
+    }
+
+    const [webhookService, audit] = await Promise.all([this.services.get('webhook'), this.services.get('audit')]);
+    const existing = await webhookService.getWebhook(id);
+    await webhookService.deleteWebhook(id);
+
+    await audit.recordRequest(this.auditRequest, { action: 'webhook.deleted', target: webhookTarget(existing), before: existing });
+
+    if (this.json) {
+      return this.printJson({ deleted: true, id: String(existing._id) });
+    }
+
+    this.write(`Deleted webhook ${existing._id} (${existing.name})`);
+  }
+
+  /**
+   * huly-webhooks deliveries tail
+   * Polls the delivery history and prints new deliveries until stopped
+   */
+  async tailDeliveries (args, options) {
+    const history = await this.services.get('deliveryHistory');
+    const query = {
+      success: options.failed ? false : undefined,
+      sortBy: 'timestamp',
+      sortOrder: 'asc',
+      limit: 1000
+    };
+
+    if (options.webhook) {
+      query.webhookId = await this.findWebhookId(options.webhook);
+    }
+
+    let since = options.from || new Date();
+    let seen = new Set();
+
+    while (!this.stopped) {
+      const records = await history.getDeliveryHistory({ ...query, fromDate: since });
+
+      for (const record of records) {
+        if (!seen.has(record.id)) {
+          this.printDelivery(record);
+        }
+      }
+
+      if (records.length > 0) {
+        since = new Date(records[records.length - 1].timestamp);
+
+        // The next poll starts at the newest timestamp, so deliveries recorded at that time come again
+        seen = new Set(records
+          .filter(record => new Date(record.timestamp).getTime() === since.getTime())
+          .map(record => record.id));
+      }
+
+      if (!this.stopped) {
+        await this.sleep(options.interval * 1000);
+      }
+    }
+  }
+
+  /**
+   * huly-webhooks deliveries export
+   */
+  async exportDeliveries (args, options) {
+    const history = await this.services.get('deliveryHistory');
+    const query = {
+      success: options.failed ? false : undefined,
+      fromDate: options.from,
+      toDate: options.to,
+      limit: options.limit || 10000
+    };
+
+    if (options.webhook) {
+      query.webhookId = await this.findWebhookId(options.webhook);
+    }
+
+    const result = await history.exportDeliveryHistory(query, options.format);
+    const content = options.format === 'csv' ? result : JSON.stringify(result, null, 2);
+
+    if (!options.output) {
+      return this.write(content);
+    }
+
+    await fs.writeFile(options.output, `${content}\n`);
+    this.errorOutput.write(`Exported deliveries to ${options.output}\n`);
+  }
+
+  /**
+   * huly-webhooks dlq list
+   */
+  async listDeadLetters (args, options) {
+    const deadLetterQueue = await this.services.get('deadLetterQueue');
+    const entries = deadLetterQueue.getDeadLetterEntries({
+      webhookId: options.webhook,
+      eventType: options['event-type'],
+      limit: options.limit || 100
+    });
+
+    if (this.json) {
+      return this.printJson({ entries, stats: deadLetterQueue.getDeadLetterStats() });
+    }
+
+    this.printTable([
+      { title: 'ID', value: entry => entry.id },
+      { title: 'DEAD-LETTERED', value: entry => new Date(entry.deadLetteredAt).toISOString() },
+      { title: 'WEBHOOK', value: entry => String(entry.metadata.webhookId) },
+      { title: 'EVENT', value: entry => entry.metadata.eventType },
+      { title: 'RETRIES', value: entry => entry.retryCount },
+      { title: 'STATUS', value: entry => entry.status },
+      { title: 'REASON', value: entry => entry.failureReason?.error || entry.failureReason?.message }
+    ], entries);
+  }
+
+  /**
+   * huly-webhooks dlq retry [<entry-id>]
+   * Entries are queued for delivery again in the shared delivery queue, where the
+   * running service picks them up
+   */
+  async retryDeadLetters ([entryId], options) {
+    const [deadLetterQueue, deliveryQueue, audit] = await Promise.all([
+      this.services.get('deadLetterQueue'),
+      this.services.get('deliveryQueue'),
+      this.services.get('audit')
+    ]);
+
+    // Retried entries are announced through an event, the same way the event pipeline re-queues them
+    const requeues = [];
+    const onRetry = (entry) => requeues.push(this.requeueDeadLetter(deadLetterQueue, deliveryQueue, entry));
+    deadLetterQueue.on('entry-retry', onRetry);
+
+    let results;
+    try {
+      if (entryId) {
+        const result = await deadLetterQueue.retryDeadLetterEntry(entryId);
+        results = {
+          total: 1,
+          successful: result.success ? 1 : 0,
+          failed: result.success ? 0 : 1,
+          errors: result.success ? [] : [{ entryId, error: result.error }]
+        };
+      } else {
+        // Entries already being retried are left alone
+        results = await deadLetterQueue.retryAll({
+          webhookId: options.webhook,
+          eventType: options['event-type'],
+          status: 'dead-lettered',
+          limit: options.limit || deadLetterQueue.maxQueueSize
+        });
+      }
+
+      for (const error of (await Promise.all(requeues)).filter(Boolean)) {
+        results.successful--;
+        results.failed++;
+        results.errors.push(error);
+      }
+    } finally {
+      deadLetterQueue.removeListener('entry-retry', onRetry);
+    }
+
+    await audit.recordRequest(this.auditRequest, {
+      action: 'dead_letter.retried',
+      target: { type: 'dead_letter', id: entryId || null },
+      details: {
+        webhookId: options.webhook || null,
+        eventType: options['event-type'] || null,
+        total: results.total,
+        successful: results.successful,
+        failed: results.failed
+      }
+    });
+
+    if (this.json) {
+      this.printJson(results);
+    } else {
+      this.write(`Re-queued ${results.successful} of ${results.total} dead letter entries`);
+      for (const { entryId: id, error } of results.errors) {
+        this.write(`  ${id}: ${error}`);
+      }
+    }
+
+    return results.failed > 0 ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  /**
+   * huly-webhooks resume-tokens reset --yes
+   * Stop the service first, a running change stream saves its token again
+   */
+  async resetResumeTokens (args, options) {
+    if (!options.yes) {
+      throw new UsageError('Changes made while the service is stopped are skipped after a reset, pass --yes to confirm');
+    }
+
+    const [resumeTokens, audit] = await Promise.all([this.services.get('resumeTokens'), this.services.get('audit')]);
+    await resumeTokens.clearTokens();
+
+    // Leaders hand the token over through the lease, which would restore it
+    let lease = null;
+    if (this.config.cluster.enabled) {
+      const leaderElection = await this.services.get('leaderElection');
+      await leaderElection.clearResumeToken();
+      lease = leaderElection.leaseName;
+    }
+
+    await audit.recordRequest(this.auditRequest, {
+      action: 'resume_token.reset',
+      target: { type: 'resume_token', id: null },
+      details: { mode: resumeTokens.persistenceMode, lease }
+    });
+
+    if (this.json) {
+      return this.printJson({ reset: true, mode: resumeTokens.persistenceMode, lease });
+    }
+
+    this.write('Resume tokens cleared, the change stream starts from the current time on the next start');
+  }
+
+  /**
+   * huly-webhooks status
+   * Reads the change stream status from the detailed health check of a running service
+   * @returns {Promise<number>} - Failure unless the change stream is active or on standby
+   */
+  async showStatus (args, options) {
+    const url = (options.url || this.statusUrl).replace(/\/+$/, '');
+    const response = await this.http.get(`${url}/api/health/detailed`, {
+      timeout: 10000,
+      // Degraded services answer 503 with the same report
+      validateStatus: () => true
+    });
+
+    const changeStreams = response.data?.services?.changeStreams;
+    if (!changeStreams) {
+      throw new ServiceUnavailableError(`No health report from ${url} (HTTP ${response.status})`);
+    }
+
+    if (this.json) {
+      this.printJson(changeStreams);
+    } else {
+      for (const [key, value] of Object.entries(changeStreams)) {
+        this.write(`${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+      }
+    }
+
+    return ['active', 'standby'].includes(changeStreams.status) ? EXIT_OK : EXIT_FAILURE;
+  }
+
+  /**
+   * Queue a retried dead letter entry for delivery again
+   * @param {Object} deadLetterQueue - Dead letter queue service
+   * @param {Object} deliveryQueue - Delivery queue service
+   * @param {Object} entry - Dead letter entry
+   * @returns {Promise<Object|null>} - Error of the entry, null when it was queued
+   */
+  async requeueDeadLetter (deadLetterQueue, deliveryQueue, entry) {
+    try {
+      const { id, ...delivery } = entry.delivery;
+
+      await deliveryQueue.addDelivery({
+        ...delivery,
+        scheduledFor: null,
+        metadata: {
+          ...delivery.metadata,
+          deadLetterEntryId: entry.id,
+          originalDeliveryId: id
+        }
+      });
+
+      return null;
+    } catch (error) {
+      await deadLetterQueue.updateDeadLetterEntryStatus(entry.id, false, { error: error.message });
+      return { entryId: entry.id, error: error.message };
+    }
+  }
+
+  /**
+   * Get the stored ID of a webhook, delivery history is filtered by it
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object>} - Webhook ObjectId
+   */
+  async findWebhookId (id) {
+    const webhookService = await this.services.get('webhook');
+    return (await webhookService.getWebhook(id))._id;
+  }
+
+  /**
+   * Read webhook definitions from a YAML or JSON file
+   * @param {string} file - File path
+   * @returns {Promise<Object|Array<Object>>} - Definitions
+   */
+  async readDefinitions (file) {
+    const content = await fs.readFile(file, 'utf8');
+
+    try {
+      return /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Could not parse ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate webhook definitions, reporting every invalid field of every definition
+   * @param {string} file - File the definitions were read from
+   * @param {Array<Object>} definitions - Definitions
+   * @param {Joi.ObjectSchema} schema - Webhook schema
+   * @param {Object} [options] - Joi options
+   * @returns {Array<Object>} - Validated definitions
+   */
+  validateDefinitions (file, definitions, schema, options = {}) {
+    const details = [];
+    const values = definitions.map((definition, index) => {
+      const { value, error } = schema.validate(definition, { abortEarly: false, ...options });
+
+      for (const detail of error?.details || []) {
+        const path = detail.path.join('.');
+        details.push({
+          field: definitions.length > 1 ? `[${index}]${path ? `.${path}` : ''}` : path || 'webhook',
+          message: detail.message
+        });
+      }
+
+      return value;
+    });
+
+    if (details.length > 0) {
+      throw new ValidationError(`Invalid webhook definition in ${file}`, details);
+    }
+
+    return values;
+  }
+
+  /**
+   * Check that the positional arguments of a command are given
+   * @param {Object} args - Arguments by name
+   */
+  requireArguments (args) {
+    const missing = Object.keys(args).filter(name => !args[name]);
+    if (missing.length > 0) {
+      throw new UsageError(`Missing ${missing.map(name => `<${name}>`).join(' ')}`);
+    }
+  }
+
+  /**
+   * Print one delivery history record of a tail
+   * @param {Object} record - Delivery history record
+   */
+  printDelivery (record) {
+    if (this.json) {
+      return this.write(JSON.stringify(record));
+    }
+
+    const { result } = record;
+    this.write([
+      new Date(record.timestamp).toISOString(),
+      result.success ? 'OK  ' : 'FAIL',
+      result.statusCode || '-',
+      record.eventType,
+      record.webhookName || String(record.webhookId),
+      `attempt ${record.attempt}/${record.maxAttempts}`,
+      `${result.responseTime ?? '-'}ms`,
+      result.error || ''
+    ].join('  ').trimEnd());
+  }
+
+  /**
+   * Print rows as columns aligned to their widest value
+   * @param {Array<{title: string, value: Function}>} columns - Columns
+   * @param {Array<Object>} rows - Rows
+   */
+  printTable (columns, rows) {
+    const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+    const widths = columns.map((column, index) => Math.max(column.title.length, ...cells.map(row => row[index].length)));
+    const format = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    this.write(format(columns.map(column => column.title)));
+    cells.forEach(row => this.write(format(row)));
+  }
+
+  /**
+   * Print a value as JSON
+   * @param {*} value - Value
+   */
+  printJson (value) {
+    this.write(JSON.stringify(value, null, 2));
+  }
+
+  /**
+   * Write a line of output
+   * @param {string} text - Text
+   */
+  write (text) {
+    this.output.write(`${text}\n`);
+  }
+
+  /**
+   * Report a wrong command line
+   * @param {string} message - Problem
+   * @returns {number} - Exit code
+   */
+  usage (message) {
+    this.errorOutput.write(`${message}\nRun 'huly-webhooks --help' for usage\n`);
+    return EXIT_USAGE;
+  }
+}
+
+module.exports = AdminCli;
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * huly-webhooks: command-line admin tool for Huly Webhook Service
+ *
+ * Reads the same environment as the service, so run it next to the service
+ * with its .env. See `huly-webhooks --help` for the commands
+ */
+
+// Service log messages would mix with command output. Set before loading .env,
+// so only a level given on the command line applies
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+require('dotenv').config();
+
+const config = require('../config');
+const AdminCli = require('./AdminCli');
+const CliServices = require('./services');
+
+const cli = new AdminCli({
+  config,
+  services: new CliServices(config),
+  statusUrl: process.env.HULY_WEBHOOKS_URL
+});
+
+// The first interrupt ends a tail after its current poll, the second one right away
+process.on('SIGINT', () => {
+  if (cli.stopped) {
+    process.exit(130);
+  }
+  cli.stop();
+});
+
+cli.run(process.argv.slice(2))
+  .then((code) => {
+    // Services keep maintenance timers, so the process is ended explicitly
+    process.exit(code);
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
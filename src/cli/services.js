@@ -0,0 +1,112 @@
+/**
+ * Services of the huly-webhooks CLI
+ * Each service is created on first use, so commands only connect to what they need
+ */
+
+const DatabaseService = require('../services/DatabaseService');
+const EncryptionService = require('../services/EncryptionService');
+const AuditService = require('../services/AuditService');
+const WebhookService = require('../services/WebhookService');
+const DeliveryHistoryService = require('../services/DeliveryHistoryService');
+const DeadLetterQueueService = require('../services/DeadLetterQueueService');
+const PersistentDeliveryQueueService = require('../services/PersistentDeliveryQueueService');
+const ResumeTokenService = require('../services/ResumeTokenService');
+const LeaderElectionService = require('../services/LeaderElectionService');
+const EgressPolicy = require('../utils/egress');
+const { ServiceUnavailableError } = require('../middleware/errorHandler');
+
+class CliServices {
+  constructor (config) {
+    this.config = config;
+    this.instances = new Map();
+  }
+
+  /**
+   * Get a service, creating it on first use
+   * @param {string} name - Service name
+   * @returns {Promise<Object>} - Service
+   */
+  get (name) {
+    if (!this.instances.has(name)) {
+      this.instances.set(name, this.create(name));
+    }
+
+    return this.instances.get(name);
+  }
+
+  /**
+   * Create a service
+   * @param {string} name - Service name
+   * @returns {Promise<Object>} - Service
+   */
+  async create (name) {
+    const config = this.config;
+
+    switch (name) {
+    case 'database': {
+      const database = new DatabaseService();
+      await database.connect();
+      return database;
+    }
+
+    case 'encryption':
+      return new EncryptionService(config);
+
+    case 'audit':
+      return new AuditService(config, await this.get('database'), await this.get('encryption'));
+
+    case 'webhook':
+      return new WebhookService(await this.get('database'), await this.get('encryption'), new EgressPolicy(config.egress));
+
+    case 'deliveryHistory':
+      return new DeliveryHistoryService(config, await this.get('database'));
+
+    case 'deadLetterQueue': {
+      if (!config.dlq.enabled) {
+        throw new ServiceUnavailableError('Dead letter queue is disabled, set DLQ_ENABLED=true');
+      }
+
+      // The running service purges expired entries, a short-lived CLI must not schedule it too
+      const deadLetterQueue = new DeadLetterQueueService({
+        ...config,
+        deadLetterQueue: { ...config.deadLetterQueue, autoCleanup: false }
+      }, await this.get('database'));
+      await deadLetterQueue.loadDeadLetterItems();
+      return deadLetterQueue;
+    }
+
+    case 'deliveryQueue': {
+      // Only a queue stored in MongoDB is shared with the running service
+      if (config.queue.store !== 'mongodb') {
+        throw new ServiceUnavailableError('Deliveries can only be queued from the CLI with QUEUE_STORE=mongodb');
+      }
+
+      const deliveryQueue = new PersistentDeliveryQueueService(config, await this.get('database'));
+      await deliveryQueue.initialize();
+      return deliveryQueue;
+    }
+
+    case 'resumeTokens':
+      return new ResumeTokenService(config, await this.get('database'));
+
+    case 'leaderElection':
+      return new LeaderElectionService(config, await this.get('database'));
+
+    default:
+      throw new Error(`Unknown service: ${name}`);
+    }
+  }
+
+  /**
+   * Disconnect from the database when a command connected to it
+   * @returns {Promise<void>}
+   */
+  async close () {
+    if (this.instances.has('database')) {
+      const database = await this.instances.get('database').catch(() => null);
+      await database?.disconnect();
+    }
+  }
+}
+
+module.exports = CliServices;
@@ -4,6 +4,7 @@
  */
 
 const Joi = require('joi');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
 
 // Configuration schema for validation
 const configSchema = Joi.object({
@@ -21,10 +22,20 @@ const configSchema = Joi.object({
   // Authentication
   WEBHOOK_SECRET_KEY: Joi.string().min(32).required(),
   API_KEY: Joi.string().min(16).required(),
+  WORKSPACE_API_KEYS: Joi.string().allow('').default(''),
+  ENCRYPTION_KEY: Joi.string().min(32).optional(),
+  ENCRYPTION_PREVIOUS_KEYS: Joi.string().allow('').default(''),
+
+  // Workspaces
+  WORKSPACE_DATABASES: Joi.string().allow('').default(''),
+  WORKSPACE_FIELD: Joi.string().allow('').default(''),
+  DEFAULT_WORKSPACE: Joi.string().max(100).default('default'),
 
   // Security
   ALLOWED_IPS: Joi.string().allow('').default(''),
   CORS_ORIGINS: Joi.string().default('*'),
+  EGRESS_BLOCK_PRIVATE_NETWORKS: Joi.boolean().default(true),
+  EGRESS_ALLOWLIST: Joi.string().allow('').default(''),
 
   // Webhook Delivery
   RETRY_MAX_ATTEMPTS: Joi.number().integer().min(1).max(10).default(3),
@@ -33,6 +44,21 @@ const configSchema = Joi.object({
   DELIVERY_TIMEOUT: Joi.number().integer().min(1000).default(30000),
   BATCH_SIZE: Joi.number().integer().min(1).max(100).default(10),
   BATCH_TIMEOUT: Joi.number().integer().min(1000).default(5000),
+  OAUTH_TOKEN_REFRESH_MARGIN_MS: Joi.number().integer().min(0).default(60000),
+
+  // Delivery Queue
+  QUEUE_MAX_SIZE: Joi.number().integer().min(1).default(10000),
+  QUEUE_MAX_CONCURRENT: Joi.number().integer().min(1).max(100).default(10),
+  QUEUE_STORE: Joi.string().valid('memory', 'mongodb').default('mongodb'),
+  QUEUE_VISIBILITY_TIMEOUT_MS: Joi.number().integer().min(1000).default(90000),
+
+  // Outgoing delivery rate limiting (per webhook)
+  WEBHOOK_RATE_LIMIT_WINDOW_MS: Joi.number().integer().min(1000).default(60000),
+  WEBHOOK_RATE_LIMIT_MAX_REQUESTS: Joi.number().integer().min(1).default(100),
+
+  // Circuit Breaker
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: Joi.number().integer().min(1).default(5),
+  CIRCUIT_BREAKER_RESET_TIMEOUT: Joi.number().integer().min(1000).default(60000),
 
   // Dead Letter Queue
   DLQ_ENABLED: Joi.boolean().default(true),
@@ -54,10 +80,42 @@ const configSchema = Joi.object({
   // Event Processing
   EVENT_PROCESSING_INTERVAL: Joi.number().integer().min(100).default(1000),
   CHANGE_STREAM_RESUME_AFTER: Joi.boolean().default(true),
+  EVENT_PERSISTENCE_ENABLED: Joi.boolean().default(true),
+  EVENT_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+  REPLAY_MAX_EVENTS: Joi.number().integer().min(1).default(10000),
+  TX_DECODER_ENABLED: Joi.boolean().default(true),
+  TX_PREVIOUS_STATE_LOOKUP: Joi.boolean().default(true),
+  SNAPSHOT_STORE_ENABLED: Joi.boolean().default(true),
+  SNAPSHOT_STORE_MAX_ENTRIES: Joi.number().integer().min(1).default(10000),
+  CHANGE_STREAM_FILTER_ENABLED: Joi.boolean().default(true),
+  CHANGE_STREAM_REFRESH_DELAY_MS: Joi.number().integer().min(0).default(1000),
+  CHANGE_STREAM_REFRESH_INTERVAL_MS: Joi.number().integer().min(0).default(30000),
+  PIPELINE_WEBHOOK_CACHE_TTL_MS: Joi.number().integer().min(0).default(5000),
 
   // Monitoring
   METRICS_ENABLED: Joi.boolean().default(true),
-  METRICS_PORT: Joi.number().integer().min(1).max(65535).default(3457)
+  METRICS_PORT: Joi.number().integer().min(1).max(65535).default(3457),
+
+  // Admin console
+  ADMIN_UI_ENABLED: Joi.boolean().default(false),
+
+  // Tracing
+  TRACING_ENABLED: Joi.boolean().default(false),
+  TRACING_EXPORTER: Joi.string().valid('otlp', 'console', 'file').default('otlp'),
+  TRACING_FILE_PATH: Joi.string().default('traces.jsonl'),
+  TRACING_SAMPLE_RATIO: Joi.number().min(0).max(1).default(1),
+  OTEL_EXPORTER_OTLP_ENDPOINT: Joi.string().uri().optional(),
+  OTEL_SERVICE_NAME: Joi.string().default('huly-webhook-service'),
+
+  // Clustering
+  LEADER_ELECTION_ENABLED: Joi.boolean().default(true),
+  LEADER_LEASE_TTL_MS: Joi.number().integer().min(3000).default(15000),
+  INSTANCE_ID: Joi.string().optional(),
+
+  // Signing keys
+  SIGNING_KEY_ROTATION_DAYS: Joi.number().integer().min(1).default(90),
+  SIGNING_KEY_PUBLISH_AHEAD_HOURS: Joi.number().integer().min(1).default(24),
+  SIGNING_KEY_RETENTION_DAYS: Joi.number().integer().min(1).default(7)
 });
 
 // Validate environment variables
@@ -76,6 +134,25 @@ const parseArray = (str, defaultValue = []) => {
   return str.split(',').map(item => item.trim()).filter(item => item);
 };
 
+// Parse workspace bound API keys from "key=workspace1|workspace2,key2=*"
+const parseWorkspaceKeys = (str) => {
+  return parseArray(str).map(entry => {
+    const separator = entry.lastIndexOf('=');
+    if (separator <= 0) {
+      throw new Error('Config validation error: WORKSPACE_API_KEYS entries must look like key=workspace1|workspace2');
+    }
+
+    const key = entry.substring(0, separator).trim();
+    const workspaces = entry.substring(separator + 1).split('|').map(item => item.trim()).filter(item => item);
+
+    if (key.length < 16 || workspaces.length === 0) {
+      throw new Error('Config validation error: WORKSPACE_API_KEYS entries need a key of at least 16 characters and a workspace');
+    }
+
+    return { key, workspaces };
+  });
+};
+
 // Configuration object
 const config = {
   env: envVars.NODE_ENV,
@@ -100,7 +177,22 @@ const config = {
 
   auth: {
     webhookSecretKey: envVars.WEBHOOK_SECRET_KEY,
-    apiKey: envVars.API_KEY
+    apiKey: envVars.API_KEY,
+    // Keys limited to some workspaces, API_KEY itself can access all of them
+    workspaceKeys: parseWorkspaceKeys(envVars.WORKSPACE_API_KEYS)
+  },
+
+  // Master keys for secrets stored in MongoDB. Previous keys only decrypt, until
+  // `npm run encryption:rotate` re-encrypted every webhook and signing key with the current key
+  encryption: {
+    key: envVars.ENCRYPTION_KEY || envVars.WEBHOOK_SECRET_KEY,
+    previousKeys: parseArray(envVars.ENCRYPTION_PREVIOUS_KEYS)
+  },
+
+  workspaces: {
+    databases: parseArray(envVars.WORKSPACE_DATABASES),
+    field: envVars.WORKSPACE_FIELD,
+    default: envVars.DEFAULT_WORKSPACE
   },
 
   security: {
@@ -112,6 +204,13 @@ const config = {
     origins: envVars.CORS_ORIGINS === '*' ? true : parseArray(envVars.CORS_ORIGINS)
   },
 
+  // Hosts deliveries may connect to. Private, loopback and link-local addresses
+  // are blocked unless their host or range is allowlisted
+  egress: {
+    blockPrivateNetworks: envVars.EGRESS_BLOCK_PRIVATE_NETWORKS,
+    allowlist: parseArray(envVars.EGRESS_ALLOWLIST)
+  },
+
   delivery: {
     retry: {
       maxAttempts: envVars.RETRY_MAX_ATTEMPTS,
@@ -122,14 +221,43 @@ const config = {
     batch: {
       size: envVars.BATCH_SIZE,
       timeout: envVars.BATCH_TIMEOUT
+    },
+    // Access tokens of OAuth2 authenticated webhooks are refreshed this long before they expire
+    oauth: {
+      refreshMargin: envVars.OAUTH_TOKEN_REFRESH_MARGIN_MS
+    },
+    rateLimit: {
+      windowMs: envVars.WEBHOOK_RATE_LIMIT_WINDOW_MS,
+      maxRequests: envVars.WEBHOOK_RATE_LIMIT_MAX_REQUESTS
     }
   },
 
+  queue: {
+    maxSize: envVars.QUEUE_MAX_SIZE,
+    maxConcurrent: envVars.QUEUE_MAX_CONCURRENT,
+    store: envVars.QUEUE_STORE,
+    visibilityTimeout: envVars.QUEUE_VISIBILITY_TIMEOUT_MS,
+    maxRetries: envVars.RETRY_MAX_ATTEMPTS,
+    retryDelay: envVars.RETRY_INITIAL_DELAY
+  },
+
+  circuitBreaker: {
+    failureThreshold: envVars.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+    resetTimeoutMs: envVars.CIRCUIT_BREAKER_RESET_TIMEOUT,
+    timeoutMs: envVars.DELIVERY_TIMEOUT
+  },
+
   dlq: {
     enabled: envVars.DLQ_ENABLED,
     maxSize: envVars.DLQ_MAX_SIZE
   },
 
+  // Persistent dead letter queue settings consumed by DeadLetterQueueService
+  deadLetterQueue: {
+    maxSize: envVars.DLQ_MAX_SIZE,
+    persistence: envVars.DLQ_ENABLED
+  },
+
   logging: {
     level: envVars.LOG_LEVEL,
     file: {
@@ -150,7 +278,34 @@ const config = {
 
   events: {
     processingInterval: envVars.EVENT_PROCESSING_INTERVAL,
-    changeStreamResumeAfter: envVars.CHANGE_STREAM_RESUME_AFTER
+    changeStreamResumeAfter: envVars.CHANGE_STREAM_RESUME_AFTER,
+    persistence: {
+      enabled: envVars.EVENT_PERSISTENCE_ENABLED,
+      retentionDays: envVars.EVENT_RETENTION_DAYS
+    },
+    txDecoder: {
+      enabled: envVars.TX_DECODER_ENABLED,
+      collection: 'tx',
+      previousStateLookup: envVars.TX_PREVIOUS_STATE_LOOKUP
+    },
+    snapshots: {
+      enabled: envVars.SNAPSHOT_STORE_ENABLED,
+      maxEntries: envVars.SNAPSHOT_STORE_MAX_ENTRIES
+    },
+    changeStreamFilter: {
+      enabled: envVars.CHANGE_STREAM_FILTER_ENABLED,
+      refreshDelay: envVars.CHANGE_STREAM_REFRESH_DELAY_MS,
+      refreshInterval: envVars.CHANGE_STREAM_REFRESH_INTERVAL_MS
+    }
+  },
+
+  pipeline: {
+    webhookCacheTtl: envVars.PIPELINE_WEBHOOK_CACHE_TTL_MS
+  },
+
+  replay: {
+    maxEvents: envVars.REPLAY_MAX_EVENTS,
+    batchSize: 100
   },
 
   metrics: {
@@ -158,19 +313,39 @@ const config = {
     port: envVars.METRICS_PORT
   },
 
-  // Event types that are supported
-  supportedEventTypes: [
-    'issue.created',
-    'issue.updated',
-    'issue.deleted',
-    'issue.status_changed',
-    'issue.assigned',
-    'project.created',
-    'project.updated',
-    'project.archived',
-    'comment.created',
-    'attachment.added'
-  ],
+  // Web console at /admin, backed by the authenticated /api/admin routes
+  admin: {
+    enabled: envVars.ADMIN_UI_ENABLED
+  },
+
+  // Spans from change event to delivery, exported over OTLP or to the console or a file
+  tracing: {
+    enabled: envVars.TRACING_ENABLED,
+    exporter: envVars.TRACING_EXPORTER,
+    endpoint: envVars.OTEL_EXPORTER_OTLP_ENDPOINT,
+    filePath: envVars.TRACING_FILE_PATH,
+    sampleRatio: envVars.TRACING_SAMPLE_RATIO,
+    serviceName: envVars.OTEL_SERVICE_NAME
+  },
+
+  // Replicas elect one leader to tail the change stream and share the delivery queue
+  cluster: {
+    enabled: envVars.LEADER_ELECTION_ENABLED,
+    leaseTtl: envVars.LEADER_LEASE_TTL_MS,
+    instanceId: envVars.INSTANCE_ID
+  },
+
+  // Ed25519 keys for asymmetric delivery signatures, published at /.well-known/jwks.json
+  signing: {
+    rotationInterval: envVars.SIGNING_KEY_ROTATION_DAYS * 24 * 60 * 60 * 1000,
+    publishAhead: envVars.SIGNING_KEY_PUBLISH_AHEAD_HOURS * 60 * 60 * 1000,
+    retention: envVars.SIGNING_KEY_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  },
+
+  // Event types that are supported, see src/models/EventTypeRegistry.js
+  get supportedEventTypes () {
+    return eventTypeRegistry.getNames();
+  },
 
   // Collections to monitor in MongoDB
   monitoredCollections: [
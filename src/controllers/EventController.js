@@ -4,6 +4,9 @@
  */
 
 const logger = require('../utils/logger');
+const WebhookEvent = require('../models/WebhookEvent');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
+const WorkspaceScope = require('../utils/workspace');
 
 class EventController {
   constructor (services) {
@@ -25,8 +28,9 @@ class EventController {
         to
       } = req.query;
 
+      const scope = WorkspaceScope.fromRequest(req);
       const offset = (page - 1) * limit;
-      const filters = {};
+      const filters = scope.filter();
 
       // Add filters
       if (type) {
@@ -34,6 +38,13 @@ class EventController {
       }
 
       if (workspace) {
+        if (!scope.includes(workspace)) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: `API key has no access to workspace '${workspace}'`
+          });
+        }
+
         filters.workspace = workspace;
       }
 
@@ -47,14 +58,11 @@ class EventController {
         if (to) filters.timestamp.$lte = new Date(to);
       }
 
-      const collection = this.database.db.collection('webhook_events');
-      const events = await collection.find(filters)
-        .sort({ timestamp: -1 })
-        .skip(offset)
-        .limit(parseInt(limit))
-        .toArray();
-
-      const total = await collection.countDocuments(filters);
+      const { documents: events, total } = await this.database.find('webhook_events', filters, {
+        sort: { timestamp: -1 },
+        offset,
+        limit: parseInt(limit)
+      });
 
       res.json({
         events: events.map(event => ({
@@ -87,10 +95,9 @@ class EventController {
     try {
       const { id } = req.params;
 
-      const collection = this.database.db.collection('webhook_events');
-      const event = await collection.findOne({ id });
+      const event = await this.database.findOne('webhook_events', { id });
 
-      if (!event) {
+      if (!event || !WorkspaceScope.fromRequest(req).includes(event.workspace)) {
         return res.status(404).json({
           error: 'Not Found',
           message: 'Event not found'
@@ -118,10 +125,9 @@ class EventController {
       } = req.query;
 
       // Check if event exists
-      const eventCollection = this.database.db.collection('webhook_events');
-      const event = await eventCollection.findOne({ id });
+      const event = await this.database.findOne('webhook_events', { id });
 
-      if (!event) {
+      if (!event || !WorkspaceScope.fromRequest(req).includes(event.workspace)) {
         return res.status(404).json({
           error: 'Not Found',
           message: 'Event not found'
@@ -132,17 +138,15 @@ class EventController {
       const filters = { eventId: id };
 
       if (status) {
-        filters.status = status;
+        filters['result.success'] = status === 'success';
       }
 
-      const deliveryCollection = this.database.db.collection('delivery_attempts');
-      const deliveries = await deliveryCollection.find(filters)
-        .sort({ timestamp: -1 })
-        .skip(offset)
-        .limit(parseInt(limit))
-        .toArray();
-
-      const total = await deliveryCollection.countDocuments(filters);
+      // Delivery attempts are recorded by DeliveryHistoryService
+      const { documents: deliveries, total } = await this.database.find('delivery_history', filters, {
+        sort: { timestamp: -1 },
+        offset,
+        limit: parseInt(limit)
+      });
 
       res.json({
         event: {
@@ -154,14 +158,13 @@ class EventController {
         deliveries: deliveries.map(delivery => ({
           id: delivery.id,
           webhookId: delivery.webhookId,
-          attemptNumber: delivery.attemptNumber,
-          status: delivery.status,
-          httpStatus: delivery.httpStatus,
-          errorMessage: delivery.errorMessage,
-          duration: delivery.duration,
+          attemptNumber: delivery.attempt,
+          status: delivery.result?.success ? 'success' : 'failed',
+          httpStatus: delivery.result?.statusCode,
+          errorMessage: delivery.result?.error,
+          duration: delivery.result?.responseTime,
           timestamp: delivery.timestamp,
-          nextRetryAt: delivery.nextRetryAt,
-          finalAttempt: delivery.finalAttempt
+          finalAttempt: delivery.result?.success || delivery.attempt >= delivery.maxAttempts
         })),
         pagination: {
           page: parseInt(page),
@@ -185,76 +188,75 @@ class EventController {
       const { id } = req.params;
       const { webhookIds } = req.body;
 
+      const pipeline = this.services.pipeline;
+      if (!pipeline) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Event pipeline is not running'
+        });
+      }
+
       // Check if event exists
-      const eventCollection = this.database.db.collection('webhook_events');
-      const event = await eventCollection.findOne({ id });
+      const event = await this.database.findOne('webhook_events', { id });
 
-      if (!event) {
+      if (!event || !WorkspaceScope.fromRequest(req).includes(event.workspace)) {
         return res.status(404).json({
           error: 'Not Found',
           message: 'Event not found'
         });
       }
 
-      let webhooksToRetry = [];
+      // The event is already stored, so it is re-driven under its own ID
+      const options = { eventId: event.id };
 
       if (webhookIds && webhookIds.length > 0) {
-        // Retry specific webhooks
-        const webhookService = this.services.webhook;
-        for (const webhookId of webhookIds) {
-          const webhook = await webhookService.findWebhookById(webhookId);
-          if (webhook && webhook.active) {
-            webhooksToRetry.push(webhook);
-          }
-        }
-      } else {
-        // Retry all active webhooks that match the event
-        const webhookService = this.services.webhook;
-        const allWebhooks = await webhookService.findWebhooks({ active: true });
-
-        webhooksToRetry = allWebhooks.filter(webhook =>
-          webhook.shouldProcessEvent(event.type) &&
-          webhook.matchesFilters(event.data)
+        // Retry specific webhooks, bypassing routing
+        const scope = WorkspaceScope.fromRequest(req);
+        const activeWebhooks = await pipeline.getActiveWebhooks();
+        options.webhooks = activeWebhooks.filter(webhook =>
+          webhookIds.includes(pipeline.getWebhookId(webhook)) && scope.includes(webhook.workspace)
         );
+
+        if (options.webhooks.length === 0) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'No eligible webhooks found for retry'
+          });
+        }
       }
 
-      if (webhooksToRetry.length === 0) {
+      // Re-drive the stored event through the pipeline
+      const changeEvent = WebhookEvent.fromDocument(event).toChangeEvent();
+      const summary = await pipeline.processEvent(changeEvent, options);
+
+      if (summary.matched === 0) {
         return res.status(400).json({
           error: 'Bad Request',
           message: 'No eligible webhooks found for retry'
         });
       }
 
-      // Queue retry deliveries
-      const deliveryService = this.services.delivery;
-      const retryResults = [];
-
-      for (const webhook of webhooksToRetry) {
-        try {
-          const result = await deliveryService.queueDelivery(webhook, event);
-          retryResults.push({
-            webhookId: webhook.id,
-            webhookName: webhook.name,
-            success: true,
-            deliveryId: result.id
-          });
-        } catch (error) {
-          retryResults.push({
-            webhookId: webhook.id,
-            webhookName: webhook.name,
-            success: false,
-            error: error.message
-          });
-        }
-      }
+      const retryResults = summary.deliveries.map(delivery => ({
+        webhookId: delivery.webhookId,
+        webhookName: delivery.webhookName,
+        success: delivery.outcome === 'queued' || delivery.outcome === 'rateLimited',
+        deliveryId: delivery.deliveryId,
+        error: delivery.error
+      }));
 
-      logger.info(`Event retry initiated: ${id} - ${retryResults.length} webhooks queued`);
+      logger.info(`Event retry initiated: ${id} - ${summary.queued + summary.rateLimited} webhooks queued`);
+
+      await this.services.audit?.recordRequest(req, {
+        action: 'event.retried',
+        target: { type: 'event', id, name: event.type, workspace: event.workspace },
+        details: { webhookIds: retryResults.map(result => result.webhookId) }
+      });
 
       res.json({
         eventId: id,
         retryResults,
         summary: {
-          totalWebhooks: webhooksToRetry.length,
+          totalWebhooks: retryResults.length,
           successfulQueues: retryResults.filter(r => r.success).length,
           failedQueues: retryResults.filter(r => !r.success).length
         }
@@ -271,22 +273,12 @@ class EventController {
   // GET /api/events/types
   async getEventTypes (req, res) {
     try {
-      const config = require('../config');
+      const { entityType } = req.query || {};
 
       res.json({
-        supportedTypes: config.supportedEventTypes,
-        description: {
-          'issue.created': 'New issue created',
-          'issue.updated': 'Issue modified',
-          'issue.deleted': 'Issue removed',
-          'issue.status_changed': 'Issue status changed',
-          'issue.assigned': 'Issue assignment changed',
-          'project.created': 'New project created',
-          'project.updated': 'Project settings modified',
-          'project.archived': 'Project archived',
-          'comment.created': 'Comment added to issue',
-          'attachment.added': 'File attached to issue'
-        }
+        supportedTypes: eventTypeRegistry.getNames(),
+        description: eventTypeRegistry.getDescriptions(),
+        types: eventTypeRegistry.list({ entityType })
       });
     } catch (error) {
       logger.error('Error getting event types:', error);
@@ -297,6 +289,28 @@ class EventController {
     }
   }
 
+  // GET /api/events/types/:type
+  async getEventType (req, res) {
+    try {
+      const eventType = eventTypeRegistry.describe(req.params.type);
+
+      if (!eventType) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Unknown event type: ${req.params.type}`
+        });
+      }
+
+      res.json(eventType);
+    } catch (error) {
+      logger.error('Error getting event type:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get event type'
+      });
+    }
+  }
+
   // GET /api/events/stats
   async getEventStats (req, res) {
     try {
@@ -306,15 +320,15 @@ class EventController {
       const now = new Date();
       const periodMs = this.parsePeriod(period);
       const from = new Date(now.getTime() - periodMs);
-
-      const eventCollection = this.database.db.collection('webhook_events');
+      const match = {
+        ...WorkspaceScope.fromRequest(req).filter(),
+        timestamp: { $gte: from, $lte: now }
+      };
 
       // Get event counts by type
-      const eventsByType = await eventCollection.aggregate([
+      const eventsByType = await this.database.aggregate('webhook_events', [
         {
-          $match: {
-            timestamp: { $gte: from, $lte: now }
-          }
+          $match: match
         },
         {
           $group: {
@@ -325,14 +339,12 @@ class EventController {
         {
           $sort: { count: -1 }
         }
-      ]).toArray();
+      ]);
 
       // Get processed vs unprocessed counts
-      const processingStats = await eventCollection.aggregate([
+      const processingStats = await this.database.aggregate('webhook_events', [
         {
-          $match: {
-            timestamp: { $gte: from, $lte: now }
-          }
+          $match: match
         },
         {
           $group: {
@@ -340,14 +352,12 @@ class EventController {
             count: { $sum: 1 }
           }
         }
-      ]).toArray();
+      ]);
 
       // Get events by workspace
-      const eventsByWorkspace = await eventCollection.aggregate([
+      const eventsByWorkspace = await this.database.aggregate('webhook_events', [
         {
-          $match: {
-            timestamp: { $gte: from, $lte: now }
-          }
+          $match: match
         },
         {
           $group: {
@@ -358,12 +368,10 @@ class EventController {
         {
           $sort: { count: -1 }
         }
-      ]).toArray();
+      ]);
 
       // Get total events
-      const totalEvents = await eventCollection.countDocuments({
-        timestamp: { $gte: from, $lte: now }
-      });
+      const totalEvents = await this.database.countDocuments('webhook_events', match);
 
       res.json({
         period: {
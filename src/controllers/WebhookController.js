@@ -4,7 +4,8 @@
  */
 
 const logger = require('../utils/logger');
-const Webhook = require('../models/Webhook');
+const ValidationUtils = require('../utils/validation');
+const WorkspaceScope = require('../utils/workspace');
 
 class WebhookController {
   constructor (services) {
@@ -24,40 +25,22 @@ class WebhookController {
         search
       } = req.query;
 
-      const offset = (page - 1) * limit;
-      const filters = {};
-
-      // Add filters
-      if (active !== undefined) {
-        filters.active = active === 'true';
-      }
-
-      if (events) {
-        filters.events = { $in: events.split(',') };
-      }
-
-      if (search) {
-        filters.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { url: { $regex: search, $options: 'i' } }
-        ];
-      }
-
-      const webhooks = await this.webhookService.findWebhooks(filters, {
-        skip: offset,
+      const result = await this.webhookService.listWebhooks({
+        active: active !== undefined ? active === 'true' : undefined,
+        events: events ? events.split(',') : undefined,
+        search,
         limit: parseInt(limit),
-        sort: { createdAt: -1 }
+        offset: (page - 1) * limit,
+        workspaces: WorkspaceScope.fromRequest(req).values()
       });
 
-      const total = await this.webhookService.countWebhooks(filters);
-
       res.json({
-        webhooks: webhooks.map(webhook => webhook.toResponse()),
+        webhooks: result.documents,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
         }
       });
     } catch (error) {
@@ -72,9 +55,7 @@ class WebhookController {
   // GET /api/webhooks/:id
   async getWebhook (req, res) {
     try {
-      const { id } = req.params;
-
-      const webhook = await this.webhookService.findWebhookById(id);
+      const webhook = await this.findScopedWebhook(req, req.params.id);
       if (!webhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -82,7 +63,7 @@ class WebhookController {
         });
       }
 
-      res.json(webhook.toResponse());
+      res.json(webhook);
     } catch (error) {
       logger.error('Error getting webhook:', error);
       res.status(500).json({
@@ -95,37 +76,56 @@ class WebhookController {
   // POST /api/webhooks
   async createWebhook (req, res) {
     try {
-      const webhookData = req.body;
-
-      // Create webhook instance and validate
-      const webhook = new Webhook(webhookData);
-      webhook.validate();
-
-      // Check for duplicate URLs
-      const existingWebhook = await this.webhookService.findWebhookByUrl(webhook.url);
-      if (existingWebhook) {
+      const { error, value } = ValidationUtils.createWebhookSchema().validate(req.body || {});
+      if (error) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Webhook with this URL already exists'
+          message: `Webhook validation failed: ${error.details[0].message}`
         });
       }
 
-      // Create webhook
-      const createdWebhook = await this.webhookService.createWebhook(webhook);
+      const scope = WorkspaceScope.fromRequest(req);
+      const webhookData = {
+        ...value,
+        workspace: value.workspace || scope.getDefaultWorkspace()
+      };
 
-      logger.info(`Webhook created: ${createdWebhook.id} - ${createdWebhook.name}`);
+      if (!webhookData.workspace) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'workspace is required when the API key has access to several workspaces'
+        });
+      }
 
-      res.status(201).json(createdWebhook.toResponse());
-    } catch (error) {
-      logger.error('Error creating webhook:', error);
+      if (!scope.includes(webhookData.workspace)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `API key has no access to workspace '${webhookData.workspace}'`
+        });
+      }
 
-      if (error.message.includes('validation failed')) {
+      // URLs only need to be unique within a workspace
+      if (await this.hasDuplicateUrl(webhookData.url, webhookData.workspace)) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: error.message
+          message: 'Webhook with this URL already exists'
         });
       }
 
+      const createdWebhook = await this.webhookService.createWebhook(webhookData);
+      const id = String(createdWebhook._id);
+
+      logger.info(`Webhook created: ${id} - ${createdWebhook.name}`);
+
+      await this.recordAudit(req, 'webhook.created', id, createdWebhook, { after: createdWebhook });
+
+      res.status(201).json(createdWebhook);
+    } catch (error) {
+      if (this.respondToServiceError(res, error)) {
+        return;
+      }
+
+      logger.error('Error creating webhook:', error);
       res.status(500).json({
         error: 'Internal Server Error',
         message: 'Failed to create webhook'
@@ -139,7 +139,8 @@ class WebhookController {
       const { id } = req.params;
       const updateData = req.body;
 
-      const existingWebhook = await this.webhookService.findWebhookById(id);
+      const scope = WorkspaceScope.fromRequest(req);
+      const existingWebhook = await this.findScopedWebhook(req, id);
       if (!existingWebhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -147,33 +148,45 @@ class WebhookController {
         });
       }
 
-      // Check for URL conflicts if URL is being updated
-      if (updateData.url && updateData.url !== existingWebhook.url) {
-        const duplicateWebhook = await this.webhookService.findWebhookByUrl(updateData.url);
-        if (duplicateWebhook && duplicateWebhook.id !== id) {
-          return res.status(400).json({
-            error: 'Bad Request',
-            message: 'Webhook with this URL already exists'
-          });
-        }
+      // Webhooks can only be moved between workspaces the key has access to
+      if (updateData.workspace && !scope.includes(updateData.workspace)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `API key has no access to workspace '${updateData.workspace}'`
+        });
+      }
+
+      // Check for URL conflicts in the workspace the webhook ends up in
+      const url = updateData.url || existingWebhook.url;
+      const workspace = updateData.workspace || existingWebhook.workspace;
+      if ((url !== existingWebhook.url || workspace !== existingWebhook.workspace) &&
+        await this.hasDuplicateUrl(url, workspace, id)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Webhook with this URL already exists'
+        });
       }
 
       // Update webhook
       const updatedWebhook = await this.webhookService.updateWebhook(id, updateData);
 
-      logger.info(`Webhook updated: ${updatedWebhook.id} - ${updatedWebhook.name}`);
+      logger.info(`Webhook updated: ${id} - ${updatedWebhook.name}`);
 
-      res.json(updatedWebhook.toResponse());
-    } catch (error) {
-      logger.error('Error updating webhook:', error);
+      // Pausing and resuming are recorded as such, with the rest of the change in the diff
+      let action = 'webhook.updated';
+      if (updateData.active !== undefined && updateData.active !== existingWebhook.active) {
+        action = updateData.active ? 'webhook.resumed' : 'webhook.paused';
+      }
 
-      if (error.message.includes('validation failed')) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: error.message
-        });
+      await this.recordAudit(req, action, id, updatedWebhook, { before: existingWebhook, after: updatedWebhook });
+
+      res.json(updatedWebhook);
+    } catch (error) {
+      if (this.respondToServiceError(res, error)) {
+        return;
       }
 
+      logger.error('Error updating webhook:', error);
       res.status(500).json({
         error: 'Internal Server Error',
         message: 'Failed to update webhook'
@@ -186,7 +199,7 @@ class WebhookController {
     try {
       const { id } = req.params;
 
-      const webhook = await this.webhookService.findWebhookById(id);
+      const webhook = await this.findScopedWebhook(req, id);
       if (!webhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -198,6 +211,8 @@ class WebhookController {
 
       logger.info(`Webhook deleted: ${id} - ${webhook.name}`);
 
+      await this.recordAudit(req, 'webhook.deleted', id, webhook, { before: webhook });
+
       res.status(204).send();
     } catch (error) {
       logger.error('Error deleting webhook:', error);
@@ -213,7 +228,8 @@ class WebhookController {
     try {
       const { id } = req.params;
 
-      const webhook = await this.webhookService.findWebhookById(id);
+      // The stored webhook, its secrets are decrypted when the test event is signed
+      const webhook = await this.findScopedWebhook(req, id, { forDelivery: true });
       if (!webhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -221,30 +237,19 @@ class WebhookController {
         });
       }
 
-      // Create test event
-      const testEvent = {
-        id: 'test-event-' + Date.now(),
-        type: 'webhook.test',
-        timestamp: new Date().toISOString(),
-        workspace: 'test',
-        data: {
-          message: 'This is a test webhook delivery',
-          webhook: {
-            id: webhook.id,
-            name: webhook.name
-          }
+      const result = await this.services.delivery.testWebhook(webhook, 'webhook.test', {
+        message: 'This is a test webhook delivery',
+        webhook: {
+          id: String(webhook._id),
+          name: webhook.name
         }
-      };
-
-      // Attempt delivery
-      const deliveryService = this.services.delivery;
-      const result = await deliveryService.deliverToWebhook(webhook, testEvent);
+      });
 
       res.json({
         success: result.success,
-        status: result.status,
-        duration: result.duration,
-        message: result.success ? 'Test webhook delivered successfully' : result.error
+        statusCode: result.statusCode,
+        responseTime: result.responseTime,
+        message: result.message
       });
     } catch (error) {
       logger.error('Error testing webhook:', error);
@@ -267,7 +272,7 @@ class WebhookController {
         to
       } = req.query;
 
-      const webhook = await this.webhookService.findWebhookById(id);
+      const webhook = await this.findScopedWebhook(req, id);
       if (!webhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -275,35 +280,22 @@ class WebhookController {
         });
       }
 
-      const offset = (page - 1) * limit;
-      const filters = { webhookId: id };
-
-      if (status) {
-        filters.status = status;
-      }
-
-      if (from || to) {
-        filters.timestamp = {};
-        if (from) filters.timestamp.$gte = new Date(from);
-        if (to) filters.timestamp.$lte = new Date(to);
-      }
-
-      const deliveryHistoryService = this.services.deliveryHistory;
-      const deliveries = await deliveryHistoryService.findDeliveries(filters, {
-        skip: offset,
-        limit: parseInt(limit),
-        sort: { timestamp: -1 }
+      // One record more than the page tells whether there is a next page without counting
+      const pageSize = parseInt(limit);
+      const records = await this.services.deliveryHistory.getWebhookDeliveryHistory(webhook._id, {
+        success: status ? status === 'success' : undefined,
+        fromDate: from,
+        toDate: to,
+        limit: pageSize + 1,
+        skip: (page - 1) * pageSize
       });
 
-      const total = await deliveryHistoryService.countDeliveries(filters);
-
       res.json({
-        deliveries: deliveries.map(delivery => delivery.toResponse()),
+        deliveries: records.slice(0, pageSize),
         pagination: {
           page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
+          limit: pageSize,
+          hasMore: records.length > pageSize
         }
       });
     } catch (error) {
@@ -321,7 +313,7 @@ class WebhookController {
       const { id } = req.params;
       const { period = '7d' } = req.query;
 
-      const webhook = await this.webhookService.findWebhookById(id);
+      const webhook = await this.findScopedWebhook(req, id);
       if (!webhook) {
         return res.status(404).json({
           error: 'Not Found',
@@ -334,12 +326,15 @@ class WebhookController {
       const periodMs = this.parsePeriod(period);
       const from = new Date(now.getTime() - periodMs);
 
-      const deliveryHistoryService = this.services.deliveryHistory;
-      const stats = await deliveryHistoryService.getWebhookStats(id, from, now);
+      const stats = await this.services.deliveryHistory.getDeliveryStats({
+        webhookId: webhook._id,
+        fromDate: from,
+        toDate: now
+      });
 
       res.json({
         webhook: {
-          id: webhook.id,
+          id: String(webhook._id),
           name: webhook.name
         },
         period: {
@@ -358,6 +353,283 @@ class WebhookController {
     }
   }
 
+  // POST /api/webhooks/:id/replay
+  async replayWebhook (req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to, fromToken, toToken, dryRun, maxEvents } = req.body;
+
+      const replayService = this.services.replay;
+      if (!replayService) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Event replay requires event persistence to be enabled'
+        });
+      }
+
+      const webhook = await this.webhookService.getWebhookForDelivery(id);
+      if (!WorkspaceScope.fromRequest(req).includes(webhook.workspace)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      if (!webhook.active) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Cannot replay events to an inactive webhook'
+        });
+      }
+
+      const window = { from, to, fromToken, toToken };
+
+      if (dryRun) {
+        const job = await replayService.dryRun(webhook, window, { maxEvents });
+        return res.json(job);
+      }
+
+      const job = await replayService.startReplay(webhook, window, { maxEvents });
+
+      logger.info(`Replay started for webhook ${id}: ${job.id}`);
+
+      await this.recordAudit(req, 'webhook.replay_started', id, webhook, {
+        details: { jobId: job.id, window, maxEvents }
+      });
+
+      res.status(202).json(job);
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      logger.error('Error replaying webhook events:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to replay webhook events'
+      });
+    }
+  }
+
+  // GET /api/webhooks/:id/replay/:jobId
+  async getReplayJob (req, res) {
+    try {
+      const { id, jobId } = req.params;
+
+      const job = await this.services.replay?.getJob(jobId);
+      if (!job || job.webhookId !== id || !WorkspaceScope.fromRequest(req).includes(job.workspace)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Replay job not found'
+        });
+      }
+
+      res.json(job);
+    } catch (error) {
+      logger.error('Error getting replay job:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get replay job'
+      });
+    }
+  }
+
+  // GET /api/webhooks/:id/ordering
+  async getOrderingStatus (req, res) {
+    try {
+      const { id } = req.params;
+
+      const webhook = await this.webhookService.getWebhookForDelivery(id);
+      if (!WorkspaceScope.fromRequest(req).includes(webhook.workspace)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      const keys = await this.services.deliveryQueue.getOrderingStatus(id);
+
+      res.json({
+        webhookId: id,
+        ordering: webhook.ordering || 'none',
+        blocked: keys.some(key => key.state === 'blocked'),
+        keys
+      });
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      logger.error('Error getting webhook ordering status:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get webhook ordering status'
+      });
+    }
+  }
+
+  // POST /api/webhooks/:id/ordering/:deliveryId/skip
+  async skipBlockedDelivery (req, res) {
+    try {
+      const { id, deliveryId } = req.params;
+
+      const webhook = await this.webhookService.getWebhookForDelivery(id);
+      if (!WorkspaceScope.fromRequest(req).includes(webhook.workspace)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      const keys = await this.services.deliveryQueue.getOrderingStatus(id);
+      const blocked = keys.find(key => key.state === 'blocked' && key.head.deliveryId === deliveryId);
+
+      if (!blocked || !await this.services.deliveryQueue.skipBlockedDelivery(deliveryId)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No blocked delivery with this ID'
+        });
+      }
+
+      logger.warn(`Blocked delivery ${deliveryId} of webhook ${id} skipped`);
+
+      await this.recordAudit(req, 'webhook.delivery_skipped', id, webhook, {
+        details: { deliveryId, key: blocked.key }
+      });
+
+      res.json({
+        skipped: deliveryId,
+        key: blocked.key,
+        released: blocked.waiting
+      });
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      logger.error('Error skipping blocked delivery:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to skip blocked delivery'
+      });
+    }
+  }
+
+  // POST /api/webhooks/:id/rotate-secret
+  async rotateSecret (req, res) {
+    try {
+      const { id } = req.params;
+
+      const webhook = await this.webhookService.getWebhookForDelivery(id);
+      if (!WorkspaceScope.fromRequest(req).includes(webhook.workspace)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      const rotation = await this.webhookService.rotateSecret(id, req.body);
+
+      logger.info(`Webhook secret rotated: ${id}`);
+
+      await this.recordAudit(req, 'webhook.secret_rotated', id, webhook, {
+        details: { previousSecretExpiresAt: rotation.previousSecretExpiresAt }
+      });
+
+      // The new secret is only ever returned here
+      res.json({
+        webhookId: id,
+        signatureScheme: webhook.signatureScheme || 'huly',
+        ...rotation
+      });
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Webhook not found'
+        });
+      }
+
+      if (error.code === 'CONFLICT') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+
+      logger.error('Error rotating webhook secret:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to rotate webhook secret'
+      });
+    }
+  }
+
+  // Helper method to get a webhook of the key workspaces, null when there is none.
+  // With forDelivery the stored webhook is returned instead of the masked one
+  async findScopedWebhook (req, id, { forDelivery = false } = {}) {
+    if (!this.database.isValidObjectId(id)) {
+      return null;
+    }
+
+    try {
+      const webhook = forDelivery
+        ? await this.webhookService.getWebhookForDelivery(id)
+        : await this.webhookService.getWebhook(id);
+      return WorkspaceScope.fromRequest(req).includes(webhook.workspace) ? webhook : null;
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Helper method to check whether another webhook of the workspace has the URL
+  async hasDuplicateUrl (url, workspace, excludeId = null) {
+    // Webhooks stored without a workspace belong to the default workspace
+    const { documents } = await this.webhookService.listWebhooks({
+      url,
+      workspaces: new WorkspaceScope([workspace || WorkspaceScope.DEFAULT_WORKSPACE]).values(),
+      limit: 2
+    });
+
+    return documents.some(webhook => String(webhook._id) !== excludeId);
+  }
+
+  // Helper method to answer validation and conflict errors of the webhook service
+  respondToServiceError (res, error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      res.status(400).json({ error: 'Bad Request', message: error.message, details: error.details });
+      return true;
+    }
+
+    if (error.code === 'CONFLICT') {
+      res.status(409).json({ error: 'Conflict', message: error.message });
+      return true;
+    }
+
+    return false;
+  }
+
+  // Helper method to append a webhook change to the audit log
+  async recordAudit (req, action, id, webhook, entry) {
+    await this.services.audit?.recordRequest(req, {
+      action,
+      target: { type: 'webhook', id, name: webhook.name, workspace: webhook.workspace },
+      ...entry
+    });
+  }
+
   // Helper method to parse period string
   parsePeriod (period) {
     const match = period.match(/^(\d+)([hdwmy])$/);
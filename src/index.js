@@ -5,6 +5,7 @@
 
 require('dotenv').config();
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -12,6 +13,7 @@ const morgan = require('morgan');
 
 const config = require('./config');
 const logger = require('./utils/logger');
+const EgressPolicy = require('./utils/egress');
 const { errorHandler } = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 const rateLimitMiddleware = require('./middleware/rateLimit');
@@ -19,13 +21,40 @@ const rateLimitMiddleware = require('./middleware/rateLimit');
 // Import services
 const DatabaseService = require('./services/DatabaseService');
 const ChangeStreamService = require('./services/ChangeStreamService');
+const LeaderElectionService = require('./services/LeaderElectionService');
 const WebhookService = require('./services/WebhookService');
 const DeliveryService = require('./services/DeliveryService');
+const SigningKeyService = require('./services/SigningKeyService');
+const EncryptionService = require('./services/EncryptionService');
+const ApiKeyService = require('./services/ApiKeyService');
+const AuditService = require('./services/AuditService');
+const MetricsService = require('./services/MetricsService');
+const TracingService = require('./services/TracingService');
+const EventTypeDetectionService = require('./services/EventTypeDetectionService');
+const EventRoutingService = require('./services/EventRoutingService');
+const EventFilterService = require('./services/EventFilterService');
+const EventPayloadTransformerService = require('./services/EventPayloadTransformerService');
+const TxDecoderService = require('./services/TxDecoderService');
+const SnapshotStoreService = require('./services/SnapshotStoreService');
+const DeliveryQueueService = require('./services/DeliveryQueueService');
+const PersistentDeliveryQueueService = require('./services/PersistentDeliveryQueueService');
+const CircuitBreakerService = require('./services/CircuitBreakerService');
+const RateLimitService = require('./services/RateLimitService');
+const DeadLetterQueueService = require('./services/DeadLetterQueueService');
+const DeliveryHistoryService = require('./services/DeliveryHistoryService');
+const EventStoreService = require('./services/EventStoreService');
+const EventReplayService = require('./services/EventReplayService');
+const EventPipelineService = require('./services/EventPipelineService');
 
 // Import routes
 const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
 const healthRoutes = require('./routes/health');
 const statsRoutes = require('./routes/stats');
+const wellKnownRoutes = require('./routes/wellKnown');
+const keyRoutes = require('./routes/keys');
+const auditRoutes = require('./routes/audit');
+const adminRoutes = require('./routes/admin');
 
 class WebhookApp {
   constructor () {
@@ -69,7 +98,7 @@ class WebhookApp {
       origin: config.cors.origins,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Hub-Signature-256']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Hub-Signature-256', 'X-Huly-Workspace']
     }));
 
     // Request logging
@@ -98,9 +127,21 @@ class WebhookApp {
     // Health check (no auth required)
     this.app.use('/api/health', healthRoutes);
 
+    // Public keys for verifying delivery signatures (no auth required)
+    this.app.use('/.well-known', wellKnownRoutes);
+
     // API routes with authentication
     this.app.use('/api/webhooks', authMiddleware, webhookRoutes);
+    this.app.use('/api/events', authMiddleware, eventRoutes);
     this.app.use('/api/stats', authMiddleware, statsRoutes);
+    this.app.use('/api/keys', authMiddleware, keyRoutes);
+    this.app.use('/api/audit', authMiddleware, auditRoutes);
+
+    // The console pages hold no data, everything they show comes from the authenticated admin API
+    if (config.admin.enabled) {
+      this.app.use('/api/admin', authMiddleware, adminRoutes);
+      this.app.use('/admin', express.static(path.join(__dirname, 'admin')));
+    }
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -125,24 +166,120 @@ class WebhookApp {
   async initializeServices () {
     logger.info('Initializing services...');
 
+    // Registered first, so every service records spans once tracing is enabled
+    if (config.tracing.enabled) {
+      this.services.tracing = new TracingService(config);
+      this.services.tracing.start();
+    }
+
     // Initialize database service
     this.services.database = new DatabaseService();
     await this.services.database.connect();
 
+    // API keys managed through /api/keys, next to API_KEY and WORKSPACE_API_KEYS
+    this.services.apiKeys = new ApiKeyService(config, this.services.database);
+    await this.services.apiKeys.initialize();
+
+    // Webhook secrets and sensitive headers are stored encrypted
+    this.services.encryption = new EncryptionService(config);
+
+    // Management API changes are appended to the audit log, with secrets redacted
+    this.services.audit = new AuditService(config, this.services.database, this.services.encryption);
+    await this.services.audit.initialize();
+
+    // Webhook URLs are checked when they are saved and again when deliveries connect
+    this.services.egressPolicy = new EgressPolicy(config.egress);
+
     // Initialize webhook service
-    this.services.webhook = new WebhookService(this.services.database);
+    this.services.webhook = new WebhookService(this.services.database, this.services.encryption, this.services.egressPolicy);
+
+    // Keys for Ed25519 delivery signatures, shared by all replicas through the database
+    this.services.signingKeys = new SigningKeyService(config, this.services.database, this.services.encryption);
+    await this.services.signingKeys.start();
 
     // Initialize delivery service
-    this.services.delivery = new DeliveryService(this.services.database);
+    this.services.delivery = new DeliveryService(this.services.database, config, {
+      signingKeys: this.services.signingKeys,
+      encryption: this.services.encryption,
+      egressPolicy: this.services.egressPolicy
+    });
+
+    // Initialize event processing services
+    this.services.eventTypeDetection = new EventTypeDetectionService(config);
+    this.services.eventRouting = new EventRoutingService(config);
+    this.services.eventFilter = new EventFilterService(config);
+    this.services.payloadTransformer = new EventPayloadTransformerService(config);
+
+    // Decode Huly transactions into domain events
+    if (config.events.txDecoder.enabled) {
+      this.services.txDecoder = new TxDecoderService(config, this.services.database);
+    }
+
+    // Remember last seen documents to diff updates on collections without pre-images
+    if (config.events.snapshots.enabled) {
+      this.services.snapshotStore = new SnapshotStoreService(config);
+    }
+
+    // Initialize delivery reliability services
+    // Deliveries stored in MongoDB survive restarts and are leased to one worker at a time
+    this.services.deliveryQueue = config.queue.store === 'mongodb'
+      ? new PersistentDeliveryQueueService(config, this.services.database)
+      : new DeliveryQueueService(config);
+    this.services.circuitBreaker = new CircuitBreakerService(config);
+    this.services.rateLimit = new RateLimitService({
+      ...config,
+      rateLimit: config.delivery.rateLimit // API rate limits do not apply to outgoing deliveries
+    });
+    this.services.deliveryHistory = new DeliveryHistoryService(config, this.services.database);
+
+    if (config.dlq.enabled) {
+      this.services.deadLetterQueue = new DeadLetterQueueService(config, this.services.database);
+    }
+
+    if (config.events.persistence.enabled) {
+      this.services.eventStore = new EventStoreService(config, this.services.database);
+      await this.services.eventStore.initialize();
+    }
 
     // Initialize change stream service
-    this.services.changeStream = new ChangeStreamService(
-      this.services.database,
-      this.services.delivery
-    );
+    this.services.changeStream = new ChangeStreamService({
+      ...config,
+      database: {
+        url: config.mongodb.url,
+        name: config.mongodb.dbName
+      }
+    }, this.services.database, {
+      webhook: this.services.webhook,
+      eventTypeDetection: this.services.eventTypeDetection,
+      txDecoder: this.services.txDecoder
+    });
+
+    // Wire change events through the pipeline into the delivery queue
+    this.services.pipeline = new EventPipelineService(config, this.services);
+
+    // Replay re-delivers stored events, so it is only available with persistence
+    if (this.services.eventStore) {
+      this.services.replay = new EventReplayService(config, this.services);
+      await this.services.replay.initialize();
+    }
+
+    await this.services.deliveryQueue.start();
+    await this.services.pipeline.start(this.services.changeStream);
 
-    // Start change stream monitoring
-    await this.services.changeStream.start();
+    // Start change stream monitoring, on the elected leader only when replicas share the database
+    if (config.cluster.enabled) {
+      this.services.leaderElection = new LeaderElectionService(config, this.services.database);
+      this.services.changeStream.followLeadership(this.services.leaderElection);
+      await this.services.leaderElection.start();
+    } else {
+      await this.services.changeStream.start();
+    }
+
+    // Prometheus metrics are served on their own port, outside the authenticated API
+    if (config.metrics.enabled) {
+      this.services.metrics = new MetricsService(config, this.services);
+      await this.services.metrics.start();
+    }
 
     // Make services available to routes
     this.app.locals.services = this.services;
@@ -171,10 +308,42 @@ class WebhookApp {
             await this.services.changeStream.stop();
           }
 
+          // Hands the final resume token over to the next leader
+          if (this.services.leaderElection) {
+            await this.services.leaderElection.stop();
+          }
+
+          if (this.services.pipeline) {
+            await this.services.pipeline.stop();
+          }
+
+          if (this.services.deliveryQueue) {
+            await this.services.deliveryQueue.stop();
+          }
+
+          if (this.services.signingKeys) {
+            await this.services.signingKeys.stop();
+          }
+
+          if (this.services.metrics) {
+            await this.services.metrics.stop();
+          }
+
+          for (const name of ['circuitBreaker', 'rateLimit', 'deliveryHistory', 'deadLetterQueue']) {
+            if (this.services[name]) {
+              await this.services[name].shutdown();
+            }
+          }
+
           if (this.services.database) {
             await this.services.database.disconnect();
           }
 
+          // Flushes the spans of the deliveries completed during shutdown
+          if (this.services.tracing) {
+            await this.services.tracing.stop();
+          }
+
           logger.info('Graceful shutdown completed');
           process.exit(0);
         } catch (error) {
@@ -5,12 +5,45 @@
 
 const config = require('../config');
 const logger = require('../utils/logger');
+const WorkspaceScope = require('../utils/workspace');
+const { resolveWorkspaceScope } = require('./workspace');
+const { ADMIN_SCOPE, SCOPES } = require('./scopes');
+
+/**
+ * Find a key configured in the environment
+ * API_KEY is an admin key, workspace keys hold every scope but admin
+ * @param {string} apiKey - Provided API key
+ * @returns {Object|null} - Key identity, scopes and workspaces, null for unknown keys
+ */
+const findConfiguredKey = (apiKey) => {
+  if (apiKey === config.auth.apiKey) {
+    return {
+      keyId: 'env:API_KEY',
+      keyName: 'API_KEY',
+      scopes: [ADMIN_SCOPE],
+      workspaces: [WorkspaceScope.ALL_WORKSPACES]
+    };
+  }
+
+  const workspaceKey = (config.auth.workspaceKeys || []).find(entry => entry.key === apiKey);
+  if (!workspaceKey) {
+    return null;
+  }
+
+  return {
+    keyId: `env:WORKSPACE_API_KEYS:${apiKey.substring(0, 8)}`,
+    keyName: 'WORKSPACE_API_KEYS',
+    scopes: SCOPES.filter(scope => scope !== ADMIN_SCOPE),
+    workspaces: workspaceKey.workspaces
+  };
+};
 
 /**
  * API Key authentication middleware
- * Validates X-API-Key header against configured API key
+ * Validates X-API-Key header against the configured keys and the keys managed
+ * through /api/keys
  */
-const authenticateAPIKey = (req, res, next) => {
+const authenticateAPIKey = async (req, res, next) => {
   const timer = logger.timeStart('auth');
 
   try {
@@ -31,7 +64,10 @@ const authenticateAPIKey = (req, res, next) => {
       });
     }
 
-    if (apiKey !== config.auth.apiKey) {
+    const apiKeys = req.app?.locals?.services?.apiKeys;
+    const key = findConfiguredKey(apiKey) || (apiKeys ? await apiKeys.authenticate(apiKey) : null);
+
+    if (!key) {
       logger.warn('Authentication failed: Invalid API key', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
@@ -47,10 +83,11 @@ const authenticateAPIKey = (req, res, next) => {
       });
     }
 
-    // Add authentication info to request
+    // Add authentication info to request, the key identity is recorded in audit logs
     req.auth = {
       type: 'api-key',
       authenticated: true,
+      ...key,
       timestamp: new Date()
     };
 
@@ -166,7 +203,8 @@ const authMiddleware = [
   addSecurityHeaders,
   validateIPWhitelist,
   validateRequest,
-  authenticateAPIKey
+  authenticateAPIKey,
+  resolveWorkspaceScope
 ];
 
 module.exports = authMiddleware;
@@ -0,0 +1,61 @@
+/**
+ * Scope middleware for Huly Webhook Service
+ * Limits each route to API keys holding the scope it declares
+ */
+
+const logger = require('../utils/logger');
+
+// Grants every other scope
+const ADMIN_SCOPE = 'admin';
+
+// Scopes an API key can hold
+const SCOPES = [
+  'webhooks:read',
+  'webhooks:write',
+  'events:read',
+  'deliveries:replay',
+  'stats:read',
+  'audit:read',
+  ADMIN_SCOPE
+];
+
+/**
+ * Check whether granted scopes include a scope
+ * @param {Array<string>} granted - Scopes of the API key
+ * @param {string} scope - Required scope
+ * @returns {boolean} - Whether the scope is granted
+ */
+const hasScope = (granted, scope) => granted.includes(ADMIN_SCOPE) || granted.includes(scope);
+
+/**
+ * Scope middleware factory
+ * Rejects API keys without the scope. Requests that were not authenticated by
+ * the auth middleware carry no scopes to check and are passed through
+ * @param {string} scope - Required scope
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.auth?.scopes || hasScope(req.auth.scopes, scope)) {
+    return next();
+  }
+
+  logger.warn('Scope access denied', {
+    keyId: req.auth.keyId,
+    scope,
+    url: req.url,
+    method: req.method
+  });
+
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `API key lacks the '${scope}' scope`,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  ADMIN_SCOPE,
+  SCOPES,
+  hasScope,
+  requireScope
+};
@@ -0,0 +1,61 @@
+/**
+ * Workspace scoping middleware for Huly Webhook Service
+ * Limits each request to the workspaces its API key is bound to
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const WorkspaceScope = require('../utils/workspace');
+
+/**
+ * Workspace scope middleware
+ * Builds req.workspaceScope from the authenticated key, optionally narrowed
+ * to a single workspace with the X-Huly-Workspace header
+ */
+const resolveWorkspaceScope = (req, res, next) => {
+  const keyScope = new WorkspaceScope(req.auth?.workspaces || [], config.workspaces.default);
+  const requested = req.get('X-Huly-Workspace');
+
+  if (!requested) {
+    req.workspaceScope = keyScope;
+    return next();
+  }
+
+  if (!keyScope.includes(requested)) {
+    logger.warn('Workspace access denied', {
+      workspace: requested,
+      url: req.url,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key has no access to workspace '${requested}'`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.workspaceScope = new WorkspaceScope([requested], config.workspaces.default);
+  next();
+};
+
+/**
+ * Service-wide endpoint middleware
+ * Rejects keys that are limited to some workspaces
+ */
+const requireAllWorkspaces = (req, res, next) => {
+  if (!WorkspaceScope.fromRequest(req).isUnrestricted()) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This endpoint requires an API key with access to all workspaces',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  resolveWorkspaceScope,
+  requireAllWorkspaces
+};
@@ -0,0 +1,518 @@
+/**
+ * Event Type Registry for Huly Webhook Service
+ * Single catalog of the event types webhooks can subscribe to
+ */
+
+const EventEmitter = require('events');
+
+const EVENT_TYPE_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+const SUBSCRIPTION_PATTERN = /^!?(\*|[a-z0-9_*]+(\.[a-z0-9_*]+)*)$/;
+const SCHEMA_ID_PREFIX = 'https://huly.io/schemas/webhooks/events/';
+
+// Entity payloads produced by the dedicated transformers
+const ENTITY_PAYLOADS = {
+  issue: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string' },
+      priority: { type: ['string', 'number'] },
+      assignee: { type: ['string', 'null'] },
+      labels: { type: 'array' },
+      project: { type: ['string', 'null'] },
+      dueDate: { type: ['string', 'null'] }
+    },
+    sample: {
+      id: 'issue-123',
+      title: 'Issue title',
+      description: 'Issue description',
+      status: 'Backlog',
+      priority: 'medium',
+      assignee: null,
+      labels: [],
+      project: 'project-id',
+      dueDate: null
+    }
+  },
+  project: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      identifier: { type: 'string' },
+      description: { type: 'string' },
+      archived: { type: 'boolean' },
+      private: { type: 'boolean' },
+      members: { type: 'array' }
+    },
+    sample: {
+      id: 'project-id',
+      name: 'Project Name',
+      identifier: 'LMP',
+      description: 'Project description',
+      archived: false,
+      private: false,
+      members: []
+    }
+  },
+  task: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      title: { type: 'string' },
+      status: { type: 'string' },
+      assignee: { type: ['string', 'null'] },
+      project: { type: ['string', 'null'] }
+    },
+    sample: {
+      id: 'task-id',
+      title: 'Task title',
+      status: 'Todo',
+      assignee: null,
+      project: 'project-id'
+    }
+  },
+  user: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      email: { type: 'string' },
+      active: { type: 'boolean' },
+      role: { type: 'string' }
+    },
+    sample: {
+      id: 'user-id',
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      active: true,
+      role: 'USER'
+    }
+  },
+  comment: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      message: { type: 'string' },
+      attachedTo: { type: ['string', 'null'] },
+      attachedToClass: { type: ['string', 'null'] },
+      author: { type: ['string', 'null'] }
+    },
+    sample: {
+      id: 'comment-id',
+      message: '<p>Looks good to me</p>',
+      attachedTo: 'issue-123',
+      attachedToClass: 'tracker:class:Issue',
+      author: 'user-id'
+    }
+  },
+  attachment: {
+    properties: {
+      id: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      type: { type: 'string' },
+      size: { type: 'number' },
+      attachedTo: { type: ['string', 'null'] }
+    },
+    sample: {
+      id: 'attachment-id',
+      name: 'screenshot.png',
+      type: 'image/png',
+      size: 48213,
+      attachedTo: 'issue-123'
+    }
+  }
+};
+
+// Entities without a dedicated transformer carry the raw document
+const GENERIC_ENTITY_PAYLOAD = {
+  properties: {
+    document: { type: ['object', 'null'] },
+    previousDocument: { type: ['object', 'null'] },
+    updateDescription: { type: ['object', 'null'] }
+  },
+  sample: {
+    document: { _id: 'document-id', modifiedOn: '2025-07-17T20:45:00Z' },
+    previousDocument: null
+  }
+};
+
+const BUILT_IN_TYPES = [
+  // Issues
+  ['issue.created', 'issue', 'New issue created'],
+  ['issue.updated', 'issue', 'Issue modified'],
+  ['issue.deleted', 'issue', 'Issue removed'],
+  ['issue.status_changed', 'issue', 'Issue status changed'],
+  ['issue.assigned', 'issue', 'Issue assignment changed'],
+  ['issue.priority_changed', 'issue', 'Issue priority changed'],
+  ['issue.due_date_changed', 'issue', 'Issue due date changed'],
+  ['issue.title_changed', 'issue', 'Issue title changed'],
+  ['issue.description_changed', 'issue', 'Issue description changed'],
+  ['issue.labels_changed', 'issue', 'Issue labels changed'],
+  ['issue.milestone_changed', 'issue', 'Issue milestone changed'],
+  ['issue.estimation_changed', 'issue', 'Issue estimation changed'],
+  ['issue.parent_changed', 'issue', 'Issue moved to another parent'],
+
+  // Projects
+  ['project.created', 'project', 'New project created'],
+  ['project.updated', 'project', 'Project settings modified'],
+  ['project.archived', 'project', 'Project archived'],
+  ['project.deleted', 'project', 'Project removed'],
+
+  // Comments and attachments
+  ['comment.created', 'comment', 'Comment added to issue'],
+  ['comment.updated', 'comment', 'Comment edited'],
+  ['comment.deleted', 'comment', 'Comment removed'],
+  ['attachment.added', 'attachment', 'File attached to issue'],
+  ['attachment.created', 'attachment', 'Attachment uploaded'],
+  ['attachment.deleted', 'attachment', 'Attachment removed']
+];
+
+// Entities with the standard created/updated/deleted lifecycle
+const LIFECYCLE_ENTITIES = {
+  task: 'Task',
+  user: 'User',
+  contact: 'Contact',
+  organization: 'Organization',
+  team: 'Team',
+  document: 'Document',
+  channel: 'Channel',
+  message: 'Message',
+  board: 'Board',
+  card: 'Card',
+  calendar: 'Calendar event',
+  lead: 'Lead',
+  candidate: 'Candidate',
+  application: 'Application',
+  vacancy: 'Vacancy',
+  review: 'Review',
+  inventory: 'Inventory item',
+  request: 'Request',
+  tag: 'Tag',
+  template: 'Template',
+  workflow: 'Workflow',
+  notification: 'Notification'
+};
+
+/**
+ * Convert a subscription pattern into an anchored regular expression
+ * @param {string} pattern - Event type or wildcard pattern
+ * @returns {RegExp} - Regular expression
+ */
+const patternToRegExp = (pattern) => {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`);
+};
+
+class EventTypeRegistry extends EventEmitter {
+  constructor () {
+    super();
+    this.types = new Map();
+
+    this.registerBuiltInTypes();
+  }
+
+  /**
+   * Register the event types produced by the built-in detection rules
+   */
+  registerBuiltInTypes () {
+    for (const [name, entityType, description] of BUILT_IN_TYPES) {
+      this.register({ name, entityType, description, builtIn: true });
+    }
+
+    for (const [entityType, label] of Object.entries(LIFECYCLE_ENTITIES)) {
+      this.register({ name: `${entityType}.created`, entityType, description: `${label} created`, builtIn: true });
+      this.register({ name: `${entityType}.updated`, entityType, description: `${label} modified`, builtIn: true });
+      this.register({ name: `${entityType}.deleted`, entityType, description: `${label} removed`, builtIn: true });
+    }
+  }
+
+  /**
+   * Register an event type
+   * @param {Object} definition - Event type definition
+   * @param {string} definition.name - Event type name, e.g. 'invoice.paid'
+   * @param {string} definition.description - Human readable description
+   * @param {string} definition.entityType - Entity the event is about
+   * @param {Object} [definition.samplePayload] - Example entity data
+   * @param {Object} [definition.schema] - JSON Schema for the entity data
+   * @param {boolean} [definition.builtIn] - Whether the type ships with the service
+   * @param {Object} options - Registration options
+   * @param {boolean} [options.override] - Replace an existing type with the same name
+   * @returns {Object} - Registered event type
+   */
+  register (definition, options = {}) {
+    const { name, description, entityType } = definition || {};
+
+    if (typeof name !== 'string' || !EVENT_TYPE_PATTERN.test(name)) {
+      throw new Error(`Invalid event type name: ${name}`);
+    }
+
+    if (!description || !entityType) {
+      throw new Error(`Event type ${name} requires a description and an entity type`);
+    }
+
+    if (this.types.has(name) && !options.override) {
+      throw new Error(`Event type already registered: ${name}`);
+    }
+
+    const entityPayload = ENTITY_PAYLOADS[entityType] || GENERIC_ENTITY_PAYLOAD;
+    const dataKey = ENTITY_PAYLOADS[entityType] ? entityType : null;
+
+    const eventType = {
+      name,
+      description,
+      entityType,
+      builtIn: definition.builtIn === true,
+      schemaId: `${SCHEMA_ID_PREFIX}${name}.json`,
+      dataKey,
+      dataSchema: definition.schema || { type: 'object', properties: entityPayload.properties },
+      sampleData: definition.samplePayload || entityPayload.sample
+    };
+
+    this.types.set(name, eventType);
+    this.emit('registered', eventType);
+
+    return eventType;
+  }
+
+  /**
+   * Remove an event type
+   * @param {string} name - Event type name
+   * @returns {boolean} - Whether the type was registered
+   */
+  unregister (name) {
+    const removed = this.types.delete(name);
+    if (removed) {
+      this.emit('unregistered', name);
+    }
+    return removed;
+  }
+
+  /**
+   * Check whether an event type is registered
+   * @param {string} name - Event type name
+   * @returns {boolean} - Whether the type is registered
+   */
+  has (name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Get an event type definition
+   * @param {string} name - Event type name
+   * @returns {Object|null} - Event type definition
+   */
+  get (name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Get all registered event type names
+   * @returns {Array<string>} - Event type names
+   */
+  getNames () {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Check whether a webhook subscription is valid. Subscriptions are event type
+   * names or wildcard patterns such as `issue.*`, `*.deleted` or `*`, optionally
+   * negated with a leading `!`, that match at least one registered type
+   * @param {string} subscription - Event type or pattern
+   * @returns {boolean} - Whether the subscription is valid
+   */
+  isValidSubscription (subscription) {
+    if (typeof subscription !== 'string' || !SUBSCRIPTION_PATTERN.test(subscription)) {
+      return false;
+    }
+
+    const pattern = subscription.replace(/^!/, '');
+    if (!pattern.includes('*')) {
+      return this.types.has(pattern);
+    }
+
+    const regex = patternToRegExp(pattern);
+    return this.getNames().some(name => regex.test(name));
+  }
+
+  /**
+   * Check whether an event type matches a list of subscriptions. An event matches
+   * when it matches any positive subscription and no negative one; a list with
+   * only negative subscriptions matches every other event
+   * @param {string} eventType - Event type
+   * @param {Array<string>} subscriptions - Event types and patterns
+   * @returns {boolean} - Whether the event type is subscribed to
+   */
+  matchesSubscription (eventType, subscriptions = []) {
+    const positive = subscriptions.filter(subscription => !subscription.startsWith('!'));
+    const negative = subscriptions
+      .filter(subscription => subscription.startsWith('!'))
+      .map(subscription => subscription.slice(1));
+
+    if (negative.some(pattern => patternToRegExp(pattern).test(eventType))) {
+      return false;
+    }
+
+    if (positive.length === 0) {
+      return negative.length > 0;
+    }
+
+    return positive.some(pattern => patternToRegExp(pattern).test(eventType));
+  }
+
+  /**
+   * Expand subscriptions into the registered event types they cover
+   * @param {Array<string>} subscriptions - Event types and patterns
+   * @returns {Array<string>} - Registered event type names
+   */
+  expandSubscriptions (subscriptions = []) {
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    return this.getNames().filter(name => this.matchesSubscription(name, subscriptions));
+  }
+
+  /**
+   * List registered event types
+   * @param {Object} filters - List filters
+   * @param {string} [filters.entityType] - Only return types for this entity
+   * @returns {Array<Object>} - Event type summaries
+   */
+  list (filters = {}) {
+    const types = Array.from(this.types.values());
+
+    return types
+      .filter(type => !filters.entityType || type.entityType === filters.entityType)
+      .map(({ name, description, entityType, builtIn, schemaId }) => ({
+        name,
+        description,
+        entityType,
+        builtIn,
+        schemaId
+      }));
+  }
+
+  /**
+   * Get event type descriptions keyed by name
+   * @returns {Object} - Descriptions
+   */
+  getDescriptions () {
+    const descriptions = {};
+    for (const [name, type] of this.types) {
+      descriptions[name] = type.description;
+    }
+    return descriptions;
+  }
+
+  /**
+   * Build the JSON Schema of a webhook payload for an event type
+   * @param {string} name - Event type name
+   * @returns {Object|null} - JSON Schema
+   */
+  getSchema (name) {
+    const type = this.types.get(name);
+    if (!type) {
+      return null;
+    }
+
+    const dataProperties = {
+      id: { type: ['string', 'null'] },
+      type: { type: 'string' },
+      operation: { type: 'string' },
+      collection: { type: 'string' }
+    };
+
+    if (type.dataKey) {
+      dataProperties[type.dataKey] = type.dataSchema;
+    } else {
+      Object.assign(dataProperties, type.dataSchema.properties);
+    }
+
+    return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      $id: type.schemaId,
+      title: type.name,
+      description: type.description,
+      type: 'object',
+      required: ['id', 'event', 'timestamp', 'data'],
+      properties: {
+        id: { type: 'string' },
+        event: { const: type.name },
+        timestamp: { type: 'string', format: 'date-time' },
+        version: { type: 'string' },
+        source: { type: 'object' },
+        data: {
+          type: 'object',
+          properties: dataProperties
+        },
+        changes: { type: 'object' },
+        metadata: { type: 'object' }
+      }
+    };
+  }
+
+  /**
+   * Build a sample webhook payload for an event type
+   * @param {string} name - Event type name
+   * @returns {Object|null} - Sample payload
+   */
+  getSamplePayload (name) {
+    const type = this.types.get(name);
+    if (!type) {
+      return null;
+    }
+
+    const sampleData = type.dataKey ? { [type.dataKey]: type.sampleData } : type.sampleData;
+
+    return {
+      id: 'sample-event-id',
+      event: type.name,
+      timestamp: '2025-07-17T20:45:00.000Z',
+      version: '1.0',
+      source: {
+        service: 'huly-webhook-service'
+      },
+      data: {
+        id: 'document-id',
+        type: type.entityType,
+        operation: type.name.endsWith('.created') ? 'insert' : type.name.endsWith('.deleted') ? 'delete' : 'update',
+        collection: type.entityType,
+        ...sampleData
+      },
+      metadata: {
+        schema: type.schemaId
+      }
+    };
+  }
+
+  /**
+   * Get the full definition of an event type, including schema and sample payload
+   * @param {string} name - Event type name
+   * @returns {Object|null} - Event type details
+   */
+  describe (name) {
+    const type = this.types.get(name);
+    if (!type) {
+      return null;
+    }
+
+    return {
+      name: type.name,
+      description: type.description,
+      entityType: type.entityType,
+      builtIn: type.builtIn,
+      schemaId: type.schemaId,
+      schema: this.getSchema(name),
+      samplePayload: this.getSamplePayload(name)
+    };
+  }
+}
+
+const eventTypeRegistry = new EventTypeRegistry();
+
+module.exports = {
+  EventTypeRegistry,
+  eventTypeRegistry
+};
@@ -5,13 +5,21 @@
 
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const { eventTypeRegistry } = require('./EventTypeRegistry');
+const ValidationUtils = require('../utils/validation');
 
 class Webhook {
   constructor (data = {}) {
     this.id = data.id || uuidv4();
     this.name = data.name || '';
     this.url = data.url || '';
+    this.workspace = data.workspace || null;
     this.secret = data.secret || '';
+    // 'huly' signs with X-Huly-Webhook-Signature, 'standard' follows the Standard Webhooks spec
+    // and 'ed25519' signs with the service's published key instead of the secret
+    this.signatureScheme = data.signatureScheme || 'huly';
+    // Secrets replaced by a rotation, still used for signing until they expire
+    this.previousSecrets = data.previousSecrets || [];
     this.events = data.events || [];
     this.filters = data.filters || {};
     this.active = data.active !== undefined ? data.active : true;
@@ -21,7 +29,13 @@ class Webhook {
       initialDelay: 1000
     };
     this.timeout = data.timeout || 30000;
+    // 'per-webhook' delivers one event at a time, 'per-entity' one event per document at a time
+    this.ordering = data.ordering || 'none';
+    // Batched webhooks receive up to maxSize events per request, sent after at most maxWait ms
+    this.batch = data.batch || { enabled: false };
     this.headers = data.headers || {};
+    // Credentials deliveries authenticate with: 'basic', 'oauth2_client_credentials' or 'mtls'
+    this.auth = data.auth || null;
     this.metadata = data.metadata || {};
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -42,26 +56,23 @@ class Webhook {
       id: Joi.string().uuid().optional(),
       name: Joi.string().min(1).max(100).required(),
       url: Joi.string().uri().required(),
+      workspace: Joi.string().max(100).allow(null).optional(),
       secret: Joi.string().min(8).max(255).optional(),
-      events: Joi.array().items(Joi.string().valid(
-        'issue.created',
-        'issue.updated',
-        'issue.deleted',
-        'issue.status_changed',
-        'issue.assigned',
-        'project.created',
-        'project.updated',
-        'project.archived',
-        'comment.created',
-        'attachment.added'
-      )).min(1).required(),
+      signatureScheme: Joi.string().valid('huly', 'standard', 'ed25519').default('huly'),
+      previousSecrets: Joi.array().items(Joi.object({
+        secret: Joi.string().min(8).max(255).required(),
+        expiresAt: Joi.date().required(),
+        rotatedAt: Joi.date().optional()
+      })).optional(),
+      events: Joi.array().items(ValidationUtils.eventSubscriptionSchema()).min(1).required(),
       filters: Joi.object({
         projects: Joi.array().items(Joi.string()).optional(),
         statuses: Joi.array().items(Joi.string()).optional(),
         priorities: Joi.array().items(Joi.string()).optional(),
         assignees: Joi.array().items(Joi.string()).optional(),
         tags: Joi.array().items(Joi.string()).optional(),
-        custom: Joi.object().optional()
+        custom: Joi.object().optional(),
+        expression: Joi.string().max(2000).optional()
       }).optional(),
       active: Joi.boolean().default(true),
       retryConfig: Joi.object({
@@ -70,7 +81,14 @@ class Webhook {
         initialDelay: Joi.number().integer().min(100).default(1000)
       }).optional(),
       timeout: Joi.number().integer().min(1000).max(120000).default(30000),
+      ordering: Joi.string().valid('none', 'per-webhook', 'per-entity').default('none'),
+      batch: Joi.object({
+        enabled: Joi.boolean().default(false),
+        maxSize: Joi.number().integer().min(1).max(100).optional(),
+        maxWait: Joi.number().integer().min(100).max(300000).optional()
+      }).optional(),
       headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+      auth: ValidationUtils.webhookAuthSchema().allow(null).optional(),
       metadata: Joi.object().optional(),
       createdBy: Joi.string().optional(),
       deliveryStats: Joi.object({
@@ -98,13 +116,19 @@ class Webhook {
       id: this.id,
       name: this.name,
       url: this.url,
+      workspace: this.workspace,
       secret: this.secret,
+      signatureScheme: this.signatureScheme,
+      previousSecrets: this.previousSecrets,
       events: this.events,
       filters: this.filters,
       active: this.active,
       retryConfig: this.retryConfig,
       timeout: this.timeout,
+      ordering: this.ordering,
+      batch: this.batch,
       headers: this.headers,
+      auth: this.auth,
       metadata: this.metadata,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -120,12 +144,18 @@ class Webhook {
       id: this.id,
       name: this.name,
       url: this.url,
+      workspace: this.workspace,
+      signatureScheme: this.signatureScheme,
       events: this.events,
+      resolvedEvents: eventTypeRegistry.expandSubscriptions(this.events),
       filters: this.filters,
       active: this.active,
       retryConfig: this.retryConfig,
       timeout: this.timeout,
+      ordering: this.ordering,
+      batch: this.batch,
       headers: this.headers,
+      auth: Webhook.maskAuth(this.auth),
       metadata: this.metadata,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -135,6 +165,21 @@ class Webhook {
     };
   }
 
+  // Hide the credentials of an auth configuration, keeping what identifies them
+  static maskAuth (auth) {
+    if (!auth) {
+      return auth;
+    }
+
+    const masked = { ...auth };
+    for (const field of ['password', 'clientSecret', 'privateKey', 'passphrase']) {
+      if (masked[field]) {
+        masked[field] = '********';
+      }
+    }
+    return masked;
+  }
+
   // Factory method from MongoDB document
   static fromDocument (doc) {
     return new Webhook(doc);
@@ -211,9 +256,9 @@ class Webhook {
     return true;
   }
 
-  // Check if webhook should process this event type
+  // Check if webhook should process this event type, honouring wildcard and negated subscriptions
   shouldProcessEvent (eventType) {
-    return this.active && this.events.includes(eventType);
+    return this.active && eventTypeRegistry.matchesSubscription(eventType, this.events);
   }
 }
 
@@ -5,6 +5,9 @@
 
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const Helpers = require('../utils/helpers');
+const DiffUtils = require('../utils/diff');
+const { eventTypeRegistry } = require('./EventTypeRegistry');
 
 class WebhookEvent {
   constructor (data = {}) {
@@ -26,18 +29,7 @@ class WebhookEvent {
   static get schema () {
     return Joi.object({
       id: Joi.string().uuid().optional(),
-      type: Joi.string().valid(
-        'issue.created',
-        'issue.updated',
-        'issue.deleted',
-        'issue.status_changed',
-        'issue.assigned',
-        'project.created',
-        'project.updated',
-        'project.archived',
-        'comment.created',
-        'attachment.added'
-      ).required(),
+      type: Joi.string().valid(...eventTypeRegistry.getNames()).required(),
       timestamp: Joi.date().default(() => new Date()),
       workspace: Joi.string().required(),
       data: Joi.object().required(),
@@ -108,11 +100,18 @@ class WebhookEvent {
     event.sourceCollection = changeEvent.ns?.coll || '';
     event.metadata = {
       operationType: changeEvent.operationType,
+      resumeToken: changeEvent._id,
+      documentKey: changeEvent.documentKey,
       clusterTime: changeEvent.clusterTime,
       txnNumber: changeEvent.txnNumber,
       lsid: changeEvent.lsid
     };
 
+    // Keep the decoded transaction so the event can be re-driven with the same type
+    if (changeEvent.huly) {
+      event.metadata.huly = changeEvent.huly;
+    }
+
     return event;
   }
 
@@ -183,6 +182,11 @@ class WebhookEvent {
 
   // Extract workspace from change event
   static extractWorkspace (changeEvent) {
+    // Events tagged by the change stream know their workspace
+    if (changeEvent.workspace) {
+      return changeEvent.workspace;
+    }
+
     // Try to extract workspace from the document
     const doc = changeEvent.fullDocument || changeEvent.documentKey || {};
 
@@ -263,6 +267,16 @@ class WebhookEvent {
   static extractChanges (changeEvent) {
     const { operationType, updateDescription } = changeEvent;
 
+    // Decoded Huly transactions include previous values
+    if (changeEvent.huly?.changes) {
+      return changeEvent.huly.changes;
+    }
+
+    // With a pre-image, record previous values as well
+    if ((operationType === 'update' || operationType === 'replace') && changeEvent.fullDocumentBeforeChange) {
+      return DiffUtils.diffChangeEvent(changeEvent);
+    }
+
     if (operationType !== 'update' || !updateDescription) {
       return {};
     }
@@ -291,6 +305,49 @@ class WebhookEvent {
     return changes;
   }
 
+  // Rebuild a change stream event so a stored event can be re-driven
+  toChangeEvent () {
+    const operationType = this.metadata.operationType || 'update';
+    const changeEvent = {
+      _id: this.metadata.resumeToken || { eventId: this.id },
+      operationType,
+      ns: { coll: this.sourceCollection },
+      documentKey: this.metadata.documentKey || { _id: this.data?.id || this.sourceDocument?._id },
+      fullDocument: this.sourceDocument || undefined,
+      clusterTime: this.metadata.clusterTime,
+      workspace: this.workspace || undefined
+    };
+
+    if (this.metadata.huly) {
+      changeEvent.huly = this.metadata.huly;
+    }
+
+    if (operationType === 'update') {
+      const updatedFields = {};
+      const removedFields = [];
+
+      Object.entries(this.changes || {}).forEach(([field, change]) => {
+        if (change.removed === true) {
+          removedFields.push(field);
+        } else {
+          updatedFields[field] = change.to;
+        }
+      });
+
+      changeEvent.updateDescription = { updatedFields, removedFields };
+    }
+
+    // Restore the pre-image from recorded previous values so diffs survive a replay
+    const changes = Object.entries(this.changes || {}).filter(([, change]) => change.from !== undefined);
+    if (!this.metadata.huly && this.sourceDocument && changes.length > 0) {
+      const previousDocument = Helpers.deepClone(this.sourceDocument);
+      changes.forEach(([field, change]) => Helpers.setNestedProperty(previousDocument, field, change.from));
+      changeEvent.fullDocumentBeforeChange = previousDocument;
+    }
+
+    return changeEvent;
+  }
+
   // Mark event as processed
   markAsProcessed () {
     this.processed = true;
@@ -0,0 +1,228 @@
+/**
+ * Admin console routes for Huly Webhook Service
+ * Back the built-in web console: webhook editing with field-level validation,
+ * delivery logs with request and response bodies, test sends and redelivery
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const {
+  asyncHandler,
+  handleValidationError,
+  NotFoundError,
+  ServiceUnavailableError,
+  ValidationError
+} = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/scopes');
+const ValidationUtils = require('../utils/validation');
+const WorkspaceScope = require('../utils/workspace');
+
+const router = express.Router();
+
+const listSchema = Joi.object({
+  active: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const deliveriesSchema = Joi.object({
+  success: Joi.boolean(),
+  eventType: Joi.string().max(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(25)
+});
+
+const testSchema = Joi.object({
+  eventType: Joi.string().max(100).default('webhook.test'),
+  data: Joi.object().optional()
+});
+
+// Audit log target of a webhook
+const webhookTarget = (webhook) => ({ type: 'webhook', id: String(webhook._id), name: webhook.name, workspace: webhook.workspace });
+
+/**
+ * Check that a webhook is in the workspaces of the API key
+ * Webhooks of other workspaces are reported as missing, not forbidden
+ * @param {Object} req - Express request
+ * @param {Object} webhook - Webhook
+ * @returns {Object} - The webhook
+ */
+const assertInScope = (req, webhook) => {
+  if (!WorkspaceScope.fromRequest(req).includes(webhook.workspace)) {
+    throw new NotFoundError('Webhook');
+  }
+
+  return webhook;
+};
+
+/**
+ * GET /api/admin/webhooks
+ * List webhooks in the workspaces of the API key
+ */
+router.get('/webhooks', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
+  const { active, page, limit } = handleValidationError(listSchema.validate(req.query));
+
+  const result = await req.app.locals.services.webhook.listWebhooks({
+    active,
+    limit,
+    offset: (page - 1) * limit,
+    workspaces: WorkspaceScope.fromRequest(req).values()
+  });
+
+  res.json({
+    webhooks: result.documents,
+    pagination: {
+      page,
+      limit,
+      total: result.total,
+      pages: Math.ceil(result.total / limit)
+    }
+  });
+}));
+
+/**
+ * POST /api/admin/webhooks
+ * Create a webhook, reporting every invalid field at once
+ */
+router.post('/webhooks', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  const body = handleValidationError(
+    ValidationUtils.createWebhookSchema().validate(req.body || {}, { abortEarly: false })
+  );
+
+  const scope = WorkspaceScope.fromRequest(req);
+  body.workspace = body.workspace || scope.getDefaultWorkspace();
+
+  if (!body.workspace) {
+    throw new ValidationError('Validation failed', [
+      { field: 'workspace', message: '"workspace" is required when the API key has access to several workspaces' }
+    ]);
+  }
+
+  if (!scope.includes(body.workspace)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key has no access to workspace '${body.workspace}'`
+    });
+  }
+
+  const { webhook: webhookService, audit } = req.app.locals.services;
+  const webhook = await webhookService.createWebhook(body);
+
+  await audit?.recordRequest(req, { action: 'webhook.created', target: webhookTarget(webhook), after: webhook });
+
+  res.status(201).json(webhook);
+}));
+
+/**
+ * PUT /api/admin/webhooks/:id
+ * Update a webhook, pausing and resuming it through `active`
+ */
+router.put('/webhooks/:id', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  const body = handleValidationError(
+    ValidationUtils.createWebhookUpdateSchema().validate(req.body || {}, { abortEarly: false, noDefaults: true })
+  );
+
+  const { webhook: webhookService, audit } = req.app.locals.services;
+  const existing = assertInScope(req, await webhookService.getWebhook(req.params.id));
+
+  if (body.workspace && !WorkspaceScope.fromRequest(req).includes(body.workspace)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key has no access to workspace '${body.workspace}'`
+    });
+  }
+
+  const webhook = await webhookService.updateWebhook(req.params.id, body);
+
+  let action = 'webhook.updated';
+  if (body.active !== undefined && body.active !== existing.active) {
+    action = body.active ? 'webhook.resumed' : 'webhook.paused';
+  }
+
+  await audit?.recordRequest(req, { action, target: webhookTarget(webhook), before: existing, after: webhook });
+
+  res.json(webhook);
+}));
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries
+ * Delivery log of a webhook, newest first, with request and response bodies
+ */
+router.get('/webhooks/:id/deliveries', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
+  const { page, limit, ...filters } = handleValidationError(deliveriesSchema.validate(req.query));
+  const { webhook: webhookService, deliveryHistory } = req.app.locals.services;
+  const webhook = assertInScope(req, await webhookService.getWebhook(req.params.id));
+
+  // One record more than the page tells whether there is a next page without counting
+  const records = await deliveryHistory.getWebhookDeliveryHistory(webhook._id, {
+    ...filters,
+    limit: limit + 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    deliveries: records.slice(0, limit),
+    pagination: {
+      page,
+      limit,
+      hasMore: records.length > limit
+    }
+  });
+}));
+
+/**
+ * POST /api/admin/webhooks/:id/test
+ * Send a test event to a webhook and wait for the response
+ */
+router.post('/webhooks/:id/test', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  const { eventType, data } = handleValidationError(testSchema.validate(req.body || {}));
+
+  const { webhook: webhookService, delivery } = req.app.locals.services;
+  const webhook = assertInScope(req, await webhookService.getWebhookForDelivery(req.params.id));
+  const result = await delivery.testWebhook(webhook, eventType, data);
+
+  res.json({
+    success: result.success,
+    statusCode: result.statusCode,
+    responseTime: result.responseTime,
+    message: result.message,
+    response: {
+      headers: result.details.headers,
+      body: result.details.body
+    }
+  });
+}));
+
+/**
+ * POST /api/admin/deliveries/:id/redeliver
+ * Queue a logged delivery again with its original payload
+ */
+router.post('/deliveries/:id/redeliver', requireScope('deliveries:replay'), asyncHandler(async (req, res) => {
+  const { deliveryHistory, webhook: webhookService, pipeline, audit } = req.app.locals.services;
+
+  if (!pipeline) {
+    throw new ServiceUnavailableError('Event pipeline is not running');
+  }
+
+  const record = await deliveryHistory.getDeliveryRecord(req.params.id);
+  if (!record || !WorkspaceScope.fromRequest(req).includes(record.workspace)) {
+    throw new NotFoundError('Delivery');
+  }
+
+  const webhook = await webhookService.getWebhookForDelivery(record.webhookId);
+  const deliveryId = await pipeline.redeliver(record, webhook);
+
+  await audit?.recordRequest(req, {
+    action: 'delivery.redelivered',
+    target: webhookTarget(webhook),
+    details: { historyId: record.id, eventId: record.eventId, deliveryId }
+  });
+
+  res.status(202).json({
+    deliveryId,
+    historyId: record.id,
+    message: 'Delivery queued'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Audit log routes for Huly Webhook Service
+ * Queries and exports the record of changes made through the management API
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, handleValidationError } = require('../middleware/errorHandler');
+const { requireAllWorkspaces } = require('../middleware/workspace');
+const { requireScope } = require('../middleware/scopes');
+
+const router = express.Router();
+
+// Audit records span every workspace, so only unrestricted keys read them
+router.use(requireScope('audit:read'), requireAllWorkspaces);
+
+const querySchema = Joi.object({
+  action: Joi.string().max(100),
+  keyId: Joi.string().max(100),
+  targetType: Joi.string().max(100),
+  targetId: Joi.string().max(100),
+  workspace: Joi.string().max(100),
+  requestId: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+/**
+ * GET /api/audit
+ * Query audit records, newest first. `format=csv` downloads every matching record
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { page, limit, format, ...filters } = handleValidationError(querySchema.validate(req.query));
+  const audit = req.app.locals.services.audit;
+
+  if (format === 'csv') {
+    const csv = await audit.exportCsv(filters);
+    const date = new Date().toISOString().substring(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    return res.send(csv);
+  }
+
+  const { records, total } = await audit.query(filters, { limit, offset: (page - 1) * limit });
+
+  res.json({
+    records,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
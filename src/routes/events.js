@@ -0,0 +1,122 @@
+/**
+ * Event routes for Huly Webhook Service
+ * Exposes emitted events, their deliveries and retries
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, handleValidationError } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/scopes');
+const EventController = require('../controllers/EventController');
+
+const router = express.Router();
+
+// Initialize controller with services
+const initController = (req, res, next) => {
+  req.controller = new EventController(req.app.locals.services);
+  next();
+};
+
+router.use(initController);
+
+const paginationSchema = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+};
+
+/**
+ * GET /api/events
+ * List emitted events
+ */
+router.get('/', requireScope('events:read'), asyncHandler(async (req, res) => {
+  const querySchema = Joi.object({
+    ...paginationSchema,
+    type: Joi.string().max(100),
+    workspace: Joi.string().max(100),
+    processed: Joi.string().valid('true', 'false'),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    })
+  });
+
+  req.query = handleValidationError(querySchema.validate(req.query));
+
+  await req.controller.listEvents(req, res);
+}));
+
+/**
+ * GET /api/events/types
+ * Get supported event types
+ */
+router.get('/types', requireScope('events:read'), asyncHandler(async (req, res) => {
+  const querySchema = Joi.object({
+    entityType: Joi.string().max(100)
+  });
+
+  req.query = handleValidationError(querySchema.validate(req.query));
+
+  await req.controller.getEventTypes(req, res);
+}));
+
+/**
+ * GET /api/events/types/:type
+ * Get the JSON Schema and a sample payload for an event type
+ */
+router.get('/types/:type', requireScope('events:read'), asyncHandler(async (req, res) => {
+  await req.controller.getEventType(req, res);
+}));
+
+/**
+ * GET /api/events/stats
+ * Get event statistics
+ */
+router.get('/stats', requireScope('events:read'), asyncHandler(async (req, res) => {
+  const querySchema = Joi.object({
+    period: Joi.string().pattern(/^\d+[hdwmy]$/).default('7d')
+  });
+
+  req.query = handleValidationError(querySchema.validate(req.query));
+
+  await req.controller.getEventStats(req, res);
+}));
+
+/**
+ * GET /api/events/:id
+ * Get a specific event
+ */
+router.get('/:id', requireScope('events:read'), asyncHandler(async (req, res) => {
+  await req.controller.getEvent(req, res);
+}));
+
+/**
+ * GET /api/events/:id/deliveries
+ * Get delivery attempts for an event
+ */
+router.get('/:id/deliveries', requireScope('events:read'), asyncHandler(async (req, res) => {
+  const querySchema = Joi.object({
+    ...paginationSchema,
+    status: Joi.string().valid('success', 'failed')
+  });
+
+  req.query = handleValidationError(querySchema.validate(req.query));
+
+  await req.controller.getEventDeliveries(req, res);
+}));
+
+/**
+ * POST /api/events/:id/retry
+ * Re-drive an event through the pipeline
+ */
+router.post('/:id/retry', requireScope('deliveries:replay'), asyncHandler(async (req, res) => {
+  const bodySchema = Joi.object({
+    webhookIds: Joi.array().items(Joi.string()).max(100)
+  });
+
+  req.body = handleValidationError(bodySchema.validate(req.body || {}));
+
+  await req.controller.retryEvent(req, res);
+}));
+
+module.exports = router;
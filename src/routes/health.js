@@ -10,6 +10,13 @@ const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+/**
+ * Check whether this replica is a follower waiting to take over the change stream
+ * @param {Object} [services] - Application services
+ * @returns {boolean} - Whether the change stream is on standby
+ */
+const isStandby = (services) => services?.changeStream?.getRole?.() === 'standby';
+
 /**
  * Basic health check endpoint
  * GET /api/health
@@ -46,8 +53,9 @@ router.get('/', asyncHandler(async (req, res) => {
     // Check change streams status
     if (req.app.locals.services?.changeStream) {
       const isActive = req.app.locals.services.changeStream.isActive();
-      health.services.changeStreams = isActive ? 'active' : 'inactive';
-      if (!isActive) {
+      const standby = !isActive && isStandby(req.app.locals.services);
+      health.services.changeStreams = isActive ? 'active' : standby ? 'standby' : 'inactive';
+      if (!isActive && !standby) {
         health.status = 'degraded';
       }
     } else {
@@ -172,17 +180,19 @@ router.get('/detailed', asyncHandler(async (req, res) => {
     try {
       if (req.app.locals.services?.changeStream) {
         const isActive = req.app.locals.services.changeStream.isActive();
+        const standby = !isActive && isStandby(req.app.locals.services);
         const status = req.app.locals.services.changeStream.getStatus();
         health.services.changeStreams = {
-          status: isActive ? 'active' : 'inactive',
+          status: isActive ? 'active' : standby ? 'standby' : 'inactive',
+          role: req.app.locals.services.changeStream.getRole?.() || 'standalone',
           ...status
         };
         health.checks.push({
           name: 'changeStreams',
-          status: isActive ? 'pass' : 'warn',
-          message: isActive ? 'Active and monitoring' : 'Not active'
+          status: isActive || standby ? 'pass' : 'warn',
+          message: isActive ? 'Active and monitoring' : standby ? 'Standby, another replica leads' : 'Not active'
         });
-        if (!isActive) {
+        if (!isActive && !standby) {
           health.status = 'degraded';
         }
       } else {
@@ -204,6 +214,29 @@ router.get('/detailed', asyncHandler(async (req, res) => {
       health.status = 'degraded';
     }
 
+    // Cluster health check, showing the leader and the role of every replica
+    if (req.app.locals.services?.leaderElection) {
+      try {
+        const cluster = await req.app.locals.services.leaderElection.getClusterStatus();
+        health.services.cluster = cluster;
+        health.checks.push({
+          name: 'cluster',
+          status: cluster.leader ? 'pass' : 'warn',
+          message: cluster.leader
+            ? `${cluster.workers.length} workers, leader ${cluster.leader.instanceId}`
+            : 'No leader elected'
+        });
+      } catch (error) {
+        health.services.cluster = { status: 'error', error: error.message };
+        health.checks.push({
+          name: 'cluster',
+          status: 'fail',
+          message: error.message
+        });
+        health.status = 'degraded';
+      }
+    }
+
     // Webhook service health check
     try {
       if (req.app.locals.services?.webhook) {
@@ -316,6 +349,8 @@ router.get('/ready', asyncHandler(async (req, res) => {
     // Change streams readiness
     if (req.app.locals.services?.changeStream?.isActive()) {
       checks.push({ service: 'changeStreams', ready: true });
+    } else if (isStandby(req.app.locals.services)) {
+      checks.push({ service: 'changeStreams', ready: true, role: 'standby' });
     } else {
       checks.push({ service: 'changeStreams', ready: false });
       allReady = false;
@@ -0,0 +1,95 @@
+/**
+ * API key management routes for Huly Webhook Service
+ * Creates, lists, updates and deletes the API keys stored in MongoDB
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, handleValidationError } = require('../middleware/errorHandler');
+const { requireAllWorkspaces } = require('../middleware/workspace');
+const { requireScope, SCOPES } = require('../middleware/scopes');
+
+const router = express.Router();
+
+// Keys can grant access to every workspace, so only unrestricted admin keys manage them
+router.use(requireScope('admin'), requireAllWorkspaces);
+
+const keySchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique(),
+  workspaces: Joi.array().items(Joi.string().max(100)).min(1).unique(),
+  expiresAt: Joi.date().iso().greater('now').allow(null)
+});
+
+// Audit log target of an API key
+const keyTarget = (key) => ({ type: 'api_key', id: key.id, name: key.name, workspace: null });
+
+/**
+ * GET /api/keys
+ * List API keys, without the keys themselves
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const keys = await req.app.locals.services.apiKeys.listKeys();
+
+  res.json({
+    keys,
+    total: keys.length,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/keys
+ * Create an API key. The response is the only place the key is shown
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const body = handleValidationError(keySchema.fork(['name', 'scopes'], schema => schema.required()).validate(req.body || {}));
+
+  const { apiKeys, audit } = req.app.locals.services;
+  const key = await apiKeys.createKey(body, req.auth);
+
+  await audit?.recordRequest(req, { action: 'api_key.created', target: keyTarget(key), after: key });
+
+  res.status(201).json(key);
+}));
+
+/**
+ * GET /api/keys/:id
+ * Get an API key
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  res.json(await req.app.locals.services.apiKeys.getKey(req.params.id));
+}));
+
+/**
+ * PUT /api/keys/:id
+ * Update the name, scopes, workspaces or expiry of an API key
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const body = handleValidationError(keySchema.min(1).validate(req.body || {}));
+  const { apiKeys, audit } = req.app.locals.services;
+
+  const before = await apiKeys.getKey(req.params.id);
+  const key = await apiKeys.updateKey(req.params.id, body);
+
+  await audit?.recordRequest(req, { action: 'api_key.updated', target: keyTarget(key), before, after: key });
+
+  res.json(key);
+}));
+
+/**
+ * DELETE /api/keys/:id
+ * Delete an API key
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { apiKeys, audit } = req.app.locals.services;
+
+  const before = await apiKeys.getKey(req.params.id);
+  await apiKeys.deleteKey(req.params.id);
+
+  await audit?.recordRequest(req, { action: 'api_key.deleted', target: keyTarget(before), before });
+
+  res.status(204).send();
+}));
+
+module.exports = router;
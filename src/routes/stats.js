@@ -7,9 +7,14 @@ const express = require('express');
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const { asyncHandler, handleValidationError } = require('../middleware/errorHandler');
+const { requireAllWorkspaces } = require('../middleware/workspace');
+const { requireScope } = require('../middleware/scopes');
+const WorkspaceScope = require('../utils/workspace');
 
 const router = express.Router();
 
+router.use(requireScope('stats:read'));
+
 /**
  * GET /api/stats
  * Get overall webhook statistics
@@ -26,11 +31,15 @@ router.get('/', asyncHandler(async (req, res) => {
 
   const webhookService = req.app.locals.services.webhook;
   const deliveryService = req.app.locals.services.delivery;
+  const deliveryHistoryService = req.app.locals.services.deliveryHistory;
+  const scope = WorkspaceScope.fromRequest(req);
 
-  // Get basic statistics
+  // Delivery counters are service-wide, so scoped keys get them from the delivery history
   const [webhookStats, deliveryStats] = await Promise.all([
-    webhookService.getStats(),
-    deliveryService.getStats(query.period)
+    webhookService.getStats(scope.values()),
+    scope.isUnrestricted()
+      ? deliveryService.getStats(query.period)
+      : deliveryHistoryService.getDeliveryStats({ workspaces: scope.values() })
   ]);
 
   const stats = {
@@ -67,7 +76,10 @@ router.get('/webhooks', asyncHandler(async (req, res) => {
   const query = handleValidationError(querySchema.validate(req.query));
 
   const webhookService = req.app.locals.services.webhook;
-  const stats = await webhookService.getDetailedStats(query);
+  const scope = WorkspaceScope.fromRequest(req);
+  const stats = await webhookService.getDetailedStats(
+    scope.isUnrestricted() ? query : { ...query, workspaces: scope.values() }
+  );
 
   timer.end('Webhook statistics retrieved');
 
@@ -82,7 +94,7 @@ router.get('/webhooks', asyncHandler(async (req, res) => {
  * GET /api/stats/deliveries
  * Get detailed delivery statistics
  */
-router.get('/deliveries', asyncHandler(async (req, res) => {
+router.get('/deliveries', requireAllWorkspaces, asyncHandler(async (req, res) => {
   const timer = logger.timeStart('get-delivery-stats');
 
   const querySchema = Joi.object({
@@ -111,7 +123,7 @@ router.get('/deliveries', asyncHandler(async (req, res) => {
  * GET /api/stats/performance
  * Get performance metrics
  */
-router.get('/performance', asyncHandler(async (req, res) => {
+router.get('/performance', requireAllWorkspaces, asyncHandler(async (req, res) => {
   const timer = logger.timeStart('get-performance-stats');
 
   const querySchema = Joi.object({
@@ -152,7 +164,7 @@ router.get('/performance', asyncHandler(async (req, res) => {
  * GET /api/stats/events
  * Get event processing statistics
  */
-router.get('/events', asyncHandler(async (req, res) => {
+router.get('/events', requireAllWorkspaces, asyncHandler(async (req, res) => {
   const timer = logger.timeStart('get-event-stats');
 
   const querySchema = Joi.object({
@@ -181,7 +193,7 @@ router.get('/events', asyncHandler(async (req, res) => {
  * GET /api/stats/errors
  * Get error statistics and recent errors
  */
-router.get('/errors', asyncHandler(async (req, res) => {
+router.get('/errors', requireAllWorkspaces, asyncHandler(async (req, res) => {
   const timer = logger.timeStart('get-error-stats');
 
   const querySchema = Joi.object({
@@ -208,7 +220,7 @@ router.get('/errors', asyncHandler(async (req, res) => {
  * GET /api/stats/health-summary
  * Get health summary for monitoring systems
  */
-router.get('/health-summary', asyncHandler(async (req, res) => {
+router.get('/health-summary', requireAllWorkspaces, asyncHandler(async (req, res) => {
   const timer = logger.timeStart('get-health-summary');
 
   const webhookService = req.app.locals.services.webhook;
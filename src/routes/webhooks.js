@@ -4,8 +4,11 @@
  */
 
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const Joi = require('joi');
+const { asyncHandler, handleValidationError } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/scopes');
 const WebhookController = require('../controllers/WebhookController');
+const ValidationUtils = require('../utils/validation');
 
 const router = express.Router();
 
@@ -21,7 +24,7 @@ router.use(initController);
  * GET /api/webhooks
  * List all webhooks
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
   await req.controller.listWebhooks(req, res);
 }));
 
@@ -29,7 +32,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * POST /api/webhooks
  * Create a new webhook
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
   await req.controller.createWebhook(req, res);
 }));
 
@@ -37,7 +40,7 @@ router.post('/', asyncHandler(async (req, res) => {
  * GET /api/webhooks/:id
  * Get a specific webhook
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
   await req.controller.getWebhook(req, res);
 }));
 
@@ -45,7 +48,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * PUT /api/webhooks/:id
  * Update a webhook
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  // Only the fields of the webhook schema can be changed, stored state such as `encryption` is dropped
+  req.body = handleValidationError(ValidationUtils.createWebhookUpdateSchema().validate(req.body || {}, {
+    abortEarly: false,
+    noDefaults: true,
+    stripUnknown: true
+  }));
+
   await req.controller.updateWebhook(req, res);
 }));
 
@@ -53,7 +63,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * DELETE /api/webhooks/:id
  * Delete a webhook
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
   await req.controller.deleteWebhook(req, res);
 }));
 
@@ -61,7 +71,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * POST /api/webhooks/:id/test
  * Test webhook delivery
  */
-router.post('/:id/test', asyncHandler(async (req, res) => {
+router.post('/:id/test', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
   await req.controller.testWebhook(req, res);
 }));
 
@@ -69,7 +79,7 @@ router.post('/:id/test', asyncHandler(async (req, res) => {
  * GET /api/webhooks/:id/deliveries
  * Get webhook delivery history
  */
-router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+router.get('/:id/deliveries', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
   await req.controller.getWebhookDeliveries(req, res);
 }));
 
@@ -77,8 +87,69 @@ router.get('/:id/deliveries', asyncHandler(async (req, res) => {
  * GET /api/webhooks/:id/stats
  * Get webhook statistics
  */
-router.get('/:id/stats', asyncHandler(async (req, res) => {
+router.get('/:id/stats', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
   await req.controller.getWebhookStats(req, res);
 }));
 
+/**
+ * POST /api/webhooks/:id/replay
+ * Re-deliver stored events from a time window or resume token range
+ */
+router.post('/:id/replay', requireScope('deliveries:replay'), asyncHandler(async (req, res) => {
+  const bodySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    fromToken: Joi.string().hex().max(1024),
+    toToken: Joi.string().hex().max(1024),
+    dryRun: Joi.boolean().default(false),
+    maxEvents: Joi.number().integer().min(1)
+  }).or('from', 'fromToken');
+
+  req.body = handleValidationError(bodySchema.validate(req.body || {}));
+
+  await req.controller.replayWebhook(req, res);
+}));
+
+/**
+ * GET /api/webhooks/:id/replay/:jobId
+ * Get replay job progress
+ */
+router.get('/:id/replay/:jobId', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
+  await req.controller.getReplayJob(req, res);
+}));
+
+/**
+ * GET /api/webhooks/:id/ordering
+ * Get ordered delivery state, including events blocked behind a failing delivery
+ */
+router.get('/:id/ordering', requireScope('webhooks:read'), asyncHandler(async (req, res) => {
+  await req.controller.getOrderingStatus(req, res);
+}));
+
+/**
+ * POST /api/webhooks/:id/ordering/:deliveryId/skip
+ * Discard a dead-lettered delivery so the deliveries held back behind it proceed
+ */
+router.post('/:id/ordering/:deliveryId/skip', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  await req.controller.skipBlockedDelivery(req, res);
+}));
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the webhook secret, keeping the old one valid for `expiresIn` seconds
+ */
+router.post('/:id/rotate-secret', requireScope('webhooks:write'), asyncHandler(async (req, res) => {
+  const bodySchema = Joi.object({
+    secret: Joi.string().min(8).max(255),
+    expiresIn: Joi.number().integer().min(0).max(30 * 24 * 3600).default(24 * 3600)
+  });
+
+  req.body = handleValidationError(bodySchema.validate(req.body || {}));
+
+  await req.controller.rotateSecret(req, res);
+}));
+
 module.exports = router;
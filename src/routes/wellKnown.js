@@ -0,0 +1,30 @@
+/**
+ * Well-known routes for Huly Webhook Service
+ * Publishes the public keys receivers use to verify delivery signatures
+ */
+
+const express = require('express');
+
+const router = express.Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public Ed25519 keys of the 'ed25519' signature scheme, including the next key
+ * before it starts signing and retired keys for a while after
+ */
+router.get('/jwks.json', (req, res) => {
+  const signingKeys = req.app.locals.services?.signingKeys;
+
+  if (!signingKeys) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Signing keys are not loaded yet'
+    });
+  }
+
+  // Receivers may cache the set, new keys are published well before they sign
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(signingKeys.getJwks());
+});
+
+module.exports = router;
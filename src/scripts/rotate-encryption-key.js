@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt stored webhook secrets and signing keys with the current encryption key
+ *
+ * Set ENCRYPTION_KEY to the new key and list the old one in
+ * ENCRYPTION_PREVIOUS_KEYS, restart the service, then run
+ * `npm run encryption:rotate`. Once it reports no failures the old key can be
+ * removed from ENCRYPTION_PREVIOUS_KEYS
+ */
+
+require('dotenv').config();
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const DatabaseService = require('../services/DatabaseService');
+const EncryptionService = require('../services/EncryptionService');
+const WebhookService = require('../services/WebhookService');
+
+const main = async () => {
+  const database = new DatabaseService();
+  await database.connect();
+
+  try {
+    const encryption = new EncryptionService(config);
+    const webhooks = new WebhookService(database, encryption);
+
+    logger.info(`Re-encrypting webhook secrets and signing keys with key ${encryption.currentKeyId}`);
+    const { reencrypted, failed, signingKeys } = await webhooks.reencryptWebhooks();
+
+    logger.info(`Re-encrypted ${reencrypted} webhooks and ${signingKeys.reencrypted} signing keys`);
+    if (failed.length > 0) {
+      logger.error(`Could not re-encrypt ${failed.length} webhooks: ${failed.join(', ')}`);
+      process.exitCode = 1;
+    }
+    if (signingKeys.failed.length > 0) {
+      logger.error(`Could not re-encrypt ${signingKeys.failed.length} signing keys: ${signingKeys.failed.join(', ')}`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+};
+
+main().catch((error) => {
+  logger.error('Encryption key rotation failed:', error);
+  process.exit(1);
+});
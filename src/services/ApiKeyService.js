@@ -0,0 +1,175 @@
+/**
+ * API Key Service for Huly Webhook Service
+ * Manages API keys stored in MongoDB. Only a SHA-256 hash of each key is kept,
+ * the key itself is shown once when it is created
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const KEY_PREFIX = 'hwk_';
+
+class ApiKeyService {
+  constructor (config, databaseService) {
+    this.config = config;
+    this.db = databaseService;
+    this.collectionName = 'api_keys';
+    // lastUsedAt is written at most this often per key, not on every request
+    this.touchInterval = config.auth?.keyTouchInterval || 60000;
+  }
+
+  /**
+   * Create the indexes keys are looked up by
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    await this.db.createIndexes(this.collectionName, [
+      { key: { hash: 1 }, options: { name: 'api_keys_hash', unique: true } }
+    ]);
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - Key name, scopes, workspaces and expiry
+   * @param {Object} [createdBy] - Authentication info of the creating request
+   * @returns {Promise<Object>} - Key record, with the key itself
+   */
+  async createKey (data, createdBy = null) {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const record = await this.db.insertOne(this.collectionName, {
+      _id: uuidv4(),
+      name: data.name,
+      prefix: key.substring(0, KEY_PREFIX.length + 8),
+      hash: this.hashKey(key),
+      scopes: data.scopes,
+      workspaces: data.workspaces || ['*'],
+      expiresAt: data.expiresAt || null,
+      lastUsedAt: null,
+      createdBy: createdBy?.keyId || null,
+      createdAt: new Date()
+    });
+
+    logger.info(`API key created: ${record._id} - ${record.name}`);
+
+    return { ...this.toResponse(record), key };
+  }
+
+  /**
+   * List API keys
+   * @returns {Promise<Array<Object>>} - Key records
+   */
+  async listKeys () {
+    const { documents } = await this.db.find(this.collectionName, {}, { limit: 1000, sort: { createdAt: 1 } });
+    return documents.map(record => this.toResponse(record));
+  }
+
+  /**
+   * Get an API key
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} - Key record
+   */
+  async getKey (id) {
+    const record = await this.db.findOne(this.collectionName, { _id: id });
+    if (!record) {
+      throw new NotFoundError('API key');
+    }
+
+    return this.toResponse(record);
+  }
+
+  /**
+   * Update the name, scopes, workspaces or expiry of an API key
+   * @param {string} id - Key ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} - Updated key record
+   */
+  async updateKey (id, updates) {
+    const result = await this.db.updateOne(this.collectionName, { _id: id }, {
+      $set: { ...updates, updatedAt: new Date() }
+    });
+
+    if (!result?.matchedCount) {
+      throw new NotFoundError('API key');
+    }
+
+    return this.getKey(id);
+  }
+
+  /**
+   * Delete an API key, which stops authenticating at once
+   * @param {string} id - Key ID
+   * @returns {Promise<void>}
+   */
+  async deleteKey (id) {
+    const result = await this.db.deleteOne(this.collectionName, { _id: id });
+    if (!result?.deletedCount) {
+      throw new NotFoundError('API key');
+    }
+
+    logger.info(`API key deleted: ${id}`);
+  }
+
+  /**
+   * Find the key record of a provided API key
+   * @param {string} apiKey - Provided API key
+   * @returns {Promise<Object|null>} - Authentication info, null for unknown or expired keys
+   */
+  async authenticate (apiKey) {
+    if (!apiKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const record = await this.db.findOne(this.collectionName, { hash: this.hashKey(apiKey) });
+    if (!record || (record.expiresAt && new Date(record.expiresAt) <= new Date())) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!record.lastUsedAt || now.getTime() - new Date(record.lastUsedAt).getTime() >= this.touchInterval) {
+      this.db.updateOne(this.collectionName, { _id: record._id }, { $set: { lastUsedAt: now } })
+        .catch(error => logger.warn(`Could not record use of API key ${record._id}:`, error));
+    }
+
+    return {
+      keyId: record._id,
+      keyName: record.name,
+      scopes: record.scopes,
+      workspaces: record.workspaces
+    };
+  }
+
+  /**
+   * Hash an API key for storage and lookup. Keys are random, so a fast hash
+   * cannot be brute-forced
+   * @param {string} apiKey - API key
+   * @returns {string} - Hex digest
+   */
+  hashKey (apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Convert a key record to its API representation, without the hash
+   * @param {Object} record - Stored key record
+   * @returns {Object} - Key record
+   */
+  toResponse (record) {
+    return {
+      id: record._id,
+      name: record.name,
+      prefix: record.prefix,
+      scopes: record.scopes,
+      workspaces: record.workspaces,
+      expiresAt: record.expiresAt,
+      lastUsedAt: record.lastUsedAt,
+      createdBy: record.createdBy,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+}
+
+module.exports = ApiKeyService;
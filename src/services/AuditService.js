@@ -0,0 +1,211 @@
+/**
+ * Audit Service for Huly Webhook Service
+ * Appends a record of every change made through the management API to the
+ * audit_log collection. Records are only ever inserted, never updated or deleted
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const DiffUtils = require('../utils/diff');
+
+const REDACTED = '[REDACTED]';
+
+// Fields that change on their own and would only add noise to a diff
+const IGNORED_PATHS = ['resolvedEvents', 'updatedAt', 'lastDelivery', 'deliveryStats', 'encryption'];
+
+// Columns of the CSV export
+/** @type {Array<[string, function(Object): *]>} */
+const CSV_COLUMNS = [
+  ['timestamp', record => record.timestamp instanceof Date ? record.timestamp.toISOString() : record.timestamp],
+  ['action', record => record.action],
+  ['actorKeyId', record => record.actor?.keyId],
+  ['actorKeyName', record => record.actor?.keyName],
+  ['actorIp', record => record.actor?.ip],
+  ['targetType', record => record.target?.type],
+  ['targetId', record => record.target?.id],
+  ['targetName', record => record.target?.name],
+  ['workspace', record => record.target?.workspace],
+  ['requestId', record => record.requestId],
+  ['changes', record => JSON.stringify(record.changes || {})],
+  ['details', record => JSON.stringify(record.details || {})]
+];
+
+class AuditService {
+  constructor (config, databaseService, encryption) {
+    this.config = config;
+    this.db = databaseService;
+    this.encryption = encryption;
+    this.collectionName = 'audit_log';
+    this.exportLimit = config.audit?.exportLimit || 10000;
+  }
+
+  /**
+   * Create the indexes audit records are queried by
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    await this.db.createIndexes(this.collectionName, [
+      { key: { timestamp: -1 }, options: { name: 'audit_log_timestamp' } },
+      { key: { 'target.type': 1, 'target.id': 1, timestamp: -1 }, options: { name: 'audit_log_target' } },
+      { key: { 'actor.keyId': 1, timestamp: -1 }, options: { name: 'audit_log_actor' } },
+      { key: { action: 1, timestamp: -1 }, options: { name: 'audit_log_action' } }
+    ]);
+  }
+
+  /**
+   * Record a management API change made by a request. Failures are logged and
+   * never fail the change itself
+   * @param {Object} req - Express request
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - Action, e.g. `webhook.updated`
+   * @param {Object} entry.target - Changed resource: type, id, name and workspace
+   * @param {Object} [entry.before] - Resource before the change
+   * @param {Object} [entry.after] - Resource after the change
+   * @param {Object} [entry.details] - Action specific details
+   * @returns {Promise<Object|null>} - Stored record, null when it could not be stored
+   */
+  async recordRequest (req, { action, target, before = null, after = null, details = null }) {
+    const record = {
+      _id: uuidv4(),
+      timestamp: new Date(),
+      action,
+      actor: {
+        type: req.auth?.type || null,
+        keyId: req.auth?.keyId || null,
+        keyName: req.auth?.keyName || null,
+        ip: req.clientIP || req.ip || null,
+        userAgent: req.get?.('User-Agent') || null
+      },
+      target,
+      requestId: req.id || null,
+      changes: DiffUtils.diff(this.redact(before), this.redact(after), { ignore: IGNORED_PATHS }),
+      details
+    };
+
+    try {
+      await this.db.insertOne(this.collectionName, record);
+      return record;
+    } catch (error) {
+      logger.error(`Could not record audit entry ${action} for ${target?.type} ${target?.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query audit records, newest first
+   * @param {Object} filters - Filters
+   * @param {string} [filters.action] - Action
+   * @param {string} [filters.keyId] - Actor API key ID
+   * @param {string} [filters.targetType] - Target type
+   * @param {string} [filters.targetId] - Target ID
+   * @param {string} [filters.workspace] - Target workspace
+   * @param {string} [filters.requestId] - Request ID
+   * @param {Date} [filters.from] - Earliest timestamp
+   * @param {Date} [filters.to] - Latest timestamp
+   * @param {Object} options - Pagination
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Records to skip
+   * @returns {Promise<{records: Array<Object>, total: number}>} - Matching records
+   */
+  async query (filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { documents, total } = await this.db.find(this.collectionName, this.buildFilter(filters), {
+      limit,
+      offset,
+      sort: { timestamp: -1 }
+    });
+
+    return { records: documents.map(record => this.toResponse(record)), total };
+  }
+
+  /**
+   * Export matching audit records as CSV, newest first
+   * @param {Object} filters - Filters, as for query
+   * @returns {Promise<string>} - CSV document
+   */
+  async exportCsv (filters = {}) {
+    const { records } = await this.query(filters, { limit: this.exportLimit });
+
+    const rows = [
+      CSV_COLUMNS.map(([name]) => name),
+      ...records.map(record => CSV_COLUMNS.map(([, value]) => value(record)))
+    ];
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build a MongoDB filter from query filters
+   * @param {Object} filters - Filters, as for query
+   * @returns {Object} - MongoDB filter
+   */
+  buildFilter (filters) {
+    const filter = {};
+
+    if (filters.action) filter.action = filters.action;
+    if (filters.keyId) filter['actor.keyId'] = filters.keyId;
+    if (filters.targetType) filter['target.type'] = filters.targetType;
+    if (filters.targetId) filter['target.id'] = filters.targetId;
+    if (filters.workspace) filter['target.workspace'] = filters.workspace;
+    if (filters.requestId) filter.requestId = filters.requestId;
+
+    if (filters.from || filters.to) {
+      filter.timestamp = {};
+      if (filters.from) filter.timestamp.$gte = new Date(filters.from);
+      if (filters.to) filter.timestamp.$lte = new Date(filters.to);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Get a copy of a resource that is safe to keep in the audit log. Secrets are
+   * dropped, sensitive headers and delivery credentials are replaced
+   * @param {Object|null} resource - Resource, or a model with toResponse()
+   * @returns {Object|null} - Redacted copy
+   */
+  redact (resource) {
+    if (!resource) {
+      return resource;
+    }
+
+    const document = { ...(typeof resource.toResponse === 'function' ? resource.toResponse() : resource) };
+    delete document.secret;
+    delete document.previousSecrets;
+    delete document.encryption;
+    delete document.key;
+    delete document.hash;
+
+    return this.encryption.mapSensitiveFields(document, () => REDACTED);
+  }
+
+  /**
+   * Quote a CSV value when it contains separators, quotes or line breaks.
+   * Values a spreadsheet would run as a formula are prefixed with a quote
+   * @param {*} value - Value
+   * @returns {string} - CSV field
+   */
+  escapeCsv (value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Convert an audit record to its API representation
+   * @param {Object} record - Stored audit record
+   * @returns {Object} - Audit record
+   */
+  toResponse (record) {
+    const { _id: id, ...fields } = record;
+    return { id, ...fields };
+  }
+}
+
+module.exports = AuditService;
@@ -7,9 +7,18 @@ const { MongoClient } = require('mongodb');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const ResumeTokenService = require('./ResumeTokenService');
+const WorkspaceScope = require('../utils/workspace');
+const Tracing = require('../utils/tracing');
+
+// Change stream operations that produce each event action, anything else comes from updates
+const ACTION_OPERATIONS = {
+  created: ['insert'],
+  deleted: ['delete'],
+  replaced: ['replace']
+};
 
 class ChangeStreamService extends EventEmitter {
-  constructor (config, databaseService) {
+  constructor (config, databaseService, services = {}) {
     super();
     this.config = config;
     this.db = databaseService;
@@ -26,14 +35,40 @@ class ChangeStreamService extends EventEmitter {
       totalEvents: 0,
       eventsByType: {},
       eventsByCollection: {},
+      eventsByWorkspace: {},
       processingTimes: []
     };
 
     // Initialize Resume Token Service
     this.resumeTokenService = new ResumeTokenService(config, databaseService);
+
+    // Active webhook subscriptions narrow the stream to the writes they need
+    this.webhookService = services.webhook || null;
+    this.eventTypeDetection = services.eventTypeDetection || null;
+    this.txDecoder = services.txDecoder || null;
+    this.filterEnabled = config.events?.changeStreamFilter?.enabled !== false;
+    this.refreshDelay = config.events?.changeStreamFilter?.refreshDelay ?? 1000;
+    this.refreshInterval = config.events?.changeStreamFilter?.refreshInterval ?? 30000;
+    this.pipeline = [];
+    this.pipelineRefreshes = 0;
+    this.refreshTimer = null;
+    this.refreshIntervalTimer = null;
+
+    // Bound handler so it can be detached on shutdown
+    this.onWebhooksChanged = () => this.scheduleRefresh();
+
+    // Leadership changes start and stop the stream one after another
+    this.leaderElection = null;
+    this.transition = Promise.resolve();
   }
 
-  async initialize () {
+  /**
+   * Connect and start tailing the change stream
+   * @param {Object} options - Start options
+   * @param {Object} [options.resumeToken] - Token handed over by the previous leader
+   * @returns {Promise<void>}
+   */
+  async initialize (options = {}) {
     try {
       logger.info('Initializing Change Stream Service...');
 
@@ -43,6 +78,13 @@ class ChangeStreamService extends EventEmitter {
       // Load existing resume token
       this.resumeToken = await this.resumeTokenService.loadResumeToken();
 
+      // A token handed over on failover is newer than the one this replica saved while it last led
+      if (options.resumeToken) {
+        this.resumeToken = options.resumeToken;
+        await this.resumeTokenService.saveResumeToken(options.resumeToken, true);
+        logger.info('Resuming change stream from the token handed over by the previous leader');
+      }
+
       // Connect to MongoDB
       this.client = new MongoClient(this.config.database.url, {
         useUnifiedTopology: true,
@@ -57,6 +99,16 @@ class ChangeStreamService extends EventEmitter {
       // Start the change stream
       await this.startChangeStream();
 
+      if (this.webhookService && this.filterEnabled) {
+        this.webhookService.on('webhooks-changed', this.onWebhooksChanged);
+
+        // Webhooks changed by other replicas or the CLI emit no event here, so rebuild periodically too
+        if (this.refreshInterval > 0) {
+          this.refreshIntervalTimer = setInterval(() => this.scheduleRefresh(), this.refreshInterval);
+          this.refreshIntervalTimer.unref();
+        }
+      }
+
       this.isRunning = true;
       logger.info('Change Stream Service initialized successfully');
     } catch (error) {
@@ -65,9 +117,16 @@ class ChangeStreamService extends EventEmitter {
     }
   }
 
-  async startChangeStream () {
+  /**
+   * Open the change stream, resuming after the last processed event
+   * @param {Array<Object>} [pipeline] - Aggregation pipeline, built from active webhooks when omitted
+   * @returns {Promise<void>}
+   */
+  async startChangeStream (pipeline = null) {
     try {
-      const db = this.client.db(this.config.database.name);
+      const workspaceDatabases = this.config.workspaces?.databases || [];
+
+      this.pipeline = pipeline || await this.buildPipeline();
 
       // Define the change stream options
       const options = {
@@ -81,29 +140,40 @@ class ChangeStreamService extends EventEmitter {
         logger.info('Resuming change stream from token:', this.resumeToken);
       }
 
-      // Create the change stream
-      this.changeStream = db.watch([], options);
+      // Create the change stream, across databases when each one holds a workspace
+      if (workspaceDatabases.length > 0) {
+        this.changeStream = this.client.watch(this.pipeline, options);
+        logger.info(`Watching workspace databases: ${workspaceDatabases.join(', ')}`);
+      } else {
+        this.changeStream = this.client.db(this.config.database.name).watch(this.pipeline, options);
+      }
+
+      // Streams replaced by a pipeline refresh must not trigger a reconnection
+      const changeStream = this.changeStream;
+      const isCurrent = () => this.changeStream === changeStream;
 
       // Handle change stream events
-      this.changeStream.on('change', (changeEvent) => {
+      changeStream.on('change', (changeEvent) => {
         this.handleChangeEvent(changeEvent);
       });
 
-      this.changeStream.on('error', (error) => {
+      changeStream.on('error', (error) => {
         logger.error('Change stream error:', error);
-        this.handleChangeStreamError(error);
+        if (isCurrent()) {
+          this.handleChangeStreamError(error);
+        }
       });
 
-      this.changeStream.on('close', () => {
+      changeStream.on('close', () => {
         logger.warn('Change stream closed');
-        if (this.isRunning) {
+        if (this.isRunning && isCurrent()) {
           this.attemptReconnection();
         }
       });
 
-      this.changeStream.on('end', () => {
+      changeStream.on('end', () => {
         logger.warn('Change stream ended');
-        if (this.isRunning) {
+        if (this.isRunning && isCurrent()) {
           this.attemptReconnection();
         }
       });
@@ -115,48 +185,259 @@ class ChangeStreamService extends EventEmitter {
     }
   }
 
-  async handleChangeEvent (changeEvent) {
+  /**
+   * Build the change stream pipeline, restricted to workspace databases and to the
+   * collections and operations that monitored collections and active webhooks need
+   * @returns {Promise<Array<Object>>} - Aggregation pipeline
+   */
+  async buildPipeline () {
+    const match = {};
+
+    const workspaceDatabases = this.config.workspaces?.databases || [];
+    if (workspaceDatabases.length > 0) {
+      match['ns.db'] = { $in: workspaceDatabases };
+    }
+
+    const clauses = await this.buildCollectionClauses();
+    if (clauses) {
+      match.$or = clauses;
+    }
+
+    return Object.keys(match).length > 0 ? [{ $match: match }] : [];
+  }
+
+  /**
+   * Build `$or` clauses on `ns.coll` and `operationType` from the active webhook subscriptions
+   * @returns {Promise<Array<Object>|null>} - Clauses, null when every write must be watched
+   */
+  async buildCollectionClauses () {
+    if (!this.filterEnabled || !this.webhookService || !this.eventTypeDetection) {
+      return null;
+    }
+
+    let webhooks;
     try {
-      const startTime = Date.now();
+      webhooks = await this.webhookService.getActiveWebhooks();
+    } catch (error) {
+      logger.warn('Could not load webhook subscriptions, watching all collections:', error.message);
+      return null;
+    }
 
-      logger.debug('Change event received:', {
-        operationType: changeEvent.operationType,
-        ns: changeEvent.ns,
-        documentKey: changeEvent.documentKey
-      });
+    const operations = this.getSubscribedOperations(webhooks);
+    if (!operations || operations.size === 0) {
+      return null;
+    }
 
-      // Store the resume token for fault tolerance
-      this.resumeToken = changeEvent._id;
+    // Collections watched for every operation share one clause, the rest are grouped by operations
+    const allOperations = [];
+    const byOperations = new Map();
 
-      // Save resume token using ResumeTokenService
-      await this.resumeTokenService.saveResumeToken(changeEvent._id);
+    for (const [collection, operationTypes] of operations) {
+      if (operationTypes === null) {
+        allOperations.push(collection);
+        continue;
+      }
 
-      this.eventsProcessed++;
-      this.lastEvent = {
-        operationType: changeEvent.operationType,
-        ns: changeEvent.ns,
-        timestamp: new Date()
-      };
+      const key = Array.from(operationTypes).sort().join(',');
+      if (!byOperations.has(key)) {
+        byOperations.set(key, []);
+      }
+      byOperations.get(key).push(collection);
+    }
 
-      // Update statistics
-      this.updateStats(changeEvent, startTime);
+    const clauses = [];
+    if (allOperations.length > 0) {
+      clauses.push({ 'ns.coll': { $in: allOperations } });
+    }
 
-      // Emit the change event for processing
-      this.emit('change', changeEvent);
+    for (const [key, collections] of byOperations) {
+      clauses.push({ 'ns.coll': { $in: collections }, operationType: { $in: key.split(',') } });
+    }
 
-      // Update reconnection state on successful event
-      this.reconnectAttempts = 0;
+    return clauses;
+  }
 
-      const processingTime = Date.now() - startTime;
-      this.stats.processingTimes.push(processingTime);
+  /**
+   * Collect the operations each collection must be watched for
+   * @param {Array<Object>} webhooks - Active webhooks
+   * @returns {Map<string, Set<string>|null>|null} - Operations by collection, null for every
+   *   operation; null overall when a subscription cannot be narrowed to collections
+   */
+  getSubscribedOperations (webhooks) {
+    const operations = new Map();
+    const add = (collection, operationTypes) => {
+      if (operations.has(collection) && operations.get(collection) === null) {
+        return;
+      }
 
-      // Keep only last 100 processing times for average calculation
-      if (this.stats.processingTimes.length > 100) {
-        this.stats.processingTimes.shift();
+      if (operationTypes === null) {
+        operations.set(collection, null);
+        return;
       }
-    } catch (error) {
-      logger.error('Error handling change event:', error);
+
+      const existing = operations.get(collection) || new Set();
+      operationTypes.forEach(operationType => existing.add(operationType));
+      operations.set(collection, existing);
+    };
+
+    for (const collection of this.config.monitoredCollections || []) {
+      add(collection, null);
+    }
+
+    if (webhooks.length === 0) {
+      return operations;
+    }
+
+    // Custom detection rules can turn any write into any event type
+    if (this.eventTypeDetection.customRules.size > 0) {
+      return null;
+    }
+
+    // Decoded transactions arrive as inserts into the tx collection
+    if (this.txDecoder) {
+      add(this.txDecoder.collectionName, ['insert']);
+    }
+
+    for (const webhook of webhooks) {
+      const subscriptions = (webhook.eventTypeFilter || webhook.events || [])
+        .filter(subscription => !subscription.startsWith('!'));
+
+      // No positive subscription means every event
+      if (subscriptions.length === 0) {
+        return null;
+      }
+
+      for (const subscription of subscriptions) {
+        const [entityType, ...actionParts] = subscription.split('.');
+        const action = actionParts.join('.');
+
+        if (entityType.includes('*')) {
+          return null;
+        }
+
+        const operationTypes = !action || action.includes('*')
+          ? null
+          : ACTION_OPERATIONS[action] || ['update'];
+
+        for (const collection of this.eventTypeDetection.getCollectionsForEntity(entityType)) {
+          add(collection, operationTypes);
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Rebuild the pipeline after webhooks change, coalescing bursts of changes
+   */
+  scheduleRefresh () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshPipeline().catch((error) => {
+        logger.error('Failed to refresh change stream pipeline:', error);
+      });
+    }, this.refreshDelay);
+  }
+
+  /**
+   * Restart the change stream with a freshly built pipeline when it changed.
+   * The new stream resumes after the last processed event so no change is lost
+   * @returns {Promise<boolean>} - Whether the stream was restarted
+   */
+  async refreshPipeline () {
+    const pipeline = await this.buildPipeline();
+
+    if (JSON.stringify(pipeline) === JSON.stringify(this.pipeline)) {
+      logger.debug('Change stream pipeline unchanged');
+      return false;
     }
+
+    // Before the first event, resume from the position the driver has reached
+    if (!this.resumeToken && this.changeStream?.resumeToken) {
+      this.resumeToken = this.changeStream.resumeToken;
+    }
+
+    await this.closeChangeStream();
+    await this.startChangeStream(pipeline);
+
+    this.pipelineRefreshes++;
+    logger.info('Change stream pipeline rebuilt from webhook subscriptions', { pipeline: JSON.stringify(pipeline) });
+
+    return true;
+  }
+
+  async handleChangeEvent (changeEvent) {
+    // The pipeline runs in this span's context, so the spans of an event and its deliveries share a trace
+    await Tracing.withSpan('change_stream.event', {
+      kind: Tracing.SpanKind.CONSUMER,
+      attributes: {
+        'db.system': 'mongodb',
+        'db.operation.name': changeEvent?.operationType,
+        'db.collection.name': changeEvent?.ns?.coll
+      }
+    }, async (span) => {
+      try {
+        const startTime = Date.now();
+
+        logger.debug('Change event received:', {
+          operationType: changeEvent.operationType,
+          ns: changeEvent.ns,
+          documentKey: changeEvent.documentKey
+        });
+
+        // Tag the event with its workspace so it is only routed to that workspace's webhooks
+        changeEvent.workspace = this.getWorkspace(changeEvent);
+
+        // Store the resume token for fault tolerance
+        this.resumeToken = changeEvent._id;
+
+        // Save resume token using ResumeTokenService
+        await this.resumeTokenService.saveResumeToken(changeEvent._id);
+
+        this.eventsProcessed++;
+        this.lastEvent = {
+          operationType: changeEvent.operationType,
+          ns: changeEvent.ns,
+          workspace: changeEvent.workspace,
+          timestamp: new Date()
+        };
+
+        // Update statistics
+        this.updateStats(changeEvent, startTime);
+
+        // Emit the change event for processing
+        this.emit('change', changeEvent);
+
+        // Update reconnection state on successful event
+        this.reconnectAttempts = 0;
+
+        const processingTime = Date.now() - startTime;
+        this.stats.processingTimes.push(processingTime);
+
+        // Keep only last 100 processing times for average calculation
+        if (this.stats.processingTimes.length > 100) {
+          this.stats.processingTimes.shift();
+        }
+      } catch (error) {
+        Tracing.recordError(span, error);
+        logger.error('Error handling change event:', error);
+      }
+    });
+  }
+
+  /**
+   * Resolve the workspace a change event came from
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {string} - Workspace ID
+   */
+  getWorkspace (changeEvent) {
+    return WorkspaceScope.resolveWorkspace(changeEvent, this.config.workspaces);
   }
 
   updateStats (changeEvent, _startTime) {
@@ -175,6 +456,10 @@ class ChangeStreamService extends EventEmitter {
       this.stats.eventsByCollection[collection] = 0;
     }
     this.stats.eventsByCollection[collection]++;
+
+    // Update workspace statistics
+    const workspace = changeEvent.workspace || 'unknown';
+    this.stats.eventsByWorkspace[workspace] = (this.stats.eventsByWorkspace[workspace] || 0) + 1;
   }
 
   handleChangeStreamError (error) {
@@ -215,9 +500,12 @@ class ChangeStreamService extends EventEmitter {
 
   async closeChangeStream () {
     if (this.changeStream) {
+      // Detach first so closing is not mistaken for a dropped stream
+      const changeStream = this.changeStream;
+      this.changeStream = null;
+
       try {
-        await this.changeStream.close();
-        this.changeStream = null;
+        await changeStream.close();
         logger.info('Change stream closed');
       } catch (error) {
         logger.error('Error closing change stream:', error);
@@ -230,6 +518,15 @@ class ChangeStreamService extends EventEmitter {
       logger.info('Shutting down Change Stream Service...');
       this.isRunning = false;
 
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+      clearInterval(this.refreshIntervalTimer);
+      this.refreshIntervalTimer = null;
+
+      if (this.webhookService) {
+        this.webhookService.removeListener('webhooks-changed', this.onWebhooksChanged);
+      }
+
       await this.closeChangeStream();
 
       if (this.client) {
@@ -250,9 +547,63 @@ class ChangeStreamService extends EventEmitter {
     }
   }
 
+  /**
+   * Only tail the change stream while this replica is the elected leader
+   * @param {Object} leaderElection - Leader election service
+   */
+  followLeadership (leaderElection) {
+    this.leaderElection = leaderElection;
+    leaderElection.setResumeTokenProvider(() => this.resumeToken);
+
+    leaderElection.on('elected', ({ resumeToken }) => {
+      this.queueTransition(async () => {
+        try {
+          await this.start({ resumeToken });
+        } catch (error) {
+          // Let another replica take over instead of holding a lease without a stream
+          await this.shutdown().catch(() => {});
+          await leaderElection.stepDown();
+        }
+      });
+    });
+
+    leaderElection.on('demoted', () => {
+      this.queueTransition(async () => {
+        if (this.isRunning) {
+          await this.stop();
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a leadership transition after the previous one finished
+   * @param {() => Promise<void>} fn - Transition
+   * @returns {Promise<void>}
+   */
+  queueTransition (fn) {
+    this.transition = this.transition.then(fn).catch((error) => {
+      logger.error('Change stream leadership transition failed:', error);
+    });
+
+    return this.transition;
+  }
+
+  /**
+   * Get this replica's role in tailing the change stream
+   * @returns {string} - 'leader', 'standby' or 'standalone'
+   */
+  getRole () {
+    if (!this.leaderElection) {
+      return 'standalone';
+    }
+
+    return this.leaderElection.isLeader() ? 'leader' : 'standby';
+  }
+
   // Legacy methods for backward compatibility
-  async start () {
-    await this.initialize();
+  async start (options = {}) {
+    await this.initialize(options);
   }
 
   async stop () {
@@ -291,7 +642,8 @@ class ChangeStreamService extends EventEmitter {
     return {
       totalEvents: this.stats.totalEvents,
       eventsByType: { ...this.stats.eventsByType },
-      eventsByCollection: { ...this.stats.eventsByCollection }
+      eventsByCollection: { ...this.stats.eventsByCollection },
+      eventsByWorkspace: { ...this.stats.eventsByWorkspace }
     };
   }
 
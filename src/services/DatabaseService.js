@@ -44,11 +44,8 @@ class DatabaseService {
         { key: { nextRetry: 1 } },
         { key: { webhookId: 1, createdAt: -1 } }
       ],
+      // Remaining event indexes, including the TTL index, are managed by EventStoreService
       webhook_events: [
-        {
-          key: { sourceId: 1, eventType: 1, eventHash: 1 },
-          options: { unique: true }
-        },
         { key: { processedAt: 1 } }
       ]
     };
@@ -150,6 +147,29 @@ class DatabaseService {
     return await this.adapter.createIndexes(collectionName, indexes);
   }
 
+  // Convenience methods used by the delivery services
+
+  /**
+   * Insert a document (alias of insertOne)
+   */
+  async create (collectionName, document) {
+    return await this.adapter.insertOne(collectionName, document);
+  }
+
+  /**
+   * Find documents and return them as a plain array
+   * Accepts `skip` as an alias of `offset`
+   */
+  async findMany (collectionName, filter = {}, options = {}) {
+    const { skip, ...findOptions } = /** @type {Object} */ (options);
+    if (skip !== undefined && findOptions.offset === undefined) {
+      findOptions.offset = skip;
+    }
+
+    const result = await this.adapter.find(collectionName, filter, findOptions);
+    return result.documents;
+  }
+
   // ID handling methods
 
   createObjectId (id) {
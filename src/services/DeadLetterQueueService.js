@@ -244,7 +244,8 @@ class DeadLetterQueueService extends EventEmitter {
 
     // Filter by webhook ID
     if (options.webhookId) {
-      entries = entries.filter(entry => entry.metadata.webhookId === options.webhookId);
+      // Stored webhook IDs are ObjectIds, filters are usually given as strings
+      entries = entries.filter(entry => String(entry.metadata.webhookId) === String(options.webhookId));
     }
 
     // Filter by event type
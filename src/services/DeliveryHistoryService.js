@@ -13,6 +13,8 @@ class DeliveryHistoryService {
     this.batchSize = config.deliveryHistory?.batchSize || 1000;
     this.compressionEnabled = config.deliveryHistory?.compression || true;
     this.analyticsEnabled = config.deliveryHistory?.analytics !== false;
+    // Longer response bodies are cut off, only their size is kept in full
+    this.maxResponseBodySize = config.deliveryHistory?.maxResponseBodySize || 16384;
 
     // In-memory cache for recent deliveries
     this.recentDeliveries = new Map();
@@ -76,6 +78,7 @@ class DeliveryHistoryService {
         webhookId: delivery.webhook._id,
         webhookName: delivery.webhook.name,
         webhookUrl: delivery.webhook.url,
+        workspace: delivery.metadata?.workspace || delivery.webhook.workspace || null,
         eventType: delivery.payload.event,
         eventId: delivery.payload.id,
         payload: this.compressionEnabled ? this.compressPayload(delivery.payload) : delivery.payload,
@@ -84,7 +87,10 @@ class DeliveryHistoryService {
           statusCode: result.statusCode,
           responseTime: result.responseTime,
           error: result.error,
+          // e.g. TOKEN_FETCH_FAILED when the receiver was never called
+          errorType: result.errorType,
           headers: result.headers,
+          body: this.truncateBody(result.body),
           bodySize: result.body ? result.body.length : 0
         },
         attempt: delivery.attempt || 1,
@@ -154,6 +160,21 @@ class DeliveryHistoryService {
     }
   }
 
+  /**
+   * Get a delivery history record
+   * @param {string} recordId - History record ID
+   * @returns {Promise<Object|null>} - History record, null when it does not exist
+   */
+  async getDeliveryRecord (recordId) {
+    const record = await this.db.findOne('delivery_history', { id: recordId });
+
+    if (record?.payload?.compressed) {
+      record.payload = this.decompressPayload(record.payload);
+    }
+
+    return record || null;
+  }
+
   /**
    * Get delivery statistics
    * @param {Object} query - Query parameters
@@ -472,6 +493,10 @@ class DeliveryHistoryService {
       filter.eventId = query.eventId;
     }
 
+    if (query.workspaces) {
+      filter.workspace = { $in: query.workspaces };
+    }
+
     if (query.success !== undefined) {
       filter['result.success'] = query.success;
     }
@@ -633,6 +658,19 @@ class DeliveryHistoryService {
     return payload;
   }
 
+  /**
+   * Cut a response body down to the stored size
+   * @param {string} [body] - Response body
+   * @returns {string|undefined} - Stored body
+   */
+  truncateBody (body) {
+    if (typeof body !== 'string' || body.length <= this.maxResponseBodySize) {
+      return body;
+    }
+
+    return body.substring(0, this.maxResponseBodySize);
+  }
+
   /**
    * Decompress payload
    * @param {Object} compressedPayload - Compressed payload
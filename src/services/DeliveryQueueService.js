@@ -14,8 +14,16 @@ class DeliveryQueueService extends EventEmitter {
     this.priorityQueues = new Map();
     this.deadLetterQueue = [];
     this.processing = new Map();
+    // Claims in flight hold a processing slot until their delivery is marked as processing
+    this.claiming = 0;
     this.isRunning = false;
     this.processors = new Map();
+    this.sequence = 0;
+
+    // Ordered deliveries are held back until the delivery ahead of them with the same key completed
+    this.orderingHeads = new Map();
+    this.orderingWaiting = new Map();
+
     this.stats = {
       totalQueued: 0,
       totalProcessed: 0,
@@ -31,6 +39,10 @@ class DeliveryQueueService extends EventEmitter {
     this.processingInterval = config.queue?.processingInterval || 100;
     this.maxRetries = config.queue?.maxRetries || 3;
     this.retryDelay = config.queue?.retryDelay || 1000;
+
+    // An attempt may wait for an OAuth2 access token and then for the receiver, each up to the
+    // delivery timeout. It is only given up on after both, so it is not retried while in flight
+    this.attemptTimeout = 2 * (config.delivery?.timeout || 30000) + 5000;
     this.deadLetterMaxSize = config.queue?.deadLetterMaxSize || 1000;
 
     // Priority levels
@@ -114,7 +126,7 @@ class DeliveryQueueService extends EventEmitter {
    * Add delivery to queue
    * @param {Object} delivery - Delivery object
    * @param {string} priority - Priority level ('HIGH', 'MEDIUM', 'LOW')
-   * @returns {string} - Delivery ID
+   * @returns {Promise<string>} - Delivery ID
    */
   async addDelivery (delivery, priority = 'MEDIUM') {
     try {
@@ -127,23 +139,18 @@ class DeliveryQueueService extends EventEmitter {
       }
 
       // Create delivery item
-      const deliveryItem = {
-        id: delivery.id || this.generateDeliveryId(),
-        webhook: delivery.webhook,
-        payload: delivery.payload,
-        url: delivery.url,
-        headers: delivery.headers || {},
-        priority: this.priorities[priority] || this.priorities.MEDIUM,
-        attempts: 0,
-        maxAttempts: delivery.maxAttempts || this.maxRetries,
-        createdAt: new Date(),
-        scheduledFor: delivery.scheduledFor || new Date(),
-        metadata: delivery.metadata || {}
-      };
-
-      // Add to appropriate priority queue
-      const priorityQueue = this.priorityQueues.get(deliveryItem.priority);
-      priorityQueue.push(deliveryItem);
+      const deliveryItem = this.createDeliveryItem(delivery, priority);
+
+      // Batched deliveries wait for the rest of their batch, unless scheduled explicitly
+      if (deliveryItem.batch && !delivery.scheduledFor) {
+        deliveryItem.scheduledFor = await this.getBatchSchedule(deliveryItem);
+      }
+
+      // Add to appropriate priority queue, unless it has to wait for an earlier ordered delivery
+      if (!deliveryItem.orderingKey || this.admitOrderedDelivery(deliveryItem)) {
+        const priorityQueue = this.priorityQueues.get(deliveryItem.priority);
+        priorityQueue.push(deliveryItem);
+      }
 
       // Update statistics
       this.stats.totalQueued++;
@@ -158,6 +165,214 @@ class DeliveryQueueService extends EventEmitter {
     }
   }
 
+  /**
+   * Create the queued form of a delivery
+   * @param {Object} delivery - Delivery object
+   * @param {string} priority - Priority level ('HIGH', 'MEDIUM', 'LOW')
+   * @returns {Object} - Delivery item
+   */
+  createDeliveryItem (delivery, priority) {
+    return {
+      id: delivery.id || this.generateDeliveryId(),
+      webhook: delivery.webhook,
+      payload: delivery.payload,
+      url: delivery.url,
+      headers: delivery.headers || {},
+      priority: this.priorities[priority] || this.priorities.MEDIUM,
+      attempts: 0,
+      maxAttempts: delivery.maxAttempts || this.maxRetries,
+      createdAt: new Date(),
+      scheduledFor: delivery.scheduledFor || new Date(),
+      orderingKey: delivery.orderingKey || null,
+      sequence: delivery.sequence || this.nextSequence(),
+      batch: delivery.batch || null,
+      metadata: delivery.metadata || {}
+    };
+  }
+
+  /**
+   * Get the next delivery sequence number
+   * Sequences are microsecond timestamps, so they keep increasing across restarts
+   * @returns {number} - Sequence number
+   */
+  nextSequence () {
+    this.sequence = Math.max(Date.now() * 1000, this.sequence + 1);
+    return this.sequence;
+  }
+
+  /**
+   * Get when a batched delivery is due: once its batch is full, or when it waited the batch timeout
+   * @param {Object} deliveryItem - Batched delivery item
+   * @returns {Promise<Date>} - Scheduled time
+   */
+  async getBatchSchedule (deliveryItem) {
+    let pending = 0;
+    for (const queue of this.priorityQueues.values()) {
+      pending += queue.filter(delivery => this.isBatchCompanion(delivery, deliveryItem)).length;
+    }
+
+    return this.scheduleInBatch(pending + 1, deliveryItem.batch);
+  }
+
+  /**
+   * Schedule a batched delivery from the number of deliveries its batch holds
+   * @param {number} pending - Deliveries in the batch, including this one
+   * @param {Object} batch - Batch settings
+   * @returns {Date} - Scheduled time
+   */
+  scheduleInBatch (pending, batch) {
+    return new Date(Date.now() + (pending >= batch.size ? 0 : batch.timeout));
+  }
+
+  /**
+   * Check whether a queued delivery can be sent in the batch of another delivery
+   * Retries keep their backoff, so only deliveries that were not attempted yet join early
+   * @param {Object} delivery - Queued delivery
+   * @param {Object} head - Delivery whose batch is being filled
+   * @returns {boolean} - Whether the delivery joins the batch
+   */
+  isBatchCompanion (delivery, head) {
+    return delivery !== head && delivery.batch?.key === head.batch.key && delivery.attempts === 0;
+  }
+
+  /**
+   * Claim queued deliveries that go out in the same batch as a claimed delivery
+   * @param {Object} head - Claimed batched delivery
+   * @returns {Promise<Array>} - Claimed companion deliveries
+   */
+  async claimBatchCompanions (head) {
+    const companions = [];
+
+    for (const queue of this.priorityQueues.values()) {
+      for (let index = 0; index < queue.length && companions.length < head.batch.size - 1;) {
+        if (this.isBatchCompanion(queue[index], head)) {
+          companions.push(...queue.splice(index, 1));
+        } else {
+          index++;
+        }
+      }
+    }
+
+    return companions;
+  }
+
+  /**
+   * Make an ordered delivery the head of its ordering key, or hold it back behind the current head
+   * @param {Object} deliveryItem - Ordered delivery item
+   * @returns {boolean} - Whether the delivery is the head and can be queued
+   */
+  admitOrderedDelivery (deliveryItem) {
+    const key = deliveryItem.orderingKey;
+    const head = this.orderingHeads.get(key);
+
+    // A dead-lettered head re-sent from the dead letter queue keeps its sequence and takes its place
+    if (!head || (head.status === 'dead-lettered' && head.sequence === deliveryItem.sequence)) {
+      if (head) {
+        this.deadLetterQueue = this.deadLetterQueue.filter(delivery => delivery !== head);
+      }
+
+      this.orderingHeads.set(key, deliveryItem);
+      return true;
+    }
+
+    const waiting = this.orderingWaiting.get(key) || [];
+    const index = waiting.findIndex(delivery => delivery.sequence > deliveryItem.sequence);
+    waiting.splice(index === -1 ? waiting.length : index, 0, deliveryItem);
+    this.orderingWaiting.set(key, waiting);
+
+    return false;
+  }
+
+  /**
+   * Release the head of an ordering key and queue the next delivery waiting behind it
+   * @param {Object} delivery - Completed or discarded head delivery
+   * @returns {Promise<void>}
+   */
+  async releaseOrderingHead (delivery) {
+    const key = delivery.orderingKey;
+    if (this.orderingHeads.get(key)?.id !== delivery.id) {
+      return;
+    }
+
+    const waiting = this.orderingWaiting.get(key) || [];
+    const next = waiting.shift();
+
+    if (waiting.length === 0) {
+      this.orderingWaiting.delete(key);
+    }
+
+    if (!next) {
+      this.orderingHeads.delete(key);
+      return;
+    }
+
+    this.orderingHeads.set(key, next);
+    this.priorityQueues.get(next.priority).push(next);
+  }
+
+  /**
+   * Discard a dead-lettered delivery that blocks the ordered deliveries waiting behind it
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<boolean>} - Whether a blocking delivery was discarded
+   */
+  async skipBlockedDelivery (deliveryId) {
+    const head = [...this.orderingHeads.values()]
+      .find(delivery => delivery.id === deliveryId && delivery.status === 'dead-lettered');
+
+    if (!head) {
+      return false;
+    }
+
+    this.deadLetterQueue = this.deadLetterQueue.filter(delivery => delivery !== head);
+    await this.releaseOrderingHead(head);
+
+    logger.warn(`Skipped dead-lettered delivery ${deliveryId}, releasing ordering key ${head.orderingKey}`);
+    this.emit('ordering-skipped', head);
+
+    return true;
+  }
+
+  /**
+   * Get ordering keys of a webhook whose head delivery failed and holds back later deliveries
+   * @param {string} webhookId - Webhook ID
+   * @returns {Array|Promise<Array>} - Stalled ordering keys, a promise for persistent queues
+   */
+  getOrderingStatus (webhookId) {
+    const stalled = [];
+
+    for (const [key, head] of this.orderingHeads.entries()) {
+      if (head.metadata?.webhookId === webhookId && head.lastError) {
+        stalled.push(this.describeOrderingHead(head, this.orderingWaiting.get(key)?.length || 0));
+      }
+    }
+
+    return stalled;
+  }
+
+  /**
+   * Describe the head of an ordering key
+   * @param {Object} head - Head delivery
+   * @param {number} waiting - Deliveries waiting behind the head
+   * @returns {Object} - Ordering key state
+   */
+  describeOrderingHead (head, waiting) {
+    return {
+      key: head.orderingKey,
+      state: head.status === 'dead-lettered' ? 'blocked' : 'retrying',
+      waiting,
+      head: {
+        deliveryId: head.id,
+        eventId: head.metadata?.eventId || null,
+        eventType: head.metadata?.eventType || null,
+        attempts: head.attempts,
+        lastError: head.lastError || null,
+        lastErrorAt: head.lastErrorAt || null,
+        scheduledFor: head.status === 'dead-lettered' ? null : head.scheduledFor,
+        deadLetteredAt: head.deadLetteredAt || null
+      }
+    };
+  }
+
   /**
    * Process deliveries from queue
    */
@@ -180,13 +395,20 @@ class DeliveryQueueService extends EventEmitter {
     if (!this.isRunning) return;
 
     try {
-      // Check if we can process more deliveries
-      if (this.processing.size >= this.maxConcurrentDeliveries) {
+      // Check if we can process more deliveries, counting claims still in flight
+      if (this.processing.size + this.claiming >= this.maxConcurrentDeliveries) {
         return;
       }
 
-      // Get next delivery from priority queues
-      const delivery = this.getNextDelivery();
+      // Get next delivery from priority queues, persistent queues claim it asynchronously
+      let delivery;
+      this.claiming++;
+      try {
+        delivery = await this.getNextDelivery();
+      } finally {
+        this.claiming--;
+      }
+
       if (!delivery) {
         return;
       }
@@ -202,6 +424,17 @@ class DeliveryQueueService extends EventEmitter {
       // Mark as processing
       this.processing.set(delivery.id, delivery);
 
+      // Batched deliveries go out together with the rest of their batch
+      if (delivery.batch) {
+        const companions = await this.claimBatchCompanions(delivery);
+        for (const companion of companions) {
+          this.processing.set(companion.id, companion);
+        }
+
+        await this.processBatch([delivery, ...companions]);
+        return;
+      }
+
       // Process delivery
       await this.processDelivery(delivery);
     } catch (error) {
@@ -232,11 +465,8 @@ class DeliveryQueueService extends EventEmitter {
     const startTime = Date.now();
 
     try {
-      logger.debug(`Processing delivery ${delivery.id} (attempt ${delivery.attempts + 1}/${delivery.maxAttempts})`);
-
-      // Increment attempt count
-      delivery.attempts++;
-      delivery.lastAttemptAt = new Date();
+      this.startAttempt(delivery);
+      logger.debug(`Processing delivery ${delivery.id} (attempt ${delivery.attempts}/${delivery.maxAttempts})`);
 
       // Emit processing event
       this.emit('delivery-processing', delivery);
@@ -266,26 +496,105 @@ class DeliveryQueueService extends EventEmitter {
     }
   }
 
+  /**
+   * Count a delivery attempt as it starts
+   * @param {Object} delivery - Delivery object
+   */
+  startAttempt (delivery) {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date();
+  }
+
+  /**
+   * Process deliveries sent together in one batch, settling each delivery on its own result
+   * @param {Array} deliveries - Deliveries of the batch
+   * @returns {Promise<void>}
+   */
+  async processBatch (deliveries) {
+    const startTime = Date.now();
+
+    // Consumers receive the events of a batch in the order they were queued
+    deliveries.sort((a, b) => a.sequence - b.sequence);
+
+    try {
+      logger.debug(`Processing batch of ${deliveries.length} deliveries for ${deliveries[0].batch.key}`);
+
+      for (const delivery of deliveries) {
+        this.startAttempt(delivery);
+        this.emit('delivery-processing', delivery);
+      }
+
+      const results = await this.attemptBatch(deliveries);
+
+      for (const delivery of deliveries) {
+        const result = results[delivery.id] || { success: false, error: 'No result for delivery in batch' };
+
+        if (result.success) {
+          await this.handleDeliverySuccess(delivery, result);
+        } else {
+          await this.handleDeliveryFailure(delivery, result);
+        }
+      }
+
+      this.stats.processingTimes.push(Date.now() - startTime);
+      if (this.stats.processingTimes.length > 1000) {
+        this.stats.processingTimes.shift();
+      }
+    } catch (error) {
+      logger.error(`Error processing batch of ${deliveries.length} deliveries:`, error);
+
+      for (const delivery of deliveries) {
+        await this.handleDeliveryError(delivery, error);
+      }
+    } finally {
+      for (const delivery of deliveries) {
+        this.processing.delete(delivery.id);
+      }
+    }
+  }
+
+  /**
+   * Attempt a batch delivery
+   * @param {Array} deliveries - Deliveries of the batch
+   * @returns {Promise<Object>} - Delivery results by delivery ID
+   */
+  async attemptBatch (deliveries) {
+    const timeout = { success: false, error: 'Delivery attempt timeout', statusCode: 408 };
+
+    // Emit batch attempt event for external processing
+    return this.waitForAttempt('batch-attempt', deliveries,
+      () => Object.fromEntries(deliveries.map(delivery => [delivery.id, timeout])));
+  }
+
   /**
    * Attempt delivery
    * @param {Object} delivery - Delivery to attempt
    * @returns {Object} - Delivery result
    */
   async attemptDelivery (delivery) {
+    // Emit delivery attempt event for external processing
+    return this.waitForAttempt('delivery-attempt', delivery, () => ({
+      success: false,
+      error: 'Delivery attempt timeout',
+      statusCode: 408
+    }));
+  }
+
+  /**
+   * Emit an attempt event and wait for its callback, up to the attempt timeout
+   * @param {string} event - Attempt event
+   * @param {Object|Array} attempt - Delivery or deliveries of a batch
+   * @param {Function} onTimeout - Returns the result of an attempt that timed out
+   * @returns {Promise<Object>} - Result passed to the callback
+   */
+  waitForAttempt (event, attempt, onTimeout) {
     return new Promise((resolve) => {
-      // Emit delivery attempt event for external processing
-      this.emit('delivery-attempt', delivery, (result) => {
+      const timer = setTimeout(() => resolve(onTimeout()), this.attemptTimeout);
+
+      this.emit(event, attempt, (result) => {
+        clearTimeout(timer);
         resolve(result);
       });
-
-      // Set timeout for delivery attempt
-      setTimeout(() => {
-        resolve({
-          success: false,
-          error: 'Delivery attempt timeout',
-          statusCode: 408
-        });
-      }, 30000); // 30 second timeout
     });
   }
 
@@ -303,6 +612,10 @@ class DeliveryQueueService extends EventEmitter {
       // Update statistics
       this.stats.totalProcessed++;
 
+      if (delivery.orderingKey) {
+        await this.releaseOrderingHead(delivery);
+      }
+
       logger.info(`Delivery ${delivery.id} completed successfully`);
       this.emit('delivery-completed', delivery, result);
     } catch (error) {
@@ -321,7 +634,7 @@ class DeliveryQueueService extends EventEmitter {
       delivery.lastErrorAt = new Date();
 
       // Check if we should retry
-      if (delivery.attempts < delivery.maxAttempts) {
+      if (delivery.attempts < delivery.maxAttempts && this.isRetryable(result)) {
         await this.scheduleRetry(delivery);
       } else {
         await this.moveToDeadLetterQueue(delivery, result);
@@ -331,10 +644,21 @@ class DeliveryQueueService extends EventEmitter {
     }
   }
 
+  /**
+   * Check whether a failed attempt may succeed when retried. Receiver responses are
+   * retried until the attempts run out, failures before the receiver was called,
+   * like a blocked address or a rejected token request, are final when marked so
+   * @param {Object} result - Delivery result
+   * @returns {boolean} - Whether to retry
+   */
+  isRetryable (result) {
+    return !(result.errorType && result.retryable === false);
+  }
+
   /**
    * Handle delivery error
    * @param {Object} delivery - Delivery object
-   * @param {Error} error - Error object
+   * @param {Error & { retryable?: boolean }} error - Error object, `retryable: false` when retrying cannot help
    */
   async handleDeliveryError (delivery, error) {
     try {
@@ -342,7 +666,7 @@ class DeliveryQueueService extends EventEmitter {
       delivery.lastErrorAt = new Date();
 
       // Check if we should retry
-      if (delivery.attempts < delivery.maxAttempts) {
+      if (delivery.attempts < delivery.maxAttempts && error.retryable !== false) {
         await this.scheduleRetry(delivery);
       } else {
         await this.moveToDeadLetterQueue(delivery, { error: error.message });
@@ -412,16 +736,27 @@ class DeliveryQueueService extends EventEmitter {
       this.stats.totalDeadLettered++;
 
       logger.warn(`Moved delivery ${delivery.id} to dead letter queue after ${delivery.attempts} attempts`);
+      this.warnIfBlocking(delivery);
       this.emit('delivery-dead-lettered', delivery, result);
     } catch (error) {
       logger.error(`Error moving delivery ${delivery.id} to dead letter queue:`, error);
     }
   }
 
+  /**
+   * Warn that a dead-lettered ordered delivery holds back the deliveries behind it
+   * @param {Object} delivery - Dead-lettered delivery
+   */
+  warnIfBlocking (delivery) {
+    if (delivery.orderingKey) {
+      logger.warn(`Ordering key ${delivery.orderingKey} is blocked until delivery ${delivery.id} is retried or skipped`);
+    }
+  }
+
   /**
    * Retry delivery from dead letter queue
    * @param {string} deliveryId - Delivery ID
-   * @returns {boolean} - Success status
+   * @returns {Promise<boolean>} - Success status
    */
   async retryDeadLetteredDelivery (deliveryId) {
     try {
@@ -500,13 +835,25 @@ class DeliveryQueueService extends EventEmitter {
    * @returns {number} - Total queue size
    */
   getTotalQueueSize () {
-    let total = 0;
+    let total = this.getWaitingCount();
     for (const queue of this.priorityQueues.values()) {
       total += queue.length;
     }
     return total;
   }
 
+  /**
+   * Get the number of ordered deliveries waiting behind the head of their ordering key
+   * @returns {number} - Waiting deliveries
+   */
+  getWaitingCount () {
+    let waiting = 0;
+    for (const deliveries of this.orderingWaiting.values()) {
+      waiting += deliveries.length;
+    }
+    return waiting;
+  }
+
   /**
    * Get queue status
    * @returns {Object} - Queue status
@@ -521,6 +868,7 @@ class DeliveryQueueService extends EventEmitter {
       isRunning: this.isRunning,
       totalQueued: this.getTotalQueueSize(),
       processing: this.processing.size,
+      waiting: this.getWaitingCount(),
       deadLetterQueue: this.deadLetterQueue.length,
       queueSizes,
       maxQueueSize: this.maxQueueSize,
@@ -550,7 +898,7 @@ class DeliveryQueueService extends EventEmitter {
   /**
    * Get deliveries by status
    * @param {string} status - Status to filter by
-   * @returns {Array} - Filtered deliveries
+   * @returns {Array|Promise<Array>} - Filtered deliveries, a promise for persistent queues
    */
   getDeliveriesByStatus (status) {
     const deliveries = [];
@@ -581,10 +929,18 @@ class DeliveryQueueService extends EventEmitter {
 
   /**
    * Clear dead letter queue
-   * @returns {number} - Number of cleared deliveries
+   * @returns {number|Promise<number>} - Number of cleared deliveries, a promise for persistent queues
    */
   clearDeadLetterQueue () {
     const count = this.deadLetterQueue.length;
+
+    // Cleared ordered deliveries no longer hold back the deliveries behind them
+    for (const delivery of this.deadLetterQueue) {
+      if (delivery.orderingKey) {
+        this.releaseOrderingHead(delivery);
+      }
+    }
+
     this.deadLetterQueue.length = 0;
     logger.info(`Cleared ${count} deliveries from dead letter queue`);
     return count;
@@ -609,10 +965,10 @@ class DeliveryQueueService extends EventEmitter {
       const now = new Date();
       const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
-      // Clean up old deliveries from dead letter queue
+      // Clean up old deliveries from dead letter queue, keeping those that block ordered deliveries
       const beforeCount = this.deadLetterQueue.length;
       this.deadLetterQueue = this.deadLetterQueue.filter(delivery => {
-        return (now - delivery.deadLetteredAt) < maxAge;
+        return (now - delivery.deadLetteredAt) < maxAge || this.orderingHeads.get(delivery.orderingKey) === delivery;
       });
 
       const cleaned = beforeCount - this.deadLetterQueue.length;
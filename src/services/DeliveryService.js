@@ -8,11 +8,30 @@ const http = require('http');
 const crypto = require('crypto');
 const { URL } = require('url');
 const logger = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+const EgressPolicy = require('../utils/egress');
+const Tracing = require('../utils/tracing');
+const {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_SERVER_ADDRESS,
+  ATTR_SERVER_PORT,
+  ATTR_URL_FULL
+} = require('@opentelemetry/semantic-conventions');
+const OAuthTokenService = require('./OAuthTokenService');
 
 class DeliveryService {
-  constructor (databaseService, config) {
+  constructor (databaseService, config, services = {}) {
     this.db = databaseService;
     this.config = config;
+    // Ed25519 keys for webhooks using the 'ed25519' signature scheme
+    this.signingKeys = services.signingKeys || null;
+    // Decrypts webhook secrets and headers stored encrypted
+    this.encryption = services.encryption || null;
+    // Blocks connections to private networks, checked when connecting to defeat DNS rebinding
+    this.egressPolicy = services.egressPolicy || new EgressPolicy(config.egress);
+    // Access tokens of webhooks authenticating with OAuth2 client credentials
+    this.oauthTokens = services.oauthTokens || new OAuthTokenService(config, this.egressPolicy);
     this.stats = {
       pending: 0,
       processing: 0,
@@ -69,12 +88,19 @@ class DeliveryService {
       });
 
       // Prepare request
+      this.egressPolicy.assertUrl(webhook.url);
       const requestOptions = this.prepareRequest(webhook, payload);
       const requestBody = JSON.stringify(payload);
+      await this.authorizeRequest(requestOptions, webhook);
 
       // Perform HTTP request
       const result = await this.performHttpRequest(requestOptions, requestBody);
 
+      // A rejected token may have been revoked before it expired, the next attempt fetches a new one
+      if (result.statusCode === 401 && webhook.auth?.type === 'oauth2_client_credentials') {
+        this.oauthTokens.invalidate(webhook.auth);
+      }
+
       // Handle response
       const deliveryResult = this.handleDeliveryResult(result, webhook, payload, attempt);
 
@@ -97,6 +123,22 @@ class DeliveryService {
         deliveryId
       };
 
+      // The receiver was never called, so there is no status code of its own to report
+      if (error.code === 'TOKEN_FETCH_FAILED') {
+        Object.assign(deliveryResult, {
+          statusCode: null,
+          errorType: 'TOKEN_FETCH_FAILED',
+          tokenEndpointStatus: error.tokenEndpointStatus,
+          retryable: error.retryable
+        });
+      } else if (error.code === 'EGRESS_BLOCKED') {
+        Object.assign(deliveryResult, {
+          statusCode: null,
+          errorType: 'EGRESS_BLOCKED',
+          retryable: false
+        });
+      }
+
       // Update statistics
       this.updateStats(deliveryResult, Date.now() - startTime);
 
@@ -111,41 +153,208 @@ class DeliveryService {
   }
 
   /**
-   * Prepare HTTP request options
+   * Deliver several events to a webhook in one request
+   * A 2xx response acknowledges the whole batch. Consumers that could not process
+   * some events list them in a `failed` array of the response body, as event IDs
+   * or `{ id, error }` objects, and only those events are retried
    * @param {Object} webhook - Webhook configuration
+   * @param {Array<Object>} payloads - Payloads to deliver
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object>} - Delivery result, with the result of every event ID in `events`
+   */
+  async deliverBatch (webhook, payloads, attempt = 1) {
+    const envelope = this.createBatchEnvelope(payloads);
+    const result = await this.deliverWebhook(webhook, envelope, attempt);
+
+    return {
+      ...result,
+      batchId: envelope.id,
+      events: this.getBatchEventResults(result, payloads)
+    };
+  }
+
+  /**
+   * Wrap payloads in a batch envelope
+   * @param {Array<Object>} payloads - Payloads to deliver
+   * @returns {Object} - Batch envelope
+   */
+  createBatchEnvelope (payloads) {
+    return {
+      id: `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      event: 'batch',
+      timestamp: new Date().toISOString(),
+      count: payloads.length,
+      events: payloads
+    };
+  }
+
+  /**
+   * Split a batch delivery result into a result per event
+   * @param {Object} result - Batch delivery result
+   * @param {Array<Object>} payloads - Delivered payloads
+   * @returns {Object} - Event results by event ID
+   */
+  getBatchEventResults (result, payloads) {
+    const failed = new Map();
+
+    if (result.success && result.body) {
+      try {
+        const body = JSON.parse(result.body);
+        for (const entry of Array.isArray(body?.failed) ? body.failed : []) {
+          const id = typeof entry === 'string' ? entry : entry?.id;
+          failed.set(id, (typeof entry === 'object' && entry.error) || 'Rejected by consumer');
+        }
+      } catch (error) {
+        // Responses that are not JSON acknowledge the whole batch
+      }
+    }
+
+    const events = {};
+    for (const payload of payloads) {
+      if (!result.success) {
+        events[payload.id] = { success: false, error: result.error, statusCode: result.statusCode };
+      } else if (failed.has(payload.id)) {
+        events[payload.id] = { success: false, error: failed.get(payload.id), statusCode: result.statusCode };
+      } else {
+        events[payload.id] = { success: true, statusCode: result.statusCode };
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Prepare HTTP request options
+   * @param {Object} storedWebhook - Webhook configuration, with secrets as stored
    * @param {Object} payload - Payload to deliver
    * @returns {Object} - Request options
    */
-  prepareRequest (webhook, payload) {
+  prepareRequest (storedWebhook, payload) {
+    const webhook = this.openWebhook(storedWebhook);
     const url = new URL(webhook.url);
-    const isHttps = url.protocol === 'https:';
+    const timestamp = Math.floor(Date.now() / 1000).toString();
 
     const headers = {
       'Content-Type': 'application/json',
       'User-Agent': this.userAgent,
       'X-Huly-Webhook-Id': webhook._id,
-      'X-Huly-Webhook-Timestamp': Math.floor(Date.now() / 1000).toString(),
+      'X-Huly-Webhook-Timestamp': timestamp,
       'X-Huly-Webhook-Event': payload.event,
       ...webhook.headers
     };
 
-    // Add HMAC signature if secret is provided
-    if (webhook.secret) {
-      const signature = this.generateSignature(JSON.stringify(payload), webhook.secret);
-      headers['X-Huly-Webhook-Signature'] = signature;
+    if (webhook.auth?.type === 'basic') {
+      const credentials = Buffer.from(`${webhook.auth.username}:${webhook.auth.password}`).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    const body = JSON.stringify(payload);
+    const messageId = payload.id || `msg_${crypto.randomUUID()}`;
+
+    if (webhook.signatureScheme === 'ed25519') {
+      // Asymmetric signature, verified with the public key published in the JWKS
+      if (!this.signingKeys) {
+        throw new Error('Ed25519 signing is not available');
+      }
+
+      const { kid, signature } = this.signingKeys.sign(`${messageId}.${timestamp}.${body}`);
+      headers['webhook-id'] = messageId;
+      headers['webhook-timestamp'] = timestamp;
+      headers['webhook-signature'] = `v1a,${signature}`;
+      headers['webhook-key-id'] = kid;
+
+      return this.createRequestOptions(url, headers, webhook.auth);
+    }
+
+    // Sign with every active secret, so consumers keep verifying during a secret rotation
+    const secrets = this.getSigningSecrets(webhook);
+    if (secrets.length === 0) {
+      return this.createRequestOptions(url, headers, webhook.auth);
+    }
+
+    if (webhook.signatureScheme === 'standard') {
+      // Standard Webhooks: the message ID and timestamp are signed with the body,
+      // so a captured request cannot be replayed with a fresh timestamp
+      headers['webhook-id'] = messageId;
+      headers['webhook-timestamp'] = timestamp;
+      headers['webhook-signature'] = secrets
+        .map(secret => CryptoUtils.generateStandardWebhookSignature(messageId, timestamp, body, secret))
+        .join(' ');
+    } else {
+      headers['X-Huly-Webhook-Signature'] = secrets
+        .map(secret => this.generateSignature(body, secret))
+        .join(',');
     }
 
+    return this.createRequestOptions(url, headers, webhook.auth);
+  }
+
+  /**
+   * Build HTTP request options for a webhook URL
+   * @param {URL} url - Webhook URL
+   * @param {Object} headers - Request headers
+   * @param {Object|null} auth - Decrypted auth configuration of the webhook
+   * @returns {Object} - Request options
+   */
+  createRequestOptions (url, headers, auth = null) {
     return {
       hostname: url.hostname,
-      port: url.port || (isHttps ? 443 : 80),
+      port: url.port || (url.protocol === 'https:' ? 443 : 80),
       path: url.pathname + url.search,
       method: 'POST',
       headers,
       timeout: this.httpTimeout,
-      protocol: url.protocol
+      protocol: url.protocol,
+      lookup: this.egressPolicy.lookup,
+      // Client certificate presented to receivers requiring mutual TLS
+      ...(auth?.type === 'mtls' && {
+        cert: auth.certificate,
+        key: auth.privateKey,
+        passphrase: auth.passphrase,
+        ca: auth.ca
+      })
     };
   }
 
+  /**
+   * Add the access token of a webhook authenticating with OAuth2 client credentials
+   * @param {Object} options - Request options
+   * @param {Object} storedWebhook - Webhook configuration, with secrets as stored
+   */
+  async authorizeRequest (options, storedWebhook) {
+    if (storedWebhook.auth?.type !== 'oauth2_client_credentials') {
+      return;
+    }
+
+    const { auth } = this.openWebhook(storedWebhook);
+    const token = await this.oauthTokens.getToken(auth);
+    options.headers.Authorization = `Bearer ${token}`;
+  }
+
+  /**
+   * Decrypt the secrets of a stored webhook
+   * @param {Object} storedWebhook - Webhook configuration, with secrets as stored
+   * @returns {Object} - Webhook configuration with plaintext secrets
+   */
+  openWebhook (storedWebhook) {
+    return this.encryption ? this.encryption.decryptWebhook(storedWebhook) : storedWebhook;
+  }
+
+  /**
+   * Get the secrets deliveries are signed with: the current secret followed by
+   * previous secrets whose rotation window has not expired
+   * @param {Object} webhook - Webhook configuration
+   * @param {Date} now - Reference time
+   * @returns {Array<string>} - Active secrets
+   */
+  getSigningSecrets (webhook, now = new Date()) {
+    const previous = (webhook.previousSecrets || [])
+      .filter(entry => entry.expiresAt && new Date(entry.expiresAt) > now)
+      .map(entry => entry.secret);
+
+    return [webhook.secret, ...previous].filter(Boolean);
+  }
+
   /**
    * Generate HMAC signature for payload
    * @param {string} payload - Payload string
@@ -165,55 +374,78 @@ class DeliveryService {
    * @returns {Promise<Object>} - Response data
    */
   async performHttpRequest (options, body) {
-    return new Promise((resolve, reject) => {
-      const client = options.protocol === 'https:' ? https : http;
+    const port = options.port ? `:${options.port}` : '';
+
+    return Tracing.withSpan(options.method || 'POST', {
+      kind: Tracing.SpanKind.CLIENT,
+      attributes: {
+        [ATTR_HTTP_REQUEST_METHOD]: options.method || 'POST',
+        // The query string is left out, it may carry credentials
+        [ATTR_URL_FULL]: `${options.protocol}//${options.hostname}${port}${String(options.path || '/').split('?')[0]}`,
+        [ATTR_SERVER_ADDRESS]: options.hostname,
+        [ATTR_SERVER_PORT]: Number(options.port) || (options.protocol === 'https:' ? 443 : 80)
+      }
+    }, async (span) => {
+      // Receivers continue the trace from the W3C traceparent header
+      Tracing.injectHeaders(options.headers || (options.headers = {}));
 
-      const req = client.request(options, (res) => {
-        let responseData = '';
-        let responseSize = 0;
+      const result = await new Promise((resolve, reject) => {
+        const client = options.protocol === 'https:' ? https : http;
 
-        res.on('data', (chunk) => {
-          responseSize += chunk.length;
+        const req = client.request(options, (res) => {
+          let responseData = '';
+          let responseSize = 0;
 
-          // Check response size limit
-          if (responseSize > this.maxPayloadSize) {
-            req.destroy();
-            reject(new Error('Response size exceeds limit'));
-            return;
-          }
+          res.on('data', (chunk) => {
+            responseSize += chunk.length;
 
-          responseData += chunk;
-        });
+            // Check response size limit
+            if (responseSize > this.maxPayloadSize) {
+              req.destroy();
+              reject(new Error('Response size exceeds limit'));
+              return;
+            }
+
+            responseData += chunk;
+          });
+
+          res.on('end', () => {
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: responseData,
+              size: responseSize
+            });
+          });
 
-        res.on('end', () => {
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: responseData,
-            size: responseSize
+          res.on('error', (error) => {
+            reject(error);
           });
         });
 
-        res.on('error', (error) => {
+        req.on('error', (error) => {
           reject(error);
         });
-      });
 
-      req.on('error', (error) => {
-        reject(error);
-      });
+        req.on('timeout', () => {
+          req.destroy();
+          reject(new Error('Request timeout'));
+        });
+
+        // Write request body
+        if (body) {
+          req.write(body);
+        }
 
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
+        req.end();
       });
 
-      // Write request body
-      if (body) {
-        req.write(body);
+      span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, result.statusCode);
+      if (result.statusCode >= 400) {
+        span.setStatus({ code: Tracing.SpanStatusCode.ERROR });
       }
 
-      req.end();
+      return result;
     });
   }
 
@@ -333,13 +565,14 @@ class DeliveryService {
       this.stats.failed++;
 
       // Track error counts
-      const errorType = result.statusCode ? `HTTP_${result.statusCode}` : 'UNKNOWN';
+      const errorType = result.errorType || (result.statusCode ? `HTTP_${result.statusCode}` : 'UNKNOWN');
       this.stats.errorCounts[errorType] = (this.stats.errorCounts[errorType] || 0) + 1;
 
       // Track recent errors
       this.stats.recentErrors.push({
         timestamp: new Date(),
         error: result.error,
+        errorType: result.errorType,
         statusCode: result.statusCode,
         attempt: result.attempt
       });
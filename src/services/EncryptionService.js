@@ -0,0 +1,232 @@
+/**
+ * Encryption Service for Huly Webhook Service
+ * Envelope encryption of webhook secrets, sensitive headers, delivery
+ * credentials and signing keys at rest. Every
+ * webhook has its own data key, stored wrapped with the master key from config,
+ * so rotating the master key only re-wraps the data keys
+ */
+
+const crypto = require('crypto');
+const CryptoUtils = require('../utils/crypto');
+
+const PREFIX = 'enc:v1:';
+
+// Headers whose values are encrypted at rest and masked in API responses
+const SENSITIVE_HEADER = /auth|cookie|token|secret|passw|credential|signature|api[-_]?key/i;
+
+// Fields of the webhook `auth` configuration that are encrypted at rest
+const SENSITIVE_AUTH_FIELDS = ['password', 'clientSecret', 'privateKey', 'passphrase'];
+
+class EncryptionService {
+  constructor (config) {
+    const masterKeys = [config.encryption?.key, ...(config.encryption?.previousKeys || [])].filter(Boolean);
+    if (masterKeys.length === 0) {
+      throw new Error('An encryption key is required to store webhook secrets');
+    }
+
+    // The first key encrypts, previous keys still decrypt records not re-encrypted yet
+    this.keys = new Map();
+    for (const masterKey of masterKeys) {
+      const key = crypto.createHash('sha256').update(masterKey).digest();
+      this.keys.set(this.getKeyId(key), key);
+    }
+
+    this.currentKeyId = this.keys.keys().next().value;
+  }
+
+  /**
+   * Get the ID a master key is referenced by in stored records
+   * @param {Buffer} key - Master key
+   * @returns {string} - Key ID
+   */
+  getKeyId (key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * Check whether a header holds credentials
+   * @param {string} name - Header name
+   * @returns {boolean} - Whether the header value is sensitive
+   */
+  isSensitiveHeader (name) {
+    return SENSITIVE_HEADER.test(name);
+  }
+
+  /**
+   * Check whether a stored value is encrypted
+   * @param {*} value - Stored value
+   * @returns {boolean} - Whether the value is encrypted
+   */
+  isEncrypted (value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Encrypt a value
+   * @param {string} value - Plaintext
+   * @param {Buffer} key - Encryption key
+   * @returns {string} - Encrypted value
+   */
+  seal (value, key) {
+    const { encrypted, iv, authTag } = CryptoUtils.encrypt(value, key);
+    return `${PREFIX}${iv}:${authTag}:${encrypted}`;
+  }
+
+  /**
+   * Decrypt a value
+   * @param {string} value - Encrypted value
+   * @param {Buffer} key - Encryption key
+   * @returns {string} - Plaintext
+   */
+  open (value, key) {
+    const [iv, authTag, encrypted] = value.substring(PREFIX.length).split(':');
+    return CryptoUtils.decrypt(encrypted, key, iv, authTag);
+  }
+
+  /**
+   * Wrap a data key with the current master key
+   * @param {Buffer} dataKey - Data key
+   * @returns {{ keyId: string, dataKey: string }} - Encryption block stored on the record
+   */
+  wrapDataKey (dataKey) {
+    return {
+      keyId: this.currentKeyId,
+      dataKey: this.seal(dataKey.toString('base64'), this.keys.get(this.currentKeyId))
+    };
+  }
+
+  /**
+   * Unwrap the data key of a record
+   * @param {{ keyId: string, dataKey: string }} encryption - Encryption block stored on the record
+   * @returns {Buffer} - Data key
+   */
+  unwrapDataKey (encryption) {
+    const masterKey = this.keys.get(encryption.keyId);
+    if (!masterKey) {
+      throw new Error(`Encryption key ${encryption.keyId} is not configured`);
+    }
+
+    return Buffer.from(this.open(encryption.dataKey, masterKey), 'base64');
+  }
+
+  /**
+   * Encrypt the sensitive fields present on a webhook or partial update. Values
+   * that are already encrypted are kept, so stored and new values can be mixed
+   * @param {Object} webhook - Webhook document or fields to store
+   * @returns {Object} - Copy with encrypted fields and the `encryption` block
+   */
+  encryptWebhook (webhook) {
+    const dataKey = webhook.encryption ? this.unwrapDataKey(webhook.encryption) : crypto.randomBytes(32);
+    const seal = (value) => value && !this.isEncrypted(value) ? this.seal(value, dataKey) : value;
+
+    return this.mapSensitiveFields({
+      ...webhook,
+      encryption: webhook.encryption || this.wrapDataKey(dataKey)
+    }, seal);
+  }
+
+  /**
+   * Decrypt the sensitive fields of a stored webhook. Records stored before
+   * encryption was enabled are returned as they are
+   * @param {Object} webhook - Webhook document
+   * @returns {Object} - Copy with plaintext fields
+   */
+  decryptWebhook (webhook) {
+    if (!webhook?.encryption) {
+      return webhook;
+    }
+
+    const dataKey = this.unwrapDataKey(webhook.encryption);
+    return this.mapSensitiveFields(webhook, (value) => this.isEncrypted(value) ? this.open(value, dataKey) : value);
+  }
+
+  /**
+   * Get the fields that move a stored webhook to the current master key
+   * @param {Object} webhook - Webhook document
+   * @returns {Object|null} - Fields to update, or null when the webhook is up to date
+   */
+  reencryptWebhook (webhook) {
+    if (!webhook.encryption) {
+      const sealed = this.encryptWebhook(webhook);
+      return Object.fromEntries(['secret', 'previousSecrets', 'headers', 'auth', 'encryption']
+        .filter(field => sealed[field] !== undefined)
+        .map(field => [field, sealed[field]]));
+    }
+
+    if (webhook.encryption.keyId === this.currentKeyId) {
+      return null;
+    }
+
+    return { encryption: this.wrapDataKey(this.unwrapDataKey(webhook.encryption)) };
+  }
+
+  /**
+   * Encrypt the private half of a signing key with a data key of its own
+   * @param {string} privateKey - Private key as PEM
+   * @returns {{ privateKey: string, encryption: Object }} - Fields to store on the key
+   */
+  encryptSigningKey (privateKey) {
+    const dataKey = crypto.randomBytes(32);
+    return { privateKey: this.seal(privateKey, dataKey), encryption: this.wrapDataKey(dataKey) };
+  }
+
+  /**
+   * Decrypt the private half of a stored signing key
+   * @param {Object} key - Signing key document
+   * @returns {crypto.KeyObject} - Private key
+   */
+  decryptSigningKey (key) {
+    return crypto.createPrivateKey(this.open(key.privateKey, this.unwrapDataKey(key.encryption)));
+  }
+
+  /**
+   * Get the fields that move a stored signing key to the current master key
+   * @param {Object} key - Signing key document
+   * @returns {Object|null} - Fields to update, or null when the key is up to date
+   */
+  reencryptSigningKey (key) {
+    if (key.encryption.keyId === this.currentKeyId) {
+      return null;
+    }
+
+    return { encryption: this.wrapDataKey(this.unwrapDataKey(key.encryption)) };
+  }
+
+  /**
+   * Apply a function to the secret, previous secrets, sensitive header values
+   * and credentials of the auth configuration
+   * @param {Object} webhook - Webhook document
+   * @param {Function} fn - Maps a value
+   * @returns {Object} - Copy with mapped fields
+   */
+  mapSensitiveFields (webhook, fn) {
+    const result = { ...webhook };
+
+    if (webhook.secret !== undefined) {
+      result.secret = fn(webhook.secret);
+    }
+
+    if (webhook.previousSecrets) {
+      result.previousSecrets = webhook.previousSecrets.map(entry => ({ ...entry, secret: fn(entry.secret) }));
+    }
+
+    if (webhook.headers) {
+      result.headers = Object.fromEntries(Object.entries(webhook.headers).map(([name, value]) =>
+        [name, this.isSensitiveHeader(name) ? fn(value) : value]
+      ));
+    }
+
+    if (webhook.auth) {
+      result.auth = { ...webhook.auth };
+      for (const field of SENSITIVE_AUTH_FIELDS) {
+        if (webhook.auth[field] !== undefined) {
+          result.auth[field] = fn(webhook.auth[field]);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = EncryptionService;
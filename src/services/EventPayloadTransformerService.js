@@ -5,6 +5,8 @@
 
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
+const DiffUtils = require('../utils/diff');
 
 class EventPayloadTransformerService {
   constructor (config) {
@@ -85,8 +87,8 @@ class EventPayloadTransformerService {
     try {
       const basePayload = this.createBasePayload(changeEvent, eventDetails, webhook);
 
-      // Apply entity-specific transformation
-      const entityType = eventDetails.entityType;
+      // Apply entity-specific transformation, preferring the registered entity of the event type
+      const entityType = eventTypeRegistry.get(eventDetails.eventType)?.entityType || eventDetails.entityType;
       const transformer = this.transformers.get(entityType);
 
       if (transformer) {
@@ -121,11 +123,13 @@ class EventPayloadTransformerService {
   createBasePayload (changeEvent, eventDetails, _webhook) {
     const timestamp = new Date().toISOString();
     const eventId = this.generateEventId(changeEvent);
+    const registeredType = eventTypeRegistry.get(eventDetails.eventType);
 
-    return {
+    const payload = {
       id: eventId,
       event: eventDetails.eventType,
       timestamp,
+      workspace: changeEvent.workspace || null,
       version: this.defaultPayloadVersion,
       source: {
         service: 'huly-webhook-service',
@@ -143,9 +147,46 @@ class EventPayloadTransformerService {
       metadata: {
         resumeToken: changeEvent._id,
         wallTime: changeEvent.wallTime,
-        documentKey: changeEvent.documentKey
+        documentKey: changeEvent.documentKey,
+        schema: registeredType?.schemaId || null
       }
     };
+
+    if (changeEvent.operationType === 'update' || changeEvent.operationType === 'replace') {
+      payload.changes = this.extractChangedFields(changeEvent);
+      payload.metadata.preImage = this.getPreImageSource(changeEvent);
+    }
+
+    // Decoded Huly transactions describe who changed what, including previous values
+    if (changeEvent.huly) {
+      payload.metadata.transaction = {
+        id: changeEvent.huly.txId,
+        class: changeEvent.huly.txClass,
+        objectClass: changeEvent.huly.objectClass,
+        attachedTo: changeEvent.huly.attachedTo,
+        modifiedBy: changeEvent.huly.modifiedBy,
+        modifiedOn: changeEvent.huly.modifiedOn
+      };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Describe where the previous values in `changes` came from
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {string|null} - 'transactions', 'changeStream', 'snapshot' or null when unknown
+   */
+  getPreImageSource (changeEvent) {
+    if (changeEvent.huly) {
+      return 'transactions';
+    }
+
+    if (changeEvent.preImageSource) {
+      return changeEvent.preImageSource;
+    }
+
+    return changeEvent.fullDocumentBeforeChange ? 'changeStream' : null;
   }
 
   /**
@@ -246,8 +287,8 @@ class EventPayloadTransformerService {
     }
 
     // Add changed fields for updates
-    if (changeEvent.updateDescription) {
-      issueData.changes = this.extractChangedFields(changeEvent.updateDescription);
+    if (changeEvent.updateDescription || changeEvent.operationType === 'replace') {
+      issueData.changes = this.extractChangedFields(changeEvent);
     }
 
     return this.applyFieldTransformers(issueData);
@@ -300,8 +341,8 @@ class EventPayloadTransformerService {
     }
 
     // Add changed fields for updates
-    if (changeEvent.updateDescription) {
-      projectData.changes = this.extractChangedFields(changeEvent.updateDescription);
+    if (changeEvent.updateDescription || changeEvent.operationType === 'replace') {
+      projectData.changes = this.extractChangedFields(changeEvent);
     }
 
     return this.applyFieldTransformers(projectData);
@@ -346,8 +387,8 @@ class EventPayloadTransformerService {
     }
 
     // Add changed fields for updates
-    if (changeEvent.updateDescription) {
-      userData.changes = this.extractChangedFields(changeEvent.updateDescription);
+    if (changeEvent.updateDescription || changeEvent.operationType === 'replace') {
+      userData.changes = this.extractChangedFields(changeEvent);
     }
 
     return this.applyFieldTransformers(userData);
@@ -401,8 +442,8 @@ class EventPayloadTransformerService {
     }
 
     // Add changed fields for updates
-    if (changeEvent.updateDescription) {
-      taskData.changes = this.extractChangedFields(changeEvent.updateDescription);
+    if (changeEvent.updateDescription || changeEvent.operationType === 'replace') {
+      taskData.changes = this.extractChangedFields(changeEvent);
     }
 
     return this.applyFieldTransformers(taskData);
@@ -635,26 +676,17 @@ class EventPayloadTransformerService {
   }
 
   /**
-   * Extract changed fields from update description
-   * @param {Object} updateDescription - MongoDB update description
+   * Extract changed fields as `{ path: { from, to } }` pairs, diffing against the
+   * pre-image when one is available
+   * @param {Object} changeEvent - MongoDB change stream event
    * @returns {Object} - Changed fields
    */
-  extractChangedFields (updateDescription) {
-    const changes = {};
-
-    if (updateDescription.updatedFields) {
-      changes.updated = updateDescription.updatedFields;
-    }
-
-    if (updateDescription.removedFields && updateDescription.removedFields.length > 0) {
-      changes.removed = updateDescription.removedFields;
-    }
-
-    if (updateDescription.truncatedArrays && updateDescription.truncatedArrays.length > 0) {
-      changes.truncated = updateDescription.truncatedArrays;
+  extractChangedFields (changeEvent) {
+    if (changeEvent.huly?.changes) {
+      return changeEvent.huly.changes;
     }
 
-    return changes;
+    return DiffUtils.diffChangeEvent(changeEvent);
   }
 
   /**
@@ -0,0 +1,799 @@
+/**
+ * Event Pipeline Service for Huly Webhook Service
+ * Orchestrates change events through detection, routing, transformation,
+ * filtering, rate limiting and queued delivery
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const Webhook = require('../models/Webhook');
+const WebhookEvent = require('../models/WebhookEvent');
+const WorkspaceScope = require('../utils/workspace');
+const Tracing = require('../utils/tracing');
+
+class EventPipelineService extends EventEmitter {
+  constructor (config, services) {
+    super();
+    this.config = config;
+    this.webhookService = services.webhook;
+    this.eventTypeDetection = services.eventTypeDetection;
+    this.eventRouting = services.eventRouting;
+    this.eventFilter = services.eventFilter;
+    this.payloadTransformer = services.payloadTransformer;
+    this.deliveryQueue = services.deliveryQueue;
+    this.deliveryService = services.delivery;
+    this.circuitBreaker = services.circuitBreaker;
+    this.rateLimit = services.rateLimit;
+    this.deadLetterQueue = services.deadLetterQueue;
+    this.deliveryHistory = services.deliveryHistory;
+    this.eventStore = services.eventStore;
+    this.txDecoder = services.txDecoder;
+    this.snapshotStore = services.snapshotStore;
+
+    this.changeStream = null;
+    this.isRunning = false;
+
+    // Events and webhooks without a workspace belong to the default one
+    this.defaultWorkspace = config.workspaces?.default || WorkspaceScope.DEFAULT_WORKSPACE;
+
+    // Active webhooks are cached briefly to avoid a database round trip per event. Changes made
+    // through this process invalidate the cache at once. Changes made on other replicas or with
+    // the command-line tool are only seen once the cached webhooks are older than the TTL
+    this.webhookCacheTtl = config.pipeline?.webhookCacheTtl ?? 5000;
+    this.webhookCache = {
+      webhooks: null,
+      loadedAt: 0
+    };
+
+    this.stats = {
+      totalEvents: 0,
+      processedEvents: 0,
+      droppedEvents: 0,
+      duplicateEvents: 0,
+      failedEvents: 0,
+      deliveriesQueued: 0,
+      deliveriesSucceeded: 0,
+      deliveriesFailed: 0,
+      deliveriesFiltered: 0,
+      deliveriesRateLimited: 0,
+      stages: {}
+    };
+
+    // Bound handlers so they can be detached on stop
+    this.onChangeEvent = (changeEvent) => this.handleChangeEvent(changeEvent);
+    this.onDeliveryAttempt = (delivery, callback) => this.handleDeliveryAttempt(delivery, callback);
+    this.onBatchAttempt = (deliveries, callback) => this.handleBatchAttempt(deliveries, callback);
+    this.onDeliveryCompleted = (delivery, result) => this.handleDeliveryCompleted(delivery, result);
+    this.onDeliveryDeadLettered = (delivery, result) => this.handleDeliveryDeadLettered(delivery, result);
+    this.onDeadLetterRetry = (entry) => this.handleDeadLetterRetry(entry);
+    this.onWebhooksChanged = () => this.invalidateWebhookCache();
+  }
+
+  /**
+   * Start consuming change events
+   * @param {Object} changeStreamService - Change stream service emitting 'change' events
+   */
+  async start (changeStreamService) {
+    if (this.isRunning) {
+      logger.warn('Event pipeline is already running');
+      return;
+    }
+
+    logger.info('Starting event pipeline...');
+
+    this.changeStream = changeStreamService;
+    if (this.changeStream) {
+      this.changeStream.on('change', this.onChangeEvent);
+    }
+
+    // Webhooks changed through this instance are routed to from the next event on
+    this.webhookService.on('webhooks-changed', this.onWebhooksChanged);
+
+    this.deliveryQueue.on('delivery-attempt', this.onDeliveryAttempt);
+    this.deliveryQueue.on('batch-attempt', this.onBatchAttempt);
+    this.deliveryQueue.on('delivery-completed', this.onDeliveryCompleted);
+    this.deliveryQueue.on('delivery-dead-lettered', this.onDeliveryDeadLettered);
+
+    if (this.deadLetterQueue) {
+      this.deadLetterQueue.on('entry-retry', this.onDeadLetterRetry);
+    }
+
+    this.isRunning = true;
+    logger.info('Event pipeline started successfully');
+    this.emit('started');
+  }
+
+  /**
+   * Stop consuming change events
+   */
+  async stop () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    logger.info('Stopping event pipeline...');
+
+    if (this.changeStream) {
+      this.changeStream.removeListener('change', this.onChangeEvent);
+      this.changeStream = null;
+    }
+
+    this.webhookService.removeListener('webhooks-changed', this.onWebhooksChanged);
+
+    this.deliveryQueue.removeListener('delivery-attempt', this.onDeliveryAttempt);
+    this.deliveryQueue.removeListener('batch-attempt', this.onBatchAttempt);
+    this.deliveryQueue.removeListener('delivery-completed', this.onDeliveryCompleted);
+    this.deliveryQueue.removeListener('delivery-dead-lettered', this.onDeliveryDeadLettered);
+
+    if (this.deadLetterQueue) {
+      this.deadLetterQueue.removeListener('entry-retry', this.onDeadLetterRetry);
+    }
+
+    this.isRunning = false;
+    logger.info('Event pipeline stopped');
+    this.emit('stopped');
+  }
+
+  /**
+   * Handle change event emitted by the change stream
+   * @param {Object} changeEvent - MongoDB change stream event
+   */
+  async handleChangeEvent (changeEvent) {
+    try {
+      await this.processEvent(changeEvent);
+    } catch (error) {
+      logger.error('Error processing change event in pipeline:', error);
+    }
+  }
+
+  /**
+   * Run a change event through the pipeline
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} options - Processing options
+   * @param {Array} [options.webhooks] - Explicit target webhooks, bypassing routing
+   * @param {string} [options.eventId] - ID of an already stored event, skipping persistence
+   * @returns {Promise<Object>} - Processing summary
+   */
+  async processEvent (changeEvent, options = {}) {
+    return Tracing.withSpan('pipeline.process_event', {
+      attributes: { 'huly.event.id': options.eventId || undefined }
+    }, () => this.runEvent(changeEvent, options));
+  }
+
+  /**
+   * Run a change event through the stages of the pipeline, in the span of processEvent
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} options - Processing options, as for processEvent
+   * @returns {Promise<Object>} - Processing summary
+   */
+  async runEvent (changeEvent, options) {
+    this.stats.totalEvents++;
+
+    // Taken before any stage runs, so ordered deliveries follow the order of the change stream
+    const sequence = this.deliveryQueue.nextSequence();
+
+    // Events from other sources than the change stream are attributed to the default workspace
+    if (!changeEvent.workspace) {
+      changeEvent.workspace = this.defaultWorkspace;
+    }
+
+    const summary = {
+      eventId: options.eventId || null,
+      eventType: null,
+      workspace: changeEvent.workspace,
+      matched: 0,
+      queued: 0,
+      filtered: 0,
+      rateLimited: 0,
+      errors: 0,
+      deliveries: []
+    };
+
+    try {
+      // Stored events were decoded before they were persisted
+      if (this.txDecoder && !summary.eventId) {
+        changeEvent = await this.runStage('decoding', () => this.txDecoder.decodeChangeEvent(changeEvent));
+      }
+
+      // Stored events rebuild their pre-image from the recorded changes
+      if (this.snapshotStore && !summary.eventId) {
+        changeEvent = await this.runStage('snapshot', () => this.snapshotStore.attachPreImage(changeEvent));
+      }
+
+      const eventDetails = await this.runStage('detection', () =>
+        this.eventTypeDetection.getEventDetails(changeEvent)
+      );
+      summary.eventType = eventDetails.eventType;
+      Tracing.setAttributes({ 'huly.event.type': eventDetails.eventType, 'huly.workspace': summary.workspace });
+
+      if (!summary.eventId && this.eventStore) {
+        const { event, duplicate } = await this.persistEvent(changeEvent, eventDetails);
+
+        if (duplicate) {
+          this.stats.duplicateEvents++;
+          summary.duplicate = true;
+          return summary;
+        }
+
+        summary.eventId = event?.id || null;
+      }
+
+      const webhooks = await this.runStage('routing', async () => {
+        // Explicit targets still have to belong to the event's workspace
+        const candidates = options.webhooks || await this.getActiveWebhooks();
+        const workspaceWebhooks = candidates.filter(webhook => this.matchesWorkspace(webhook, summary.workspace));
+
+        if (options.webhooks) {
+          return workspaceWebhooks;
+        }
+
+        return this.eventRouting.routeEvent(changeEvent, eventDetails, workspaceWebhooks);
+      });
+      summary.matched = webhooks.length;
+
+      if (webhooks.length === 0) {
+        this.stats.droppedEvents++;
+        await this.markEventProcessed(summary.eventId);
+        return summary;
+      }
+
+      const priority = this.getDeliveryPriority(eventDetails);
+
+      // Each webhook is processed in isolation so one failure does not block the others
+      for (const webhook of webhooks) {
+        const webhookId = this.getWebhookId(webhook);
+
+        try {
+          const { outcome, deliveryId } = await this.processWebhook(changeEvent, eventDetails, webhook, priority, summary.eventId, sequence);
+          summary[outcome]++;
+          summary.deliveries.push({ webhookId, webhookName: webhook.name, outcome, deliveryId });
+        } catch (error) {
+          summary.errors++;
+          summary.deliveries.push({ webhookId, webhookName: webhook.name, outcome: 'error', error: error.message });
+          logger.error(`Error processing event for webhook ${webhookId}:`, error);
+        }
+      }
+
+      await this.markEventProcessed(summary.eventId);
+
+      this.stats.processedEvents++;
+      this.emit('event-processed', eventDetails, summary);
+
+      return summary;
+    } catch (error) {
+      this.stats.failedEvents++;
+      logger.error('Event pipeline failed:', error);
+      this.emit('event-failed', changeEvent, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform, filter, rate limit and enqueue an event for a single webhook
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} eventDetails - Event details
+   * @param {Object} webhook - Target webhook
+   * @param {string} priority - Queue priority
+   * @param {string|null} [eventId] - Stored event ID
+   * @param {number} [sequence] - Position of the event in the change stream
+   * @returns {Promise<Object>} - Outcome ('queued', 'filtered' or 'rateLimited') and delivery ID
+   */
+  async processWebhook (changeEvent, eventDetails, webhook, priority, eventId = null, sequence = undefined) {
+    const webhookId = this.getWebhookId(webhook);
+
+    const payload = await this.runStage('transformation', () =>
+      this.payloadTransformer.transformEvent(changeEvent, eventDetails, webhook)
+    );
+
+    // Stored events share their ID with the payload so deliveries can be traced back
+    if (eventId) {
+      payload.id = eventId;
+    }
+
+    const matches = await this.runStage('filtering', () => this.matchesWebhookFilters(webhook, changeEvent, payload));
+    if (!matches) {
+      this.stats.deliveriesFiltered++;
+      logger.debug(`Event ${payload.id} filtered out for webhook ${webhookId}`);
+      return { outcome: 'filtered' };
+    }
+
+    const rateLimitResult = await this.runStage('rateLimit', () =>
+      this.rateLimit.checkRateLimit(webhookId, webhook)
+    );
+
+    // Rate limited deliveries are deferred rather than dropped
+    let scheduledFor;
+    if (!rateLimitResult.allowed) {
+      this.stats.deliveriesRateLimited++;
+      scheduledFor = new Date(rateLimitResult.resetTime || Date.now() + (rateLimitResult.retryAfter || 1) * 1000);
+      logger.debug(`Webhook ${webhookId} rate limited, deferring delivery until ${scheduledFor.toISOString()}`);
+    }
+
+    const deliveryId = await this.runStage('enqueue', () =>
+      this.deliveryQueue.addDelivery({
+        webhook,
+        payload,
+        url: webhook.url,
+        headers: webhook.headers,
+        maxAttempts: webhook.retryConfig?.maxAttempts,
+        scheduledFor,
+        orderingKey: this.getOrderingKey(webhook, changeEvent, eventDetails),
+        sequence,
+        batch: this.getBatchSettings(webhook),
+        metadata: {
+          webhookId,
+          eventId,
+          eventType: eventDetails.eventType,
+          collection: eventDetails.collection,
+          workspace: changeEvent.workspace,
+          // Queued deliveries are attempted later, possibly by another replica, in the trace of their event
+          traceContext: Tracing.getTraceContext()
+        }
+      }, priority)
+    );
+
+    this.stats.deliveriesQueued++;
+    return {
+      outcome: scheduledFor ? 'rateLimited' : 'queued',
+      deliveryId
+    };
+  }
+
+  /**
+   * Persist an event to the event store
+   * Storage failures are logged and the event is still delivered
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} eventDetails - Event details
+   * @returns {Promise<Object>} - Stored event and whether it was a duplicate
+   */
+  async persistEvent (changeEvent, eventDetails) {
+    try {
+      return await this.runStage('persistence', () =>
+        this.eventStore.persistEvent(changeEvent, eventDetails)
+      );
+    } catch (error) {
+      logger.warn(`Delivering ${eventDetails.eventType} event without persisting it`);
+      return { event: null, duplicate: false };
+    }
+  }
+
+  /**
+   * Mark a stored event as processed
+   * @param {string|null} eventId - Stored event ID
+   * @returns {Promise<void>}
+   */
+  async markEventProcessed (eventId) {
+    if (!eventId || !this.eventStore) {
+      return;
+    }
+
+    try {
+      await this.eventStore.markProcessed(eventId);
+    } catch (error) {
+      logger.error(`Failed to mark event ${eventId} as processed:`, error);
+    }
+  }
+
+  /**
+   * Check webhook field filters and filter expression
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} payload - Transformed payload
+   * @returns {boolean} - Whether the event passes the filters
+   */
+  matchesWebhookFilters (webhook, changeEvent, payload) {
+    const { expression, ...fieldFilters } = webhook.filters || {};
+
+    // Field filters (projects, statuses, ...) apply to the source document
+    if (Object.keys(fieldFilters).length > 0) {
+      const document = changeEvent.fullDocument || changeEvent.fullDocumentBeforeChange;
+      const eventData = document ? WebhookEvent.transformDocumentData(document) : {};
+
+      if (!new Webhook({ filters: fieldFilters }).matchesFilters(eventData)) {
+        return false;
+      }
+    }
+
+    if (expression) {
+      return this.eventFilter.evaluateFilter(expression, payload);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the key that serializes deliveries of a webhook with ordered delivery
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} eventDetails - Event details
+   * @returns {string|null} - Ordering key, or null when deliveries may run in parallel
+   */
+  getOrderingKey (webhook, changeEvent, eventDetails) {
+    const webhookId = this.getWebhookId(webhook);
+
+    if (webhook.ordering === 'per-webhook') {
+      return webhookId;
+    }
+
+    if (webhook.ordering === 'per-entity') {
+      const documentId = changeEvent.documentKey?._id;
+      return documentId === undefined ? webhookId : `${webhookId}:${eventDetails.collection}:${documentId}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the batch settings of a webhook that bundles events into one request
+   * @param {Object} webhook - Webhook configuration
+   * @returns {Object|null} - Batch key, size and timeout, or null when events are sent one by one
+   */
+  getBatchSettings (webhook) {
+    if (!webhook.batch?.enabled) {
+      return null;
+    }
+
+    return {
+      key: this.getWebhookId(webhook),
+      size: webhook.batch.maxSize || this.config.delivery?.batch?.size || 10,
+      timeout: webhook.batch.maxWait || this.config.delivery?.batch?.timeout || 5000
+    };
+  }
+
+  /**
+   * Check whether a webhook belongs to a workspace
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} workspace - Workspace ID
+   * @returns {boolean} - Whether the webhook receives events of the workspace
+   */
+  matchesWorkspace (webhook, workspace) {
+    return (webhook.workspace || this.defaultWorkspace) === workspace;
+  }
+
+  /**
+   * Execute a pipeline stage and record its metrics
+   * @param {string} name - Stage name
+   * @param {Function} fn - Stage implementation
+   * @returns {Promise<*>} - Stage result
+   */
+  async runStage (name, fn) {
+    if (!this.stats.stages[name]) {
+      this.stats.stages[name] = { count: 0, errors: 0, totalTime: 0 };
+    }
+
+    const stage = this.stats.stages[name];
+    const startTime = Date.now();
+
+    try {
+      return await Tracing.withSpan(`pipeline.${name}`, {}, fn);
+    } catch (error) {
+      stage.errors++;
+      logger.error(`Pipeline stage '${name}' failed:`, error);
+      throw error;
+    } finally {
+      stage.count++;
+      stage.totalTime += Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Get active webhooks, using the short-lived cache when fresh
+   * @returns {Promise<Array>} - Active webhooks
+   */
+  async getActiveWebhooks () {
+    const now = Date.now();
+
+    if (this.webhookCache.webhooks && now - this.webhookCache.loadedAt < this.webhookCacheTtl) {
+      return this.webhookCache.webhooks;
+    }
+
+    const webhooks = await this.webhookService.getActiveWebhooks();
+    this.webhookCache = {
+      webhooks,
+      loadedAt: now
+    };
+
+    return webhooks;
+  }
+
+  /**
+   * Invalidate the active webhook cache
+   */
+  invalidateWebhookCache () {
+    this.webhookCache = {
+      webhooks: null,
+      loadedAt: 0
+    };
+  }
+
+  /**
+   * Map the routing priority of an event to a queue priority
+   * @param {Object} eventDetails - Event details
+   * @returns {string} - Queue priority ('HIGH', 'MEDIUM', 'LOW')
+   */
+  getDeliveryPriority (eventDetails) {
+    const priority = this.eventRouting.getCollectionPriority(eventDetails.collection);
+    return priority.toUpperCase();
+  }
+
+  /**
+   * Deliver a queued item, called by the delivery queue
+   * @param {Object} delivery - Queued delivery
+   * @param {Function} callback - Queue callback receiving the delivery result
+   */
+  async handleDeliveryAttempt (delivery, callback) {
+    const webhookId = this.getWebhookId(delivery.webhook);
+    const traceContext = Tracing.extractContext(delivery.metadata?.traceContext);
+    let result;
+
+    this.recordQueueWait(delivery, traceContext);
+
+    try {
+      result = await Tracing.withContext(traceContext, () => this.runStage('delivery', (span) => {
+        span.setAttributes(this.getDeliveryAttributes(delivery));
+        return this.circuitBreaker.executeWithCircuitBreaker(webhookId, delivery.webhook, () =>
+          this.deliveryService.deliverWebhook(delivery.webhook, delivery.payload, delivery.attempts)
+        );
+      }));
+    } catch (error) {
+      result = {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode || 500
+      };
+    }
+
+    if (result.success) {
+      this.stats.deliveriesSucceeded++;
+    } else {
+      this.stats.deliveriesFailed++;
+    }
+
+    await this.recordDelivery(delivery, result);
+
+    if (this.webhookService.updateWebhookStats && delivery.webhook._id) {
+      await this.webhookService.updateWebhookStats(delivery.webhook._id, result.success);
+    }
+
+    callback(result);
+  }
+
+  /**
+   * Deliver a batch of queued items in one request, called by the delivery queue
+   * @param {Array} deliveries - Queued deliveries of the same webhook
+   * @param {Function} callback - Queue callback receiving the results by delivery ID
+   */
+  async handleBatchAttempt (deliveries, callback) {
+    // Deliveries of a batch share their webhook, the latest configuration is used
+    const webhook = deliveries[deliveries.length - 1].webhook;
+    const webhookId = this.getWebhookId(webhook);
+    const attempt = Math.max(...deliveries.map(delivery => delivery.attempts));
+    let result;
+
+    for (const delivery of deliveries) {
+      this.recordQueueWait(delivery, Tracing.extractContext(delivery.metadata?.traceContext));
+    }
+
+    try {
+      // The events of a batch belong to different traces, the batch starts its own and links to them
+      const links = deliveries.map(delivery => Tracing.getLink(delivery.metadata?.traceContext)).filter(Boolean);
+
+      result = await Tracing.withSpan('delivery.batch', {
+        links,
+        attributes: { 'huly.webhook.id': webhookId, 'huly.batch.size': deliveries.length }
+      }, () => this.runStage('delivery', () =>
+        this.circuitBreaker.executeWithCircuitBreaker(webhookId, webhook, () =>
+          this.deliveryService.deliverBatch(webhook, deliveries.map(delivery => delivery.payload), attempt)
+        )
+      ), Tracing.extractContext(null));
+    } catch (error) {
+      result = {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode || 500
+      };
+    }
+
+    const results = {};
+    for (const delivery of deliveries) {
+      const eventResult = {
+        responseTime: result.responseTime,
+        batchId: result.batchId,
+        ...(result.events?.[delivery.payload.id] || {
+          success: result.success,
+          error: result.error,
+          statusCode: result.statusCode
+        })
+      };
+
+      if (eventResult.success) {
+        this.stats.deliveriesSucceeded++;
+      } else {
+        this.stats.deliveriesFailed++;
+      }
+
+      await this.recordDelivery(delivery, eventResult);
+      results[delivery.id] = eventResult;
+    }
+
+    if (this.webhookService.updateWebhookStats && webhook._id) {
+      await this.webhookService.updateWebhookStats(webhook._id, result.success);
+    }
+
+    callback(results);
+  }
+
+  /**
+   * Record the time a delivery waited in the queue as a span of its event's trace
+   * @param {Object} delivery - Queued delivery
+   * @param {Object} traceContext - Context of the event the delivery belongs to
+   */
+  recordQueueWait (delivery, traceContext) {
+    if (!delivery.metadata?.traceContext) {
+      return;
+    }
+
+    // Retries and deferred deliveries wait from when they were scheduled, not from when they were created
+    const waitingSince = new Date(delivery.scheduledFor || delivery.createdAt || Date.now());
+
+    Tracing.recordSpan('delivery.queue_wait', {
+      startTime: waitingSince,
+      attributes: this.getDeliveryAttributes(delivery)
+    }, new Date(Math.max(Date.now(), waitingSince.getTime())), traceContext);
+  }
+
+  /**
+   * Get the span attributes of a delivery
+   * @param {Object} delivery - Queued delivery
+   * @returns {Object} - Span attributes
+   */
+  getDeliveryAttributes (delivery) {
+    return {
+      'huly.webhook.id': this.getWebhookId(delivery.webhook),
+      'huly.delivery.id': delivery.id,
+      'huly.delivery.attempt': delivery.attempts
+    };
+  }
+
+  /**
+   * Record a delivery attempt in the delivery history
+   * @param {Object} delivery - Queued delivery
+   * @param {Object} result - Delivery result
+   */
+  async recordDelivery (delivery, result) {
+    this.emit('delivery-attempted', delivery, result);
+
+    if (!this.deliveryHistory) {
+      return;
+    }
+
+    try {
+      await this.runStage('history', () =>
+        this.deliveryHistory.recordDelivery({ ...delivery, attempt: delivery.attempts }, result)
+      );
+    } catch (error) {
+      // History is best-effort and must not fail the delivery
+    }
+  }
+
+  /**
+   * Resolve dead letter retries once the queue completes them
+   * @param {Object} delivery - Completed delivery
+   * @param {Object} result - Delivery result
+   */
+  async handleDeliveryCompleted (delivery, result) {
+    const entryId = delivery.metadata?.deadLetterEntryId;
+    if (entryId && this.deadLetterQueue) {
+      await this.deadLetterQueue.updateDeadLetterEntryStatus(entryId, true, result);
+    }
+  }
+
+  /**
+   * Persist exhausted deliveries in the dead letter queue
+   * @param {Object} delivery - Dead-lettered delivery
+   * @param {Object} result - Last delivery result
+   */
+  async handleDeliveryDeadLettered (delivery, result) {
+    if (!this.deadLetterQueue) {
+      return;
+    }
+
+    try {
+      const entryId = delivery.metadata?.deadLetterEntryId;
+      if (entryId) {
+        await this.deadLetterQueue.updateDeadLetterEntryStatus(entryId, false, result);
+      } else {
+        await this.deadLetterQueue.addToDeadLetterQueue(delivery, result || {});
+      }
+    } catch (error) {
+      logger.error(`Error dead-lettering delivery ${delivery.id}:`, error);
+    }
+  }
+
+  /**
+   * Re-enqueue a delivery retried from the dead letter queue
+   * @param {Object} entry - Dead letter entry
+   */
+  async handleDeadLetterRetry (entry) {
+    try {
+      const { id, ...delivery } = entry.delivery;
+
+      await this.deliveryQueue.addDelivery({
+        ...delivery,
+        scheduledFor: null,
+        metadata: {
+          ...delivery.metadata,
+          deadLetterEntryId: entry.id,
+          originalDeliveryId: id
+        }
+      });
+    } catch (error) {
+      logger.error(`Error re-enqueueing dead letter entry ${entry.id}:`, error);
+      await this.deadLetterQueue.updateDeadLetterEntryStatus(entry.id, false, { error: error.message });
+    }
+  }
+
+  /**
+   * Queue a recorded delivery again, sending its payload to the webhook as it is configured now
+   * @param {Object} record - Delivery history record
+   * @param {Object} webhook - Webhook configuration
+   * @returns {Promise<string>} - Queued delivery ID
+   */
+  async redeliver (record, webhook) {
+    // Asked for by a person waiting on the result, so it goes ahead of change events
+    const deliveryId = await this.runStage('enqueue', () =>
+      this.deliveryQueue.addDelivery({
+        webhook,
+        payload: record.payload,
+        url: webhook.url,
+        headers: webhook.headers,
+        maxAttempts: webhook.retryConfig?.maxAttempts,
+        metadata: {
+          webhookId: this.getWebhookId(webhook),
+          eventId: record.eventId,
+          eventType: record.eventType,
+          workspace: record.workspace,
+          redeliveryOf: record.id
+        }
+      }, 'HIGH')
+    );
+
+    this.stats.deliveriesQueued++;
+    return deliveryId;
+  }
+
+  /**
+   * Get webhook identifier
+   * @param {Object} webhook - Webhook configuration
+   * @returns {string} - Webhook ID
+   */
+  getWebhookId (webhook) {
+    return String(webhook._id || webhook.id);
+  }
+
+  /**
+   * Get pipeline statistics
+   * @returns {Object} - Pipeline statistics
+   */
+  getPipelineStats () {
+    const stages = {};
+    for (const [name, stage] of Object.entries(this.stats.stages)) {
+      stages[name] = {
+        ...stage,
+        averageTime: stage.count > 0 ? stage.totalTime / stage.count : 0
+      };
+    }
+
+    return {
+      ...this.stats,
+      stages,
+      isRunning: this.isRunning,
+      queue: this.deliveryQueue.getQueueStatus(),
+      eventStore: this.eventStore ? this.eventStore.getStats() : null,
+      txDecoder: this.txDecoder ? this.txDecoder.getStats() : null,
+      snapshotStore: this.snapshotStore ? this.snapshotStore.getStats() : null
+    };
+  }
+}
+
+module.exports = EventPipelineService;
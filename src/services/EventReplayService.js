@@ -0,0 +1,344 @@
+/**
+ * Event Replay Service for Huly Webhook Service
+ * Re-delivers stored events from a time window or resume token range to a webhook.
+ * Jobs are stored in the replay_jobs collection, so any replica can report their
+ * progress and finished jobs outlive restarts
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const WebhookEvent = require('../models/WebhookEvent');
+
+// Statuses of jobs that have not finished yet
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+class EventReplayService extends EventEmitter {
+  constructor (config, services) {
+    super();
+    this.config = config;
+    this.db = services.database;
+    this.eventTypeDetection = services.eventTypeDetection;
+    this.eventRouting = services.eventRouting;
+    this.payloadTransformer = services.payloadTransformer;
+    this.deliveryQueue = services.deliveryQueue;
+    this.pipeline = services.pipeline;
+
+    this.collectionName = 'webhook_events';
+    this.jobCollectionName = 'replay_jobs';
+    this.maxEvents = config.replay?.maxEvents || 10000;
+    this.batchSize = config.replay?.batchSize || 100;
+    this.backpressureDelay = config.replay?.backpressureDelay || 1000;
+    this.jobRetentionDays = config.replay?.jobRetentionDays || 7;
+
+    // Running jobs store their progress on this interval, a job not stored for three intervals was interrupted
+    this.progressInterval = config.replay?.progressInterval || 5000;
+
+    // Replays only fill half of the delivery queue so live events keep flowing
+    this.queueHighWaterMark = Math.floor((this.deliveryQueue?.maxQueueSize || 10000) / 2);
+  }
+
+  /**
+   * Create the replay job indexes
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    await this.db.createIndexes(this.jobCollectionName, [
+      // Finished jobs expire once the retention period has passed, running jobs have no completedAt
+      {
+        key: { completedAt: 1 },
+        options: { name: 'replay_jobs_ttl', expireAfterSeconds: this.jobRetentionDays * 24 * 60 * 60 }
+      },
+      { key: { webhookId: 1, createdAt: -1 } }
+    ]);
+  }
+
+  /**
+   * Build the stored event query for a replay window
+   * @param {Object} window - Replay window
+   * @param {Date} [window.from] - Start timestamp
+   * @param {Date} [window.to] - End timestamp
+   * @param {string} [window.fromToken] - Start resume token
+   * @param {string} [window.toToken] - End resume token
+   * @param {string|null} [workspace] - Only replay events of this workspace
+   * @returns {Object} - MongoDB filter
+   */
+  buildEventFilter (window, workspace = null) {
+    const filter = {};
+
+    if (workspace) {
+      filter.workspace = workspace;
+    }
+
+    if (window.from || window.to) {
+      filter.timestamp = {};
+      if (window.from) filter.timestamp.$gte = new Date(window.from);
+      if (window.to) filter.timestamp.$lte = new Date(window.to);
+    }
+
+    // Resume tokens from one replica set sort in the order changes occurred
+    if (window.fromToken || window.toToken) {
+      filter['metadata.resumeToken._data'] = {};
+      if (window.fromToken) filter['metadata.resumeToken._data'].$gte = window.fromToken;
+      if (window.toToken) filter['metadata.resumeToken._data'].$lte = window.toToken;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Count the events a replay would re-deliver without enqueueing anything
+   * @param {Object} webhook - Target webhook
+   * @param {Object} window - Replay window
+   * @param {Object} options - Replay options
+   * @param {number} [options.maxEvents] - Maximum events to replay
+   * @returns {Promise<Object>} - Replay counts
+   */
+  async dryRun (webhook, window, options = {}) {
+    const job = await this.createJob(webhook, window, { ...options, dryRun: true });
+    await this.runJob(job, webhook);
+    return this.snapshot(job);
+  }
+
+  /**
+   * Start a replay in the background
+   * @param {Object} webhook - Target webhook
+   * @param {Object} window - Replay window
+   * @param {Object} options - Replay options
+   * @param {number} [options.maxEvents] - Maximum events to replay
+   * @returns {Promise<Object>} - Replay job, stored before it starts
+   */
+  async startReplay (webhook, window, options = {}) {
+    const job = await this.createJob(webhook, window, { ...options, dryRun: false });
+
+    this.runJob(job, webhook).catch(error => {
+      logger.error(`Replay job ${job.id} failed:`, error);
+    });
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Create and store a replay job
+   * @param {Object} webhook - Target webhook
+   * @param {Object} window - Replay window
+   * @param {Object} options - Replay options
+   * @returns {Promise<Object>} - Replay job
+   */
+  async createJob (webhook, window, options) {
+    const job = {
+      id: this.generateJobId(),
+      webhookId: this.pipeline.getWebhookId(webhook),
+      workspace: webhook.workspace || this.pipeline.defaultWorkspace || null,
+      status: 'pending',
+      dryRun: options.dryRun,
+      window,
+      maxEvents: Math.min(options.maxEvents || this.maxEvents, this.maxEvents),
+      progress: {
+        total: 0,
+        processed: 0,
+        queued: 0,
+        filtered: 0,
+        skipped: 0,
+        errors: 0
+      },
+      truncated: false,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    await this.db.insertOne(this.jobCollectionName, { _id: job.id, ...this.snapshot(job), updatedAt: new Date() });
+
+    return job;
+  }
+
+  /**
+   * Store the status and progress of a job
+   * @param {Object} job - Replay job
+   * @returns {Promise<void>}
+   */
+  async saveJob (job) {
+    const { id, ...fields } = this.snapshot(job);
+
+    await this.db.updateOne(this.jobCollectionName, { _id: id }, {
+      $set: { ...fields, updatedAt: new Date() }
+    });
+  }
+
+  /**
+   * Run a replay job to completion
+   * @param {Object} job - Replay job
+   * @param {Object} webhook - Target webhook
+   * @returns {Promise<void>}
+   */
+  async runJob (job, webhook) {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    const progressTimer = setInterval(() => {
+      this.saveJob(job).catch(error => {
+        logger.error(`Failed to store the progress of replay job ${job.id}:`, error);
+      });
+    }, this.progressInterval);
+    progressTimer.unref();
+
+    try {
+      const filter = this.buildEventFilter(job.window, job.workspace);
+      const available = await this.db.countDocuments(this.collectionName, filter);
+
+      job.progress.total = Math.min(available, job.maxEvents);
+      job.truncated = available > job.maxEvents;
+      await this.saveJob(job);
+
+      logger.info(`Replay job ${job.id} started for webhook ${job.webhookId}: ${job.progress.total} events${job.dryRun ? ' (dry run)' : ''}`);
+
+      let offset = 0;
+      while (offset < job.progress.total) {
+        const { documents } = await this.db.find(this.collectionName, filter, {
+          sort: { timestamp: 1 },
+          offset,
+          limit: Math.min(this.batchSize, job.progress.total - offset)
+        });
+
+        if (documents.length === 0) {
+          break;
+        }
+
+        for (const document of documents) {
+          await this.replayEvent(job, webhook, document);
+          job.progress.processed++;
+        }
+
+        offset += documents.length;
+      }
+
+      job.status = 'completed';
+      logger.info(`Replay job ${job.id} completed: ${job.progress.queued} queued, ${job.progress.filtered} filtered, ${job.progress.skipped} skipped`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      throw error;
+    } finally {
+      clearInterval(progressTimer);
+      job.completedAt = new Date();
+
+      try {
+        await this.saveJob(job);
+      } catch (error) {
+        logger.error(`Failed to store the result of replay job ${job.id}:`, error);
+      }
+
+      this.emit(`job-${job.status}`, this.snapshot(job));
+    }
+  }
+
+  /**
+   * Route, filter, transform and enqueue a single stored event
+   * @param {Object} job - Replay job
+   * @param {Object} webhook - Target webhook
+   * @param {Object} document - Stored event document
+   * @returns {Promise<void>}
+   */
+  async replayEvent (job, webhook, document) {
+    try {
+      const event = WebhookEvent.fromDocument(document);
+      const changeEvent = event.toChangeEvent();
+      const eventDetails = this.eventTypeDetection.getEventDetails(changeEvent);
+
+      const routed = this.eventRouting.routeEvent(changeEvent, eventDetails, [webhook]);
+      if (routed.length === 0) {
+        job.progress.skipped++;
+        return;
+      }
+
+      const payload = await this.payloadTransformer.transformEvent(changeEvent, eventDetails, webhook);
+      payload.id = event.id;
+
+      if (!this.pipeline.matchesWebhookFilters(webhook, changeEvent, payload)) {
+        job.progress.filtered++;
+        return;
+      }
+
+      if (!job.dryRun) {
+        await this.waitForQueueCapacity();
+
+        await this.deliveryQueue.addDelivery({
+          webhook,
+          payload,
+          url: webhook.url,
+          headers: webhook.headers,
+          maxAttempts: webhook.retryConfig?.maxAttempts,
+          orderingKey: this.pipeline.getOrderingKey(webhook, changeEvent, eventDetails),
+          batch: this.pipeline.getBatchSettings(webhook),
+          metadata: {
+            webhookId: job.webhookId,
+            eventId: event.id,
+            eventType: eventDetails.eventType,
+            collection: eventDetails.collection,
+            replayJobId: job.id
+          }
+        }, 'LOW');
+      }
+
+      job.progress.queued++;
+    } catch (error) {
+      job.progress.errors++;
+      logger.error(`Replay job ${job.id} failed to replay event ${document.id}:`, error);
+    }
+  }
+
+  /**
+   * Wait until the delivery queue is below the replay high water mark
+   * @returns {Promise<void>}
+   */
+  async waitForQueueCapacity () {
+    while (this.deliveryQueue.getTotalQueueSize() >= this.queueHighWaterMark) {
+      await new Promise(resolve => setTimeout(resolve, this.backpressureDelay));
+    }
+  }
+
+  /**
+   * Get a replay job, whichever replica runs it. A job whose progress stopped being
+   * stored is reported as interrupted, e.g. when its replica stopped mid-replay
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Replay job
+   */
+  async getJob (jobId) {
+    const document = await this.db.findOne(this.jobCollectionName, { _id: jobId });
+    if (!document) {
+      return null;
+    }
+
+    const { _id, updatedAt, ...job } = document;
+
+    const staleBefore = Date.now() - 3 * this.progressInterval;
+    if (ACTIVE_STATUSES.includes(job.status) && updatedAt && new Date(updatedAt).getTime() < staleBefore) {
+      job.status = 'interrupted';
+    }
+
+    return { ...job, id: _id };
+  }
+
+  /**
+   * Copy a job so later progress does not change it
+   * @param {Object} job - Replay job
+   * @returns {Object} - Job snapshot
+   */
+  snapshot (job) {
+    return {
+      ...job,
+      progress: { ...job.progress }
+    };
+  }
+
+  /**
+   * Generate unique job ID
+   * @returns {string} - Job ID
+   */
+  generateJobId () {
+    return `replay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = EventReplayService;
@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
 
 class EventRoutingService {
   constructor (config) {
@@ -258,8 +259,9 @@ class EventRoutingService {
    */
   webhookMatchesEvent (webhook, collection, eventType, entityType, changeEvent) {
     try {
-      // Check if webhook is enabled
-      if (!webhook.enabled) {
+      // Check if webhook is enabled (stored webhooks use `active`)
+      const enabled = webhook.enabled !== undefined ? webhook.enabled : webhook.active;
+      if (!enabled) {
         return false;
       }
 
@@ -313,24 +315,16 @@ class EventRoutingService {
    * @returns {boolean} - Whether it matches
    */
   matchesEventTypeFilter (webhook, eventType) {
-    // If no event type filter specified, match all
-    if (!webhook.eventTypeFilter || webhook.eventTypeFilter.length === 0) {
-      return true;
-    }
+    // Stored webhooks subscribe through their `events` list
+    const eventTypeFilter = webhook.eventTypeFilter || webhook.events;
 
-    // Check exact matches
-    if (webhook.eventTypeFilter.includes(eventType)) {
+    // If no event type filter specified, match all
+    if (!eventTypeFilter || eventTypeFilter.length === 0) {
       return true;
     }
 
-    // Check pattern matches
-    for (const pattern of webhook.eventTypeFilter) {
-      if (this.matchesPattern(eventType, pattern)) {
-        return true;
-      }
-    }
-
-    return false;
+    // Exact names, wildcards such as `issue.*` and negations such as `!issue.updated`
+    return eventTypeRegistry.matchesSubscription(eventType, eventTypeFilter);
   }
 
   /**
@@ -669,6 +663,21 @@ class EventRoutingService {
     };
   }
 
+  /**
+   * Get delivery priority for a collection
+   * @param {string} collection - Collection name
+   * @returns {string} - Priority level ('high', 'medium', 'low')
+   */
+  getCollectionPriority (collection) {
+    for (const mapping of this.collectionMappings.values()) {
+      if (mapping.collections.includes(collection)) {
+        return mapping.priority || 'medium';
+      }
+    }
+
+    return 'medium';
+  }
+
   /**
    * Get available collection mappings
    * @returns {Object} - Collection mappings
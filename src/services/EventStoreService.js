@@ -0,0 +1,134 @@
+/**
+ * Event Store Service for Huly Webhook Service
+ * Persists detected events to the webhook_events collection for auditing and replay
+ */
+
+const logger = require('../utils/logger');
+const WebhookEvent = require('../models/WebhookEvent');
+const { ConflictError } = require('../middleware/errorHandler');
+
+class EventStoreService {
+  constructor (config, databaseService) {
+    this.config = config;
+    this.db = databaseService;
+    this.collectionName = 'webhook_events';
+    this.retentionDays = config.events?.persistence?.retentionDays || 30;
+
+    // Statistics
+    this.stats = {
+      totalPersisted: 0,
+      totalDuplicates: 0,
+      totalProcessed: 0,
+      totalErrors: 0
+    };
+  }
+
+  /**
+   * Initialize the event store indexes
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    logger.info('Initializing Event Store Service...');
+
+    await this.db.createIndexes(this.collectionName, this.getIndexes());
+
+    logger.info(`Event Store Service initialized (retention: ${this.retentionDays} days)`);
+  }
+
+  /**
+   * Get index definitions for the event collection
+   * @returns {Array} - Index definitions
+   */
+  getIndexes () {
+    return [
+      // Events expire once the retention period has passed
+      {
+        key: { createdAt: 1 },
+        options: {
+          name: 'webhook_events_ttl',
+          expireAfterSeconds: this.retentionDays * 24 * 60 * 60
+        }
+      },
+      // Change stream resume tokens are unique, so a re-delivered change is stored once
+      {
+        key: { 'metadata.resumeToken._data': 1 },
+        options: {
+          name: 'webhook_events_resume_token',
+          unique: true,
+          partialFilterExpression: { 'metadata.resumeToken._data': { $exists: true } }
+        }
+      },
+      { key: { id: 1 }, options: { unique: true } },
+      { key: { timestamp: -1 } },
+      { key: { type: 1, timestamp: -1 } },
+      { key: { workspace: 1, timestamp: -1 } },
+      { key: { processed: 1, timestamp: -1 } }
+    ];
+  }
+
+  /**
+   * Persist a change event
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} eventDetails - Event details from type detection
+   * @returns {Promise<Object>} - Stored event and whether it was a duplicate
+   */
+  async persistEvent (changeEvent, eventDetails) {
+    const event = WebhookEvent.fromChangeStream(changeEvent, eventDetails.eventType);
+
+    try {
+      await this.db.insertOne(this.collectionName, event.toObject());
+      this.stats.totalPersisted++;
+
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.stats.totalDuplicates++;
+        logger.debug(`Skipping duplicate ${event.type} event from ${event.sourceCollection}`);
+
+        return { event: null, duplicate: true };
+      }
+
+      this.stats.totalErrors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an event as processed
+   * @param {string} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  async markProcessed (eventId) {
+    await this.db.updateOne(this.collectionName, { id: eventId }, {
+      $set: {
+        processed: true,
+        processedAt: new Date()
+      }
+    });
+
+    this.stats.totalProcessed++;
+  }
+
+  /**
+   * Get an event by ID
+   * @param {string} eventId - Event ID
+   * @returns {Promise<WebhookEvent|null>} - Stored event
+   */
+  async getEvent (eventId) {
+    const document = await this.db.findOne(this.collectionName, { id: eventId });
+    return document ? WebhookEvent.fromDocument(document) : null;
+  }
+
+  /**
+   * Get event store statistics
+   * @returns {Object} - Statistics
+   */
+  getStats () {
+    return {
+      ...this.stats,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+module.exports = EventStoreService;
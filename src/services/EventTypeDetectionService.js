@@ -130,6 +130,11 @@ class EventTypeDetectionService {
         return customEventType;
       }
 
+      // Decoded Huly transactions already carry their domain event type
+      if (changeEvent.huly?.eventType) {
+        return changeEvent.huly.eventType;
+      }
+
       // Apply default rules based on operation type
       const ruleFunction = this.eventTypeRules.get(operationType);
       if (ruleFunction) {
@@ -151,6 +156,10 @@ class EventTypeDetectionService {
    * @returns {string} - Entity type
    */
   getEntityType (changeEvent) {
+    if (changeEvent.huly?.entityType) {
+      return changeEvent.huly.entityType;
+    }
+
     const collection = changeEvent.ns ? changeEvent.ns.coll : 'unknown';
     return this.collectionMappings.get(collection) || collection;
   }
@@ -266,6 +275,24 @@ class EventTypeDetectionService {
     logger.info(`Added collection mapping: ${collection} -> ${entityType}`);
   }
 
+  /**
+   * Get the collections whose changes are detected as an entity
+   * @param {string} entityType - Entity type name
+   * @returns {Array<string>} - Collection names
+   */
+  getCollectionsForEntity (entityType) {
+    const collections = Array.from(this.collectionMappings.entries())
+      .filter(([, mappedEntityType]) => mappedEntityType === entityType)
+      .map(([collection]) => collection);
+
+    // Unmapped collections are detected under their own name
+    if (!this.collectionMappings.has(entityType)) {
+      collections.push(entityType);
+    }
+
+    return collections;
+  }
+
   /**
    * Add field mapping
    * @param {string} fieldName - Field name
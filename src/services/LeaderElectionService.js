@@ -0,0 +1,319 @@
+/**
+ * Leader Election Service for Huly Webhook Service
+ * Elects one replica through a lease document in MongoDB. The leader renews the
+ * lease and stores its latest change stream resume token on it, so whichever
+ * replica takes over resumes where the previous leader stopped
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+class LeaderElectionService extends EventEmitter {
+  constructor (config, databaseService) {
+    super();
+    this.config = config;
+    this.db = databaseService;
+    this.leasesCollection = 'service_leases';
+    this.workersCollection = 'service_workers';
+    this.leaseName = config.cluster?.leaseName || 'change-stream';
+    this.leaseTtl = config.cluster?.leaseTtl || 15000;
+    this.renewInterval = config.cluster?.renewInterval || Math.floor(this.leaseTtl / 3);
+    this.instanceId = config.cluster?.instanceId ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    this.isRunning = false;
+    this.leader = false;
+    this.leaseExpiresAt = null;
+    this.leaderSince = null;
+    this.startedAt = null;
+    this.timer = null;
+    this.resumeTokenProvider = null;
+
+    this.stats = {
+      elections: 0,
+      demotions: 0,
+      renewalErrors: 0
+    };
+  }
+
+  /**
+   * Start campaigning for leadership
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (this.isRunning) {
+      logger.warn('Leader election is already running');
+      return;
+    }
+
+    await this.db.createIndexes(this.workersCollection, [
+      // Workers that stop heartbeating drop out of the registry
+      { key: { expiresAt: 1 }, options: { name: 'service_workers_ttl', expireAfterSeconds: 0 } }
+    ]);
+
+    this.isRunning = true;
+    this.startedAt = new Date();
+
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.renewInterval);
+
+    logger.info(`Leader election started as ${this.instanceId} (${this.leader ? 'leader' : 'follower'})`);
+  }
+
+  /**
+   * Stop campaigning, handing leadership over when held
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.leader) {
+      await this.stepDown();
+    }
+
+    try {
+      await this.db.deleteOne(this.workersCollection, { _id: this.instanceId });
+    } catch (error) {
+      logger.warn('Could not remove worker from registry:', error.message);
+    }
+
+    logger.info('Leader election stopped');
+  }
+
+  /**
+   * Set the function that returns the resume token stored on the lease
+   * @param {Function} provider - Returns the current resume token or null
+   */
+  setResumeTokenProvider (provider) {
+    this.resumeTokenProvider = provider;
+  }
+
+  /**
+   * Renew or acquire the lease, then publish this worker's heartbeat
+   * @returns {Promise<void>}
+   */
+  async tick () {
+    await this.campaign();
+    await this.heartbeat();
+  }
+
+  /**
+   * Acquire the lease when it is free or expired, or renew it when held
+   * @returns {Promise<boolean>} - Whether this instance is the leader
+   */
+  async campaign () {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.leaseTtl);
+    const resumeToken = this.leader ? this.getResumeToken() : null;
+
+    try {
+      // The filter only matches a lease that is ours or expired. Otherwise the upsert
+      // collides with the held lease's _id and the campaign is lost
+      const previous = await this.db.findOneAndUpdate(
+        this.leasesCollection,
+        {
+          _id: this.leaseName,
+          $or: [{ holder: this.instanceId }, { expiresAt: { $lte: now } }]
+        },
+        {
+          $set: {
+            holder: this.instanceId,
+            hostname: os.hostname(),
+            expiresAt,
+            renewedAt: now,
+            ...(!this.leader && { acquiredAt: now }),
+            ...(resumeToken && { resumeToken })
+          }
+        },
+        { upsert: true, returnDocument: 'before' }
+      );
+
+      this.leaseExpiresAt = expiresAt;
+
+      if (!this.leader) {
+        this.becomeLeader(previous);
+      }
+    } catch (error) {
+      if (error.code === 'CONFLICT' || error.code === 11000) {
+        if (this.leader) {
+          this.loseLeadership('lease was taken over by another instance');
+        }
+      } else {
+        this.stats.renewalErrors++;
+        logger.error('Error renewing leader lease:', error);
+
+        // Without a renewal the lease may already belong to someone else
+        if (this.leader && this.leaseExpiresAt && this.leaseExpiresAt <= new Date()) {
+          this.loseLeadership('lease expired before it could be renewed');
+        }
+      }
+    }
+
+    return this.leader;
+  }
+
+  /**
+   * Record this worker and its role in the worker registry
+   * @returns {Promise<void>}
+   */
+  async heartbeat () {
+    const now = new Date();
+
+    try {
+      await this.db.updateOne(this.workersCollection, { _id: this.instanceId }, {
+        $set: {
+          hostname: os.hostname(),
+          pid: process.pid,
+          role: this.getRole(),
+          startedAt: this.startedAt,
+          lastSeen: now,
+          expiresAt: new Date(now.getTime() + this.leaseTtl)
+        }
+      }, { upsert: true });
+    } catch (error) {
+      logger.warn('Could not record worker heartbeat:', error.message);
+    }
+  }
+
+  /**
+   * Give up leadership, storing the final resume token and releasing the lease
+   * so another replica can take over without waiting for it to expire
+   * @returns {Promise<void>}
+   */
+  async stepDown () {
+    if (!this.leader) {
+      return;
+    }
+
+    const resumeToken = this.getResumeToken();
+
+    try {
+      await this.db.updateOne(this.leasesCollection, { _id: this.leaseName, holder: this.instanceId }, {
+        $set: {
+          expiresAt: new Date(),
+          releasedAt: new Date(),
+          ...(resumeToken && { resumeToken })
+        }
+      });
+    } catch (error) {
+      logger.error('Error releasing leader lease:', error);
+    }
+
+    this.loseLeadership('stepped down');
+  }
+
+  /**
+   * Mark this instance as leader
+   * @param {Object|null} previous - Lease before it was taken over
+   */
+  becomeLeader (previous) {
+    this.leader = true;
+    this.leaderSince = new Date();
+    this.stats.elections++;
+
+    const handover = {
+      resumeToken: previous?.resumeToken || null,
+      previousHolder: previous?.holder || null
+    };
+
+    logger.info(`Elected leader for ${this.leaseName}`, {
+      instanceId: this.instanceId,
+      previousHolder: handover.previousHolder
+    });
+    this.emit('elected', handover);
+  }
+
+  /**
+   * Mark this instance as follower
+   * @param {string} reason - Why leadership was lost
+   */
+  loseLeadership (reason) {
+    this.leader = false;
+    this.leaderSince = null;
+    this.leaseExpiresAt = null;
+    this.stats.demotions++;
+
+    logger.warn(`No longer leader for ${this.leaseName}: ${reason}`);
+    this.emit('demoted', { reason });
+  }
+
+  /**
+   * Get the resume token to store on the lease
+   * @returns {Object|null} - Resume token
+   */
+  getResumeToken () {
+    return this.resumeTokenProvider ? this.resumeTokenProvider() || null : null;
+  }
+
+  /**
+   * Remove the resume token stored on the lease, so the next leader starts
+   * the change stream from the current time
+   * @returns {Promise<void>}
+   */
+  async clearResumeToken () {
+    await this.db.updateOne(this.leasesCollection, { _id: this.leaseName }, { $unset: { resumeToken: '' } });
+  }
+
+  /**
+   * Check whether this instance holds the lease
+   * @returns {boolean} - Whether this instance is the leader
+   */
+  isLeader () {
+    return this.leader;
+  }
+
+  /**
+   * Get this instance's role
+   * @returns {string} - 'leader' or 'follower'
+   */
+  getRole () {
+    return this.leader ? 'leader' : 'follower';
+  }
+
+  /**
+   * Describe the current leader and the role of every live worker
+   * @returns {Promise<Object>} - Cluster status
+   */
+  async getClusterStatus () {
+    const [lease, workers] = await Promise.all([
+      this.db.findOne(this.leasesCollection, { _id: this.leaseName }),
+      this.db.find(this.workersCollection, { expiresAt: { $gt: new Date() } }, { sort: { startedAt: 1 } })
+    ]);
+
+    const leaseHeld = lease && lease.expiresAt > new Date();
+
+    return {
+      instanceId: this.instanceId,
+      role: this.getRole(),
+      leaderSince: this.leaderSince,
+      leader: leaseHeld
+        ? {
+          instanceId: lease.holder,
+          hostname: lease.hostname,
+          acquiredAt: lease.acquiredAt,
+          expiresAt: lease.expiresAt
+        }
+        : null,
+      workers: workers.documents.map(worker => ({
+        instanceId: worker._id,
+        hostname: worker.hostname,
+        pid: worker.pid,
+        role: worker.role,
+        startedAt: worker.startedAt,
+        lastSeen: worker.lastSeen,
+        self: worker._id === this.instanceId
+      })),
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = LeaderElectionService;
@@ -0,0 +1,304 @@
+/**
+ * Metrics Service for Huly Webhook Service
+ * Exposes pipeline, delivery, queue, circuit breaker, rate limit and change
+ * stream metrics in the Prometheus text format on the metrics port
+ */
+
+const http = require('http');
+const logger = require('../utils/logger');
+const { MetricsRegistry } = require('../utils/metrics');
+
+const PREFIX = 'huly_webhook_';
+
+// Circuit breaker states, each exported as a series that is 1 in the current state
+const CIRCUIT_STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+
+class MetricsService {
+  constructor (config, services) {
+    this.config = config;
+    this.services = services;
+    this.port = config.metrics?.port ?? 3457;
+    this.host = config.server?.host;
+    this.server = null;
+
+    this.registry = new MetricsRegistry();
+    this.defineMetrics();
+
+    // Bound handlers so they can be detached on stop
+    this.onDeliveryAttempted = (delivery, result) => this.observeDelivery(delivery, result);
+    this.onEventProcessed = (eventDetails, summary) => this.observeEvent(summary);
+    this.onChangeEvent = (changeEvent) => this.observeChangeEvent(changeEvent);
+  }
+
+  /**
+   * Define the metrics and the collectors reading current state on each scrape
+   */
+  defineMetrics () {
+    const registry = this.registry;
+
+    this.deliveries = registry.counter({
+      name: `${PREFIX}deliveries_total`,
+      help: 'Delivery attempts by webhook, event type, status code and result',
+      labelNames: ['webhook', 'event_type', 'status_code', 'result']
+    });
+    this.deliveryDuration = registry.histogram({
+      name: `${PREFIX}delivery_duration_seconds`,
+      help: 'Duration of delivery attempts in seconds',
+      labelNames: ['webhook', 'event_type', 'status_code']
+    });
+    this.eventDeliveries = registry.counter({
+      name: `${PREFIX}event_deliveries_total`,
+      help: 'Deliveries created from events by event type and outcome (queued, filtered, rateLimited, error)',
+      labelNames: ['event_type', 'outcome']
+    });
+    this.pipelineEvents = registry.counter({
+      name: `${PREFIX}pipeline_events_total`,
+      help: 'Events run through the pipeline by outcome',
+      labelNames: ['outcome']
+    });
+    this.stageDuration = registry.counter({
+      name: `${PREFIX}pipeline_stage_duration_seconds_total`,
+      help: 'Time spent in each pipeline stage in seconds',
+      labelNames: ['stage']
+    });
+    this.stageErrors = registry.counter({
+      name: `${PREFIX}pipeline_stage_errors_total`,
+      help: 'Failures of each pipeline stage',
+      labelNames: ['stage']
+    });
+    this.queueDepth = registry.gauge({
+      name: `${PREFIX}queue_depth`,
+      help: 'Deliveries waiting in the delivery queue by priority',
+      labelNames: ['priority']
+    });
+    this.queueWaiting = registry.gauge({
+      name: `${PREFIX}queue_ordering_waiting`,
+      help: 'Ordered deliveries waiting behind an earlier delivery with the same key'
+    });
+    this.queueProcessing = registry.gauge({
+      name: `${PREFIX}queue_processing`,
+      help: 'Deliveries being attempted'
+    });
+    this.deadLettered = registry.gauge({
+      name: `${PREFIX}dead_letter_queue_size`,
+      help: 'Deliveries in the dead letter queue'
+    });
+    this.circuitState = registry.gauge({
+      name: `${PREFIX}circuit_breaker_state`,
+      help: 'Circuit breaker state by webhook, 1 for the current state',
+      labelNames: ['webhook', 'state']
+    });
+    this.circuitTransitions = registry.counter({
+      name: `${PREFIX}circuit_breaker_transitions_total`,
+      help: 'Circuit breaker transitions by new state',
+      labelNames: ['state']
+    });
+    this.rateLimited = registry.counter({
+      name: `${PREFIX}rate_limit_checks_total`,
+      help: 'Rate limit checks by webhook and result',
+      labelNames: ['webhook', 'result']
+    });
+    this.changeEvents = registry.counter({
+      name: `${PREFIX}change_stream_events_total`,
+      help: 'Change stream events by operation type',
+      labelNames: ['operation']
+    });
+    this.changeStreamLag = registry.gauge({
+      name: `${PREFIX}change_stream_lag_seconds`,
+      help: 'Seconds between the cluster time of the last change event and when it was received'
+    });
+    this.changeStreamLastEvent = registry.gauge({
+      name: `${PREFIX}change_stream_last_event_timestamp_seconds`,
+      help: 'Cluster time of the last change event as a Unix timestamp'
+    });
+    this.changeStreamRunning = registry.gauge({
+      name: `${PREFIX}change_stream_running`,
+      help: 'Whether this instance is tailing the change stream'
+    });
+
+    this.registry.addCollector(() => this.collect());
+  }
+
+  /**
+   * Start serving metrics and listening to the services
+   * @returns {Promise<void>}
+   */
+  async start () {
+    const { pipeline, changeStream } = this.services;
+    pipeline?.on('delivery-attempted', this.onDeliveryAttempted);
+    pipeline?.on('event-processed', this.onEventProcessed);
+    changeStream?.on('change', this.onChangeEvent);
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    logger.info(`Metrics available on ${this.host || '0.0.0.0'}:${this.port}/metrics`);
+  }
+
+  /**
+   * Stop serving metrics
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    const { pipeline, changeStream } = this.services;
+    pipeline?.off('delivery-attempted', this.onDeliveryAttempted);
+    pipeline?.off('event-processed', this.onEventProcessed);
+    changeStream?.off('change', this.onChangeEvent);
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Serve GET /metrics
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest (req, res) {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not Found\n');
+    }
+
+    try {
+      const body = await this.registry.render();
+      res.writeHead(200, { 'Content-Type': this.registry.contentType });
+      res.end(body);
+    } catch (error) {
+      logger.error('Error rendering metrics:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal Server Error\n');
+    }
+  }
+
+  /**
+   * Record a delivery attempt
+   * @param {Object} delivery - Queued delivery
+   * @param {Object} result - Delivery result
+   */
+  observeDelivery (delivery, result) {
+    const labels = {
+      webhook: String(delivery.webhook?._id || delivery.webhook?.id || delivery.webhookId || 'unknown'),
+      event_type: delivery.payload?.event || delivery.payload?.type || 'unknown',
+      status_code: result.statusCode ? String(result.statusCode) : 'none'
+    };
+
+    this.deliveries.inc({ ...labels, result: result.success ? 'success' : 'failure' });
+    if (typeof result.responseTime === 'number') {
+      this.deliveryDuration.observe(labels, result.responseTime / 1000);
+    }
+  }
+
+  /**
+   * Record the deliveries created from a processed event
+   * @param {Object} summary - Pipeline processing summary
+   */
+  observeEvent (summary) {
+    for (const delivery of summary.deliveries || []) {
+      this.eventDeliveries.inc({ event_type: summary.eventType || 'unknown', outcome: delivery.outcome });
+    }
+  }
+
+  /**
+   * Record the lag of a change event behind the cluster time it was written at
+   * @param {Object} changeEvent - MongoDB change stream event
+   */
+  observeChangeEvent (changeEvent) {
+    const clusterTime = MetricsService.getClusterSeconds(changeEvent.clusterTime);
+    if (clusterTime === null) {
+      return;
+    }
+
+    this.changeStreamLastEvent.set({}, clusterTime);
+    this.changeStreamLag.set({}, Math.max(0, Date.now() / 1000 - clusterTime));
+  }
+
+  /**
+   * Read current state from the services, run before every scrape
+   * @returns {Promise<void>}
+   */
+  async collect () {
+    const { pipeline, deliveryQueue, circuitBreaker, rateLimit, changeStream } = this.services;
+
+    if (pipeline) {
+      const stats = pipeline.stats;
+      this.pipelineEvents.set({ outcome: 'processed' }, stats.processedEvents);
+      this.pipelineEvents.set({ outcome: 'dropped' }, stats.droppedEvents);
+      this.pipelineEvents.set({ outcome: 'duplicate' }, stats.duplicateEvents);
+      this.pipelineEvents.set({ outcome: 'failed' }, stats.failedEvents);
+
+      for (const [stage, { errors, totalTime }] of Object.entries(stats.stages)) {
+        this.stageDuration.set({ stage }, totalTime / 1000);
+        this.stageErrors.set({ stage }, errors);
+      }
+    }
+
+    if (deliveryQueue) {
+      const status = deliveryQueue.getQueueStatus();
+      this.queueDepth.reset();
+      for (const [name, priority] of Object.entries(deliveryQueue.priorities)) {
+        this.queueDepth.set({ priority: name.toLowerCase() }, status.queueSizes[priority] || 0);
+      }
+      this.queueWaiting.set({}, status.waiting || 0);
+      this.queueProcessing.set({}, status.processing || 0);
+      this.deadLettered.set({}, status.deadLetterQueue || 0);
+    }
+
+    if (circuitBreaker) {
+      // Circuit breakers of deleted webhooks disappear with them
+      this.circuitState.reset();
+      for (const [webhookId, breaker] of circuitBreaker.circuitBreakers) {
+        for (const state of CIRCUIT_STATES) {
+          this.circuitState.set({ webhook: webhookId, state }, breaker.state === state ? 1 : 0);
+        }
+      }
+
+      this.circuitTransitions.set({ state: 'OPEN' }, circuitBreaker.stats.circuitOpenCount);
+      this.circuitTransitions.set({ state: 'HALF_OPEN' }, circuitBreaker.stats.circuitHalfOpenCount);
+      this.circuitTransitions.set({ state: 'CLOSED' }, circuitBreaker.stats.circuitCloseCount);
+    }
+
+    if (rateLimit) {
+      for (const [webhookId, counts] of Object.entries(rateLimit.rateLimitStats.limitsByWebhook)) {
+        this.rateLimited.set({ webhook: webhookId, result: 'allowed' }, counts.allowed);
+        this.rateLimited.set({ webhook: webhookId, result: 'blocked' }, counts.blocked);
+      }
+    }
+
+    if (changeStream) {
+      for (const [operation, count] of Object.entries(changeStream.stats.eventsByType)) {
+        this.changeEvents.set({ operation }, count);
+      }
+      this.changeStreamRunning.set({}, changeStream.isActive() ? 1 : 0);
+    }
+  }
+
+  /**
+   * Get the seconds of a change event cluster time, a BSON timestamp
+   * @param {Object} clusterTime - Cluster time
+   * @returns {number|null} - Unix time in seconds, null when missing
+   */
+  static getClusterSeconds (clusterTime) {
+    if (!clusterTime) {
+      return null;
+    }
+
+    if (typeof clusterTime.getHighBits === 'function') {
+      return clusterTime.getHighBits();
+    }
+
+    // Events re-driven from storage may carry a date instead
+    const time = new Date(clusterTime).getTime();
+    return Number.isNaN(time) ? null : time / 1000;
+  }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,206 @@
+/**
+ * OAuth Token Service for Huly Webhook Service
+ * Fetches access tokens with the OAuth2 client credentials grant for webhooks
+ * behind an API gateway, and caches them until shortly before they expire
+ */
+
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const logger = require('../utils/logger');
+const EgressPolicy = require('../utils/egress');
+
+class OAuthTokenService {
+  constructor (config, egressPolicy = new EgressPolicy(config.egress)) {
+    this.config = config;
+    // Token endpoints are subject to the same egress policy as webhook URLs
+    this.egressPolicy = egressPolicy;
+    this.timeout = config.delivery?.timeout || 30000;
+    // Tokens are refreshed this long before they expire
+    this.refreshMargin = config.delivery?.oauth?.refreshMargin || 60000;
+    // Used when the token endpoint does not say how long a token lasts
+    this.defaultTtl = config.delivery?.oauth?.defaultTtl || 300000;
+
+    this.tokens = new Map();
+    this.pending = new Map();
+    this.stats = {
+      fetched: 0,
+      cacheHits: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Get an access token, fetching a new one when none is cached or it is about to expire
+   * @param {Object} auth - Decrypted oauth2_client_credentials configuration
+   * @returns {Promise<string>} - Access token
+   */
+  async getToken (auth) {
+    const key = this.getCacheKey(auth);
+    const cached = this.tokens.get(key);
+
+    if (cached && cached.secretHash === this.hashSecret(auth) && cached.expiresAt - this.refreshMargin > Date.now()) {
+      this.stats.cacheHits++;
+      return cached.accessToken;
+    }
+
+    // Concurrent deliveries share one token request
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.fetchToken(auth)
+        .then((token) => {
+          this.tokens.set(key, token);
+          return token.accessToken;
+        })
+        .finally(() => this.pending.delete(key)));
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Drop a cached token, e.g. after the receiver rejected it
+   * @param {Object} auth - oauth2_client_credentials configuration
+   */
+  invalidate (auth) {
+    this.tokens.delete(this.getCacheKey(auth));
+  }
+
+  /**
+   * Request a token from the token endpoint
+   * @param {Object} auth - Decrypted oauth2_client_credentials configuration
+   * @returns {Promise<Object>} - Cached token
+   */
+  async fetchToken (auth) {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (auth.scopes?.length) {
+      form.set('scope', auth.scopes.join(' '));
+    }
+
+    if (auth.audience) {
+      form.set('audience', auth.audience);
+    }
+
+    if (auth.clientAuthMethod === 'client_secret_post') {
+      form.set('client_id', auth.clientId);
+      form.set('client_secret', auth.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    let response;
+    try {
+      response = await this.postForm(auth.tokenUrl, form.toString(), headers);
+    } catch (error) {
+      throw this.createError(`Token request to ${auth.tokenUrl} failed: ${error.message}`, null, error.code !== 'EGRESS_BLOCKED');
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw this.createError(
+        `Token endpoint ${auth.tokenUrl} returned HTTP ${response.statusCode}`,
+        response.statusCode,
+        response.statusCode === 429 || response.statusCode >= 500
+      );
+    }
+
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      body = null;
+    }
+
+    if (!body?.access_token) {
+      throw this.createError(`Token endpoint ${auth.tokenUrl} returned no access token`, response.statusCode, false);
+    }
+
+    this.stats.fetched++;
+    logger.debug(`Fetched OAuth2 access token from ${auth.tokenUrl}`);
+
+    return {
+      accessToken: body.access_token,
+      secretHash: this.hashSecret(auth),
+      expiresAt: Date.now() + (Number(body.expires_in) > 0 ? Number(body.expires_in) * 1000 : this.defaultTtl)
+    };
+  }
+
+  /**
+   * Create the error of a failed token fetch
+   * @param {string} message - Error message
+   * @param {number|null} statusCode - HTTP status of the token endpoint
+   * @param {boolean} retryable - Whether fetching again may succeed
+   * @returns {Error} - Error with code TOKEN_FETCH_FAILED
+   */
+  createError (message, statusCode, retryable) {
+    this.stats.failures++;
+    logger.warn(message);
+
+    return Object.assign(new Error(message), {
+      code: 'TOKEN_FETCH_FAILED',
+      tokenEndpointStatus: statusCode,
+      retryable
+    });
+  }
+
+  /**
+   * POST a form to the token endpoint
+   * @param {string} tokenUrl - Token endpoint URL
+   * @param {string} body - URL encoded form
+   * @param {Object} headers - Request headers
+   * @returns {Promise<{ statusCode: number, body: string }>} - Response
+   */
+  postForm (tokenUrl, body, headers) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(tokenUrl);
+      const client = url.protocol === 'https:' ? https : http;
+
+      this.egressPolicy.assertUrl(tokenUrl);
+
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.timeout,
+        lookup: this.egressPolicy.lookup
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+        res.on('error', reject);
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      req.end(body);
+    });
+  }
+
+  /**
+   * Get the cache key of a client, without its secret
+   * @param {Object} auth - oauth2_client_credentials configuration
+   * @returns {string} - Cache key
+   */
+  getCacheKey (auth) {
+    return [auth.tokenUrl, auth.clientId, (auth.scopes || []).join(' '), auth.audience || ''].join('|');
+  }
+
+  /**
+   * Hash the client secret, so a changed secret is not served the old token
+   * @param {Object} auth - Decrypted oauth2_client_credentials configuration
+   * @returns {string} - Secret hash
+   */
+  hashSecret (auth) {
+    return crypto.createHash('sha256').update(String(auth.clientSecret)).digest('hex');
+  }
+}
+
+module.exports = OAuthTokenService;
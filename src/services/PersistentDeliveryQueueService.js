@@ -0,0 +1,737 @@
+/**
+ * Persistent Delivery Queue Service for Huly Webhook Service
+ * Stores queued deliveries in MongoDB so pending deliveries and scheduled
+ * retries survive restarts. Workers lease jobs atomically; a job is removed
+ * only after it was delivered, so every delivery happens at least once.
+ * Each lease counts as an attempt, so a job that keeps stopping or hanging
+ * its worker is dead-lettered instead of being leased forever.
+ * Ordered jobs are stored as 'waiting' until they become the head of their
+ * ordering key, which a unique index guarantees for one job per key
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const DeliveryQueueService = require('./DeliveryQueueService');
+const logger = require('../utils/logger');
+
+class PersistentDeliveryQueueService extends DeliveryQueueService {
+  constructor (config, databaseService) {
+    super(config);
+    this.db = databaseService;
+    this.collectionName = config.queue?.collection || 'delivery_queue';
+
+    // A lease must outlive the delivery attempt, otherwise another worker re-claims the job
+    this.visibilityTimeout = config.queue?.visibilityTimeout || 90000;
+    if (this.visibilityTimeout <= this.attemptTimeout) {
+      logger.warn(`QUEUE_VISIBILITY_TIMEOUT_MS (${this.visibilityTimeout}) should exceed the delivery attempt timeout ` +
+        `(${this.attemptTimeout}), or deliveries still in flight are re-claimed`);
+    }
+    this.reclaimInterval = config.queue?.reclaimInterval || 5000;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    // Queue sizes are read synchronously, so they are cached and refreshed periodically
+    this.counts = {
+      queued: 0,
+      waiting: 0,
+      processing: 0,
+      deadLettered: 0,
+      byPriority: {}
+    };
+
+    this.stats.totalReclaimed = 0;
+  }
+
+  /**
+   * Create the queue indexes
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    await this.db.createIndexes(this.collectionName, this.getIndexes());
+    await this.refreshCounts();
+  }
+
+  /**
+   * Get index definitions for the queue collection
+   * @returns {Array} - Index definitions
+   */
+  getIndexes () {
+    return [
+      // Claims pick the most urgent due job
+      { key: { status: 1, priority: 1, scheduledFor: 1 } },
+      // Abandoned leases are found by expiry
+      { key: { status: 1, leaseExpiresAt: 1 } },
+      { key: { status: 1, deadLetteredAt: 1 } },
+      // Waiting jobs are promoted in sequence order
+      { key: { orderingKey: 1, status: 1, sequence: 1 } },
+      // Batches are filled with the earliest jobs of the same batch
+      { key: { 'batch.key': 1, status: 1, sequence: 1 }, options: { sparse: true } },
+      // Only one job per ordering key can be the head
+      {
+        key: { orderingKey: 1 },
+        options: { name: 'delivery_queue_ordering_head', unique: true, partialFilterExpression: { head: true } }
+      }
+    ];
+  }
+
+  /**
+   * Start the queue, re-claiming leases abandoned by stopped workers
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (this.isRunning) {
+      logger.warn('Delivery queue service is already running');
+      return;
+    }
+
+    await this.initialize();
+    await this.reclaimExpiredLeases();
+    await super.start();
+
+    const reclaimInterval = setInterval(async () => {
+      await this.reclaimExpiredLeases();
+      await this.promoteWaitingDeliveries();
+      await this.refreshCounts();
+    }, this.reclaimInterval);
+
+    this.processors.set('reclaim', { interval: reclaimInterval });
+    logger.info(`Persistent delivery queue started as worker ${this.workerId}`);
+  }
+
+  /**
+   * Add delivery to queue
+   * @param {Object} delivery - Delivery object
+   * @param {string} priority - Priority level ('HIGH', 'MEDIUM', 'LOW')
+   * @returns {Promise<string>} - Delivery ID
+   */
+  async addDelivery (delivery, priority = 'MEDIUM') {
+    try {
+      this.validateDelivery(delivery);
+
+      if (this.getTotalQueueSize() >= this.maxQueueSize) {
+        throw new Error('Queue capacity exceeded');
+      }
+
+      const deliveryItem = this.createDeliveryItem(delivery, priority);
+      const ordered = Boolean(deliveryItem.orderingKey);
+
+      if (deliveryItem.batch && !delivery.scheduledFor) {
+        deliveryItem.scheduledFor = await this.getBatchSchedule(deliveryItem);
+      }
+
+      // A dead-lettered head re-sent from the dead letter queue keeps its sequence and replaces it
+      if (ordered && deliveryItem.metadata.originalDeliveryId) {
+        const { deletedCount } = await this.db.deleteMany(this.collectionName, {
+          orderingKey: deliveryItem.orderingKey,
+          sequence: deliveryItem.sequence,
+          status: 'dead-lettered'
+        });
+        this.counts.deadLettered = Math.max(this.counts.deadLettered - deletedCount, 0);
+      }
+
+      await this.db.insertOne(this.collectionName, {
+        _id: deliveryItem.id,
+        ...deliveryItem,
+        status: ordered ? 'waiting' : 'queued',
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+
+      this.stats.totalQueued++;
+
+      if (ordered) {
+        this.counts.waiting++;
+        await this.promoteNextDelivery(deliveryItem.orderingKey);
+      } else {
+        this.counts.queued++;
+      }
+
+      logger.debug(`Added delivery ${deliveryItem.id} to persistent queue with priority ${priority}`);
+      this.emit('delivery-queued', deliveryItem);
+
+      return deliveryItem.id;
+    } catch (error) {
+      logger.error('Error adding delivery to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next due delivery by leasing it to this worker
+   * @returns {Promise<Object|null>} - Leased delivery or null if none is due
+   */
+  async getNextDelivery () {
+    const now = new Date();
+
+    const document = await this.db.findOneAndUpdate(
+      this.collectionName,
+      { status: 'queued', scheduledFor: { $lte: now } },
+      {
+        $set: {
+          status: 'processing',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.visibilityTimeout),
+          lastAttemptAt: now
+        },
+        $inc: { leases: 1, attempts: 1 }
+      },
+      { sort: { priority: 1, scheduledFor: 1 }, returnDocument: 'after' }
+    );
+
+    if (!document) {
+      return null;
+    }
+
+    this.counts.queued = Math.max(this.counts.queued - 1, 0);
+    return this.toDelivery(document);
+  }
+
+  /**
+   * Get when a batched job is due: once its batch is full, or when it waited the batch timeout
+   * @param {Object} deliveryItem - Batched delivery item
+   * @returns {Promise<Date>} - Scheduled time
+   */
+  async getBatchSchedule (deliveryItem) {
+    const pending = await this.db.countDocuments(this.collectionName, {
+      'batch.key': deliveryItem.batch.key,
+      status: 'queued',
+      attempts: 0
+    });
+
+    return this.scheduleInBatch(pending + 1, deliveryItem.batch);
+  }
+
+  /**
+   * Lease queued jobs that go out in the same batch as a claimed job
+   * @param {Object} head - Claimed batched delivery
+   * @returns {Promise<Array>} - Leased companion deliveries
+   */
+  async claimBatchCompanions (head) {
+    const { documents: candidates } = await this.db.find(this.collectionName, {
+      'batch.key': head.batch.key,
+      status: 'queued',
+      attempts: 0
+    }, { sort: { sequence: 1 }, limit: head.batch.size - 1, projection: { _id: 1 } });
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    // Jobs claimed by another worker in the meantime are no longer queued and are left out
+    const batchId = crypto.randomBytes(8).toString('hex');
+    const { modifiedCount } = await this.db.updateMany(
+      this.collectionName,
+      { _id: { $in: candidates.map(candidate => candidate._id) }, status: 'queued' },
+      {
+        $set: {
+          status: 'processing',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(Date.now() + this.visibilityTimeout),
+          lastAttemptAt: new Date(),
+          batchId
+        },
+        $inc: { leases: 1, attempts: 1 }
+      }
+    );
+
+    if (!modifiedCount) {
+      return [];
+    }
+
+    this.counts.queued = Math.max(this.counts.queued - modifiedCount, 0);
+
+    const { documents } = await this.db.find(this.collectionName, {
+      batchId,
+      leaseOwner: this.workerId,
+      status: 'processing'
+    }, { sort: { sequence: 1 }, limit: head.batch.size });
+
+    return documents.map(document => this.toDelivery(document));
+  }
+
+  /**
+   * Start an attempt of a leased job, which was already counted when the job was leased
+   * @param {Object} delivery - Leased delivery
+   */
+  startAttempt (delivery) {
+    delivery.lastAttemptAt = new Date();
+  }
+
+  /**
+   * Make the earliest waiting job of an ordering key its head, unless the key already has one
+   * @param {string} orderingKey - Ordering key
+   * @returns {Promise<boolean>} - Whether a job was promoted
+   */
+  async promoteNextDelivery (orderingKey) {
+    try {
+      const next = await this.db.findOne(
+        this.collectionName,
+        { orderingKey, status: 'waiting' },
+        { sort: { sequence: 1 } }
+      );
+
+      if (!next) {
+        return false;
+      }
+
+      // Concurrent promotions pick the same job, and the unique head index rejects a second head
+      const { modifiedCount } = await this.db.updateOne(
+        this.collectionName,
+        { _id: next._id, status: 'waiting' },
+        { $set: { status: 'queued', head: true } }
+      );
+
+      if (modifiedCount) {
+        this.counts.waiting = Math.max(this.counts.waiting - 1, 0);
+        this.counts.queued++;
+      }
+
+      return modifiedCount > 0;
+    } catch (error) {
+      if (error.code === 'CONFLICT' || error.code === 11000) {
+        return false;
+      }
+
+      logger.error(`Error promoting the next delivery of ordering key ${orderingKey}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Promote waiting jobs whose head is gone, e.g. after a worker stopped between acknowledging and promoting
+   * @returns {Promise<number>} - Number of promoted jobs
+   */
+  async promoteWaitingDeliveries () {
+    try {
+      const keys = await this.db.aggregate(this.collectionName, [
+        { $match: { status: 'waiting' } },
+        { $group: { _id: '$orderingKey' } },
+        { $limit: 1000 }
+      ]);
+
+      let promoted = 0;
+      for (const { _id: orderingKey } of keys) {
+        if (await this.promoteNextDelivery(orderingKey)) {
+          promoted++;
+        }
+      }
+
+      return promoted;
+    } catch (error) {
+      logger.error('Error promoting waiting deliveries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue the next job of an ordering key once its head was removed
+   * @param {Object} delivery - Completed or discarded head delivery
+   * @returns {Promise<void>}
+   */
+  async releaseOrderingHead (delivery) {
+    await this.promoteNextDelivery(delivery.orderingKey);
+  }
+
+  /**
+   * Discard a dead-lettered job that blocks the ordered jobs waiting behind it
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<boolean>} - Whether a blocking job was discarded
+   */
+  async skipBlockedDelivery (deliveryId) {
+    const document = await this.db.findOneAndDelete(this.collectionName, {
+      _id: deliveryId,
+      status: 'dead-lettered',
+      head: true
+    });
+
+    if (!document) {
+      return false;
+    }
+
+    this.counts.deadLettered = Math.max(this.counts.deadLettered - 1, 0);
+
+    const head = this.toDelivery(document);
+    await this.releaseOrderingHead(head);
+
+    logger.warn(`Skipped dead-lettered delivery ${deliveryId}, releasing ordering key ${head.orderingKey}`);
+    this.emit('ordering-skipped', head);
+
+    return true;
+  }
+
+  /**
+   * Get ordering keys of a webhook whose head job failed and holds back later jobs
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Array>} - Stalled ordering keys
+   */
+  async getOrderingStatus (webhookId) {
+    const { documents: heads } = await this.db.find(this.collectionName, {
+      'metadata.webhookId': webhookId,
+      head: true,
+      lastError: { $ne: null }
+    }, { sort: { sequence: 1 }, limit: 1000 });
+
+    if (heads.length === 0) {
+      return [];
+    }
+
+    const waiting = await this.db.aggregate(this.collectionName, [
+      { $match: { orderingKey: { $in: heads.map(head => head.orderingKey) }, status: 'waiting' } },
+      { $group: { _id: '$orderingKey', count: { $sum: 1 } } }
+    ]);
+    const waitingByKey = new Map(waiting.map(({ _id, count }) => [_id, count]));
+
+    return heads.map(head =>
+      this.describeOrderingHead(this.toDelivery(head), waitingByKey.get(head.orderingKey) || 0)
+    );
+  }
+
+  /**
+   * Acknowledge a delivered job by removing it from the queue
+   * @param {Object} delivery - Delivery object
+   * @param {Object} result - Delivery result
+   * @returns {Promise<void>}
+   */
+  async handleDeliverySuccess (delivery, result) {
+    try {
+      const { deletedCount } = await this.db.deleteOne(this.collectionName, this.leaseFilter(delivery));
+
+      if (!deletedCount) {
+        logger.warn(`Lease on delivery ${delivery.id} was lost before it was acknowledged, it may be delivered again`);
+      }
+    } catch (error) {
+      logger.error(`Error acknowledging delivery ${delivery.id}:`, error);
+    }
+
+    await super.handleDeliverySuccess(delivery, result);
+  }
+
+  /**
+   * Release a failed job back to the queue for a later attempt
+   * @param {Object} delivery - Delivery object
+   * @returns {Promise<void>}
+   */
+  async scheduleRetry (delivery) {
+    try {
+      const delay = this.calculateRetryDelay(delivery.attempts);
+      delivery.scheduledFor = new Date(Date.now() + delay);
+
+      await this.db.updateOne(this.collectionName, this.leaseFilter(delivery), {
+        $set: {
+          status: 'queued',
+          attempts: delivery.attempts,
+          scheduledFor: delivery.scheduledFor,
+          lastAttemptAt: delivery.lastAttemptAt || null,
+          lastError: delivery.lastError || null,
+          lastErrorAt: delivery.lastErrorAt || null,
+          leaseOwner: null,
+          leaseExpiresAt: null
+        }
+      });
+
+      this.stats.totalRetried++;
+      this.counts.queued++;
+
+      logger.info(`Scheduled retry for delivery ${delivery.id} in ${delay}ms (attempt ${delivery.attempts}/${delivery.maxAttempts})`);
+      this.emit('delivery-retry-scheduled', delivery);
+    } catch (error) {
+      logger.error(`Error scheduling retry for delivery ${delivery.id}:`, error);
+    }
+  }
+
+  /**
+   * Mark an exhausted job as dead-lettered
+   * @param {Object} delivery - Delivery object
+   * @param {Object} result - Last delivery result
+   * @returns {Promise<void>}
+   */
+  async moveToDeadLetterQueue (delivery, result) {
+    try {
+      delivery.status = 'dead-lettered';
+      delivery.deadLetteredAt = new Date();
+      delivery.finalResult = result;
+
+      await this.db.updateOne(this.collectionName, this.leaseFilter(delivery), {
+        $set: {
+          status: 'dead-lettered',
+          attempts: delivery.attempts,
+          deadLetteredAt: delivery.deadLetteredAt,
+          finalResult: result || null,
+          lastError: delivery.lastError || null,
+          lastErrorAt: delivery.lastErrorAt || null,
+          leaseOwner: null,
+          leaseExpiresAt: null
+        }
+      });
+
+      this.stats.totalFailed++;
+      this.stats.totalDeadLettered++;
+      this.counts.deadLettered++;
+
+      logger.warn(`Moved delivery ${delivery.id} to dead letter queue after ${delivery.attempts} attempts`);
+      this.warnIfBlocking(delivery);
+      this.emit('delivery-dead-lettered', delivery, result);
+    } catch (error) {
+      logger.error(`Error moving delivery ${delivery.id} to dead letter queue:`, error);
+    }
+  }
+
+  /**
+   * Retry delivery from dead letter queue
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async retryDeadLetteredDelivery (deliveryId) {
+    try {
+      const document = await this.db.findOneAndUpdate(
+        this.collectionName,
+        { _id: deliveryId, status: 'dead-lettered' },
+        {
+          $set: { status: 'queued', attempts: 0, scheduledFor: new Date() },
+          $unset: { deadLetteredAt: '', finalResult: '' }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!document) {
+        logger.warn(`Dead lettered delivery ${deliveryId} not found`);
+        return false;
+      }
+
+      this.counts.queued++;
+      this.counts.deadLettered = Math.max(this.counts.deadLettered - 1, 0);
+
+      logger.info(`Retrying dead lettered delivery ${deliveryId}`);
+      this.emit('dead-letter-retried', this.toDelivery(document));
+
+      return true;
+    } catch (error) {
+      logger.error(`Error retrying dead lettered delivery ${deliveryId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Return jobs whose lease expired to the queue, e.g. after a worker crashed mid-delivery.
+   * Jobs whose last attempt expired are dead-lettered instead
+   * @returns {Promise<number>} - Number of re-claimed jobs
+   */
+  async reclaimExpiredLeases () {
+    try {
+      const now = new Date();
+      const expiredFilter = { status: 'processing', leaseExpiresAt: { $lte: now } };
+
+      const { documents: expired } = await this.db.find(this.collectionName, expiredFilter, {
+        limit: this.maxQueueSize
+      });
+
+      for (const document of expired) {
+        if (document.attempts >= document.maxAttempts) {
+          await this.deadLetterExpiredLease(document, now);
+        }
+      }
+
+      const result = await this.db.updateMany(
+        this.collectionName,
+        expiredFilter,
+        { $set: { status: 'queued', leaseOwner: null, leaseExpiresAt: null } }
+      );
+
+      const reclaimed = result?.modifiedCount || 0;
+      if (reclaimed > 0) {
+        this.stats.totalReclaimed += reclaimed;
+        this.counts.queued += reclaimed;
+        logger.warn(`Re-claimed ${reclaimed} deliveries with expired leases`);
+      }
+
+      return reclaimed;
+    } catch (error) {
+      logger.error('Error re-claiming expired delivery leases:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Dead-letter a job whose lease expired on its last attempt
+   * @param {Object} document - Queue document
+   * @param {Date} now - Time leases were checked at
+   * @returns {Promise<void>}
+   */
+  async deadLetterExpiredLease (document, now) {
+    const result = { error: `Delivery lease expired after ${document.attempts} attempts` };
+
+    const { modifiedCount } = await this.db.updateOne(this.collectionName, {
+      _id: document._id,
+      status: 'processing',
+      leaseExpiresAt: { $lte: now }
+    }, {
+      $set: {
+        status: 'dead-lettered',
+        deadLetteredAt: now,
+        finalResult: result,
+        lastError: result.error,
+        lastErrorAt: now,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    });
+
+    if (!modifiedCount) {
+      return;
+    }
+
+    const delivery = { ...this.toDelivery(document), status: 'dead-lettered', deadLetteredAt: now, finalResult: result };
+
+    this.stats.totalFailed++;
+    this.stats.totalDeadLettered++;
+    this.counts.deadLettered++;
+
+    logger.warn(`Moved delivery ${delivery.id} to dead letter queue, its lease expired on attempt ${delivery.attempts}/${delivery.maxAttempts}`);
+    this.warnIfBlocking(delivery);
+    this.emit('delivery-dead-lettered', delivery, result);
+  }
+
+  /**
+   * Refresh the cached queue sizes from the collection
+   * @returns {Promise<void>}
+   */
+  async refreshCounts () {
+    try {
+      const groups = await this.db.aggregate(this.collectionName, [
+        { $group: { _id: { status: '$status', priority: '$priority' }, count: { $sum: 1 } } }
+      ]);
+
+      const counts = { queued: 0, waiting: 0, processing: 0, deadLettered: 0, byPriority: {} };
+      for (const { _id: { status, priority }, count } of groups) {
+        if (status === 'queued') {
+          counts.queued += count;
+          counts.byPriority[priority] = (counts.byPriority[priority] || 0) + count;
+        } else if (status === 'waiting') {
+          counts.waiting += count;
+        } else if (status === 'processing') {
+          counts.processing += count;
+        } else if (status === 'dead-lettered') {
+          counts.deadLettered += count;
+        }
+      }
+
+      this.counts = counts;
+    } catch (error) {
+      logger.error('Error counting queued deliveries:', error);
+    }
+  }
+
+  /**
+   * Get deliveries by status
+   * @param {string} status - Status to filter by
+   * @returns {Promise<Array>} - Filtered deliveries
+   */
+  async getDeliveriesByStatus (status) {
+    const { documents } = await this.db.find(this.collectionName, { status }, {
+      sort: { priority: 1, scheduledFor: 1 },
+      limit: this.maxQueueSize
+    });
+
+    return documents.map(document => this.toDelivery(document));
+  }
+
+  /**
+   * Clear dead letter queue
+   * @returns {Promise<number>} - Number of cleared deliveries
+   */
+  async clearDeadLetterQueue () {
+    const blocked = await this.db.aggregate(this.collectionName, [
+      { $match: { status: 'dead-lettered', head: true } },
+      { $group: { _id: '$orderingKey' } }
+    ]);
+
+    const { deletedCount } = await this.db.deleteMany(this.collectionName, { status: 'dead-lettered' });
+    this.counts.deadLettered = 0;
+
+    // Cleared ordered jobs no longer hold back the jobs behind them
+    for (const { _id: orderingKey } of blocked) {
+      await this.promoteNextDelivery(orderingKey);
+    }
+
+    logger.info(`Cleared ${deletedCount} deliveries from dead letter queue`);
+    return deletedCount;
+  }
+
+  /**
+   * Remove dead-lettered deliveries older than a day, keeping those that block ordered deliveries
+   * @returns {Promise<void>}
+   */
+  async performCleanup () {
+    try {
+      const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const { deletedCount } = await this.db.deleteMany(this.collectionName, {
+        status: 'dead-lettered',
+        deadLetteredAt: { $lt: cutoff },
+        head: { $ne: true }
+      });
+
+      if (deletedCount > 0) {
+        logger.info(`Cleaned up ${deletedCount} old deliveries from dead letter queue`);
+      }
+    } catch (error) {
+      logger.error('Error during cleanup:', error);
+    }
+  }
+
+  /**
+   * Get total queued deliveries, from the cached counts
+   * @returns {number} - Total queue size
+   */
+  getTotalQueueSize () {
+    return this.counts.queued + this.counts.waiting;
+  }
+
+  /**
+   * Get the number of ordered deliveries waiting behind the head of their ordering key
+   * @returns {number} - Waiting deliveries, from the cached counts
+   */
+  getWaitingCount () {
+    return this.counts.waiting;
+  }
+
+  /**
+   * Get queue status
+   * @returns {Object} - Queue status
+   */
+  getQueueStatus () {
+    return {
+      isRunning: this.isRunning,
+      persistent: true,
+      workerId: this.workerId,
+      totalQueued: this.getTotalQueueSize(),
+      waiting: this.counts.waiting,
+      processing: this.processing.size,
+      leased: this.counts.processing,
+      deadLetterQueue: this.counts.deadLettered,
+      queueSizes: { ...this.counts.byPriority },
+      maxQueueSize: this.maxQueueSize,
+      maxConcurrentDeliveries: this.maxConcurrentDeliveries,
+      visibilityTimeout: this.visibilityTimeout
+    };
+  }
+
+  /**
+   * Build the filter matching a job only while this worker still holds its lease
+   * @param {Object} delivery - Leased delivery
+   * @returns {Object} - MongoDB filter
+   */
+  leaseFilter (delivery) {
+    return { _id: delivery.id, leaseOwner: this.workerId };
+  }
+
+  /**
+   * Convert a stored job into a delivery object
+   * @param {Object} document - Queue document
+   * @returns {Object} - Delivery object
+   */
+  toDelivery (document) {
+    const { _id, ...delivery } = document;
+    return { ...delivery, id: delivery.id || _id };
+  }
+}
+
+module.exports = PersistentDeliveryQueueService;
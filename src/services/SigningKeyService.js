@@ -0,0 +1,213 @@
+/**
+ * Signing Key Service for Huly Webhook Service
+ * Holds the Ed25519 keys deliveries are signed with. Keys are stored in MongoDB
+ * with their private half encrypted, rotated on a schedule and published as a
+ * JWKS, so receivers verify deliveries without a shared secret
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class SigningKeyService extends EventEmitter {
+  constructor (config, databaseService, encryptionService) {
+    super();
+    this.config = config;
+    this.db = databaseService;
+    this.encryption = encryptionService;
+    this.collectionName = 'signing_keys';
+
+    // A key signs for rotationInterval. Its successor is published publishAhead before
+    // it takes over, and the retired key stays published for retention afterwards
+    this.rotationInterval = config.signing?.rotationInterval || 90 * DAY;
+    this.publishAhead = config.signing?.publishAhead || DAY;
+    this.retention = config.signing?.retention || 7 * DAY;
+    this.checkInterval = config.signing?.checkInterval || 15 * 60 * 1000;
+
+    this.keys = [];
+    this.privateKeys = new Map();
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Load the keys and create the first one when there is none
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (this.isRunning) {
+      logger.warn('Signing key service is already running');
+      return;
+    }
+
+    await this.db.createIndexes(this.collectionName, [
+      // Every key has one successor, so replicas rotating at once cannot both add one
+      { key: { previousKid: 1 }, options: { name: 'signing_keys_successor', unique: true } },
+      { key: { expiresAt: 1 }, options: { name: 'signing_keys_ttl', expireAfterSeconds: 0 } }
+    ]);
+
+    this.isRunning = true;
+
+    await this.rotateIfDue();
+    this.timer = setInterval(() => this.rotateIfDue(), this.checkInterval);
+
+    logger.info(`Signing key service started with key ${this.getCurrentKey()?._id}`);
+  }
+
+  /**
+   * Stop the rotation schedule
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    logger.info('Signing key service stopped');
+  }
+
+  /**
+   * Reload the published keys, oldest first
+   * @returns {Promise<void>}
+   */
+  async loadKeys () {
+    const result = await this.db.find(this.collectionName, {
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }, { sort: { activatesAt: 1 }, limit: 100 });
+
+    this.keys = result.documents;
+
+    // Forget decrypted keys that are no longer published
+    for (const kid of this.privateKeys.keys()) {
+      if (!this.keys.some(key => key._id === kid)) {
+        this.privateKeys.delete(kid);
+      }
+    }
+  }
+
+  /**
+   * Create the next key once the current one is due for rotation. The new key is
+   * published ahead of signing so receivers caching the JWKS already know it
+   * @returns {Promise<void>}
+   */
+  async rotateIfDue () {
+    try {
+      await this.loadKeys();
+
+      const now = Date.now();
+      const latest = this.keys[this.keys.length - 1];
+
+      if (!latest) {
+        await this.createKey(new Date(now), null);
+      } else if (latest.activatesAt.getTime() + this.rotationInterval - this.publishAhead <= now) {
+        // After a long outage the successor still waits publishAhead before it signs
+        const activatesAt = Math.max(latest.activatesAt.getTime() + this.rotationInterval, now + this.publishAhead);
+        await this.createKey(new Date(activatesAt), latest);
+      }
+    } catch (error) {
+      if (error.code === 'CONFLICT' || error.code === 11000) {
+        logger.debug('Signing key was rotated by another instance');
+      } else {
+        logger.error('Error rotating signing keys:', error);
+      }
+    }
+
+    await this.loadKeys().catch(error => logger.error('Error loading signing keys:', error));
+  }
+
+  /**
+   * Create and store a key, scheduling its predecessor to expire
+   * @param {Date} activatesAt - When the key starts signing
+   * @param {Object|null} previous - Key it replaces
+   * @returns {Promise<Object>} - Stored key
+   */
+  async createKey (activatesAt, previous) {
+    const { kid, publicKey, privateKey } = CryptoUtils.generateSigningKeyPair();
+    const key = {
+      _id: kid,
+      algorithm: 'EdDSA',
+      publicKey,
+      // Sealed like webhook secrets, so `npm run encryption:rotate` re-wraps it too
+      ...this.encryption.encryptSigningKey(privateKey),
+      previousKid: previous?._id || null,
+      createdAt: new Date(),
+      activatesAt,
+      expiresAt: null
+    };
+
+    await this.db.insertOne(this.collectionName, key);
+
+    if (previous) {
+      await this.db.updateOne(this.collectionName, { _id: previous._id }, {
+        $set: { retiresAt: activatesAt, expiresAt: new Date(activatesAt.getTime() + this.retention) }
+      });
+    }
+
+    logger.info(`Created signing key ${kid}, signing from ${activatesAt.toISOString()}`);
+    this.emit('key-created', { kid, activatesAt, previousKid: key.previousKid });
+
+    return key;
+  }
+
+  /**
+   * Get the key that signs at the given time
+   * @param {Date} now - Reference time
+   * @returns {Object|null} - Newest key that is active
+   */
+  getCurrentKey (now = new Date()) {
+    let current = null;
+
+    for (const key of this.keys) {
+      if (key.activatesAt <= now) {
+        current = key;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Sign content with the current key
+   * @param {string} content - Content to sign
+   * @returns {{ kid: string, signature: string }} - Key ID and base64 signature
+   */
+  sign (content) {
+    const key = this.getCurrentKey();
+    if (!key) {
+      throw new Error('No signing key is available');
+    }
+
+    if (!this.privateKeys.has(key._id)) {
+      this.privateKeys.set(key._id, this.encryption.decryptSigningKey(key));
+    }
+
+    return {
+      kid: key._id,
+      signature: CryptoUtils.signEd25519(content, this.privateKeys.get(key._id))
+    };
+  }
+
+  /**
+   * Get the published public keys: the current key, its scheduled successor and
+   * recently retired keys, for deliveries still in flight when the key changed
+   * @returns {{ keys: Array<Object> }} - JSON Web Key Set
+   */
+  getJwks () {
+    return {
+      keys: this.keys.map(key => ({
+        ...key.publicKey,
+        kid: key._id,
+        use: 'sig',
+        alg: key.algorithm
+      }))
+    };
+  }
+}
+
+module.exports = SigningKeyService;
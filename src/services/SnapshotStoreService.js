@@ -0,0 +1,130 @@
+/**
+ * Snapshot Store Service for Huly Webhook Service
+ * Keeps the last seen version of changed documents so updates can be diffed
+ * when the collection does not record change stream pre-images
+ */
+
+const logger = require('../utils/logger');
+
+class SnapshotStoreService {
+  constructor (config) {
+    this.config = config;
+    this.maxEntries = config.events?.snapshots?.maxEntries || 10000;
+
+    // Map iteration order doubles as least recently used order
+    this.snapshots = new Map();
+
+    this.stats = {
+      preImages: 0,
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    };
+  }
+
+  /**
+   * Build the snapshot key of a change event
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {string|null} - Snapshot key
+   */
+  getKey (changeEvent) {
+    const id = changeEvent.documentKey?._id;
+    if (id === undefined || id === null || !changeEvent.ns?.coll) {
+      return null;
+    }
+
+    return `${changeEvent.ns.db || ''}.${changeEvent.ns.coll}:${id.toString()}`;
+  }
+
+  /**
+   * Get a snapshot and mark it as recently used
+   * @param {string} key - Snapshot key
+   * @returns {Object|null} - Last seen document
+   */
+  get (key) {
+    const snapshot = this.snapshots.get(key);
+    if (!snapshot) {
+      return null;
+    }
+
+    this.snapshots.delete(key);
+    this.snapshots.set(key, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Store a snapshot, evicting the least recently used ones beyond the limit
+   * @param {string} key - Snapshot key
+   * @param {Object} document - Document to store
+   */
+  set (key, document) {
+    this.snapshots.delete(key);
+    this.snapshots.set(key, document);
+
+    while (this.snapshots.size > this.maxEntries) {
+      const oldestKey = this.snapshots.keys().next().value;
+      this.snapshots.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Attach a pre-image to an update from the last seen snapshot when the change
+   * stream did not provide one, then remember the document's new state
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {Object} - Change event with `preImageSource` set for updates
+   */
+  attachPreImage (changeEvent) {
+    // Decoded Huly transactions carry partial documents and their own previous values
+    if (changeEvent.huly) {
+      return changeEvent;
+    }
+
+    const key = this.getKey(changeEvent);
+    if (!key) {
+      return changeEvent;
+    }
+
+    let result = changeEvent;
+    const operationType = changeEvent.operationType;
+
+    if (operationType === 'update' || operationType === 'replace') {
+      if (changeEvent.fullDocumentBeforeChange) {
+        this.stats.preImages++;
+        result = { ...changeEvent, preImageSource: 'changeStream' };
+      } else {
+        const snapshot = this.get(key);
+
+        if (snapshot) {
+          this.stats.hits++;
+          result = { ...changeEvent, fullDocumentBeforeChange: snapshot, preImageSource: 'snapshot' };
+        } else {
+          this.stats.misses++;
+          logger.debug(`No pre-image or snapshot for ${key}, changes will only include new values`);
+        }
+      }
+    }
+
+    if (operationType === 'delete') {
+      this.snapshots.delete(key);
+    } else if (changeEvent.fullDocument) {
+      this.set(key, changeEvent.fullDocument);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get snapshot store statistics
+   * @returns {Object} - Snapshot statistics
+   */
+  getStats () {
+    return {
+      ...this.stats,
+      size: this.snapshots.size,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+module.exports = SnapshotStoreService;
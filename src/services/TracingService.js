@@ -0,0 +1,176 @@
+/**
+ * Tracing Service for Huly Webhook Service
+ * Registers the OpenTelemetry tracer provider and exports the spans of change
+ * events and their deliveries over OTLP, or to the console or a file offline
+ */
+
+const fs = require('fs');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const {
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler
+} = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { Resource } = require('@opentelemetry/resources');
+const { ExportResultCode, hrTimeToMicroseconds } = require('@opentelemetry/core');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+const logger = require('../utils/logger');
+const { version } = require('../../package.json');
+
+/**
+ * Span exporter appending one JSON object per span to a file
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath - File to append to
+   */
+  constructor (filePath) {
+    this.filePath = filePath;
+    this.pending = new Set();
+  }
+
+  /**
+   * Export finished spans
+   * @param {Array<Object>} spans - Finished spans
+   * @param {Function} resultCallback - Receives the export result
+   */
+  export (spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify(FileSpanExporter.toJSON(span)) + '\n').join('');
+
+    const write = fs.promises.appendFile(this.filePath, lines).then(
+      () => resultCallback({ code: ExportResultCode.SUCCESS }),
+      (error) => resultCallback({ code: ExportResultCode.FAILED, error })
+    );
+
+    this.pending.add(write);
+    write.finally(() => this.pending.delete(write));
+  }
+
+  /**
+   * Wait for the spans being written
+   * @returns {Promise<void>}
+   */
+  async forceFlush () {
+    await Promise.all(this.pending);
+  }
+
+  async shutdown () {
+    await this.forceFlush();
+  }
+
+  /**
+   * Convert a finished span to a plain object
+   * @param {Object} span - Finished span
+   * @returns {Object} - Span fields
+   */
+  static toJSON (span) {
+    const spanContext = span.spanContext();
+
+    return {
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+      parentSpanId: span.parentSpanId,
+      name: span.name,
+      kind: span.kind,
+      timestamp: hrTimeToMicroseconds(span.startTime),
+      duration: hrTimeToMicroseconds(span.duration),
+      attributes: span.attributes,
+      status: span.status,
+      events: span.events,
+      links: span.links.map(link => ({ traceId: link.context.traceId, spanId: link.context.spanId }))
+    };
+  }
+}
+
+class TracingService {
+  constructor (config) {
+    this.config = config;
+    this.options = config.tracing || {};
+    this.provider = null;
+  }
+
+  /**
+   * Register the tracer provider, after which spans are recorded and
+   * `traceparent` headers are sent with deliveries
+   */
+  start () {
+    const exporter = this.createExporter();
+
+    // Offline exporters write each span as it ends, OTLP sends them in batches
+    const processor = this.options.exporter === 'otlp'
+      ? new BatchSpanProcessor(exporter)
+      : new SimpleSpanProcessor(exporter);
+
+    this.provider = new NodeTracerProvider({
+      resource: new Resource({
+        [ATTR_SERVICE_NAME]: this.options.serviceName || 'huly-webhook-service',
+        [ATTR_SERVICE_VERSION]: version
+      }),
+      // Deliveries continue the sampling decision of the event they belong to
+      sampler: new ParentBasedSampler({
+        root: new TraceIdRatioBasedSampler(this.options.sampleRatio ?? 1)
+      }),
+      spanProcessors: [processor]
+    });
+    this.provider.register();
+
+    logger.info(`Tracing enabled, exporting spans to ${this.describeExporter()}`);
+  }
+
+  /**
+   * Flush pending spans and stop recording
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    if (!this.provider) {
+      return;
+    }
+
+    try {
+      await this.provider.shutdown();
+    } catch (error) {
+      logger.error('Error flushing spans:', error);
+    }
+    this.provider = null;
+  }
+
+  /**
+   * Create the span exporter named in the config
+   * @returns {Object} - Span exporter
+   */
+  createExporter () {
+    switch (this.options.exporter) {
+    case 'console':
+      return new ConsoleSpanExporter();
+    case 'file':
+      return new FileSpanExporter(this.options.filePath);
+    default:
+      // Without an endpoint the exporter falls back to the standard OTEL_EXPORTER_OTLP_* variables
+      return new OTLPTraceExporter(this.options.endpoint
+        ? { url: `${this.options.endpoint.replace(/\/+$/, '')}/v1/traces` }
+        : {});
+    }
+  }
+
+  /**
+   * Describe where spans go, for the startup log
+   * @returns {string} - Exporter description
+   */
+  describeExporter () {
+    switch (this.options.exporter) {
+    case 'console':
+      return 'the console';
+    case 'file':
+      return this.options.filePath;
+    default:
+      return this.options.endpoint || 'the default OTLP endpoint';
+    }
+  }
+}
+
+TracingService.FileSpanExporter = FileSpanExporter;
+
+module.exports = TracingService;
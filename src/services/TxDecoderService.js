@@ -0,0 +1,416 @@
+/**
+ * Transaction Decoder Service for Huly Webhook Service
+ * Turns documents inserted into the Huly `tx` collection into domain change events
+ */
+
+const logger = require('../utils/logger');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
+
+const TX_CREATE_DOC = 'core:class:TxCreateDoc';
+const TX_UPDATE_DOC = 'core:class:TxUpdateDoc';
+const TX_REMOVE_DOC = 'core:class:TxRemoveDoc';
+const TX_MIXIN = 'core:class:TxMixin';
+const TX_COLLECTION_CUD = 'core:class:TxCollectionCUD';
+
+// Change stream operation each transaction class corresponds to
+const TX_OPERATIONS = {
+  [TX_CREATE_DOC]: 'insert',
+  [TX_UPDATE_DOC]: 'update',
+  [TX_MIXIN]: 'update',
+  [TX_REMOVE_DOC]: 'delete'
+};
+
+class TxDecoderService {
+  constructor (config, databaseService) {
+    this.config = config;
+    this.db = databaseService;
+    this.collectionName = config.events?.txDecoder?.collection || 'tx';
+    this.previousStateLookup = config.events?.txDecoder?.previousStateLookup !== false;
+    this.databaseName = config.mongodb?.dbName || null;
+    this.workspaceField = config.workspaces?.field || '';
+
+    this.classMappings = new Map();
+    this.attachedCollectionMappings = new Map();
+    this.fieldMappings = new Map();
+
+    this.stats = {
+      totalDecoded: 0,
+      totalSkipped: 0,
+      totalLookups: 0,
+      totalLookupErrors: 0
+    };
+
+    this.initializeDefaultMappings();
+  }
+
+  initializeDefaultMappings () {
+    // Huly object classes
+    this.classMappings.set('tracker:class:Issue', 'issue');
+    this.classMappings.set('tracker:class:Project', 'project');
+    this.classMappings.set('chunter:class:ChatMessage', 'message');
+    this.classMappings.set('chunter:class:ThreadMessage', 'message');
+    this.classMappings.set('chunter:class:Comment', 'comment');
+    this.classMappings.set('chunter:class:Channel', 'channel');
+    this.classMappings.set('attachment:class:Attachment', 'attachment');
+    this.classMappings.set('contact:class:Person', 'contact');
+    this.classMappings.set('contact:class:Organization', 'organization');
+    this.classMappings.set('contact:mixin:Employee', 'user');
+    this.classMappings.set('hr:class:Department', 'team');
+    this.classMappings.set('document:class:Document', 'document');
+    this.classMappings.set('board:class:Board', 'board');
+    this.classMappings.set('board:class:Card', 'card');
+    this.classMappings.set('time:class:ToDo', 'task');
+    this.classMappings.set('calendar:class:Event', 'calendar');
+    this.classMappings.set('lead:class:Lead', 'lead');
+    this.classMappings.set('recruit:mixin:Candidate', 'candidate');
+    this.classMappings.set('recruit:class:Applicant', 'application');
+    this.classMappings.set('recruit:class:Vacancy', 'vacancy');
+    this.classMappings.set('recruit:class:Review', 'review');
+    this.classMappings.set('inventory:class:Product', 'inventory');
+    this.classMappings.set('request:class:Request', 'request');
+    this.classMappings.set('tags:class:TagElement', 'tag');
+    this.classMappings.set('notification:class:InboxNotification', 'notification');
+
+    // Documents attached to a parent collection, e.g. chat messages in an issue's `comments`
+    this.attachedCollectionMappings.set('comments', 'comment');
+    this.attachedCollectionMappings.set('attachments', 'attachment');
+
+    // Updated attributes that have a dedicated event, in order of precedence
+    this.fieldMappings.set('status', 'status_changed');
+    this.fieldMappings.set('assignee', 'assigned');
+    this.fieldMappings.set('priority', 'priority_changed');
+    this.fieldMappings.set('dueDate', 'due_date_changed');
+    this.fieldMappings.set('title', 'title_changed');
+    this.fieldMappings.set('description', 'description_changed');
+    this.fieldMappings.set('labels', 'labels_changed');
+    this.fieldMappings.set('milestone', 'milestone_changed');
+    this.fieldMappings.set('estimation', 'estimation_changed');
+    this.fieldMappings.set('attachedTo', 'parent_changed');
+  }
+
+  /**
+   * Check whether a change event is a transaction inserted into the tx collection
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {boolean} - Whether the event is a Huly transaction
+   */
+  isTransaction (changeEvent) {
+    return changeEvent?.ns?.coll === this.collectionName &&
+      changeEvent.operationType === 'insert' &&
+      typeof changeEvent.fullDocument?._class === 'string';
+  }
+
+  /**
+   * Decode a transaction into its domain operation, unwrapping collection transactions
+   * @param {Object} changeEvent - MongoDB change stream event on the tx collection
+   * @returns {Object|null} - Decoded transaction or null if it has no domain meaning
+   */
+  decode (changeEvent) {
+    if (!this.isTransaction(changeEvent)) {
+      return null;
+    }
+
+    let tx = changeEvent.fullDocument;
+    let attachedTo = null;
+
+    if (tx._class === TX_COLLECTION_CUD) {
+      attachedTo = { id: tx.objectId, class: tx.objectClass, collection: tx.collection };
+      tx = tx.tx;
+    } else if (tx.attachedTo && tx.collection) {
+      // Newer platform versions store the parent on the transaction itself
+      attachedTo = { id: tx.attachedTo, class: tx.attachedToClass, collection: tx.collection };
+    }
+
+    const operationType = TX_OPERATIONS[tx?._class];
+    if (!operationType) {
+      return null;
+    }
+
+    const entityType = this.resolveEntityType(tx.objectClass, attachedTo);
+    if (!entityType) {
+      return null;
+    }
+
+    const decoded = {
+      txId: changeEvent.fullDocument._id,
+      txClass: tx._class,
+      objectId: tx.objectId,
+      objectClass: tx.objectClass,
+      objectSpace: tx.objectSpace,
+      entityType,
+      operationType,
+      attachedTo,
+      attributes: tx.attributes || {},
+      updatedFields: {},
+      removedFields: [],
+      arrayOperations: {},
+      modifiedBy: tx.modifiedBy,
+      modifiedOn: tx.modifiedOn,
+      database: changeEvent.ns?.db,
+      workspace: changeEvent.workspace
+    };
+
+    if (operationType === 'update') {
+      this.decodeOperations(tx._class === TX_MIXIN ? tx.attributes : tx.operations, decoded);
+    }
+
+    decoded.eventType = this.resolveEventType(decoded);
+
+    return decoded;
+  }
+
+  /**
+   * Split Huly update operations into set, unset and array operations
+   * @param {Object} operations - Transaction operations
+   * @param {Object} decoded - Decoded transaction to populate
+   */
+  decodeOperations (operations, decoded) {
+    for (const [key, value] of Object.entries(operations || {})) {
+      if (key === '$unset') {
+        decoded.removedFields.push(...Object.keys(value || {}));
+      } else if (key.startsWith('$')) {
+        // $push, $pull, $inc and friends modify a field relative to its current value
+        for (const [field, operand] of Object.entries(value || {})) {
+          decoded.arrayOperations[field] = { operation: key, value: operand };
+        }
+      } else {
+        decoded.updatedFields[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Map a Huly object class to an entity type
+   * @param {string} objectClass - Huly object class, e.g. 'tracker:class:Issue'
+   * @param {Object|null} attachedTo - Parent reference for collection transactions
+   * @returns {string|null} - Entity type
+   */
+  resolveEntityType (objectClass, attachedTo = null) {
+    if (attachedTo && this.attachedCollectionMappings.has(attachedTo.collection)) {
+      return this.attachedCollectionMappings.get(attachedTo.collection);
+    }
+
+    return this.classMappings.get(objectClass) || null;
+  }
+
+  /**
+   * Derive the domain event type of a decoded transaction
+   * @param {Object} decoded - Decoded transaction
+   * @returns {string} - Event type
+   */
+  resolveEventType (decoded) {
+    const { entityType, operationType } = decoded;
+
+    if (operationType === 'insert') {
+      // Files attached to a document keep their historical event name
+      if (entityType === 'attachment' && decoded.attachedTo) {
+        return 'attachment.added';
+      }
+      return `${entityType}.created`;
+    }
+
+    if (operationType === 'delete') {
+      return `${entityType}.deleted`;
+    }
+
+    const fields = [
+      ...Object.keys(decoded.updatedFields),
+      ...Object.keys(decoded.arrayOperations),
+      ...decoded.removedFields
+    ];
+
+    if (decoded.updatedFields.archived === true && eventTypeRegistry.has(`${entityType}.archived`)) {
+      return `${entityType}.archived`;
+    }
+
+    for (const [field, suffix] of this.fieldMappings) {
+      if (fields.includes(field) && eventTypeRegistry.has(`${entityType}.${suffix}`)) {
+        return `${entityType}.${suffix}`;
+      }
+    }
+
+    return `${entityType}.updated`;
+  }
+
+  /**
+   * Build the field changes of an update, looking up previous values from earlier transactions
+   * @param {Object} decoded - Decoded transaction
+   * @returns {Promise<Object>} - Changes keyed by field with `from` and `to` values
+   */
+  async resolveChanges (decoded) {
+    const changes = {};
+
+    if (decoded.operationType !== 'update') {
+      return changes;
+    }
+
+    const lookup = this.previousStateLookup && this.canLookUpPreviousState(decoded);
+
+    for (const [field, value] of Object.entries(decoded.updatedFields)) {
+      const from = lookup ? await this.findPreviousValue(decoded, field) : undefined;
+      changes[field] = { from, to: value };
+    }
+
+    for (const [field, { operation, value }] of Object.entries(decoded.arrayOperations)) {
+      changes[field] = { operation, to: value };
+    }
+
+    for (const field of decoded.removedFields) {
+      const from = lookup ? await this.findPreviousValue(decoded, field) : undefined;
+      changes[field] = { from, removed: true };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Check whether earlier transactions of a workspace can be read. The database service only
+   * reads its own database, so transactions from other workspace databases are not looked up
+   * @param {Object} decoded - Decoded transaction
+   * @returns {boolean} - Whether previous values can be looked up
+   */
+  canLookUpPreviousState (decoded) {
+    return !this.databaseName || !decoded.database || decoded.database === this.databaseName;
+  }
+
+  /**
+   * Find the value a field had before a transaction by reading the latest earlier transaction that set it
+   * @param {Object} decoded - Decoded transaction
+   * @param {string} field - Field name
+   * @returns {Promise<*>} - Previous value, null if never set, undefined if the lookup failed
+   */
+  async findPreviousValue (decoded, field) {
+    this.stats.totalLookups++;
+
+    const filter = {
+      _id: { $ne: decoded.txId },
+      $or: [
+        { objectId: decoded.objectId, [`operations.${field}`]: { $exists: true } },
+        { objectId: decoded.objectId, [`attributes.${field}`]: { $exists: true } },
+        { 'tx.objectId': decoded.objectId, [`tx.operations.${field}`]: { $exists: true } },
+        { 'tx.objectId': decoded.objectId, [`tx.attributes.${field}`]: { $exists: true } }
+      ]
+    };
+
+    if (decoded.modifiedOn) {
+      filter.modifiedOn = { $lte: decoded.modifiedOn };
+    }
+
+    // Workspaces sharing a database must not read each other's history
+    if (this.workspaceField && decoded.workspace) {
+      filter[this.workspaceField] = decoded.workspace;
+    }
+
+    try {
+      const { documents } = await this.db.find(this.collectionName, filter, {
+        sort: { modifiedOn: -1 },
+        limit: 1
+      });
+
+      if (documents.length === 0) {
+        return null;
+      }
+
+      const previous = documents[0]._class === TX_COLLECTION_CUD ? documents[0].tx : documents[0];
+      const value = previous.operations?.[field] ?? previous.attributes?.[field];
+
+      return value === undefined ? null : value;
+    } catch (error) {
+      this.stats.totalLookupErrors++;
+      logger.warn(`Failed to look up previous ${field} of ${decoded.objectId}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Convert a tx change event into a change event for the affected domain object.
+   * Other change events are returned unchanged
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @returns {Promise<Object>} - Domain change event
+   */
+  async decodeChangeEvent (changeEvent) {
+    if (!this.isTransaction(changeEvent)) {
+      return changeEvent;
+    }
+
+    const decoded = this.decode(changeEvent);
+    if (!decoded) {
+      this.stats.totalSkipped++;
+      return changeEvent;
+    }
+
+    const changes = await this.resolveChanges(decoded);
+
+    const domainEvent = {
+      _id: changeEvent._id,
+      operationType: decoded.operationType,
+      ns: { db: changeEvent.ns.db, coll: decoded.objectClass },
+      documentKey: { _id: decoded.objectId },
+      clusterTime: changeEvent.clusterTime,
+      wallTime: changeEvent.wallTime,
+      huly: {
+        txId: decoded.txId,
+        txClass: decoded.txClass,
+        objectClass: decoded.objectClass,
+        entityType: decoded.entityType,
+        eventType: decoded.eventType,
+        attachedTo: decoded.attachedTo,
+        modifiedBy: decoded.modifiedBy,
+        modifiedOn: decoded.modifiedOn,
+        changes
+      }
+    };
+
+    if (changeEvent.workspace) {
+      domainEvent.workspace = changeEvent.workspace;
+    }
+
+    if (decoded.operationType !== 'delete') {
+      domainEvent.fullDocument = {
+        _id: decoded.objectId,
+        _class: decoded.objectClass,
+        space: decoded.objectSpace,
+        ...(decoded.attachedTo && {
+          attachedTo: decoded.attachedTo.id,
+          attachedToClass: decoded.attachedTo.class,
+          collection: decoded.attachedTo.collection
+        }),
+        ...(decoded.operationType === 'insert' ? decoded.attributes : decoded.updatedFields),
+        modifiedOn: decoded.modifiedOn,
+        modifiedBy: decoded.modifiedBy
+      };
+    }
+
+    if (decoded.operationType === 'update') {
+      domainEvent.updateDescription = {
+        updatedFields: decoded.updatedFields,
+        removedFields: decoded.removedFields
+      };
+    }
+
+    this.stats.totalDecoded++;
+    return domainEvent;
+  }
+
+  /**
+   * Add a Huly object class mapping
+   * @param {string} objectClass - Huly object class
+   * @param {string} entityType - Entity type name
+   */
+  addClassMapping (objectClass, entityType) {
+    this.classMappings.set(objectClass, entityType);
+    logger.info(`Added class mapping: ${objectClass} -> ${entityType}`);
+  }
+
+  /**
+   * Get decoder statistics
+   * @returns {Object} - Decoder statistics
+   */
+  getStats () {
+    return {
+      ...this.stats,
+      classMappings: this.classMappings.size
+    };
+  }
+}
+
+module.exports = TxDecoderService;
@@ -4,14 +4,27 @@
  */
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const config = require('../config');
 const logger = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+const EgressPolicy = require('../utils/egress');
 const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
+const Webhook = require('../models/Webhook');
 
-class WebhookService {
-  constructor (databaseService) {
+// Active webhooks are read in pages of this size
+const ACTIVE_WEBHOOKS_PAGE_SIZE = 1000;
+
+class WebhookService extends EventEmitter {
+  constructor (databaseService, encryption = null, egressPolicy = new EgressPolicy(config.egress)) {
+    super();
     this.db = databaseService;
     this.collectionName = 'webhooks';
+    // Encrypts secrets and sensitive headers at rest when set
+    this.encryption = encryption;
+    // Rejects URLs deliveries must not connect to
+    this.egressPolicy = egressPolicy;
   }
 
   /**
@@ -23,15 +36,17 @@ class WebhookService {
 
       // Generate secret if not provided
       if (!webhookData.secret) {
-        webhookData.secret = this.generateSecret();
+        webhookData.secret = this.generateSecret(32, webhookData.signatureScheme);
       }
 
       // Validate URL
       this.validateWebhookUrl(webhookData.url);
+      await this.validateEgress([webhookData.url, webhookData.auth?.tokenUrl]);
 
-      // Check for duplicate names
+      // Check for duplicate names, which only need to be unique within a workspace
       const existingWebhook = await this.db.findOne(this.collectionName, {
-        name: webhookData.name
+        name: webhookData.name,
+        ...(webhookData.workspace && { workspace: webhookData.workspace })
       });
 
       if (existingWebhook) {
@@ -56,10 +71,12 @@ class WebhookService {
         totalDeliveries: 0
       };
 
-      const result = await this.db.insertOne(this.collectionName, webhook);
+      const result = await this.db.insertOne(this.collectionName, this.sealSecrets(webhook));
 
       timer.end('Webhook created successfully');
 
+      this.emit('webhooks-changed', { action: 'created', webhookId: result?._id });
+
       return this.sanitizeWebhook(result);
     } catch (error) {
       logger.error('Error creating webhook:', error);
@@ -89,6 +106,21 @@ class WebhookService {
     }
   }
 
+  /**
+   * Get webhook by ID for delivery
+   * Unlike getWebhook, the secret is returned unmasked so deliveries can be signed
+   */
+  async getWebhookForDelivery (webhookId) {
+    const objectId = this.db.createObjectId(webhookId);
+    const webhook = await this.db.findOne(this.collectionName, { _id: objectId });
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook');
+    }
+
+    return webhook;
+  }
+
   /**
    * List webhooks with filters and pagination
    */
@@ -103,6 +135,27 @@ class WebhookService {
         filter.active = options.active;
       }
 
+      if (options.workspaces) {
+        filter.workspace = { $in: options.workspaces };
+      }
+
+      if (options.url) {
+        filter.url = options.url;
+      }
+
+      if (options.events) {
+        filter.events = { $in: options.events };
+      }
+
+      // Search text is matched literally in the name and URL
+      if (options.search) {
+        const pattern = options.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+          { name: { $regex: pattern, $options: 'i' } },
+          { url: { $regex: pattern, $options: 'i' } }
+        ];
+      }
+
       const sortOptions = {
         name: { name: 1 },
         created: { createdAt: -1 },
@@ -151,12 +204,15 @@ class WebhookService {
       if (updateData.url) {
         this.validateWebhookUrl(updateData.url);
       }
+      await this.validateEgress([updateData.url, updateData.auth?.tokenUrl]);
 
       // Check for name conflicts if name is being updated
       if (updateData.name && updateData.name !== existingWebhook.name) {
+        const workspace = updateData.workspace || existingWebhook.workspace;
         const nameConflict = await this.db.findOne(this.collectionName, {
           name: updateData.name,
-          _id: { $ne: objectId }
+          _id: { $ne: objectId },
+          ...(workspace && { workspace })
         });
 
         if (nameConflict) {
@@ -194,6 +250,14 @@ class WebhookService {
         };
       }
 
+      if (updateData.secret || updateData.headers || updateData.auth) {
+        Object.assign(updateDoc.$set, this.sealSecrets({
+          ...(updateData.secret && { secret: updateData.secret }),
+          ...(updateData.headers && { headers: updateDoc.$set.headers }),
+          ...(updateData.auth && { auth: updateData.auth })
+        }, existingWebhook));
+      }
+
       await this.db.updateOne(this.collectionName, { _id: objectId }, updateDoc);
 
       // Get updated webhook
@@ -201,6 +265,8 @@ class WebhookService {
 
       timer.end('Webhook updated successfully');
 
+      this.emit('webhooks-changed', { action: 'updated', webhookId });
+
       return this.sanitizeWebhook(updatedWebhook);
     } catch (error) {
       logger.error('Error updating webhook:', error);
@@ -231,6 +297,8 @@ class WebhookService {
 
       timer.end('Webhook deleted successfully');
 
+      this.emit('webhooks-changed', { action: 'deleted', webhookId });
+
       return true;
     } catch (error) {
       logger.error('Error deleting webhook:', error);
@@ -240,12 +308,12 @@ class WebhookService {
 
   /**
    * Get webhooks by event type
+   * Subscriptions can be wildcards or negations, so they are matched after loading
    */
   async getWebhooksByEvent (eventType, filters = {}) {
     try {
       const filter = {
         active: true,
-        events: eventType,
         ...filters
       };
 
@@ -254,13 +322,43 @@ class WebhookService {
         sort: { createdAt: 1 }
       });
 
-      return result.documents.map(webhook => this.sanitizeWebhook(webhook));
+      return result.documents
+        .filter(webhook => eventTypeRegistry.matchesSubscription(eventType, webhook.events || []))
+        .map(webhook => this.sanitizeWebhook(webhook));
     } catch (error) {
       logger.error('Error getting webhooks by event:', error);
       throw error;
     }
   }
 
+  /**
+   * Get all active webhooks for event delivery
+   * Unlike the listing methods, secrets are returned unmasked so deliveries can be signed
+   */
+  async getActiveWebhooks () {
+    try {
+      const webhooks = [];
+
+      // Paged by ID, so webhooks created or deleted meanwhile do not shift the pages
+      for (;;) {
+        const last = webhooks[webhooks.length - 1];
+        const { documents } = await this.db.find(this.collectionName, {
+          active: true,
+          ...(last && { _id: { $gt: last._id } })
+        }, { limit: ACTIVE_WEBHOOKS_PAGE_SIZE, sort: { _id: 1 } });
+
+        webhooks.push(...documents);
+
+        if (documents.length < ACTIVE_WEBHOOKS_PAGE_SIZE) {
+          return webhooks;
+        }
+      }
+    } catch (error) {
+      logger.error('Error getting active webhooks:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get active webhook count
    */
@@ -275,12 +373,14 @@ class WebhookService {
 
   /**
    * Get webhook statistics
+   * @param {Array<string|null>} [workspaces] - Only count webhooks of these workspaces
    */
-  async getStats () {
+  async getStats (workspaces = null) {
     try {
       const timer = logger.timeStart('get-webhook-stats');
 
       const pipeline = [
+        ...(workspaces ? [{ $match: { workspace: { $in: workspaces } } }] : []),
         {
           $group: {
             _id: null,
@@ -331,6 +431,10 @@ class WebhookService {
         matchStage.active = true;
       }
 
+      if (options.workspaces) {
+        matchStage.workspace = { $in: options.workspaces };
+      }
+
       let groupBy = '_id';
       if (options.groupBy === 'event') {
         groupBy = '$events';
@@ -399,6 +503,153 @@ class WebhookService {
     }
   }
 
+  /**
+   * Replace the webhook secret. Deliveries stay signed with the old secret as well
+   * until it expires, so consumers can switch over without rejecting deliveries
+   * @param {string} webhookId - Webhook ID
+   * @param {{ secret?: string, expiresIn?: number }} options - New secret, generated when omitted,
+   * and the seconds the old secret stays active
+   * @returns {Promise<Object>} - The new secret and when the old one expires
+   */
+  async rotateSecret (webhookId, { secret, expiresIn = 86400 } = {}) {
+    try {
+      const objectId = this.db.createObjectId(webhookId);
+
+      const existingWebhook = await this.db.findOne(this.collectionName, { _id: objectId });
+      if (!existingWebhook) {
+        throw new NotFoundError('Webhook');
+      }
+
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + expiresIn * 1000);
+      const newSecret = secret || this.generateSecret(32, existingWebhook.signatureScheme);
+
+      // Drop secrets of earlier rotations that already expired
+      const previousSecrets = (existingWebhook.previousSecrets || [])
+        .filter(entry => new Date(entry.expiresAt) > now);
+
+      if (existingWebhook.secret && expiresIn > 0) {
+        previousSecrets.unshift({ secret: existingWebhook.secret, expiresAt, rotatedAt: now });
+      }
+
+      // Matching the old secret makes a concurrent rotation fail instead of losing a secret
+      const result = await this.db.updateOne(this.collectionName, {
+        _id: objectId,
+        secret: existingWebhook.secret
+      }, {
+        $set: {
+          ...this.sealSecrets({ secret: newSecret, previousSecrets }, existingWebhook),
+          secretRotatedAt: now,
+          updatedAt: now
+        }
+      });
+
+      if (result?.matchedCount === 0) {
+        throw new ConflictError('Webhook secret was rotated concurrently');
+      }
+
+      logger.info(`Rotated secret of webhook ${webhookId}`, {
+        previousSecretExpiresAt: expiresIn > 0 ? expiresAt : null
+      });
+
+      return {
+        secret: newSecret,
+        previousSecretExpiresAt: expiresIn > 0 ? expiresAt : null,
+        activeSecrets: 1 + previousSecrets.length
+      };
+    } catch (error) {
+      logger.error('Error rotating webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt the secrets among the fields to store, with the data key of the existing webhook
+   */
+  sealSecrets (fields, existingWebhook = null) {
+    if (!this.encryption) {
+      return fields;
+    }
+
+    return this.encryption.encryptWebhook({
+      ...fields,
+      ...(existingWebhook?.encryption && { encryption: existingWebhook.encryption })
+    });
+  }
+
+  /**
+   * Decrypt the secrets of a stored webhook
+   */
+  openSecrets (webhook) {
+    return this.encryption ? this.encryption.decryptWebhook(webhook) : webhook;
+  }
+
+  /**
+   * Move the secrets of every webhook and the private halves of the signing keys
+   * to the current encryption key. Webhooks stored before encryption was enabled
+   * are encrypted
+   */
+  async reencryptWebhooks () {
+    if (!this.encryption) {
+      throw new Error('Encryption is not configured');
+    }
+
+    const results = await this.reencryptCollection(this.collectionName, 'webhook',
+      webhook => this.encryption.reencryptWebhook(webhook));
+    const signingKeys = await this.reencryptCollection('signing_keys', 'signing key',
+      key => this.encryption.reencryptSigningKey(key));
+
+    logger.info(`Re-encrypted ${results.reencrypted} webhooks and ${signingKeys.reencrypted} signing keys, ` +
+      `${results.failed.length + signingKeys.failed.length} failed`);
+    return { ...results, signingKeys };
+  }
+
+  /**
+   * Re-encrypt the records of a collection not encrypted with the current key
+   * @param {string} collectionName - Collection to re-encrypt
+   * @param {string} label - Record name for log messages
+   * @param {Function} reencrypt - Returns the fields that move a record to the current key
+   * @returns {Promise<{ reencrypted: number, failed: Array<string> }>} - Results
+   */
+  async reencryptCollection (collectionName, label, reencrypt) {
+    const results = { reencrypted: 0, failed: [] };
+
+    // Re-encrypted records no longer match, so every page starts at the first record left
+    for (;;) {
+      const { documents } = await this.db.find(collectionName, {
+        'encryption.keyId': { $ne: this.encryption.currentKeyId },
+        _id: { $nin: results.failed }
+      }, { limit: 100, sort: { _id: 1 } });
+
+      if (documents.length === 0) {
+        break;
+      }
+
+      for (const document of documents) {
+        try {
+          const fields = reencrypt(document);
+
+          // Matching the previous data key skips records changed in the meantime
+          const result = await this.db.updateOne(collectionName, {
+            _id: document._id,
+            encryption: document.encryption || null
+          }, { $set: fields });
+
+          if (result?.matchedCount === 0) {
+            throw new ConflictError(`The ${label} changed while it was re-encrypted`);
+          }
+
+          results.reencrypted++;
+        } catch (error) {
+          logger.error(`Error re-encrypting ${label} ${document._id}:`, error);
+          results.failed.push(document._id);
+        }
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Validate webhook URL
    */
@@ -411,19 +662,10 @@ class WebhookService {
         throw new ValidationError('Webhook URL must use HTTP or HTTPS protocol');
       }
 
-      // Prevent localhost/private network access in production
-      if (config.validate.isProduction()) {
-        const hostname = parsedUrl.hostname;
-        if (
-          hostname === 'localhost' ||
-          hostname === '127.0.0.1' ||
-          hostname === '::1' ||
-          hostname.startsWith('192.168.') ||
-          hostname.startsWith('10.') ||
-          hostname.startsWith('172.')
-        ) {
-          throw new ValidationError('Webhook URL cannot target private networks in production');
-        }
+      // Prevent access to private networks, unless allowlisted
+      const reason = this.egressPolicy.checkUrl(url);
+      if (reason) {
+        throw new ValidationError(`Webhook URL is not allowed by the egress policy: ${reason}`);
       }
 
       return true;
@@ -436,9 +678,26 @@ class WebhookService {
   }
 
   /**
-   * Generate a secure webhook secret
+   * Validate that URLs deliveries connect to do not resolve to blocked addresses
+   * Deliveries check the resolved address again, as DNS may change afterwards
    */
-  generateSecret (length = 32) {
+  async validateEgress (urls) {
+    for (const url of urls.filter(Boolean)) {
+      const reason = await this.egressPolicy.checkResolvedUrl(url);
+      if (reason) {
+        throw new ValidationError(`URL ${url} is not allowed by the egress policy: ${reason}`);
+      }
+    }
+  }
+
+  /**
+   * Generate a secure webhook secret, in whsec_ format for the Standard Webhooks scheme
+   */
+  generateSecret (length = 32, signatureScheme = 'huly') {
+    if (signatureScheme === 'standard') {
+      return CryptoUtils.generateStandardWebhookSecret(length);
+    }
+
     return crypto.randomBytes(length).toString('hex');
   }
 
@@ -466,8 +725,8 @@ class WebhookService {
    * Check if webhook should receive event based on filters
    */
   shouldReceiveEvent (webhook, event) {
-    // Check if event type is in webhook's events list
-    if (!webhook.events.includes(event.type)) {
+    // Check if event type is covered by the webhook's subscriptions
+    if (!eventTypeRegistry.matchesSubscription(event.type, webhook.events)) {
       return false;
     }
 
@@ -505,13 +764,31 @@ class WebhookService {
   sanitizeWebhook (webhook) {
     if (!webhook) return null;
 
-    const sanitized = { ...webhook };
+    const sanitized = { ...this.openSecrets(webhook) };
+    delete sanitized.encryption;
 
     // Remove or mask sensitive information
     if (sanitized.secret) {
       sanitized.secret = sanitized.secret.substring(0, 8) + '...';
     }
 
+    if (sanitized.previousSecrets) {
+      sanitized.previousSecrets = sanitized.previousSecrets.map(entry => ({
+        ...entry,
+        secret: entry.secret.substring(0, 8) + '...'
+      }));
+    }
+
+    if (sanitized.headers && this.encryption) {
+      sanitized.headers = Object.fromEntries(Object.entries(sanitized.headers).map(([name, value]) =>
+        [name, this.encryption.isSensitiveHeader(name) ? String(value).substring(0, 8) + '...' : value]
+      ));
+    }
+
+    if (sanitized.auth) {
+      sanitized.auth = Webhook.maskAuth(sanitized.auth);
+    }
+
     return sanitized;
   }
 }
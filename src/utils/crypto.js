@@ -163,12 +163,12 @@ class CryptoUtils {
   /**
    * Encrypt data using AES-256-GCM
    * @param {string} data - The data to encrypt
-   * @param {string} key - The encryption key
+   * @param {string|Buffer} key - The encryption key
    * @returns {object} Object containing encrypted data, IV, and auth tag
    */
   static encrypt (data, key) {
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key).slice(0, 32), iv);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.toKeyBuffer(key), iv);
     cipher.setAAD(Buffer.from('webhook-service', 'utf8'));
 
     let encrypted = cipher.update(data, 'utf8', 'hex');
@@ -186,13 +186,13 @@ class CryptoUtils {
   /**
    * Decrypt data using AES-256-GCM
    * @param {string} encrypted - The encrypted data
-   * @param {string} key - The encryption key
+   * @param {string|Buffer} key - The encryption key
    * @param {string} iv - The initialization vector
    * @param {string} authTag - The authentication tag
    * @returns {string} The decrypted data
    */
   static decrypt (encrypted, key, iv, authTag) {
-    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(key).slice(0, 32), Buffer.from(iv, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.toKeyBuffer(key), Buffer.from(iv, 'hex'));
     decipher.setAAD(Buffer.from('webhook-service', 'utf8'));
     decipher.setAuthTag(Buffer.from(authTag, 'hex'));
 
@@ -202,6 +202,15 @@ class CryptoUtils {
     return decrypted;
   }
 
+  /**
+   * Get the 32 byte AES key of an encryption key
+   * @param {string|Buffer} key - Raw key bytes, or a string whose first 32 bytes are used
+   * @returns {Buffer} The AES key
+   */
+  static toKeyBuffer (key) {
+    return (Buffer.isBuffer(key) ? key : Buffer.from(key)).subarray(0, 32);
+  }
+
   /**
    * Generate a deterministic hash for deduplication
    * @param {object} data - The data to hash
@@ -245,6 +254,123 @@ class CryptoUtils {
     const secret = this.generateSecret(Math.ceil(minLength / 2));
     return secret.substring(0, minLength);
   }
+
+  /**
+   * Generate a Standard Webhooks secret (whsec_ followed by base64 key bytes)
+   * @param {number} length - The length of the key in bytes
+   * @returns {string} A Standard Webhooks secret
+   */
+  static generateStandardWebhookSecret (length = 24) {
+    return 'whsec_' + crypto.randomBytes(length).toString('base64');
+  }
+
+  /**
+   * Get the HMAC key of a secret. Standard Webhooks secrets carry base64 key bytes
+   * after their whsec_ prefix, other secrets are used as they are
+   * @param {string} secret - The secret
+   * @returns {Buffer} The HMAC key
+   */
+  static getStandardWebhookKey (secret) {
+    return secret.startsWith('whsec_')
+      ? Buffer.from(secret.substring(6), 'base64')
+      : Buffer.from(secret, 'utf8');
+  }
+
+  /**
+   * Generate a Standard Webhooks signature over `id.timestamp.payload`
+   * @param {string} id - The message ID (webhook-id header)
+   * @param {number|string} timestamp - Unix timestamp in seconds (webhook-timestamp header)
+   * @param {string} payload - The payload to sign
+   * @param {string} secret - The secret
+   * @returns {string} The signature (v1,...)
+   */
+  static generateStandardWebhookSignature (id, timestamp, payload, secret) {
+    if (!id || !timestamp || !payload || !secret) {
+      throw new Error('ID, timestamp, payload and secret are required for signature generation');
+    }
+
+    const hmac = crypto.createHmac('sha256', this.getStandardWebhookKey(secret));
+    hmac.update(`${id}.${timestamp}.${payload}`, 'utf8');
+    return `v1,${hmac.digest('base64')}`;
+  }
+
+  /**
+   * Verify a Standard Webhooks signature header, which lists one or more
+   * space-separated signatures. The timestamp must be within the tolerance
+   * @param {string} id - The message ID (webhook-id header)
+   * @param {number|string} timestamp - Unix timestamp in seconds (webhook-timestamp header)
+   * @param {string} payload - The payload to verify
+   * @param {string} signatureHeader - The webhook-signature header
+   * @param {string} secret - The secret
+   * @param {number} tolerance - Allowed clock difference in seconds
+   * @returns {boolean} True if one of the signatures is valid
+   */
+  static verifyStandardWebhookSignature (id, timestamp, payload, signatureHeader, secret, tolerance = 300) {
+    if (!id || !timestamp || !payload || !signatureHeader || !secret) {
+      return false;
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > tolerance) {
+      return false;
+    }
+
+    const expected = this.generateStandardWebhookSignature(id, timestamp, payload, secret);
+    return signatureHeader.split(' ').some(signature => this.timingSafeEqual(signature, expected));
+  }
+
+  /**
+   * Generate an Ed25519 key pair for signing deliveries
+   * @returns {{ kid: string, publicKey: object, privateKey: string }} The key ID (JWK thumbprint),
+   * the public key as JWK and the private key as PKCS#8 PEM
+   */
+  static generateSigningKeyPair () {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const { kty, crv, x } = publicKey.export({ format: 'jwk' });
+    const jwk = { kty, crv, x };
+
+    return {
+      kid: this.getJwkThumbprint(jwk),
+      publicKey: jwk,
+      privateKey: /** @type {string} */ (privateKey.export({ format: 'pem', type: 'pkcs8' }))
+    };
+  }
+
+  /**
+   * Compute the RFC 7638 thumbprint of an OKP public key
+   * @param {object} jwk - The public key as JWK
+   * @returns {string} The thumbprint in base64url format
+   */
+  static getJwkThumbprint (jwk) {
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+  }
+
+  /**
+   * Sign content with an Ed25519 private key
+   * @param {string} content - The content to sign
+   * @param {crypto.KeyObject} privateKey - The private key
+   * @returns {string} The signature in base64 format
+   */
+  static signEd25519 (content, privateKey) {
+    return crypto.sign(null, Buffer.from(content, 'utf8'), privateKey).toString('base64');
+  }
+
+  /**
+   * Verify an Ed25519 signature
+   * @param {string} content - The signed content
+   * @param {string} signature - The signature in base64 format
+   * @param {object} jwk - The public key as JWK
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifyEd25519 (content, signature, jwk) {
+    try {
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return crypto.verify(null, Buffer.from(content, 'utf8'), publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
 }
 
 module.exports = CryptoUtils;
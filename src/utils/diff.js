@@ -0,0 +1,210 @@
+/**
+ * Document diff utilities for webhook service
+ */
+
+const Helpers = require('./helpers');
+
+// Distinguishes a missing field from one set to null or undefined
+const MISSING = Symbol('missing');
+
+class DiffUtils {
+  /**
+   * Diff two documents into `{ path: { from, to } }` entries keyed by dotted path.
+   * Nested objects are diffed field by field; arrays are diffed as a whole with
+   * the items that were added and removed
+   * @param {Object|null} before - Document before the change
+   * @param {Object|null} after - Document after the change
+   * @param {Object} options - Diff options
+   * @param {Array<string>} [options.paths] - Only diff these paths
+   * @param {Array<string>} [options.ignore] - Paths to leave out
+   * @returns {Object} - Changes keyed by path
+   */
+  static diff (before, after, options = {}) {
+    const changes = {};
+    const ignore = new Set(options.ignore || []);
+    const paths = options.paths || DiffUtils.unionKeys(before, after);
+
+    for (const path of paths) {
+      DiffUtils.diffValues(
+        Helpers.getNestedProperty(before, path, MISSING),
+        Helpers.getNestedProperty(after, path, MISSING),
+        path,
+        changes,
+        ignore
+      );
+    }
+
+    return changes;
+  }
+
+  /**
+   * Diff the documents of a change stream event, restricted to the fields its update touched.
+   * Without a pre-image only the new values are known, so `from` is left undefined
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} options - Diff options
+   * @param {Array<string>} [options.ignore] - Paths to leave out
+   * @returns {Object} - Changes keyed by path
+   */
+  static diffChangeEvent (changeEvent, options = {}) {
+    const { updateDescription, fullDocumentBeforeChange: before, fullDocument: after } = changeEvent;
+
+    if (!before) {
+      return DiffUtils.fromUpdateDescription(updateDescription, options);
+    }
+
+    const paths = updateDescription ? DiffUtils.changedPaths(updateDescription, before, after) : undefined;
+    return DiffUtils.diff(before, after || {}, { ...options, paths });
+  }
+
+  /**
+   * Build changes from an update description alone
+   * @param {Object} [updateDescription] - MongoDB update description
+   * @param {Object} options - Diff options
+   * @param {Array<string>} [options.ignore] - Paths to leave out
+   * @returns {Object} - Changes keyed by path
+   */
+  static fromUpdateDescription (updateDescription, options = {}) {
+    const changes = {};
+    if (!updateDescription) {
+      return changes;
+    }
+
+    const ignore = new Set(options.ignore || []);
+
+    for (const [path, value] of Object.entries(updateDescription.updatedFields || {})) {
+      if (!ignore.has(path)) {
+        changes[path] = { to: value };
+      }
+    }
+
+    for (const path of updateDescription.removedFields || []) {
+      if (!ignore.has(path)) {
+        changes[path] = { to: null, removed: true };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get the paths touched by an update, collapsing array element paths like `labels.2` to the array
+   * @param {Object} updateDescription - MongoDB update description
+   * @param {Object|null} before - Document before the change
+   * @param {Object|null} after - Document after the change
+   * @returns {Array<string>} - Unique paths
+   */
+  static changedPaths (updateDescription, before, after) {
+    const rawPaths = [
+      ...Object.keys(updateDescription.updatedFields || {}),
+      ...(updateDescription.removedFields || []),
+      ...(updateDescription.truncatedArrays || []).map(truncated => truncated.field)
+    ];
+
+    const paths = rawPaths.map(path => {
+      const segments = path.split('.');
+
+      for (let i = 1; i < segments.length; i++) {
+        const prefix = segments.slice(0, i).join('.');
+        if (Array.isArray(Helpers.getNestedProperty(after, prefix)) ||
+          Array.isArray(Helpers.getNestedProperty(before, prefix))) {
+          return prefix;
+        }
+      }
+
+      return path;
+    });
+
+    return [...new Set(paths)];
+  }
+
+  /**
+   * Diff two values at a path, recursing into nested objects
+   * @param {*} from - Previous value or MISSING
+   * @param {*} to - New value or MISSING
+   * @param {string} path - Dotted path of the values
+   * @param {Object} changes - Changes to add to
+   * @param {Set<string>} ignore - Paths to leave out
+   */
+  static diffValues (from, to, path, changes, ignore) {
+    if (ignore.has(path) || DiffUtils.isEqual(from, to)) {
+      return;
+    }
+
+    if (DiffUtils.isPlainObject(from) && DiffUtils.isPlainObject(to)) {
+      for (const key of DiffUtils.unionKeys(from, to)) {
+        DiffUtils.diffValues(
+          key in from ? from[key] : MISSING,
+          key in to ? to[key] : MISSING,
+          `${path}.${key}`,
+          changes,
+          ignore
+        );
+      }
+      return;
+    }
+
+    const change = {
+      from: from === MISSING ? null : from,
+      to: to === MISSING ? null : to
+    };
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+      const fromItems = Array.isArray(from) ? from : [];
+      const toItems = Array.isArray(to) ? to : [];
+
+      change.added = toItems.filter(item => !fromItems.some(other => DiffUtils.isEqual(item, other)));
+      change.removed = fromItems.filter(item => !toItems.some(other => DiffUtils.isEqual(item, other)));
+    } else if (to === MISSING) {
+      change.removed = true;
+    }
+
+    changes[path] = change;
+  }
+
+  /**
+   * Check two values for deep equality
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} - Whether the values are equal
+   */
+  static isEqual (a, b) {
+    if (a === b) {
+      return true;
+    }
+
+    if (a === MISSING || b === MISSING || a == null || b == null) {
+      return false;
+    }
+
+    if (typeof a !== 'object' || typeof b !== 'object') {
+      return false;
+    }
+
+    // Dates, ObjectIds and other BSON values compare by their JSON form
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Check whether a value is a plain object that should be diffed field by field
+   * @param {*} value - Value to check
+   * @returns {boolean} - Whether the value is a plain object
+   */
+  static isPlainObject (value) {
+    return Object.prototype.toString.call(value) === '[object Object]' && !value._bsontype;
+  }
+
+  /**
+   * Get the union of the keys of two objects
+   * @param {Object|null} a - First object
+   * @param {Object|null} b - Second object
+   * @returns {Array<string>} - Keys
+   */
+  static unionKeys (a, b) {
+    return [...new Set([
+      ...Object.keys(DiffUtils.isPlainObject(a) ? a : {}),
+      ...Object.keys(DiffUtils.isPlainObject(b) ? b : {})
+    ])];
+  }
+}
+
+module.exports = DiffUtils;
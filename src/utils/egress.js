@@ -0,0 +1,193 @@
+/**
+ * Egress policy for webhook service
+ * Decides which hosts deliveries may connect to, so webhook URLs cannot be used
+ * to reach cloud metadata endpoints or services on the internal network
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Ranges blocked unless allowlisted: private, loopback, link-local, shared,
+// reserved and multicast addresses
+/** @type {Array<[string, number, 'ipv4'|'ipv6']>} */
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+class EgressPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {boolean} [options.blockPrivateNetworks] - Block the ranges above, true by default
+   * @param {Array<string>} [options.allowlist] - Hosts, `*.domain` wildcards and CIDR ranges always allowed
+   */
+  constructor (options = {}) {
+    this.blockPrivateNetworks = options.blockPrivateNetworks !== false;
+    this.allowedHosts = [];
+    this.allowedRanges = new net.BlockList();
+    this.blockedRanges = new net.BlockList();
+
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      this.blockedRanges.addSubnet(address, prefix, type);
+    }
+
+    for (const entry of options.allowlist || []) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+      if (net.isIP(address)) {
+        this.allowedRanges.addSubnet(address, prefix !== undefined ? Number(prefix) : (type === 'ipv6' ? 128 : 32), type);
+      } else {
+        this.allowedHosts.push(entry.toLowerCase());
+      }
+    }
+
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Check whether a host name is allowlisted
+   * @param {string} hostname - Host name
+   * @returns {boolean} - Whether the host is allowlisted
+   */
+  isAllowedHost (hostname) {
+    const host = hostname.toLowerCase();
+    return this.allowedHosts.some(entry => entry.startsWith('*.')
+      ? host.endsWith(entry.substring(1))
+      : host === entry);
+  }
+
+  /**
+   * Check whether an IP address may be connected to
+   * @param {string} address - IP address
+   * @returns {boolean} - Whether the address is allowed
+   */
+  isAllowedAddress (address) {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+    if (this.allowedRanges.check(address, type)) {
+      return true;
+    }
+
+    return !this.blockPrivateNetworks || !this.blockedRanges.check(address, type);
+  }
+
+  /**
+   * Get the reason a URL is rejected, without resolving its host
+   * @param {string} url - URL to check
+   * @returns {string|null} - Reason, or null when the URL may be allowed
+   */
+  checkUrl (url) {
+    const hostname = EgressPolicy.getHostname(url);
+
+    if (this.isAllowedHost(hostname)) {
+      return null;
+    }
+
+    if (net.isIP(hostname)) {
+      return this.isAllowedAddress(hostname) ? null : `${hostname} is in a blocked address range`;
+    }
+
+    // Resolve to loopback without asking DNS
+    if (this.blockPrivateNetworks && (hostname === 'localhost' || hostname.endsWith('.localhost'))) {
+      return `${hostname} is a loopback host`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the reason a URL is rejected, resolving its host. Hosts that do not resolve
+   * are not rejected, they are checked again when a delivery connects
+   * @param {string} url - URL to check
+   * @returns {Promise<string|null>} - Reason, or null when the URL is allowed
+   */
+  async checkResolvedUrl (url) {
+    const reason = this.checkUrl(url);
+    const hostname = EgressPolicy.getHostname(url);
+
+    if (reason || net.isIP(hostname) || this.isAllowedHost(hostname)) {
+      return reason;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return null;
+    }
+
+    const blocked = addresses.find(({ address }) => !this.isAllowedAddress(address));
+    return blocked ? `${hostname} resolves to ${blocked.address}, which is in a blocked address range` : null;
+  }
+
+  /**
+   * DNS lookup for outgoing requests that fails on blocked addresses. The checked
+   * address is the one connected to, so a host cannot be re-pointed between check
+   * and connect (DNS rebinding)
+   * @param {string} hostname - Host name
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup (hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error || this.isAllowedHost(hostname)) {
+        return callback(error, address, family);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => !this.isAllowedAddress(entry.address));
+      if (blocked) {
+        return callback(EgressPolicy.createError(`${hostname} resolves to ${blocked.address}, which is in a blocked address range`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Throw when a URL is rejected without resolving its host. Hosts given as IP
+   * addresses are connected to without a lookup, so they are checked here
+   * @param {string} url - URL to check
+   */
+  assertUrl (url) {
+    const reason = this.checkUrl(url);
+    if (reason) {
+      throw EgressPolicy.createError(reason);
+    }
+  }
+
+  /**
+   * Create the error of a blocked connection
+   * @param {string} reason - Why the connection is blocked
+   * @returns {Error} - Error with code EGRESS_BLOCKED
+   */
+  static createError (reason) {
+    return Object.assign(new Error(`Egress policy blocked the request: ${reason}`), { code: 'EGRESS_BLOCKED' });
+  }
+
+  /**
+   * Get the host name of a URL, without the brackets of IPv6 addresses
+   * @param {string} url - URL
+   * @returns {string} - Host name
+   */
+  static getHostname (url) {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  }
+}
+
+module.exports = EgressPolicy;
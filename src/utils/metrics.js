@@ -0,0 +1,254 @@
+/**
+ * Metrics utilities for webhook service
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} [options.labelNames] - Label names
+   * @param {string} type - Prometheus metric type
+   */
+  constructor ({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    this.values = new Map();
+  }
+
+  /**
+   * Get the series key of a label set, in label name order
+   * @param {Object} labels - Label values
+   * @returns {string} - Series key
+   */
+  getKey (labels) {
+    return JSON.stringify(this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+  }
+
+  /**
+   * Drop every series, for metrics rebuilt from current state on each scrape
+   */
+  reset () {
+    this.values.clear();
+  }
+
+  /**
+   * Render the label set of a series
+   * @param {string} key - Series key
+   * @param {Array<Array<string>>} [extra] - Additional label pairs
+   * @returns {string} - Label set, empty without labels
+   */
+  formatLabels (key, extra = []) {
+    const pairs = JSON.parse(key).map((value, index) => [this.labelNames[index], value]).concat(extra);
+    if (pairs.length === 0) {
+      return '';
+    }
+
+    return `{${pairs.map(([name, value]) => `${name}="${Metric.escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Render the metric
+   * @returns {string} - Metric in text exposition format
+   */
+  render () {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    return lines.concat(this.renderSamples()).join('\n');
+  }
+
+  /**
+   * Render the samples of every series
+   * @returns {Array<string>} - Sample lines
+   */
+  renderSamples () {
+    return [...this.values.entries()].map(([key, value]) => `${this.name}${this.formatLabels(key)} ${Metric.formatValue(value)}`);
+  }
+
+  // Label values escape backslashes, line breaks and quotes
+  static escapeLabel (value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  }
+
+  // Sample values spell infinities the way Prometheus expects
+  static formatValue (value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+  }
+}
+
+class Counter extends Metric {
+  constructor (options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * Increment a series
+   * @param {Object} [labels] - Label values
+   * @param {number} [value] - Increment, must not be negative
+   */
+  inc (labels = {}, value = 1) {
+    const key = this.getKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  /**
+   * Set a series to a total counted elsewhere, e.g. by the statistics of a service
+   * @param {Object} labels - Label values
+   * @param {number} value - Total
+   */
+  set (labels, value) {
+    this.values.set(this.getKey(labels), value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor (options) {
+    super(options, 'gauge');
+  }
+
+  /**
+   * Set a series
+   * @param {Object} labels - Label values
+   * @param {number} value - Value
+   */
+  set (labels, value) {
+    this.values.set(this.getKey(labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} [options.labelNames] - Label names
+   * @param {Array<number>} [options.buckets] - Upper bounds of the buckets
+   */
+  constructor (options) {
+    super(options, 'histogram');
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe (labels, value) {
+    const key = this.getKey(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples () {
+    const lines = [];
+
+    for (const [key, series] of this.values.entries()) {
+      // Buckets are cumulative
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${this.formatLabels(key, [['le', String(bound)]])} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${this.formatLabels(key, [['le', '+Inf']])} ${series.count}`);
+      lines.push(`${this.name}_sum${this.formatLabels(key)} ${series.sum}`);
+      lines.push(`${this.name}_count${this.formatLabels(key)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor () {
+    this.metrics = new Map();
+    this.collectors = [];
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * Create and register a counter
+   * @param {Object} options - Metric options
+   * @returns {Counter} - Counter
+   */
+  counter (options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * Create and register a gauge
+   * @param {Object} options - Metric options
+   * @returns {Gauge} - Gauge
+   */
+  gauge (options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {Object} options - Metric options
+   * @returns {Histogram} - Histogram
+   */
+  histogram (options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Register a metric
+   * @param {Metric} metric - Metric
+   * @returns {*} - The metric
+   */
+  register (metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Add a function run before every scrape, to update metrics read from current state
+   * @param {Function} collector - Collector, may be async
+   */
+  addCollector (collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Run the collectors and render every metric
+   * @returns {Promise<string>} - Metrics in text exposition format
+   */
+  async render () {
+    for (const collector of this.collectors) {
+      await collector();
+    }
+
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,126 @@
+/**
+ * Tracing utilities for webhook service
+ * Spans and W3C trace context propagation on top of the OpenTelemetry API.
+ * Until TracingService registers a tracer provider every span is a no-op and
+ * no trace context is propagated
+ */
+
+const { trace, context, propagation, ROOT_CONTEXT, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+
+const TRACER_NAME = 'huly-webhook-service';
+
+class Tracing {
+  /**
+   * Get the tracer of the service
+   * @returns {import('@opentelemetry/api').Tracer} - Tracer
+   */
+  static getTracer () {
+    return trace.getTracer(TRACER_NAME);
+  }
+
+  /**
+   * Run a function in a new active span, ended when the function settles.
+   * Errors the function throws are recorded on the span and rethrown
+   * @param {string} name - Span name
+   * @param {Object} options - Span options: kind, attributes, links, startTime
+   * @param {Function} fn - Function receiving the span
+   * @param {Object} [parentContext] - Context to start the span in, the active one by default
+   * @returns {Promise<*>} - Result of the function
+   */
+  static async withSpan (name, options, fn, parentContext = context.active()) {
+    return Tracing.getTracer().startActiveSpan(name, options, parentContext, async (span) => {
+      try {
+        return await fn(span);
+      } catch (error) {
+        Tracing.recordError(span, error);
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Record a span for something that already happened, e.g. the time a delivery waited in the queue
+   * @param {string} name - Span name
+   * @param {Object} options - Span options, with the startTime
+   * @param {Date|number} endTime - When it ended
+   * @param {Object} [parentContext] - Context to start the span in, the active one by default
+   */
+  static recordSpan (name, options, endTime, parentContext = context.active()) {
+    Tracing.getTracer().startSpan(name, options, parentContext).end(endTime);
+  }
+
+  /**
+   * Mark a span as failed
+   * @param {Object} span - Span
+   * @param {Error} error - Error
+   */
+  static recordError (span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  }
+
+  /**
+   * Set attributes on the active span
+   * @param {Object} attributes - Attributes
+   */
+  static setAttributes (attributes) {
+    trace.getActiveSpan()?.setAttributes(attributes);
+  }
+
+  /**
+   * Get the active trace context as W3C headers, to keep with work that is picked up later
+   * @returns {Object|null} - `traceparent` and `tracestate`, null outside a trace
+   */
+  static getTraceContext () {
+    const carrier = {};
+    propagation.inject(context.active(), carrier);
+    return carrier.traceparent ? carrier : null;
+  }
+
+  /**
+   * Add the active trace context to outgoing request headers
+   * @param {Object} headers - Request headers, modified in place
+   * @returns {Object} - The headers
+   */
+  static injectHeaders (headers) {
+    propagation.inject(context.active(), headers);
+    return headers;
+  }
+
+  /**
+   * Restore a trace context kept by getTraceContext
+   * @param {Object|null} carrier - W3C headers
+   * @returns {Object} - Context, the root context without a carrier
+   */
+  static extractContext (carrier) {
+    return carrier ? propagation.extract(ROOT_CONTEXT, carrier) : ROOT_CONTEXT;
+  }
+
+  /**
+   * Run a function in a context
+   * @param {Object} ctx - Context
+   * @param {() => *} fn - Function called without arguments
+   * @returns {*} - Result of the function
+   */
+  static withContext (ctx, fn) {
+    return context.with(ctx, fn);
+  }
+
+  /**
+   * Get a link to the span of a trace context, for work done on behalf of several traces
+   * @param {Object|null} carrier - W3C headers
+   * @returns {Object|null} - Span link, null without a valid trace context
+   */
+  static getLink (carrier) {
+    const spanContext = trace.getSpanContext(Tracing.extractContext(carrier));
+    return spanContext && trace.isSpanContextValid(spanContext) ? { context: spanContext } : null;
+  }
+}
+
+Tracing.SpanKind = SpanKind;
+Tracing.SpanStatusCode = SpanStatusCode;
+Tracing.TRACER_NAME = TRACER_NAME;
+
+module.exports = Tracing;
@@ -3,6 +3,7 @@
  */
 
 const Joi = require('joi');
+const { eventTypeRegistry } = require('../models/EventTypeRegistry');
 
 class ValidationUtils {
   /**
@@ -37,19 +38,56 @@ class ValidationUtils {
    * @returns {boolean} True if valid
    */
   static isValidEventType (eventType) {
-    const validTypes = [
-      'issue.created',
-      'issue.updated',
-      'issue.deleted',
-      'issue.status_changed',
-      'issue.assigned',
-      'project.created',
-      'project.updated',
-      'project.archived',
-      'comment.created',
-      'attachment.added'
-    ];
-    return validTypes.includes(eventType);
+    return eventTypeRegistry.has(eventType);
+  }
+
+  /**
+   * Validate a webhook event subscription (event type, wildcard or negated pattern)
+   * @param {string} subscription - The subscription to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidEventSubscription (subscription) {
+    return eventTypeRegistry.isValidSubscription(subscription);
+  }
+
+  /**
+   * Create Joi schema for a webhook event subscription
+   * @returns {Joi.StringSchema} Joi schema
+   */
+  static eventSubscriptionSchema () {
+    return Joi.string().custom((value, helpers) => {
+      if (!eventTypeRegistry.isValidSubscription(value)) {
+        return helpers.message({ custom: `"${value}" does not match any registered event type` });
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Create Joi schema for the credentials a webhook authenticates its deliveries with
+   * @returns {Joi.ObjectSchema} Joi schema
+   */
+  static webhookAuthSchema () {
+    const when = (type, schema) => schema.when('type', { is: type, then: Joi.required(), otherwise: Joi.forbidden() });
+
+    return Joi.object({
+      type: Joi.string().valid('none', 'basic', 'oauth2_client_credentials', 'mtls').required(),
+      // basic
+      username: when('basic', Joi.string().min(1).max(255)),
+      password: when('basic', Joi.string().min(1).max(1024)),
+      // oauth2_client_credentials
+      tokenUrl: when('oauth2_client_credentials', Joi.string().uri({ scheme: ['https', 'http'] })),
+      clientId: when('oauth2_client_credentials', Joi.string().min(1).max(255)),
+      clientSecret: when('oauth2_client_credentials', Joi.string().min(1).max(1024)),
+      scopes: Joi.array().items(Joi.string().max(255)).max(50).optional(),
+      audience: Joi.string().max(255).optional(),
+      clientAuthMethod: Joi.string().valid('client_secret_basic', 'client_secret_post').optional(),
+      // mtls
+      certificate: when('mtls', Joi.string().pattern(/-----BEGIN CERTIFICATE-----/)),
+      privateKey: when('mtls', Joi.string().pattern(/-----BEGIN [A-Z ]*PRIVATE KEY-----/)),
+      passphrase: Joi.string().max(1024).optional(),
+      ca: Joi.string().pattern(/-----BEGIN CERTIFICATE-----/).optional()
+    });
   }
 
   /**
@@ -330,27 +368,17 @@ class ValidationUtils {
     return Joi.object({
       name: Joi.string().min(1).max(100).required(),
       url: Joi.string().uri().required(),
+      workspace: Joi.string().max(100).optional(),
       secret: Joi.string().min(8).max(255).optional(),
-      events: Joi.array().items(
-        Joi.string().valid(
-          'issue.created',
-          'issue.updated',
-          'issue.deleted',
-          'issue.status_changed',
-          'issue.assigned',
-          'project.created',
-          'project.updated',
-          'project.archived',
-          'comment.created',
-          'attachment.added'
-        )
-      ).min(1).required(),
+      signatureScheme: Joi.string().valid('huly', 'standard', 'ed25519').optional(),
+      events: Joi.array().items(this.eventSubscriptionSchema()).min(1).required(),
       filters: Joi.object({
         projects: Joi.array().items(Joi.string()).optional(),
         statuses: Joi.array().items(Joi.string()).optional(),
         priorities: Joi.array().items(Joi.string()).optional(),
         assignees: Joi.array().items(Joi.string()).optional(),
-        tags: Joi.array().items(Joi.string()).optional()
+        tags: Joi.array().items(Joi.string()).optional(),
+        expression: Joi.string().max(2000).optional()
       }).optional(),
       active: Joi.boolean().default(true),
       retryConfig: Joi.object({
@@ -359,7 +387,14 @@ class ValidationUtils {
         initialDelay: Joi.number().integer().min(100).default(1000)
       }).optional(),
       timeout: Joi.number().integer().min(1000).max(120000).default(30000),
+      ordering: Joi.string().valid('none', 'per-webhook', 'per-entity').optional(),
+      batch: Joi.object({
+        enabled: Joi.boolean().default(false),
+        maxSize: Joi.number().integer().min(1).max(100).optional(),
+        maxWait: Joi.number().integer().min(100).max(300000).optional()
+      }).optional(),
       headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+      auth: this.webhookAuthSchema().optional(),
       metadata: Joi.object().optional()
     });
   }
@@ -0,0 +1,125 @@
+/**
+ * Workspace scoping utilities for webhook service
+ * A scope lists the Huly workspaces a request may see; resources without a
+ * workspace belong to the default workspace
+ */
+
+const DEFAULT_WORKSPACE = 'default';
+
+// Grants access to every workspace
+const ALL_WORKSPACES = '*';
+
+class WorkspaceScope {
+  /**
+   * @param {Array<string>|null} workspaces - Allowed workspaces, null or containing '*' for all
+   * @param {string} [defaultWorkspace] - Workspace of resources without one
+   */
+  constructor (workspaces = null, defaultWorkspace = DEFAULT_WORKSPACE) {
+    this.workspaces = !workspaces || workspaces.includes(ALL_WORKSPACES) ? null : [...new Set(workspaces)];
+    this.defaultWorkspace = defaultWorkspace;
+  }
+
+  /**
+   * Get the scope of a request, allowing all workspaces when none was resolved
+   * @param {Object} req - Express request
+   * @returns {WorkspaceScope} - Request scope
+   */
+  static fromRequest (req) {
+    return req.workspaceScope || new WorkspaceScope();
+  }
+
+  /**
+   * Resolve the workspace a change event came from. A workspace field on the document wins,
+   * then the database when it is one of the watched workspace databases
+   * @param {Object} changeEvent - MongoDB change stream event
+   * @param {Object} options - Workspace settings
+   * @param {Array<string>} [options.databases] - Databases that each hold one workspace
+   * @param {string} [options.field] - Document field holding the workspace
+   * @param {string} [options.default] - Workspace of events that cannot be attributed
+   * @returns {string} - Workspace ID
+   */
+  static resolveWorkspace (changeEvent, options = {}) {
+    if (changeEvent.workspace) {
+      return changeEvent.workspace;
+    }
+
+    if (options.field) {
+      const document = changeEvent.fullDocument || changeEvent.fullDocumentBeforeChange;
+      const value = document?.[options.field];
+      if (value) {
+        return String(value);
+      }
+    }
+
+    const database = changeEvent.ns?.db;
+    if (database && (options.databases || []).includes(database)) {
+      return database;
+    }
+
+    return options.default || DEFAULT_WORKSPACE;
+  }
+
+  /**
+   * Check whether the scope covers every workspace
+   * @returns {boolean} - Whether the scope is unrestricted
+   */
+  isUnrestricted () {
+    return this.workspaces === null;
+  }
+
+  /**
+   * Check whether a workspace is in scope
+   * @param {string|null} [workspace] - Workspace ID, the default workspace when empty
+   * @returns {boolean} - Whether the workspace is in scope
+   */
+  includes (workspace) {
+    return this.isUnrestricted() || this.workspaces.includes(workspace || this.defaultWorkspace);
+  }
+
+  /**
+   * Get the workspace a new resource is created in when none was requested
+   * @returns {string|null} - Workspace ID, null when the scope spans several workspaces
+   */
+  getDefaultWorkspace () {
+    if (this.isUnrestricted()) {
+      return this.defaultWorkspace;
+    }
+
+    return this.workspaces.length === 1 ? this.workspaces[0] : null;
+  }
+
+  /**
+   * Get the workspace values stored documents in scope can have
+   * @returns {Array<string|null>|null} - Values for an $in query, null when unrestricted
+   */
+  values () {
+    if (this.isUnrestricted()) {
+      return null;
+    }
+
+    // Matching null also matches documents stored before workspaces were recorded
+    return this.workspaces.includes(this.defaultWorkspace) ? [...this.workspaces, null] : [...this.workspaces];
+  }
+
+  /**
+   * Build a MongoDB filter restricting documents to the scope
+   * @param {string} [field] - Workspace field of the documents
+   * @returns {Object} - MongoDB filter, empty when unrestricted
+   */
+  filter (field = 'workspace') {
+    return this.isUnrestricted() ? {} : { [field]: { $in: this.values() } };
+  }
+
+  /**
+   * Describe the scope for responses and logs
+   * @returns {Array<string>} - Allowed workspaces, ['*'] when unrestricted
+   */
+  toJSON () {
+    return this.isUnrestricted() ? [ALL_WORKSPACES] : [...this.workspaces];
+  }
+}
+
+WorkspaceScope.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
+WorkspaceScope.ALL_WORKSPACES = ALL_WORKSPACES;
+
+module.exports = WorkspaceScope;
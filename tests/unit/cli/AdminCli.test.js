@@ -0,0 +1,403 @@
+/**
+ * Unit tests for the huly-webhooks CLI
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdminCli = require('../../../src/cli/AdminCli');
+const { NotFoundError } = require('../../../src/middleware/errorHandler');
+
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const createStream = () => {
+  const stream = { text: '', write: jest.fn(chunk => { stream.text += chunk; }) };
+  return stream;
+};
+
+describe('AdminCli', () => {
+  let cli;
+  let config;
+  let services;
+  let instances;
+  let output;
+  let errorOutput;
+  let http;
+  let tmpDir;
+
+  const writeFile = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'huly-webhooks-cli-'));
+    config = { server: { port: 3456 }, cluster: { enabled: false } };
+
+    const existing = {
+      _id: 'webhook-1',
+      name: 'Issues',
+      url: 'https://example.com/issues',
+      workspace: 'default',
+      events: ['issue.*'],
+      active: true
+    };
+
+    instances = {
+      webhook: {
+        listWebhooks: jest.fn().mockResolvedValue({ documents: [existing], total: 1 }),
+        getWebhook: jest.fn(async (id) => {
+          if (id !== 'webhook-1') {
+            throw new NotFoundError('Webhook');
+          }
+          return existing;
+        }),
+        createWebhook: jest.fn(async (data) => ({ _id: `webhook-${data.name}`, ...data })),
+        updateWebhook: jest.fn(async (id, data) => ({ ...existing, ...data })),
+        deleteWebhook: jest.fn().mockResolvedValue(true)
+      },
+      audit: {
+        recordRequest: jest.fn().mockResolvedValue({})
+      },
+      deliveryHistory: {
+        getDeliveryHistory: jest.fn().mockResolvedValue([]),
+        exportDeliveryHistory: jest.fn().mockResolvedValue('ID,Webhook ID\nhist-1,webhook-1')
+      },
+      deadLetterQueue: Object.assign(new EventEmitter(), {
+        maxQueueSize: 10000,
+        getDeadLetterEntries: jest.fn().mockReturnValue([]),
+        getDeadLetterStats: jest.fn().mockReturnValue({ currentSize: 0 }),
+        retryAll: jest.fn(),
+        retryDeadLetterEntry: jest.fn(),
+        updateDeadLetterEntryStatus: jest.fn().mockResolvedValue()
+      }),
+      deliveryQueue: {
+        addDelivery: jest.fn().mockResolvedValue('delivery-1')
+      },
+      resumeTokens: {
+        persistenceMode: 'file',
+        clearTokens: jest.fn().mockResolvedValue()
+      },
+      leaderElection: {
+        leaseName: 'change-stream',
+        clearResumeToken: jest.fn().mockResolvedValue()
+      }
+    };
+
+    services = {
+      get: jest.fn(async (name) => instances[name]),
+      close: jest.fn().mockResolvedValue()
+    };
+
+    output = createStream();
+    errorOutput = createStream();
+    http = { get: jest.fn() };
+
+    cli = new AdminCli({ config, services, output, errorOutput, http, sleep: jest.fn().mockResolvedValue() });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('command line', () => {
+    test('should print the usage', async () => {
+      expect(await cli.run(['--help'])).toBe(0);
+      expect(output.text).toContain('Usage: huly-webhooks');
+    });
+
+    test('should reject unknown commands and options', async () => {
+      expect(await cli.run(['webhooks', 'rename'])).toBe(2);
+      expect(await cli.run(['webhooks', 'list', '--colour'])).toBe(2);
+      expect(errorOutput.text).toContain('Unknown command: webhooks rename');
+      expect(services.get).not.toHaveBeenCalled();
+    });
+
+    test('should report invalid option values', async () => {
+      expect(await cli.run(['deliveries', 'export', '--format', 'xml'])).toBe(1);
+      expect(errorOutput.text).toContain('format: "format" must be one of [json, csv]');
+    });
+
+    test('should report errors and close the services', async () => {
+      expect(await cli.run(['webhooks', 'get', 'webhook-9'])).toBe(1);
+      expect(errorOutput.text).toBe('Error: Webhook not found\n');
+      expect(services.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('webhooks', () => {
+    test('should list webhooks as a table', async () => {
+      expect(await cli.run(['webhooks', 'list', '--active', 'true', '--workspace', 'team-a'])).toBe(0);
+
+      expect(instances.webhook.listWebhooks).toHaveBeenCalledWith({ active: true, limit: 100, workspaces: ['team-a'] });
+      expect(output.text.split('\n')[0]).toMatch(/^ID\s+NAME\s+WORKSPACE\s+STATUS\s+EVENTS\s+URL$/);
+      expect(output.text).toContain('webhook-1  Issues');
+    });
+
+    test('should list webhooks as JSON', async () => {
+      await cli.run(['webhooks', 'list', '--json']);
+
+      expect(JSON.parse(output.text)).toMatchObject({ total: 1, webhooks: [{ _id: 'webhook-1' }] });
+    });
+
+    test('should create every webhook of a YAML file and audit them', async () => {
+      const file = writeFile('webhooks.yaml', [
+        '- name: issues',
+        '  url: https://example.com/issues',
+        '  events: [issue.created]',
+        '- name: projects',
+        '  url: https://example.com/projects',
+        '  workspace: team-a',
+        '  events: [project.*]'
+      ].join('\n'));
+
+      expect(await cli.run(['webhooks', 'create', file])).toBe(0);
+
+      expect(instances.webhook.createWebhook).toHaveBeenCalledTimes(2);
+      expect(instances.webhook.createWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'issues',
+        workspace: 'default',
+        active: true
+      }));
+      expect(instances.webhook.createWebhook).toHaveBeenCalledWith(expect.objectContaining({ workspace: 'team-a' }));
+      expect(instances.audit.recordRequest).toHaveBeenCalledWith(
+        { auth: expect.objectContaining({ type: 'cli', keyName: 'huly-webhooks' }) },
+        expect.objectContaining({ action: 'webhook.created' })
+      );
+      expect(output.text).toBe('Created webhook webhook-issues (issues)\nCreated webhook webhook-projects (projects)\n');
+    });
+
+    test('should validate every definition before creating any', async () => {
+      const file = writeFile('webhooks.json', JSON.stringify([
+        { name: 'issues', url: 'https://example.com/issues', events: ['issue.created'] },
+        { name: 'broken', url: 'not a url', events: [] }
+      ]));
+
+      expect(await cli.run(['webhooks', 'create', file])).toBe(1);
+
+      expect(instances.webhook.createWebhook).not.toHaveBeenCalled();
+      expect(errorOutput.text).toContain(`Error: Invalid webhook definition in ${file}`);
+      expect(errorOutput.text).toContain('[1].url:');
+      expect(errorOutput.text).toContain('[1].events:');
+    });
+
+    test('should report files that cannot be parsed', async () => {
+      const file = writeFile('webhook.json', '{ name: ');
+
+      expect(await cli.run(['webhooks', 'create', file])).toBe(1);
+      expect(errorOutput.text).toContain(`Could not parse ${file}`);
+    });
+
+    test('should update only the fields of the file', async () => {
+      const file = writeFile('pause.yml', 'active: false\n');
+
+      expect(await cli.run(['webhooks', 'update', 'webhook-1', file])).toBe(0);
+
+      expect(instances.webhook.updateWebhook).toHaveBeenCalledWith('webhook-1', { active: false });
+      expect(instances.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'webhook.paused'
+      }));
+    });
+
+    test('should delete webhooks only when confirmed', async () => {
+      expect(await cli.run(['webhooks', 'delete', 'webhook-1'])).toBe(2);
+      expect(instances.webhook.deleteWebhook).not.toHaveBeenCalled();
+
+      expect(await cli.run(['webhooks', 'delete', 'webhook-1', '--yes'])).toBe(0);
+      expect(instances.webhook.deleteWebhook).toHaveBeenCalledWith('webhook-1');
+      expect(instances.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'webhook.deleted',
+        target: expect.objectContaining({ id: 'webhook-1' })
+      }));
+    });
+
+    test('should require the positional arguments', async () => {
+      expect(await cli.run(['webhooks', 'update', 'webhook-1'])).toBe(2);
+      expect(errorOutput.text).toContain('Missing <file>');
+    });
+  });
+
+  describe('deliveries', () => {
+    const record = (id, timestamp, success = true) => ({
+      id,
+      webhookId: 'webhook-1',
+      webhookName: 'Issues',
+      eventType: 'issue.created',
+      timestamp: new Date(timestamp),
+      attempt: 1,
+      maxAttempts: 3,
+      result: { success, statusCode: success ? 200 : 500, responseTime: 12, error: success ? undefined : 'HTTP 500' }
+    });
+
+    test('should print each new delivery once while tailing', async () => {
+      const history = instances.deliveryHistory.getDeliveryHistory;
+      history
+        .mockResolvedValueOnce([record('hist-1', '2024-01-01T00:00:00Z'), record('hist-2', '2024-01-01T00:00:01Z')])
+        .mockResolvedValueOnce([record('hist-2', '2024-01-01T00:00:01Z'), record('hist-3', '2024-01-01T00:00:02Z', false)])
+        .mockImplementationOnce(async () => {
+          cli.stop();
+          return [record('hist-3', '2024-01-01T00:00:02Z', false)];
+        });
+
+      expect(await cli.run(['deliveries', 'tail', '--webhook', 'webhook-1', '--interval', '5'])).toBe(0);
+
+      expect(output.text.trim().split('\n')).toEqual([
+        '2024-01-01T00:00:00.000Z  OK    200  issue.created  Issues  attempt 1/3  12ms',
+        '2024-01-01T00:00:01.000Z  OK    200  issue.created  Issues  attempt 1/3  12ms',
+        '2024-01-01T00:00:02.000Z  FAIL  500  issue.created  Issues  attempt 1/3  12ms  HTTP 500'
+      ]);
+      expect(history).toHaveBeenLastCalledWith(expect.objectContaining({
+        webhookId: 'webhook-1',
+        fromDate: new Date('2024-01-01T00:00:02Z'),
+        sortBy: 'timestamp',
+        sortOrder: 'asc'
+      }));
+      expect(cli.sleep).toHaveBeenCalledWith(5000);
+    });
+
+    test('should export history to a file', async () => {
+      const file = path.join(tmpDir, 'export.csv');
+
+      expect(await cli.run([
+        'deliveries', 'export', '--failed', '--from', '2024-01-01', '--format', 'csv', '--output', file
+      ])).toBe(0);
+
+      expect(instances.deliveryHistory.exportDeliveryHistory).toHaveBeenCalledWith({
+        success: false,
+        fromDate: new Date('2024-01-01'),
+        toDate: undefined,
+        limit: 10000
+      }, 'csv');
+      expect(fs.readFileSync(file, 'utf8')).toBe('ID,Webhook ID\nhist-1,webhook-1\n');
+    });
+  });
+
+  describe('dead letter queue', () => {
+    const entry = {
+      id: 'dlq_1',
+      delivery: { id: 'delivery-1', url: 'https://example.com/issues', metadata: { webhookId: 'webhook-1' } },
+      metadata: { webhookId: 'webhook-1', eventType: 'issue.created' },
+      failureReason: { error: 'HTTP 500' },
+      deadLetteredAt: new Date('2024-01-01T00:00:00Z'),
+      retryCount: 2,
+      status: 'dead-lettered'
+    };
+
+    test('should list entries', async () => {
+      instances.deadLetterQueue.getDeadLetterEntries.mockReturnValue([entry]);
+
+      await cli.run(['dlq', 'list', '--event-type', 'issue.created']);
+
+      expect(instances.deadLetterQueue.getDeadLetterEntries).toHaveBeenCalledWith({
+        webhookId: undefined,
+        eventType: 'issue.created',
+        limit: 100
+      });
+      expect(output.text).toContain('dlq_1  2024-01-01T00:00:00.000Z  webhook-1  issue.created  2        dead-lettered  HTTP 500');
+    });
+
+    test('should re-queue retried entries in the delivery queue', async () => {
+      const dlq = instances.deadLetterQueue;
+      dlq.retryAll.mockImplementation(async () => {
+        dlq.emit('entry-retry', entry);
+        return { total: 1, successful: 1, failed: 0, errors: [] };
+      });
+
+      expect(await cli.run(['dlq', 'retry', '--webhook', 'webhook-1'])).toBe(0);
+
+      expect(dlq.retryAll).toHaveBeenCalledWith({
+        webhookId: 'webhook-1',
+        eventType: undefined,
+        status: 'dead-lettered',
+        limit: 10000
+      });
+      expect(instances.deliveryQueue.addDelivery).toHaveBeenCalledWith({
+        url: 'https://example.com/issues',
+        scheduledFor: null,
+        metadata: { webhookId: 'webhook-1', deadLetterEntryId: 'dlq_1', originalDeliveryId: 'delivery-1' }
+      });
+      expect(instances.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'dead_letter.retried',
+        details: expect.objectContaining({ total: 1, successful: 1, failed: 0 })
+      }));
+      expect(output.text).toBe('Re-queued 1 of 1 dead letter entries\n');
+      expect(dlq.listenerCount('entry-retry')).toBe(0);
+    });
+
+    test('should report entries that could not be queued', async () => {
+      const dlq = instances.deadLetterQueue;
+      dlq.retryDeadLetterEntry.mockImplementation(async () => {
+        dlq.emit('entry-retry', entry);
+        return { success: true };
+      });
+      instances.deliveryQueue.addDelivery.mockRejectedValue(new Error('Queue capacity exceeded'));
+
+      expect(await cli.run(['dlq', 'retry', 'dlq_1', '--json'])).toBe(1);
+
+      expect(dlq.updateDeadLetterEntryStatus).toHaveBeenCalledWith('dlq_1', false, { error: 'Queue capacity exceeded' });
+      expect(JSON.parse(output.text)).toEqual({
+        total: 1,
+        successful: 0,
+        failed: 1,
+        errors: [{ entryId: 'dlq_1', error: 'Queue capacity exceeded' }]
+      });
+    });
+  });
+
+  describe('resume tokens', () => {
+    test('should only reset when confirmed', async () => {
+      expect(await cli.run(['resume-tokens', 'reset'])).toBe(2);
+      expect(instances.resumeTokens.clearTokens).not.toHaveBeenCalled();
+    });
+
+    test('should clear stored tokens and the token of the lease', async () => {
+      config.cluster.enabled = true;
+
+      expect(await cli.run(['resume-tokens', 'reset', '--yes'])).toBe(0);
+
+      expect(instances.resumeTokens.clearTokens).toHaveBeenCalled();
+      expect(instances.leaderElection.clearResumeToken).toHaveBeenCalled();
+      expect(instances.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'resume_token.reset',
+        details: { mode: 'file', lease: 'change-stream' }
+      }));
+    });
+  });
+
+  describe('status', () => {
+    test('should print the change stream status of the running service', async () => {
+      http.get.mockResolvedValue({
+        status: 200,
+        data: { services: { changeStreams: { status: 'active', role: 'leader', eventsProcessed: 42 } } }
+      });
+
+      expect(await cli.run(['status'])).toBe(0);
+
+      expect(http.get).toHaveBeenCalledWith('http://localhost:3456/api/health/detailed', expect.any(Object));
+      expect(output.text).toBe('status: active\nrole: leader\neventsProcessed: 42\n');
+    });
+
+    test('should fail when the change stream is not running', async () => {
+      http.get.mockResolvedValue({
+        status: 503,
+        data: { services: { changeStreams: { status: 'inactive', active: false } } }
+      });
+
+      expect(await cli.run(['status', '--url', 'http://webhooks:3456/', '--json'])).toBe(1);
+
+      expect(http.get).toHaveBeenCalledWith('http://webhooks:3456/api/health/detailed', expect.any(Object));
+      expect(JSON.parse(output.text)).toEqual({ status: 'inactive', active: false });
+    });
+  });
+});
@@ -45,16 +45,15 @@ describe('EventController', () => {
         // Add event service methods if needed
       },
       database: {
-        db: {
-          collection: jest.fn()
-        }
-      },
-      webhook: {
-        findWebhookById: jest.fn(),
-        findWebhooks: jest.fn()
+        find: jest.fn(),
+        findOne: jest.fn(),
+        aggregate: jest.fn(),
+        countDocuments: jest.fn()
       },
-      delivery: {
-        queueDelivery: jest.fn()
+      pipeline: {
+        getActiveWebhooks: jest.fn(),
+        getWebhookId: jest.fn(webhook => webhook._id || webhook.id),
+        processEvent: jest.fn()
       }
     };
 
@@ -88,24 +87,15 @@ describe('EventController', () => {
         }
       ];
 
-      const mockCollection = {
-        find: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockReturnThis(),
-        skip: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockReturnThis(),
-        toArray: jest.fn().mockResolvedValue(mockEvents),
-        countDocuments: jest.fn().mockResolvedValue(1)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.find.mockResolvedValue({ documents: mockEvents, total: 1 });
 
       await controller.listEvents(mockReq, mockRes);
 
-      expect(mockServices.database.db.collection).toHaveBeenCalledWith('webhook_events');
-      expect(mockCollection.find).toHaveBeenCalledWith({});
-      expect(mockCollection.sort).toHaveBeenCalledWith({ timestamp: -1 });
-      expect(mockCollection.skip).toHaveBeenCalledWith(0);
-      expect(mockCollection.limit).toHaveBeenCalledWith(50);
+      expect(mockServices.database.find).toHaveBeenCalledWith('webhook_events', {}, {
+        sort: { timestamp: -1 },
+        offset: 0,
+        limit: 50
+      });
       expect(mockRes.json).toHaveBeenCalledWith({
         events: expect.any(Array),
         pagination: {
@@ -128,20 +118,11 @@ describe('EventController', () => {
         to: '2024-01-31'
       };
 
-      const mockCollection = {
-        find: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockReturnThis(),
-        skip: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockReturnThis(),
-        toArray: jest.fn().mockResolvedValue([]),
-        countDocuments: jest.fn().mockResolvedValue(0)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.find.mockResolvedValue({ documents: [], total: 0 });
 
       await controller.listEvents(mockReq, mockRes);
 
-      expect(mockCollection.find).toHaveBeenCalledWith({
+      expect(mockServices.database.find).toHaveBeenCalledWith('webhook_events', {
         type: 'issue.created',
         workspace: 'workspace1',
         processed: true,
@@ -149,16 +130,16 @@ describe('EventController', () => {
           $gte: new Date('2024-01-01'),
           $lte: new Date('2024-01-31')
         }
+      }, {
+        sort: { timestamp: -1 },
+        offset: 20, // (page-1) * limit
+        limit: 20
       });
-      expect(mockCollection.skip).toHaveBeenCalledWith(20); // (page-1) * limit
-      expect(mockCollection.limit).toHaveBeenCalledWith(20);
     });
 
     it('should handle errors', async () => {
       const error = new Error('Database error');
-      mockServices.database.db.collection.mockImplementation(() => {
-        throw error;
-      });
+      mockServices.database.find.mockRejectedValue(error);
 
       await controller.listEvents(mockReq, mockRes);
 
@@ -180,26 +161,18 @@ describe('EventController', () => {
         timestamp: new Date()
       };
 
-      const mockCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
 
       await controller.getEvent(mockReq, mockRes);
 
-      expect(mockCollection.findOne).toHaveBeenCalledWith({ id: 'event1' });
+      expect(mockServices.database.findOne).toHaveBeenCalledWith('webhook_events', { id: 'event1' });
       expect(mockRes.json).toHaveBeenCalledWith(mockEvent);
     });
 
     it('should return 404 when event not found', async () => {
       mockReq.params.id = 'nonexistent';
 
-      const mockCollection = {
-        findOne: jest.fn().mockResolvedValue(null)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.findOne.mockResolvedValue(null);
 
       await controller.getEvent(mockReq, mockRes);
 
@@ -214,11 +187,7 @@ describe('EventController', () => {
       mockReq.params.id = 'event1';
       const error = new Error('Database error');
 
-      const mockCollection = {
-        findOne: jest.fn().mockRejectedValue(error)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.findOne.mockRejectedValue(error);
 
       await controller.getEvent(mockReq, mockRes);
 
@@ -248,42 +217,40 @@ describe('EventController', () => {
           id: 'delivery1',
           eventId: 'event1',
           webhookId: 'webhook1',
-          attemptNumber: 1,
-          status: 'delivered',
-          httpStatus: 200,
-          duration: 150,
+          attempt: 1,
+          maxAttempts: 3,
+          result: { success: true, statusCode: 200, responseTime: 150 },
           timestamp: new Date()
         }
       ];
 
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      const mockDeliveryCollection = {
-        find: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockReturnThis(),
-        skip: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockReturnThis(),
-        toArray: jest.fn().mockResolvedValue(mockDeliveries),
-        countDocuments: jest.fn().mockResolvedValue(1)
-      };
-
-      mockServices.database.db.collection.mockImplementation((collectionName) => {
-        if (collectionName === 'webhook_events') return mockEventCollection;
-        if (collectionName === 'delivery_attempts') return mockDeliveryCollection;
-      });
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.database.find.mockResolvedValue({ documents: mockDeliveries, total: 1 });
 
       await controller.getEventDeliveries(mockReq, mockRes);
 
-      expect(mockEventCollection.findOne).toHaveBeenCalledWith({ id: 'event1' });
-      expect(mockDeliveryCollection.find).toHaveBeenCalledWith({ eventId: 'event1' });
+      expect(mockServices.database.findOne).toHaveBeenCalledWith('webhook_events', { id: 'event1' });
+      expect(mockServices.database.find).toHaveBeenCalledWith('delivery_history', { eventId: 'event1' }, {
+        sort: { timestamp: -1 },
+        offset: 0,
+        limit: 50
+      });
       expect(mockRes.json).toHaveBeenCalledWith({
         event: expect.objectContaining({
           id: 'event1',
           type: 'issue.created'
         }),
-        deliveries: expect.any(Array),
+        deliveries: [
+          expect.objectContaining({
+            id: 'delivery1',
+            webhookId: 'webhook1',
+            attemptNumber: 1,
+            status: 'success',
+            httpStatus: 200,
+            duration: 150,
+            finalAttempt: true
+          })
+        ],
         pagination: expect.any(Object)
       });
     });
@@ -304,43 +271,34 @@ describe('EventController', () => {
           id: 'delivery1',
           eventId: 'event1',
           webhookId: 'webhook1',
-          attemptNumber: 3,
-          status: 'failed',
-          httpStatus: 500,
-          errorMessage: 'Server error',
-          duration: 2500,
-          timestamp: new Date(),
-          nextRetryAt: new Date(Date.now() + 3600000),
-          finalAttempt: true
+          attempt: 3,
+          maxAttempts: 3,
+          result: {
+            success: false,
+            statusCode: 500,
+            error: 'Server error',
+            responseTime: 2500
+          },
+          timestamp: new Date()
         }
       ];
 
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.database.find.mockResolvedValue({ documents: mockDeliveries, total: 15 });
 
-      const mockDeliveryCollection = {
-        find: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockReturnThis(),
-        skip: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockReturnThis(),
-        toArray: jest.fn().mockResolvedValue(mockDeliveries),
-        countDocuments: jest.fn().mockResolvedValue(15)
-      };
+      await controller.getEventDeliveries(mockReq, mockRes);
 
-      mockServices.database.db.collection.mockImplementation((collectionName) => {
-        if (collectionName === 'webhook_events') return mockEventCollection;
-        if (collectionName === 'delivery_attempts') return mockDeliveryCollection;
+      expect(mockServices.database.find).toHaveBeenCalledWith('delivery_history', { eventId: 'event1' }, {
+        sort: { timestamp: -1 },
+        offset: 10, // (2-1) * 10
+        limit: 10
       });
 
-      await controller.getEventDeliveries(mockReq, mockRes);
-
-      expect(mockDeliveryCollection.skip).toHaveBeenCalledWith(10); // (2-1) * 10
-      expect(mockDeliveryCollection.limit).toHaveBeenCalledWith(10);
-      
       const response = mockRes.json.mock.calls[0][0];
+      expect(response.deliveries[0]).toHaveProperty('status', 'failed');
+      expect(response.deliveries[0]).toHaveProperty('httpStatus', 500);
       expect(response.deliveries[0]).toHaveProperty('errorMessage', 'Server error');
-      expect(response.deliveries[0]).toHaveProperty('nextRetryAt');
+      expect(response.deliveries[0]).toHaveProperty('duration', 2500);
       expect(response.deliveries[0]).toHaveProperty('finalAttempt', true);
       expect(response.pagination.pages).toBe(2); // 15 total / 10 per page
     });
@@ -349,44 +307,25 @@ describe('EventController', () => {
       mockReq.params.id = 'event1';
       mockReq.query = { status: 'failed' };
 
-      const mockEvent = { id: 'event1' };
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      const mockDeliveryCollection = {
-        find: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockReturnThis(),
-        skip: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockReturnThis(),
-        toArray: jest.fn().mockResolvedValue([]),
-        countDocuments: jest.fn().mockResolvedValue(0)
-      };
-
-      mockServices.database.db.collection.mockImplementation((collectionName) => {
-        if (collectionName === 'webhook_events') return mockEventCollection;
-        if (collectionName === 'delivery_attempts') return mockDeliveryCollection;
-      });
+      mockServices.database.findOne.mockResolvedValue({ id: 'event1' });
+      mockServices.database.find.mockResolvedValue({ documents: [], total: 0 });
 
       await controller.getEventDeliveries(mockReq, mockRes);
 
-      expect(mockDeliveryCollection.find).toHaveBeenCalledWith({
+      expect(mockServices.database.find).toHaveBeenCalledWith('delivery_history', {
         eventId: 'event1',
-        status: 'failed'
-      });
+        'result.success': false
+      }, expect.any(Object));
     });
 
     it('should return 404 when event not found', async () => {
       mockReq.params.id = 'nonexistent';
 
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(null)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
+      mockServices.database.findOne.mockResolvedValue(null);
 
       await controller.getEventDeliveries(mockReq, mockRes);
 
+      expect(mockServices.database.find).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(404);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Not Found',
@@ -398,11 +337,7 @@ describe('EventController', () => {
       mockReq.params.id = 'event1';
       const error = new Error('Database error');
 
-      const mockEventCollection = {
-        findOne: jest.fn().mockRejectedValue(error)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
+      mockServices.database.findOne.mockRejectedValue(error);
 
       await controller.getEventDeliveries(mockReq, mockRes);
 
@@ -416,49 +351,48 @@ describe('EventController', () => {
   });
 
   describe('retryEvent', () => {
+    const mockEvent = {
+      id: 'event1',
+      type: 'issue.created',
+      data: { id: 'issue-123' },
+      sourceCollection: 'issues',
+      sourceDocument: { _id: 'issue-123', title: 'Bug' },
+      metadata: { operationType: 'insert' }
+    };
+
+    const mockWebhooks = [
+      { _id: 'webhook1', name: 'Webhook 1', active: true },
+      { _id: 'webhook2', name: 'Webhook 2', active: true },
+      { _id: 'webhook3', name: 'Webhook 3', active: true }
+    ];
+
     it('should retry event for specific webhooks', async () => {
       mockReq.params.id = 'event1';
       mockReq.body = { webhookIds: ['webhook1', 'webhook2'] };
 
-      const mockEvent = {
-        id: 'event1',
-        type: 'issue.created',
-        data: { issueId: '123' }
-      };
-
-      const mockWebhook1 = {
-        id: 'webhook1',
-        name: 'Webhook 1',
-        active: true,
-        shouldProcessEvent: jest.fn().mockReturnValue(true),
-        matchesFilters: jest.fn().mockReturnValue(true)
-      };
-
-      const mockWebhook2 = {
-        id: 'webhook2',
-        name: 'Webhook 2',
-        active: true,
-        shouldProcessEvent: jest.fn().mockReturnValue(true),
-        matchesFilters: jest.fn().mockReturnValue(true)
-      };
-
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
-      mockServices.webhook.findWebhookById.mockImplementation((id) => {
-        if (id === 'webhook1') return Promise.resolve(mockWebhook1);
-        if (id === 'webhook2') return Promise.resolve(mockWebhook2);
-        return Promise.resolve(null);
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.pipeline.getActiveWebhooks.mockResolvedValue(mockWebhooks);
+      mockServices.pipeline.processEvent.mockResolvedValue({
+        matched: 2,
+        queued: 2,
+        rateLimited: 0,
+        deliveries: [
+          { webhookId: 'webhook1', webhookName: 'Webhook 1', outcome: 'queued', deliveryId: 'delivery1' },
+          { webhookId: 'webhook2', webhookName: 'Webhook 2', outcome: 'queued', deliveryId: 'delivery2' }
+        ]
       });
 
-      mockServices.delivery.queueDelivery.mockResolvedValue({ id: 'delivery1' });
-
       await controller.retryEvent(mockReq, mockRes);
 
-      expect(mockServices.webhook.findWebhookById).toHaveBeenCalledTimes(2);
-      expect(mockServices.delivery.queueDelivery).toHaveBeenCalledTimes(2);
+      expect(mockServices.pipeline.processEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operationType: 'insert',
+          ns: { coll: 'issues' },
+          documentKey: { _id: 'issue-123' },
+          fullDocument: mockEvent.sourceDocument
+        }),
+        { eventId: 'event1', webhooks: [mockWebhooks[0], mockWebhooks[1]] }
+      );
       expect(mockRes.json).toHaveBeenCalledWith({
         eventId: 'event1',
         retryResults: expect.arrayContaining([
@@ -483,62 +417,44 @@ describe('EventController', () => {
       mockReq.params.id = 'event1';
       mockReq.body = {};
 
-      const mockEvent = {
-        id: 'event1',
-        type: 'issue.created',
-        data: { issueId: '123' }
-      };
-
-      const mockWebhooks = [
-        {
-          id: 'webhook1',
-          name: 'Webhook 1',
-          active: true,
-          shouldProcessEvent: jest.fn().mockReturnValue(true),
-          matchesFilters: jest.fn().mockReturnValue(true)
-        },
-        {
-          id: 'webhook2',
-          name: 'Webhook 2',
-          active: true,
-          shouldProcessEvent: jest.fn().mockReturnValue(false),
-          matchesFilters: jest.fn().mockReturnValue(true)
-        }
-      ];
-
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
-      mockServices.webhook.findWebhooks.mockResolvedValue(mockWebhooks);
-      mockServices.delivery.queueDelivery.mockResolvedValue({ id: 'delivery1' });
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.pipeline.processEvent.mockResolvedValue({
+        matched: 2,
+        queued: 1,
+        rateLimited: 0,
+        deliveries: [
+          { webhookId: 'webhook1', webhookName: 'Webhook 1', outcome: 'queued', deliveryId: 'delivery1' },
+          { webhookId: 'webhook2', webhookName: 'Webhook 2', outcome: 'filtered' }
+        ]
+      });
 
       await controller.retryEvent(mockReq, mockRes);
 
-      expect(mockServices.webhook.findWebhooks).toHaveBeenCalledWith({ active: true });
-      expect(mockServices.delivery.queueDelivery).toHaveBeenCalledTimes(1);
-      expect(mockServices.delivery.queueDelivery).toHaveBeenCalledWith(mockWebhooks[0], mockEvent);
+      expect(mockServices.pipeline.getActiveWebhooks).not.toHaveBeenCalled();
+      expect(mockServices.pipeline.processEvent).toHaveBeenCalledWith(expect.any(Object), { eventId: 'event1' });
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        summary: {
+          totalWebhooks: 2,
+          successfulQueues: 1,
+          failedQueues: 1
+        }
+      }));
     });
 
     it('should handle delivery queue errors', async () => {
       mockReq.params.id = 'event1';
       mockReq.body = { webhookIds: ['webhook1'] };
 
-      const mockEvent = { id: 'event1' };
-      const mockWebhook = {
-        id: 'webhook1',
-        name: 'Webhook 1',
-        active: true
-      };
-
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
-      mockServices.webhook.findWebhookById.mockResolvedValue(mockWebhook);
-      mockServices.delivery.queueDelivery.mockRejectedValue(new Error('Queue error'));
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.pipeline.getActiveWebhooks.mockResolvedValue(mockWebhooks);
+      mockServices.pipeline.processEvent.mockResolvedValue({
+        matched: 1,
+        queued: 0,
+        rateLimited: 0,
+        deliveries: [
+          { webhookId: 'webhook1', webhookName: 'Webhook 1', outcome: 'error', error: 'Queue error' }
+        ]
+      });
 
       await controller.retryEvent(mockReq, mockRes);
 
@@ -562,14 +478,11 @@ describe('EventController', () => {
     it('should return 404 when event not found', async () => {
       mockReq.params.id = 'nonexistent';
 
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(null)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
+      mockServices.database.findOne.mockResolvedValue(null);
 
       await controller.retryEvent(mockReq, mockRes);
 
+      expect(mockServices.pipeline.processEvent).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(404);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Not Found',
@@ -581,13 +494,24 @@ describe('EventController', () => {
       mockReq.params.id = 'event1';
       mockReq.body = { webhookIds: ['inactive'] };
 
-      const mockEvent = { id: 'event1' };
-      const mockEventCollection = {
-        findOne: jest.fn().mockResolvedValue(mockEvent)
-      };
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.pipeline.getActiveWebhooks.mockResolvedValue(mockWebhooks);
+
+      await controller.retryEvent(mockReq, mockRes);
+
+      expect(mockServices.pipeline.processEvent).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Bad Request',
+        message: 'No eligible webhooks found for retry'
+      });
+    });
 
-      mockServices.database.db.collection.mockReturnValue(mockEventCollection);
-      mockServices.webhook.findWebhookById.mockResolvedValue(null);
+    it('should return 400 when no webhooks match the event', async () => {
+      mockReq.params.id = 'event1';
+
+      mockServices.database.findOne.mockResolvedValue(mockEvent);
+      mockServices.pipeline.processEvent.mockResolvedValue({ matched: 0, deliveries: [] });
 
       await controller.retryEvent(mockReq, mockRes);
 
@@ -598,13 +522,25 @@ describe('EventController', () => {
       });
     });
 
+    it('should return 503 when the pipeline is not running', async () => {
+      mockReq.params.id = 'event1';
+      delete mockServices.pipeline;
+
+      await controller.retryEvent(mockReq, mockRes);
+
+      expect(mockServices.database.findOne).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Service Unavailable',
+        message: 'Event pipeline is not running'
+      });
+    });
+
     it('should handle general errors during retry', async () => {
       mockReq.params.id = 'event1';
       const error = new Error('Unexpected error');
 
-      mockServices.database.db.collection.mockImplementation(() => {
-        throw error;
-      });
+      mockServices.database.findOne.mockRejectedValue(error);
 
       await controller.retryEvent(mockReq, mockRes);
 
@@ -630,43 +566,68 @@ describe('EventController', () => {
         description: expect.objectContaining({
           'issue.created': 'New issue created',
           'issue.updated': 'Issue modified'
-        })
+        }),
+        types: expect.arrayContaining([
+          expect.objectContaining({ name: 'issue.created', entityType: 'issue' })
+        ])
       });
     });
 
+    it('should filter event types by entity type', async () => {
+      mockReq.query = { entityType: 'project' };
+
+      await controller.getEventTypes(mockReq, mockRes);
+
+      const { types } = mockRes.json.mock.calls[0][0];
+      expect(types.length).toBeGreaterThan(0);
+      expect(types.every(type => type.entityType === 'project')).toBe(true);
+    });
+  });
+
+  describe('getEventType', () => {
+    it('should return the schema and sample payload for a type', async () => {
+      mockReq.params = { type: 'issue.created' };
+
+      await controller.getEventType(mockReq, mockRes);
+
+      const eventType = mockRes.json.mock.calls[0][0];
+      expect(eventType.name).toBe('issue.created');
+      expect(eventType.schema.properties.event).toEqual({ const: 'issue.created' });
+      expect(eventType.samplePayload.event).toBe('issue.created');
+    });
+
+    it('should return 404 for unknown types', async () => {
+      mockReq.params = { type: 'unknown.type' };
+
+      await controller.getEventType(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
   });
 
   describe('getEventStats', () => {
     it('should return event statistics for default period', async () => {
-      const mockAggregateResult = {
-        toArray: jest.fn()
-      };
-
-      const mockCollection = {
-        aggregate: jest.fn().mockReturnValue(mockAggregateResult),
-        countDocuments: jest.fn().mockResolvedValue(100)
-      };
+      mockServices.database.countDocuments.mockResolvedValue(100);
 
-      mockAggregateResult.toArray.mockResolvedValueOnce([
+      mockServices.database.aggregate.mockResolvedValueOnce([
         { _id: 'issue.created', count: 50 },
         { _id: 'issue.updated', count: 30 }
       ]);
 
-      mockAggregateResult.toArray.mockResolvedValueOnce([
+      mockServices.database.aggregate.mockResolvedValueOnce([
         { _id: true, count: 70 },
         { _id: false, count: 30 }
       ]);
 
-      mockAggregateResult.toArray.mockResolvedValueOnce([
+      mockServices.database.aggregate.mockResolvedValueOnce([
         { _id: 'workspace1', count: 60 },
         { _id: 'workspace2', count: 40 }
       ]);
 
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
-
       await controller.getEventStats(mockReq, mockRes);
 
-      expect(mockCollection.aggregate).toHaveBeenCalledTimes(3);
+      expect(mockServices.database.aggregate).toHaveBeenCalledTimes(3);
+      expect(mockServices.database.aggregate).toHaveBeenCalledWith('webhook_events', expect.any(Array));
       expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
         period: expect.objectContaining({
           duration: '7d'
@@ -688,14 +649,8 @@ describe('EventController', () => {
     it('should handle custom period parameter', async () => {
       mockReq.query.period = '30d';
 
-      const mockCollection = {
-        aggregate: jest.fn().mockReturnValue({
-          toArray: jest.fn().mockResolvedValue([])
-        }),
-        countDocuments: jest.fn().mockResolvedValue(0)
-      };
-
-      mockServices.database.db.collection.mockReturnValue(mockCollection);
+      mockServices.database.aggregate.mockResolvedValue([]);
+      mockServices.database.countDocuments.mockResolvedValue(0);
 
       await controller.getEventStats(mockReq, mockRes);
 
@@ -708,9 +663,7 @@ describe('EventController', () => {
 
     it('should handle errors', async () => {
       const error = new Error('Aggregation error');
-      mockServices.database.db.collection.mockImplementation(() => {
-        throw error;
-      });
+      mockServices.database.aggregate.mockRejectedValue(error);
 
       await controller.getEventStats(mockReq, mockRes);
 
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for authentication and workspace scoping middleware
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  timeStart: jest.fn(() => ({
+    end: jest.fn()
+  }))
+}));
+
+jest.mock('../../../src/config', () => ({
+  env: 'test',
+  auth: {
+    apiKey: 'admin-key-0123456789',
+    workspaceKeys: [
+      { key: 'team-a-key-0123456789', workspaces: ['team-a'] },
+      { key: 'shared-key-0123456789', workspaces: ['team-a', 'team-b'] }
+    ]
+  },
+  security: { allowedIPs: [] },
+  workspaces: { default: 'default' }
+}));
+
+const authMiddleware = require('../../../src/middleware/auth');
+const { requireAllWorkspaces } = require('../../../src/middleware/workspace');
+const { requireScope } = require('../../../src/middleware/scopes');
+const logger = require('../../../src/utils/logger');
+
+describe('Auth middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    logger.timeStart.mockReturnValue({ end: jest.fn() });
+
+    app = express();
+    app.get('/scope', authMiddleware, (req, res) => {
+      res.json({ workspaces: req.workspaceScope });
+    });
+    app.get('/admin', authMiddleware, requireAllWorkspaces, (req, res) => {
+      res.json({ ok: true });
+    });
+    app.delete('/webhooks', authMiddleware, requireScope('webhooks:write'), (req, res) => {
+      res.json({ keyId: req.auth.keyId, keyName: req.auth.keyName });
+    });
+  });
+
+  test('should reject unknown keys', async () => {
+    await request(app).get('/scope').set('X-API-Key', 'unknown-key-0123456789').expect(401);
+  });
+
+  test('should give the main API key access to all workspaces', async () => {
+    const response = await request(app).get('/scope').set('X-API-Key', 'admin-key-0123456789').expect(200);
+
+    expect(response.body.workspaces).toEqual(['*']);
+  });
+
+  test('should bind workspace keys to their workspaces', async () => {
+    const response = await request(app).get('/scope').set('X-API-Key', 'shared-key-0123456789').expect(200);
+
+    expect(response.body.workspaces).toEqual(['team-a', 'team-b']);
+  });
+
+  test('should narrow the scope to the requested workspace', async () => {
+    const response = await request(app)
+      .get('/scope')
+      .set('X-API-Key', 'shared-key-0123456789')
+      .set('X-Huly-Workspace', 'team-b')
+      .expect(200);
+
+    expect(response.body.workspaces).toEqual(['team-b']);
+  });
+
+  test('should reject workspaces outside the key scope', async () => {
+    await request(app)
+      .get('/scope')
+      .set('X-API-Key', 'team-a-key-0123456789')
+      .set('X-Huly-Workspace', 'team-b')
+      .expect(403);
+  });
+
+  test('should keep service-wide endpoints to unrestricted keys', async () => {
+    await request(app).get('/admin').set('X-API-Key', 'team-a-key-0123456789').expect(403);
+    await request(app).get('/admin').set('X-API-Key', 'admin-key-0123456789').expect(200);
+  });
+
+  describe('managed keys', () => {
+    const apiKeys = { authenticate: jest.fn() };
+
+    beforeEach(() => {
+      app.locals.services = { apiKeys };
+      apiKeys.authenticate.mockImplementation(async (key) => key === 'hwk_reader' ? {
+        keyId: 'key-1',
+        keyName: 'Dashboard',
+        scopes: ['webhooks:read', 'stats:read'],
+        workspaces: ['team-a']
+      } : null);
+    });
+
+    test('should authenticate keys stored in the database', async () => {
+      const response = await request(app).get('/scope').set('X-API-Key', 'hwk_reader').expect(200);
+
+      expect(response.body.workspaces).toEqual(['team-a']);
+    });
+
+    test('should reject keys without the scope of the route', async () => {
+      const response = await request(app).delete('/webhooks').set('X-API-Key', 'hwk_reader').expect(403);
+
+      expect(response.body.message).toBe("API key lacks the 'webhooks:write' scope");
+    });
+
+    test('should grant every scope to admin keys and carry the key identity', async () => {
+      const response = await request(app).delete('/webhooks').set('X-API-Key', 'admin-key-0123456789').expect(200);
+
+      expect(response.body).toEqual({ keyId: 'env:API_KEY', keyName: 'API_KEY' });
+    });
+
+    test('should not grant admin to workspace keys', async () => {
+      await request(app).delete('/webhooks').set('X-API-Key', 'team-a-key-0123456789').expect(200);
+      expect(apiKeys.authenticate).not.toHaveBeenCalled();
+    });
+  });
+});
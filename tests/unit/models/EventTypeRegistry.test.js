@@ -0,0 +1,168 @@
+/**
+ * Unit tests for EventTypeRegistry
+ */
+
+const { EventTypeRegistry, eventTypeRegistry } = require('../../../src/models/EventTypeRegistry');
+const Webhook = require('../../../src/models/Webhook');
+const ValidationUtils = require('../../../src/utils/validation');
+
+describe('EventTypeRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new EventTypeRegistry();
+  });
+
+  describe('built-in types', () => {
+    it('should include the legacy event types with their descriptions', () => {
+      expect(registry.getDescriptions()).toMatchObject({
+        'issue.created': 'New issue created',
+        'issue.status_changed': 'Issue status changed',
+        'project.archived': 'Project archived',
+        'comment.created': 'Comment added to issue',
+        'attachment.added': 'File attached to issue'
+      });
+    });
+
+    it('should cover the lifecycle of generic entities', () => {
+      expect(registry.has('contact.created')).toBe(true);
+      expect(registry.has('vacancy.updated')).toBe(true);
+      expect(registry.has('message.deleted')).toBe(true);
+    });
+
+    it('should list types filtered by entity', () => {
+      const types = registry.list({ entityType: 'comment' });
+
+      expect(types.map(type => type.name)).toEqual(['comment.created', 'comment.updated', 'comment.deleted']);
+      expect(types[0]).toMatchObject({ entityType: 'comment', builtIn: true });
+    });
+  });
+
+  describe('register', () => {
+    it('should register new types at runtime', () => {
+      const listener = jest.fn();
+      registry.on('registered', listener);
+
+      registry.register({ name: 'invoice.paid', description: 'Invoice paid', entityType: 'invoice' });
+
+      expect(registry.has('invoice.paid')).toBe(true);
+      expect(registry.get('invoice.paid').builtIn).toBe(false);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ name: 'invoice.paid' }));
+    });
+
+    it('should reject invalid names and missing fields', () => {
+      expect(() => registry.register({ name: 'Invoice', description: 'x', entityType: 'invoice' }))
+        .toThrow('Invalid event type name');
+      expect(() => registry.register({ name: 'invoice.paid', entityType: 'invoice' }))
+        .toThrow('requires a description');
+    });
+
+    it('should reject duplicates unless override is set', () => {
+      const definition = { name: 'issue.created', description: 'Custom', entityType: 'issue' };
+
+      expect(() => registry.register(definition)).toThrow('already registered');
+
+      registry.register(definition, { override: true });
+      expect(registry.get('issue.created').description).toBe('Custom');
+    });
+
+    it('should unregister types', () => {
+      expect(registry.unregister('issue.created')).toBe(true);
+      expect(registry.has('issue.created')).toBe(false);
+      expect(registry.unregister('issue.created')).toBe(false);
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should accept registered names, wildcards and negations', () => {
+      expect(registry.isValidSubscription('issue.created')).toBe(true);
+      expect(registry.isValidSubscription('issue.*')).toBe(true);
+      expect(registry.isValidSubscription('*.deleted')).toBe(true);
+      expect(registry.isValidSubscription('*')).toBe(true);
+      expect(registry.isValidSubscription('!issue.updated')).toBe(true);
+    });
+
+    it('should reject patterns that match no registered type', () => {
+      expect(registry.isValidSubscription('invoice.*')).toBe(false);
+      expect(registry.isValidSubscription('issue.unknown')).toBe(false);
+      expect(registry.isValidSubscription('issue..created')).toBe(false);
+      expect(registry.isValidSubscription('!!issue.created')).toBe(false);
+    });
+
+    it('should match wildcards without treating dots as regex wildcards', () => {
+      expect(registry.matchesSubscription('issue.created', ['issue.*'])).toBe(true);
+      expect(registry.matchesSubscription('issuexcreated', ['issue.created'])).toBe(false);
+      expect(registry.matchesSubscription('subissue.created', ['issue.*'])).toBe(false);
+    });
+
+    it('should apply negations after positive matches', () => {
+      const subscriptions = ['issue.*', '!issue.updated'];
+
+      expect(registry.matchesSubscription('issue.created', subscriptions)).toBe(true);
+      expect(registry.matchesSubscription('issue.updated', subscriptions)).toBe(false);
+      expect(registry.matchesSubscription('project.created', subscriptions)).toBe(false);
+    });
+
+    it('should treat negation-only subscriptions as everything else', () => {
+      expect(registry.matchesSubscription('project.created', ['!issue.*'])).toBe(true);
+      expect(registry.matchesSubscription('issue.created', ['!issue.*'])).toBe(false);
+      expect(registry.matchesSubscription('issue.created', [])).toBe(false);
+    });
+
+    it('should expand subscriptions into registered types, including new ones', () => {
+      expect(registry.expandSubscriptions(['*.archived'])).toEqual(['project.archived']);
+
+      registry.register({ name: 'invoice.archived', description: 'Invoice archived', entityType: 'invoice' });
+
+      expect(registry.expandSubscriptions(['*.archived'])).toEqual(['project.archived', 'invoice.archived']);
+    });
+  });
+
+  describe('schemas and samples', () => {
+    it('should build a JSON Schema with the entity payload', () => {
+      const schema = registry.getSchema('issue.created');
+
+      expect(schema.$id).toBe(registry.get('issue.created').schemaId);
+      expect(schema.properties.event).toEqual({ const: 'issue.created' });
+      expect(schema.properties.data.properties.issue.properties.title).toEqual({ type: 'string' });
+    });
+
+    it('should use the generic document payload for entities without a transformer', () => {
+      const schema = registry.getSchema('contact.created');
+
+      expect(schema.properties.data.properties.document).toEqual({ type: ['object', 'null'] });
+    });
+
+    it('should build a sample payload matching the event type', () => {
+      const sample = registry.getSamplePayload('project.deleted');
+
+      expect(sample.event).toBe('project.deleted');
+      expect(sample.data).toMatchObject({ type: 'project', operation: 'delete' });
+      expect(sample.data.project).toBeDefined();
+    });
+
+    it('should return null for unknown types', () => {
+      expect(registry.getSchema('unknown.type')).toBeNull();
+      expect(registry.getSamplePayload('unknown.type')).toBeNull();
+      expect(registry.describe('unknown.type')).toBeNull();
+    });
+  });
+
+  describe('shared registry', () => {
+    afterEach(() => {
+      eventTypeRegistry.unregister('plugin.synced');
+    });
+
+    it('should be used by webhook validation', () => {
+      const data = { name: 'Plugin', url: 'https://example.com/hook', events: ['plugin.synced'] };
+
+      expect(ValidationUtils.isValidEventType('plugin.synced')).toBe(false);
+      expect(Webhook.schema.validate(data).error).toBeDefined();
+
+      eventTypeRegistry.register({ name: 'plugin.synced', description: 'Plugin synced', entityType: 'plugin' });
+
+      expect(ValidationUtils.isValidEventType('plugin.synced')).toBe(true);
+      expect(Webhook.schema.validate(data).error).toBeUndefined();
+    });
+  });
+});
@@ -125,6 +125,19 @@ describe('Webhook Model', () => {
       
       expect(() => webhook.validate()).not.toThrow();
     });
+
+    test('should validate wildcard and negated subscriptions', () => {
+      const data = { name: 'Broad', url: 'https://example.com/hook', events: ['issue.*', '*.deleted', '!issue.updated'] };
+
+      expect(Webhook.schema.validate(data).error).toBeUndefined();
+    });
+
+    test('should fail validation with patterns that match no event type', () => {
+      const data = { name: 'Broad', url: 'https://example.com/hook' };
+
+      expect(Webhook.schema.validate({ ...data, events: ['invoice.*'] }).error.message).toContain('does not match any registered event type');
+      expect(Webhook.schema.validate({ ...data, events: ['!invalid.event'] }).error).toBeDefined();
+    });
   });
 
   describe('toObject', () => {
@@ -136,13 +149,19 @@ describe('Webhook Model', () => {
         id: webhook.id,
         name: webhook.name,
         url: webhook.url,
+        workspace: webhook.workspace,
         secret: webhook.secret,
+        signatureScheme: webhook.signatureScheme,
+        previousSecrets: webhook.previousSecrets,
         events: webhook.events,
         filters: webhook.filters,
         active: webhook.active,
         retryConfig: webhook.retryConfig,
         timeout: webhook.timeout,
+        ordering: webhook.ordering,
+        batch: webhook.batch,
         headers: webhook.headers,
+        auth: webhook.auth,
         metadata: webhook.metadata,
         createdAt: webhook.createdAt,
         updatedAt: webhook.updatedAt,
@@ -153,6 +172,58 @@ describe('Webhook Model', () => {
     });
   });
 
+  describe('ordering', () => {
+    test('should deliver without ordering by default', () => {
+      expect(new Webhook({}).ordering).toBe('none');
+      expect(new Webhook({ ordering: 'per-entity' }).toResponse().ordering).toBe('per-entity');
+    });
+
+    test('should reject unknown ordering modes', () => {
+      const { error } = Webhook.schema.extract('ordering').validate('per-project');
+
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('signatureScheme', () => {
+    test('should sign with the Huly scheme by default', () => {
+      expect(new Webhook({}).signatureScheme).toBe('huly');
+      expect(new Webhook({ signatureScheme: 'standard' }).toResponse().signatureScheme).toBe('standard');
+    });
+
+    test('should not expose previous secrets in responses', () => {
+      const webhook = new Webhook({ previousSecrets: [{ secret: 'old-secret', expiresAt: new Date() }] });
+
+      expect(webhook.toResponse().previousSecrets).toBeUndefined();
+    });
+  });
+
+  describe('auth', () => {
+    const auth = {
+      type: 'oauth2_client_credentials',
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'huly',
+      clientSecret: 'client-secret',
+      scopes: ['webhooks:write']
+    };
+
+    test('should accept the fields of its type only', () => {
+      const schema = Webhook.schema.extract('auth');
+
+      expect(schema.validate(auth).error).toBeUndefined();
+      expect(schema.validate({ ...auth, clientSecret: undefined }).error).toBeDefined();
+      expect(schema.validate({ ...auth, password: 'secret' }).error).toBeDefined();
+      expect(schema.validate({ type: 'basic', username: 'huly', password: 'secret' }).error).toBeUndefined();
+      expect(schema.validate({ type: 'mtls', certificate: 'not a certificate', privateKey: 'key' }).error).toBeDefined();
+    });
+
+    test('should mask credentials in responses', () => {
+      const response = new Webhook({ auth }).toResponse();
+
+      expect(response.auth).toEqual({ ...auth, clientSecret: '********' });
+    });
+  });
+
   describe('toResponse', () => {
     test('should convert webhook to API response format', () => {
       const webhook = createWebhook();
@@ -168,6 +239,12 @@ describe('Webhook Model', () => {
       expect(response.events).toEqual(webhook.events);
       expect(response.active).toBe(webhook.active);
     });
+
+    test('should expand subscription patterns', () => {
+      const webhook = createWebhook({ events: ['project.*', '!project.updated'] });
+
+      expect(webhook.toResponse().resolvedEvents).toEqual(['project.created', 'project.archived', 'project.deleted']);
+    });
   });
 
   describe('fromDocument', () => {
@@ -332,6 +409,21 @@ describe('Webhook Model', () => {
       
       expect(webhook.shouldProcessEvent('issue.updated')).toBe(false);
     });
+
+    test('should process events matching wildcard subscriptions', () => {
+      const webhook = createWebhook({ active: true, events: ['issue.*', '*.deleted'] });
+
+      expect(webhook.shouldProcessEvent('issue.status_changed')).toBe(true);
+      expect(webhook.shouldProcessEvent('project.deleted')).toBe(true);
+      expect(webhook.shouldProcessEvent('project.created')).toBe(false);
+    });
+
+    test('should not process events excluded by negated subscriptions', () => {
+      const webhook = createWebhook({ active: true, events: ['*', '!issue.updated'] });
+
+      expect(webhook.shouldProcessEvent('issue.created')).toBe(true);
+      expect(webhook.shouldProcessEvent('issue.updated')).toBe(false);
+    });
   });
 
   describe('Factory Functions', () => {
@@ -351,6 +351,22 @@ describe('WebhookEvent Model', () => {
         operationType: 'insert'
       })).toEqual({});
     });
+
+    test('should use previous values from decoded Huly transactions', () => {
+      const changeEvent = {
+        _id: { _data: 'token' },
+        operationType: 'update',
+        ns: { coll: 'tracker:class:Issue' },
+        documentKey: { _id: 'issue-1' },
+        updateDescription: { updatedFields: { status: 'Done' } },
+        huly: { eventType: 'issue.status_changed', changes: { status: { from: 'Todo', to: 'Done' } } }
+      };
+
+      const event = WebhookEvent.fromChangeStream(changeEvent, 'issue.status_changed');
+
+      expect(event.changes).toEqual({ status: { from: 'Todo', to: 'Done' } });
+      expect(event.toChangeEvent().huly.eventType).toBe('issue.status_changed');
+    });
   });
 
   describe('markAsProcessed', () => {
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for admin console routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const adminRouter = require('../../../src/routes/admin');
+const { NotFoundError } = require('../../../src/middleware/errorHandler');
+const WorkspaceScope = require('../../../src/utils/workspace');
+
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Admin Routes', () => {
+  let app;
+  let auth;
+  let services;
+  let webhooks;
+
+  const validWebhook = {
+    name: 'Issues',
+    url: 'https://example.com/issues',
+    events: ['issue.*']
+  };
+
+  beforeEach(() => {
+    auth = { keyId: 'key-1', scopes: ['webhooks:read', 'webhooks:write', 'deliveries:replay'], workspaces: ['team-a'] };
+    webhooks = {
+      'webhook-1': { _id: 'webhook-1', name: 'Issues', url: 'https://example.com/issues', workspace: 'team-a', active: true },
+      'webhook-2': { _id: 'webhook-2', name: 'Other', url: 'https://example.com/other', workspace: 'team-b', active: true }
+    };
+
+    const findWebhook = async (id) => {
+      if (!webhooks[id]) {
+        throw new NotFoundError('Webhook');
+      }
+      return webhooks[id];
+    };
+
+    services = {
+      webhook: {
+        listWebhooks: jest.fn().mockResolvedValue({ documents: [webhooks['webhook-1']], total: 1 }),
+        getWebhook: jest.fn(findWebhook),
+        getWebhookForDelivery: jest.fn(findWebhook),
+        createWebhook: jest.fn(async (data) => ({ _id: 'webhook-3', ...data })),
+        updateWebhook: jest.fn(async (id, data) => ({ ...webhooks[id], ...data }))
+      },
+      deliveryHistory: {
+        getWebhookDeliveryHistory: jest.fn().mockResolvedValue([]),
+        getDeliveryRecord: jest.fn().mockResolvedValue(null)
+      },
+      delivery: {
+        testWebhook: jest.fn().mockResolvedValue({
+          success: true,
+          statusCode: 200,
+          responseTime: 42,
+          message: 'Test successful',
+          details: { headers: { 'content-type': 'text/plain' }, body: 'ok' }
+        })
+      },
+      pipeline: {
+        redeliver: jest.fn().mockResolvedValue('delivery-9')
+      },
+      audit: {
+        recordRequest: jest.fn().mockResolvedValue()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = auth;
+      req.workspaceScope = new WorkspaceScope(auth.workspaces);
+      next();
+    });
+    app.locals.services = services;
+    app.use('/api/admin', adminRouter);
+
+    // Add error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        error: err.message || 'Internal Server Error',
+        details: err.details
+      });
+    });
+  });
+
+  describe('webhooks', () => {
+    test('should list webhooks of the workspaces of the key', async () => {
+      const response = await request(app).get('/api/admin/webhooks?active=true&page=2&limit=10').expect(200);
+
+      expect(response.body.pagination).toEqual({ page: 2, limit: 10, total: 1, pages: 1 });
+      expect(services.webhook.listWebhooks).toHaveBeenCalledWith({
+        active: true,
+        limit: 10,
+        offset: 10,
+        workspaces: ['team-a']
+      });
+    });
+
+    test('should create webhooks in the workspace of the key', async () => {
+      const response = await request(app).post('/api/admin/webhooks').send(validWebhook).expect(201);
+
+      expect(response.body.workspace).toBe('team-a');
+      expect(services.webhook.createWebhook).toHaveBeenCalledWith(expect.objectContaining({
+        ...validWebhook,
+        workspace: 'team-a',
+        active: true
+      }));
+      expect(services.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'webhook.created'
+      }));
+    });
+
+    test('should report every invalid field of the webhook schema', async () => {
+      const response = await request(app)
+        .post('/api/admin/webhooks')
+        .send({ name: '', url: 'not a url', events: [], timeout: 10 })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['name', 'url', 'events', 'timeout']);
+      expect(services.webhook.createWebhook).not.toHaveBeenCalled();
+    });
+
+    test('should reject webhooks in other workspaces', async () => {
+      await request(app).post('/api/admin/webhooks').send({ ...validWebhook, workspace: 'team-b' }).expect(403);
+      await request(app).put('/api/admin/webhooks/webhook-2').send({ active: false }).expect(404);
+
+      expect(services.webhook.createWebhook).not.toHaveBeenCalled();
+      expect(services.webhook.updateWebhook).not.toHaveBeenCalled();
+    });
+
+    test('should pause webhooks without applying schema defaults', async () => {
+      const response = await request(app).put('/api/admin/webhooks/webhook-1').send({ active: false }).expect(200);
+
+      expect(response.body.active).toBe(false);
+      expect(services.webhook.updateWebhook).toHaveBeenCalledWith('webhook-1', { active: false });
+      expect(services.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'webhook.paused'
+      }));
+    });
+  });
+
+  describe('deliveries', () => {
+    test('should page through the delivery log of a webhook', async () => {
+      services.deliveryHistory.getWebhookDeliveryHistory.mockResolvedValue([{ id: 'hist-1' }, { id: 'hist-2' }, { id: 'hist-3' }]);
+
+      const response = await request(app).get('/api/admin/webhooks/webhook-1/deliveries?limit=2&page=2&success=false').expect(200);
+
+      expect(response.body.deliveries).toEqual([{ id: 'hist-1' }, { id: 'hist-2' }]);
+      expect(response.body.pagination).toEqual({ page: 2, limit: 2, hasMore: true });
+      expect(services.deliveryHistory.getWebhookDeliveryHistory).toHaveBeenCalledWith('webhook-1', {
+        success: false,
+        limit: 3,
+        skip: 2
+      });
+    });
+
+    test('should send test events and return the response', async () => {
+      const response = await request(app).post('/api/admin/webhooks/webhook-1/test').send({}).expect(200);
+
+      expect(services.delivery.testWebhook).toHaveBeenCalledWith(webhooks['webhook-1'], 'webhook.test', undefined);
+      expect(response.body).toEqual({
+        success: true,
+        statusCode: 200,
+        responseTime: 42,
+        message: 'Test successful',
+        response: { headers: { 'content-type': 'text/plain' }, body: 'ok' }
+      });
+    });
+
+    test('should redeliver logged deliveries through the pipeline', async () => {
+      const record = { id: 'hist-1', webhookId: 'webhook-1', workspace: 'team-a', eventId: 'event-1', payload: {} };
+      services.deliveryHistory.getDeliveryRecord.mockResolvedValue(record);
+
+      const response = await request(app).post('/api/admin/deliveries/hist-1/redeliver').send({}).expect(202);
+
+      expect(response.body.deliveryId).toBe('delivery-9');
+      expect(services.pipeline.redeliver).toHaveBeenCalledWith(record, webhooks['webhook-1']);
+      expect(services.audit.recordRequest).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        action: 'delivery.redelivered',
+        details: { historyId: 'hist-1', eventId: 'event-1', deliveryId: 'delivery-9' }
+      }));
+    });
+
+    test('should not redeliver deliveries of other workspaces', async () => {
+      services.deliveryHistory.getDeliveryRecord.mockResolvedValue({ id: 'hist-2', webhookId: 'webhook-2', workspace: 'team-b' });
+
+      await request(app).post('/api/admin/deliveries/hist-2/redeliver').send({}).expect(404);
+      await request(app).post('/api/admin/deliveries/hist-missing/redeliver').send({}).expect(404);
+
+      expect(services.pipeline.redeliver).not.toHaveBeenCalled();
+    });
+
+    test('should require the replay scope to redeliver', async () => {
+      auth.scopes = ['webhooks:read'];
+
+      await request(app).post('/api/admin/deliveries/hist-1/redeliver').send({}).expect(403);
+      await request(app).post('/api/admin/webhooks/webhook-1/test').send({}).expect(403);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for audit log routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const auditRouter = require('../../../src/routes/audit');
+const WorkspaceScope = require('../../../src/utils/workspace');
+
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Audit Routes', () => {
+  let app;
+  let auth;
+  let audit;
+
+  beforeEach(() => {
+    auth = { keyId: 'key-1', scopes: ['audit:read'], workspaces: ['*'] };
+    audit = {
+      query: jest.fn().mockResolvedValue({ records: [{ id: 'audit-1', action: 'webhook.created' }], total: 51 }),
+      exportCsv: jest.fn().mockResolvedValue('timestamp,action\r\n')
+    };
+
+    app = express();
+    app.use((req, res, next) => {
+      req.auth = auth;
+      req.workspaceScope = new WorkspaceScope(auth.workspaces);
+      next();
+    });
+    app.locals.services = { audit };
+    app.use('/api/audit', auditRouter);
+
+    // Add error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        error: err.message || 'Internal Server Error'
+      });
+    });
+  });
+
+  test('should query records with filters and pagination', async () => {
+    const response = await request(app)
+      .get('/api/audit?action=webhook.created&targetId=webhook-1&page=2&limit=25')
+      .expect(200);
+
+    expect(response.body.records).toEqual([{ id: 'audit-1', action: 'webhook.created' }]);
+    expect(response.body.pagination).toEqual({ page: 2, limit: 25, total: 51, pages: 3 });
+    expect(audit.query).toHaveBeenCalledWith(
+      { action: 'webhook.created', targetId: 'webhook-1' },
+      { limit: 25, offset: 25 }
+    );
+  });
+
+  test('should export records as CSV', async () => {
+    const response = await request(app).get('/api/audit?format=csv&keyId=key-2').expect(200);
+
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.text).toBe('timestamp,action\r\n');
+    expect(audit.exportCsv).toHaveBeenCalledWith({ keyId: 'key-2' });
+  });
+
+  test('should reject invalid filters', async () => {
+    await request(app).get('/api/audit?from=yesterday').expect(400);
+    await request(app).get('/api/audit?format=xml').expect(400);
+    expect(audit.query).not.toHaveBeenCalled();
+  });
+
+  test('should keep the audit log to unrestricted keys with the audit:read scope', async () => {
+    auth = { keyId: 'key-2', scopes: ['webhooks:read'], workspaces: ['*'] };
+    await request(app).get('/api/audit').expect(403);
+
+    auth = { keyId: 'key-3', scopes: ['audit:read'], workspaces: ['team-a'] };
+    await request(app).get('/api/audit').expect(403);
+  });
+});
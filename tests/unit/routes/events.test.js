@@ -0,0 +1,198 @@
+/**
+ * Unit tests for event routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const eventsRouter = require('../../../src/routes/events');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/config', () => ({
+  supportedEventTypes: ['issue.created', 'issue.updated']
+}));
+
+jest.mock('../../../src/controllers/EventController');
+
+jest.mock('../../../src/middleware/errorHandler', () => ({
+  asyncHandler: (fn) => (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  },
+  handleValidationError: (result) => {
+    if (result.error) {
+      const error = new Error(result.error.details.map(d => d.message).join(', '));
+      error.name = 'ValidationError';
+      error.details = result.error.details;
+      throw error;
+    }
+    return result.value;
+  }
+}));
+
+const EventController = require('../../../src/controllers/EventController');
+
+describe('Event Routes', () => {
+  let app;
+  let mockController;
+
+  const respondWith = (req, res) => res.json({ query: req.query, body: req.body, params: req.params });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Create mock controller instance
+    mockController = {
+      listEvents: jest.fn(respondWith),
+      getEvent: jest.fn(respondWith),
+      getEventDeliveries: jest.fn(respondWith),
+      retryEvent: jest.fn(respondWith),
+      getEventTypes: jest.fn(respondWith),
+      getEventType: jest.fn(respondWith),
+      getEventStats: jest.fn(respondWith)
+    };
+
+    // Mock the controller constructor
+    EventController.mockImplementation(() => mockController);
+
+    // Create Express app with routes
+    app = express();
+    app.use(express.json());
+    app.locals.services = {};
+    app.use('/api/events', eventsRouter);
+
+    // Add error handler
+    app.use((err, req, res, next) => {
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ error: err.message });
+      }
+
+      res.status(err.statusCode || 500).json({
+        error: err.message || 'Internal Server Error'
+      });
+    });
+  });
+
+  describe('GET /api/events', () => {
+    test('should apply default pagination', async () => {
+      const response = await request(app).get('/api/events').expect(200);
+
+      expect(mockController.listEvents).toHaveBeenCalledTimes(1);
+      expect(response.body.query).toEqual({ page: 1, limit: 50 });
+    });
+
+    test('should pass validated filters to the controller', async () => {
+      const response = await request(app)
+        .get('/api/events?page=2&limit=20&type=issue.created&processed=false&from=2024-01-01T00:00:00Z&to=2024-01-31T00:00:00Z')
+        .expect(200);
+
+      expect(response.body.query).toMatchObject({
+        page: 2,
+        limit: 20,
+        type: 'issue.created',
+        processed: 'false'
+      });
+    });
+
+    test('should reject a limit above 100', async () => {
+      await request(app).get('/api/events?limit=500').expect(400);
+      expect(mockController.listEvents).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid processed flag', async () => {
+      await request(app).get('/api/events?processed=yes').expect(400);
+    });
+
+    test('should reject a range that ends before it starts', async () => {
+      await request(app)
+        .get('/api/events?from=2024-02-01T00:00:00Z&to=2024-01-01T00:00:00Z')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/events/types', () => {
+    test('should route to getEventTypes rather than getEvent', async () => {
+      await request(app).get('/api/events/types').expect(200);
+
+      expect(mockController.getEventTypes).toHaveBeenCalledTimes(1);
+      expect(mockController.getEvent).not.toHaveBeenCalled();
+    });
+
+    test('should route a single type to getEventType', async () => {
+      const response = await request(app).get('/api/events/types/issue.created').expect(200);
+
+      expect(response.body.params.type).toBe('issue.created');
+      expect(mockController.getEventType).toHaveBeenCalledTimes(1);
+      expect(mockController.getEventDeliveries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/events/stats', () => {
+    test('should default the period to 7d', async () => {
+      const response = await request(app).get('/api/events/stats').expect(200);
+
+      expect(response.body.query.period).toBe('7d');
+    });
+
+    test('should reject an invalid period', async () => {
+      await request(app).get('/api/events/stats?period=7x').expect(400);
+      expect(mockController.getEventStats).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/events/:id', () => {
+    test('should get an event by id', async () => {
+      const response = await request(app).get('/api/events/event-1').expect(200);
+
+      expect(response.body.params.id).toBe('event-1');
+    });
+  });
+
+  describe('GET /api/events/:id/deliveries', () => {
+    test('should accept a status filter', async () => {
+      const response = await request(app).get('/api/events/event-1/deliveries?status=failed').expect(200);
+
+      expect(response.body.query).toEqual({ page: 1, limit: 50, status: 'failed' });
+    });
+
+    test('should reject an unknown status', async () => {
+      await request(app).get('/api/events/event-1/deliveries?status=pending').expect(400);
+    });
+  });
+
+  describe('POST /api/events/:id/retry', () => {
+    test('should retry with specific webhook ids', async () => {
+      const response = await request(app)
+        .post('/api/events/event-1/retry')
+        .send({ webhookIds: ['webhook-1'] })
+        .expect(200);
+
+      expect(mockController.retryEvent).toHaveBeenCalledTimes(1);
+      expect(response.body.body).toEqual({ webhookIds: ['webhook-1'] });
+    });
+
+    test('should retry without a body', async () => {
+      await request(app).post('/api/events/event-1/retry').expect(200);
+    });
+
+    test('should reject non-array webhook ids', async () => {
+      await request(app)
+        .post('/api/events/event-1/retry')
+        .send({ webhookIds: 'webhook-1' })
+        .expect(400);
+      expect(mockController.retryEvent).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown body fields', async () => {
+      await request(app)
+        .post('/api/events/event-1/retry')
+        .send({ force: true })
+        .expect(400);
+    });
+  });
+});
@@ -369,6 +369,18 @@ describe('Health Routes', () => {
       });
     });
 
+    test('should be ready on standby replicas', async () => {
+      mockServices.database.ping.mockResolvedValue(true);
+      mockServices.changeStream.isActive.mockReturnValue(false);
+      mockServices.changeStream.getRole = jest.fn().mockReturnValue('standby');
+
+      const response = await request(app)
+        .get('/api/health/ready')
+        .expect(200);
+
+      expect(response.body.checks).toContainEqual({ service: 'changeStreams', ready: true, role: 'standby' });
+    });
+
     test('should handle database ping error in ready check', async () => {
       mockServices.database.ping.mockRejectedValue(new Error('Connection refused'));
       mockServices.changeStream.isActive.mockReturnValue(true);
@@ -546,6 +558,41 @@ describe('Health Routes', () => {
       });
     });
 
+    test('should show the leader and the role of each worker', async () => {
+      mockServices.database.ping.mockResolvedValue(true);
+      mockServices.database.getInfo.mockResolvedValue({});
+      mockServices.changeStream.isActive.mockReturnValue(false);
+      mockServices.changeStream.getStatus.mockReturnValue({ active: false });
+      mockServices.changeStream.getRole = jest.fn().mockReturnValue('standby');
+      mockServices.webhook.getActiveWebhookCount.mockResolvedValue(1);
+      mockServices.delivery.getStats.mockResolvedValue({});
+      mockServices.leaderElection = {
+        getClusterStatus: jest.fn().mockResolvedValue({
+          instanceId: 'replica-b',
+          role: 'follower',
+          leader: { instanceId: 'replica-a' },
+          workers: [
+            { instanceId: 'replica-a', role: 'leader' },
+            { instanceId: 'replica-b', role: 'follower', self: true }
+          ]
+        })
+      };
+
+      const response = await request(app)
+        .get('/api/health/detailed')
+        .expect(200);
+
+      expect(response.body.status).toBe('healthy');
+      expect(response.body.services.changeStreams).toMatchObject({ status: 'standby', role: 'standby' });
+      expect(response.body.services.cluster.leader).toEqual({ instanceId: 'replica-a' });
+      expect(response.body.services.cluster.workers.map(worker => worker.role)).toEqual(['leader', 'follower']);
+      expect(response.body.checks).toContainEqual({
+        name: 'cluster',
+        status: 'pass',
+        message: '2 workers, leader replica-a'
+      });
+    });
+
     test('should handle database ping failure in detailed check', async () => {
       mockServices.database.ping.mockRejectedValue(new Error('Connection timeout'));
       mockServices.changeStream.isActive.mockReturnValue(true);
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for API key routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const keysRouter = require('../../../src/routes/keys');
+const { NotFoundError } = require('../../../src/middleware/errorHandler');
+const WorkspaceScope = require('../../../src/utils/workspace');
+
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('API Key Routes', () => {
+  let app;
+  let auth;
+  let apiKeys;
+
+  beforeEach(() => {
+    auth = { keyId: 'env:API_KEY', scopes: ['admin'], workspaces: ['*'] };
+    apiKeys = {
+      listKeys: jest.fn().mockResolvedValue([{ id: 'key-1', name: 'CI', scopes: ['webhooks:read'] }]),
+      createKey: jest.fn(async (data) => ({ id: 'key-2', ...data, key: 'hwk_secret' })),
+      getKey: jest.fn().mockRejectedValue(new NotFoundError('API key')),
+      updateKey: jest.fn(async (id, data) => ({ id, ...data })),
+      deleteKey: jest.fn().mockResolvedValue()
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = auth;
+      req.workspaceScope = new WorkspaceScope(auth.workspaces);
+      next();
+    });
+    app.locals.services = { apiKeys };
+    app.use('/api/keys', keysRouter);
+
+    // Add error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        error: err.message || 'Internal Server Error'
+      });
+    });
+  });
+
+  test('should list keys', async () => {
+    const response = await request(app).get('/api/keys').expect(200);
+
+    expect(response.body.keys).toEqual([{ id: 'key-1', name: 'CI', scopes: ['webhooks:read'] }]);
+    expect(response.body.total).toBe(1);
+  });
+
+  test('should create a key on behalf of the calling key', async () => {
+    const response = await request(app)
+      .post('/api/keys')
+      .send({ name: 'Replay bot', scopes: ['deliveries:replay'], workspaces: ['team-a'] })
+      .expect(201);
+
+    expect(response.body.key).toBe('hwk_secret');
+    expect(apiKeys.createKey).toHaveBeenCalledWith(
+      { name: 'Replay bot', scopes: ['deliveries:replay'], workspaces: ['team-a'] },
+      auth
+    );
+  });
+
+  test('should reject unknown scopes', async () => {
+    await request(app).post('/api/keys').send({ name: 'CI', scopes: ['webhooks:delete'] }).expect(400);
+    await request(app).put('/api/keys/key-1').send({}).expect(400);
+    expect(apiKeys.createKey).not.toHaveBeenCalled();
+  });
+
+  test('should update and delete keys', async () => {
+    apiKeys.getKey.mockResolvedValue({ id: 'key-1', name: 'CI', scopes: ['webhooks:read'] });
+
+    await request(app).put('/api/keys/key-1').send({ scopes: ['webhooks:read', 'stats:read'] }).expect(200);
+    await request(app).delete('/api/keys/key-1').expect(204);
+
+    expect(apiKeys.updateKey).toHaveBeenCalledWith('key-1', { scopes: ['webhooks:read', 'stats:read'] });
+    expect(apiKeys.deleteKey).toHaveBeenCalledWith('key-1');
+  });
+
+  test('should record key changes in the audit log', async () => {
+    const audit = { recordRequest: jest.fn().mockResolvedValue({}) };
+    app.locals.services.audit = audit;
+    apiKeys.getKey.mockResolvedValue({ id: 'key-1', name: 'CI', scopes: ['webhooks:read'] });
+
+    await request(app).post('/api/keys').send({ name: 'CI', scopes: ['webhooks:read'] }).expect(201);
+    await request(app).put('/api/keys/key-1').send({ scopes: ['stats:read'] }).expect(200);
+    await request(app).delete('/api/keys/key-1').expect(204);
+
+    expect(audit.recordRequest.mock.calls.map(([, entry]) => entry.action)).toEqual([
+      'api_key.created',
+      'api_key.updated',
+      'api_key.deleted'
+    ]);
+    expect(audit.recordRequest.mock.calls[1][1]).toMatchObject({
+      target: { type: 'api_key', id: 'key-1' },
+      before: { scopes: ['webhooks:read'] },
+      after: { scopes: ['stats:read'] }
+    });
+  });
+
+  test('should return 404 for unknown keys', async () => {
+    await request(app).get('/api/keys/missing').expect(404);
+  });
+
+  test('should keep key management to unrestricted admin keys', async () => {
+    auth = { keyId: 'key-3', scopes: ['webhooks:read', 'webhooks:write'], workspaces: ['*'] };
+    await request(app).get('/api/keys').expect(403);
+
+    auth = { keyId: 'key-4', scopes: ['admin'], workspaces: ['team-a'] };
+    await request(app).get('/api/keys').expect(403);
+  });
+});
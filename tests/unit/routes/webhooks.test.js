@@ -35,6 +35,14 @@ jest.mock('../../../src/controllers/WebhookController');
 jest.mock('../../../src/middleware/errorHandler', () => ({
   asyncHandler: (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
+  },
+  handleValidationError: (result) => {
+    if (result.error) {
+      const error = new Error(result.error.details.map(d => d.message).join(', '));
+      error.statusCode = 400;
+      throw error;
+    }
+    return result.value;
   }
 }));
 
@@ -56,7 +64,12 @@ describe('Webhook Routes', () => {
       deleteWebhook: jest.fn(),
       testWebhook: jest.fn(),
       getWebhookDeliveries: jest.fn(),
-      getWebhookStats: jest.fn()
+      getWebhookStats: jest.fn(),
+      replayWebhook: jest.fn(),
+      getReplayJob: jest.fn(),
+      getOrderingStatus: jest.fn(),
+      skipBlockedDelivery: jest.fn(),
+      rotateSecret: jest.fn()
     };
     
     // Mock the controller constructor
@@ -249,6 +262,30 @@ describe('Webhook Routes', () => {
 
       expect(response.body.error).toBe('Webhook not found');
     });
+
+    test('should reject unknown event subscriptions', async () => {
+      await request(app)
+        .put('/api/webhooks/webhook-123')
+        .send({ events: ['issue.created', 'not.an.event'] })
+        .expect(400);
+
+      expect(mockController.updateWebhook).not.toHaveBeenCalled();
+    });
+
+    test('should not change stored encryption state or previous secrets', async () => {
+      mockController.updateWebhook.mockImplementation((req, res) => res.json(req.body));
+
+      const response = await request(app)
+        .put('/api/webhooks/webhook-123')
+        .send({
+          ...updateData,
+          encryption: { keyId: 'attacker', dataKey: 'x' },
+          previousSecrets: [{ secret: 'attacker-secret', expiresAt: '2099-01-01T00:00:00Z' }]
+        })
+        .expect(200);
+
+      expect(response.body).toEqual(updateData);
+    });
   });
 
   describe('DELETE /api/webhooks/:id', () => {
@@ -397,6 +434,125 @@ describe('Webhook Routes', () => {
     });
   });
 
+  describe('ordered delivery', () => {
+    test('should report the ordering state of a webhook', async () => {
+      mockController.getOrderingStatus.mockImplementation((req, res) => {
+        res.json({ webhookId: req.params.id, ordering: 'per-entity', blocked: false, keys: [] });
+      });
+
+      const response = await request(app)
+        .get('/api/webhooks/123/ordering')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ webhookId: '123', blocked: false });
+    });
+
+    test('should skip a blocked delivery', async () => {
+      mockController.skipBlockedDelivery.mockImplementation((req, res) => {
+        res.json({ skipped: req.params.deliveryId });
+      });
+
+      const response = await request(app)
+        .post('/api/webhooks/123/ordering/delivery-1/skip')
+        .expect(200);
+
+      expect(mockController.skipBlockedDelivery).toHaveBeenCalledTimes(1);
+      expect(response.body.skipped).toBe('delivery-1');
+    });
+  });
+
+  describe('POST /api/webhooks/:id/rotate-secret', () => {
+    beforeEach(() => {
+      mockController.rotateSecret.mockImplementation((req, res) => {
+        res.json({ body: req.body });
+      });
+    });
+
+    test('should keep the old secret for a day by default', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/123/rotate-secret')
+        .expect(200);
+
+      expect(mockController.rotateSecret).toHaveBeenCalledTimes(1);
+      expect(response.body.body).toEqual({ expiresIn: 86400 });
+    });
+
+    test('should reject a negative expiry', async () => {
+      await request(app)
+        .post('/api/webhooks/123/rotate-secret')
+        .send({ expiresIn: -1 })
+        .expect(400);
+
+      expect(mockController.rotateSecret).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/webhooks/:id/replay', () => {
+    beforeEach(() => {
+      mockController.replayWebhook.mockImplementation((req, res) => {
+        res.status(202).json({ body: req.body });
+      });
+    });
+
+    test('should start a replay for a time window', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/123/replay')
+        .send({ from: '2024-01-01T00:00:00Z', to: '2024-01-01T06:00:00Z' })
+        .expect(202);
+
+      expect(mockController.replayWebhook).toHaveBeenCalledTimes(1);
+      expect(response.body.body).toEqual({
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-01T06:00:00.000Z',
+        dryRun: false
+      });
+    });
+
+    test('should accept a resume token range', async () => {
+      await request(app)
+        .post('/api/webhooks/123/replay')
+        .send({ fromToken: '8263a1b2c3', toToken: '8263a1b2ff', dryRun: true, maxEvents: 500 })
+        .expect(202);
+    });
+
+    test('should require a start bound', async () => {
+      await request(app)
+        .post('/api/webhooks/123/replay')
+        .send({ to: '2024-01-01T06:00:00Z' })
+        .expect(400);
+
+      expect(mockController.replayWebhook).not.toHaveBeenCalled();
+    });
+
+    test('should reject a window that ends before it starts', async () => {
+      await request(app)
+        .post('/api/webhooks/123/replay')
+        .send({ from: '2024-01-02T00:00:00Z', to: '2024-01-01T00:00:00Z' })
+        .expect(400);
+    });
+
+    test('should reject an invalid event cap', async () => {
+      await request(app)
+        .post('/api/webhooks/123/replay')
+        .send({ from: '2024-01-01T00:00:00Z', maxEvents: 0 })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/webhooks/:id/replay/:jobId', () => {
+    test('should get replay job progress', async () => {
+      mockController.getReplayJob.mockImplementation((req, res) => {
+        res.json({ id: req.params.jobId, webhookId: req.params.id, status: 'running' });
+      });
+
+      const response = await request(app)
+        .get('/api/webhooks/123/replay/replay_1')
+        .expect(200);
+
+      expect(response.body).toEqual({ id: 'replay_1', webhookId: '123', status: 'running' });
+    });
+  });
+
   describe('Controller initialization', () => {
     test('should initialize controller with services', async () => {
       await request(app)
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for well-known routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const wellKnownRouter = require('../../../src/routes/wellKnown');
+
+describe('Well-known Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/.well-known', wellKnownRouter);
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    test('should publish the signing keys without authentication', async () => {
+      const jwks = { keys: [{ kty: 'OKP', crv: 'Ed25519', x: 'abc', kid: 'key-1', use: 'sig', alg: 'EdDSA' }] };
+      app.locals.services = { signingKeys: { getJwks: jest.fn().mockReturnValue(jwks) } };
+
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      expect(response.body).toEqual(jwks);
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+    });
+
+    test('should return 503 before the keys are loaded', async () => {
+      app.locals.services = {};
+
+      await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(503);
+    });
+  });
+});
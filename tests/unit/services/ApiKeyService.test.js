@@ -0,0 +1,118 @@
+/**
+ * Unit tests for ApiKeyService
+ */
+
+const ApiKeyService = require('../../../src/services/ApiKeyService');
+const { NotFoundError } = require('../../../src/middleware/errorHandler');
+
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ApiKeyService', () => {
+  let service;
+  let mockDb;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      insertOne: jest.fn(async (collection, record) => {
+        stored.push(record);
+        return record;
+      }),
+      findOne: jest.fn(async (collection, filter) =>
+        stored.find(record => Object.entries(filter).every(([field, value]) => record[field] === value)) || null
+      ),
+      find: jest.fn(async () => ({ documents: stored, total: stored.length })),
+      updateOne: jest.fn(async (collection, filter, update) => {
+        const record = stored.find(entry => entry._id === filter._id);
+        if (record) {
+          Object.assign(record, update.$set);
+        }
+        return { matchedCount: record ? 1 : 0 };
+      }),
+      deleteOne: jest.fn(async (collection, filter) => {
+        const before = stored.length;
+        stored = stored.filter(record => record._id !== filter._id);
+        return { deletedCount: before - stored.length };
+      })
+    };
+
+    service = new ApiKeyService({}, mockDb);
+  });
+
+  describe('createKey', () => {
+    it('should store a hash and return the key once', async () => {
+      const created = await service.createKey({ name: 'CI', scopes: ['webhooks:read'] }, { keyId: 'env:API_KEY' });
+
+      expect(created.key).toMatch(/^hwk_[A-Za-z0-9_-]{43}$/);
+      expect(created).toMatchObject({ name: 'CI', scopes: ['webhooks:read'], workspaces: ['*'], createdBy: 'env:API_KEY' });
+      expect(created.prefix).toBe(created.key.substring(0, 12));
+      expect(created.hash).toBeUndefined();
+      expect(JSON.stringify(stored)).not.toContain(created.key);
+
+      expect((await service.getKey(created.id)).key).toBeUndefined();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve the identity and scopes of a key', async () => {
+      const created = await service.createKey({ name: 'Replay bot', scopes: ['deliveries:replay'], workspaces: ['team-a'] });
+
+      await expect(service.authenticate(created.key)).resolves.toEqual({
+        keyId: created.id,
+        keyName: 'Replay bot',
+        scopes: ['deliveries:replay'],
+        workspaces: ['team-a']
+      });
+      expect(stored[0].lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('should record the last use at most once per interval', async () => {
+      const created = await service.createKey({ name: 'CI', scopes: ['webhooks:read'] });
+
+      await service.authenticate(created.key);
+      await service.authenticate(created.key);
+
+      expect(mockDb.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown, expired and deleted keys', async () => {
+      const expired = await service.createKey({ name: 'Old', scopes: ['admin'] });
+      stored[0].expiresAt = new Date(Date.now() - 1000);
+      const deleted = await service.createKey({ name: 'Gone', scopes: ['admin'] });
+      await service.deleteKey(deleted.id);
+
+      await expect(service.authenticate(expired.key)).resolves.toBeNull();
+      await expect(service.authenticate(deleted.key)).resolves.toBeNull();
+      await expect(service.authenticate('hwk_unknown')).resolves.toBeNull();
+      await expect(service.authenticate('not-a-managed-key')).resolves.toBeNull();
+    });
+  });
+
+  describe('updateKey', () => {
+    it('should change the scopes of a key', async () => {
+      const created = await service.createKey({ name: 'CI', scopes: ['webhooks:read'] });
+
+      const updated = await service.updateKey(created.id, { scopes: ['webhooks:read', 'webhooks:write'] });
+
+      expect(updated.scopes).toEqual(['webhooks:read', 'webhooks:write']);
+      expect((await service.authenticate(created.key)).scopes).toEqual(['webhooks:read', 'webhooks:write']);
+    });
+
+    it('should fail for unknown keys', async () => {
+      await expect(service.updateKey('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+      await expect(service.deleteKey('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
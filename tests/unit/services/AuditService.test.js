@@ -0,0 +1,147 @@
+/**
+ * Unit tests for AuditService
+ */
+
+const AuditService = require('../../../src/services/AuditService');
+const EncryptionService = require('../../../src/services/EncryptionService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('AuditService', () => {
+  let service;
+  let mockDb;
+  let req;
+
+  beforeEach(() => {
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      insertOne: jest.fn(async (collection, record) => record),
+      find: jest.fn().mockResolvedValue({ documents: [], total: 0 })
+    };
+
+    req = {
+      id: 'request-1',
+      ip: '10.0.0.5',
+      auth: { type: 'api_key', keyId: 'key-1', keyName: 'CI', scopes: ['admin'] },
+      get: jest.fn().mockReturnValue('curl/8.0')
+    };
+
+    service = new AuditService({}, mockDb, new EncryptionService({ encryption: { key: 'audit-test-key' } }));
+  });
+
+  describe('recordRequest', () => {
+    it('should record the actor, target, request and changed fields', async () => {
+      req.clientIP = '203.0.113.7';
+
+      const record = await service.recordRequest(req, {
+        action: 'webhook.updated',
+        target: { type: 'webhook', id: 'webhook-1', name: 'Issues', workspace: 'team-a' },
+        before: { name: 'Issues', active: true, events: ['issue.created'], updatedAt: new Date(1) },
+        after: { name: 'Issues', active: false, events: ['issue.created', 'issue.updated'], updatedAt: new Date(2) }
+      });
+
+      expect(mockDb.insertOne).toHaveBeenCalledWith('audit_log', record);
+      expect(record).toMatchObject({
+        action: 'webhook.updated',
+        actor: { type: 'api_key', keyId: 'key-1', keyName: 'CI', ip: '203.0.113.7', userAgent: 'curl/8.0' },
+        target: { type: 'webhook', id: 'webhook-1', name: 'Issues', workspace: 'team-a' },
+        requestId: 'request-1',
+        changes: {
+          active: { from: true, to: false },
+          events: { from: ['issue.created'], to: ['issue.created', 'issue.updated'] }
+        }
+      });
+      expect(record.changes.updatedAt).toBeUndefined();
+    });
+
+    it('should keep secrets, sensitive headers and credentials out of the record', async () => {
+      const record = await service.recordRequest(req, {
+        action: 'webhook.updated',
+        target: { type: 'webhook', id: 'webhook-1' },
+        before: {
+          secret: 'old-secret',
+          headers: { Authorization: 'Bearer old-token', 'X-Team': 'a' },
+          auth: { type: 'basic', username: 'hooks', password: 'old-password' }
+        },
+        after: {
+          secret: 'new-secret',
+          previousSecrets: [{ secret: 'old-secret' }],
+          headers: { Authorization: 'Bearer new-token', 'X-Team': 'b' },
+          auth: { type: 'basic', username: 'hooks2', password: 'new-password' }
+        }
+      });
+
+      const stored = JSON.stringify(record);
+      for (const secret of ['old-secret', 'new-secret', 'old-token', 'new-token', 'old-password', 'new-password']) {
+        expect(stored).not.toContain(secret);
+      }
+      expect(record.changes).toEqual({
+        'headers.X-Team': { from: 'a', to: 'b' },
+        'auth.username': { from: 'hooks', to: 'hooks2' }
+      });
+    });
+
+    it('should not fail the change when the record cannot be stored', async () => {
+      mockDb.insertOne.mockRejectedValue(new Error('write concern error'));
+
+      await expect(service.recordRequest(req, {
+        action: 'webhook.deleted',
+        target: { type: 'webhook', id: 'webhook-1' },
+        before: { name: 'Issues' }
+      })).resolves.toBeNull();
+    });
+  });
+
+  describe('query', () => {
+    it('should filter records and return them newest first', async () => {
+      mockDb.find.mockResolvedValue({ documents: [{ _id: 'audit-1', action: 'webhook.created' }], total: 1 });
+
+      const result = await service.query({
+        action: 'webhook.created',
+        keyId: 'key-1',
+        targetId: 'webhook-1',
+        from: new Date('2026-01-01T00:00:00Z')
+      }, { limit: 10, offset: 20 });
+
+      expect(result).toEqual({ records: [{ id: 'audit-1', action: 'webhook.created' }], total: 1 });
+      expect(mockDb.find).toHaveBeenCalledWith('audit_log', {
+        action: 'webhook.created',
+        'actor.keyId': 'key-1',
+        'target.id': 'webhook-1',
+        timestamp: { $gte: new Date('2026-01-01T00:00:00Z') }
+      }, { limit: 10, offset: 20, sort: { timestamp: -1 } });
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('should export records with escaped values', async () => {
+      mockDb.find.mockResolvedValue({
+        documents: [{
+          _id: 'audit-1',
+          timestamp: new Date('2026-03-01T12:00:00Z'),
+          action: 'webhook.updated',
+          actor: { keyId: 'key-1', keyName: 'CI, nightly', ip: '203.0.113.7' },
+          target: { type: 'webhook', id: 'webhook-1', name: '=HYPERLINK("x")', workspace: 'team-a' },
+          requestId: 'request-1',
+          changes: { active: { from: true, to: false } }
+        }],
+        total: 1
+      });
+
+      const lines = (await service.exportCsv({})).trim().split('\r\n');
+
+      expect(lines[0]).toBe('timestamp,action,actorKeyId,actorKeyName,actorIp,targetType,targetId,targetName,workspace,requestId,changes,details');
+      expect(lines[1]).toBe(
+        '2026-03-01T12:00:00.000Z,webhook.updated,key-1,"CI, nightly",203.0.113.7,webhook,webhook-1,' +
+        '"\'=HYPERLINK(""x"")",team-a,request-1,"{""active"":{""from"":true,""to"":false}}",{}'
+      );
+      expect(mockDb.find).toHaveBeenCalledWith('audit_log', {}, expect.objectContaining({ limit: 10000 }));
+    });
+  });
+});
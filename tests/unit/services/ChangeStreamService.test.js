@@ -106,6 +106,18 @@ describe('ChangeStreamService', () => {
       }));
     });
 
+    it('should watch all workspace databases with one stream', async () => {
+      mockClient.watch = jest.fn().mockReturnValue(mockChangeStream);
+      service.config.workspaces = { databases: ['ws-team-a', 'ws-team-b'] };
+
+      await service.initialize();
+
+      expect(mockClient.watch).toHaveBeenCalledWith([
+        { $match: { 'ns.db': { $in: ['ws-team-a', 'ws-team-b'] } } }
+      ], expect.any(Object));
+      expect(mockDb.watch).not.toHaveBeenCalled();
+    });
+
     it('should handle initialization errors', async () => {
       const error = new Error('Connection failed');
       mockClient.connect.mockRejectedValue(error);
@@ -142,6 +154,19 @@ describe('ChangeStreamService', () => {
       expect(service.eventsProcessed).toBe(1);
     });
 
+    it('should tag change events with their workspace', async () => {
+      service.config.workspaces = { databases: ['ws-team-a'], default: 'main' };
+      const changeHandler = jest.fn();
+      service.on('change', changeHandler);
+
+      mockChangeStream.emit('change', { _id: { _data: 'token-1' }, operationType: 'insert', ns: { db: 'ws-team-a', coll: 'tx' } });
+      mockChangeStream.emit('change', { _id: { _data: 'token-2' }, operationType: 'insert', ns: { db: 'huly', coll: 'tx' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(changeHandler.mock.calls.map(([event]) => event.workspace)).toEqual(['ws-team-a', 'main']);
+      expect(service.stats.eventsByWorkspace).toEqual({ 'ws-team-a': 1, main: 1 });
+    });
+
     it('should update statistics on change events', async () => {
       const mockChangeEvent = {
         _id: { _data: 'event-token' },
@@ -310,11 +335,216 @@ describe('ChangeStreamService', () => {
       expect(eventStats).toEqual({
         totalEvents: 0,
         eventsByType: {},
-        eventsByCollection: {}
+        eventsByCollection: {},
+        eventsByWorkspace: {}
       });
     });
   });
 
+  describe('subscription pipeline', () => {
+    let webhookService;
+    let eventTypeDetection;
+
+    beforeEach(() => {
+      webhookService = new EventEmitter();
+      webhookService.getActiveWebhooks = jest.fn().mockResolvedValue([
+        { events: ['issue.created', 'issue.status_changed'] },
+        { events: ['project.*', '!project.updated'] }
+      ]);
+
+      eventTypeDetection = {
+        customRules: new Map(),
+        getCollectionsForEntity: jest.fn((entityType) => [`${entityType}s`])
+      };
+
+      mockConfig.monitoredCollections = ['tracker:class:Issue'];
+      service = new ChangeStreamService(mockConfig, mockDatabaseService, {
+        webhook: webhookService,
+        eventTypeDetection,
+        txDecoder: { collectionName: 'tx' }
+      });
+      service.resumeTokenService = {
+        initialize: jest.fn().mockResolvedValue(),
+        loadResumeToken: jest.fn().mockResolvedValue(null),
+        saveResumeToken: jest.fn().mockResolvedValue(),
+        shutdown: jest.fn().mockResolvedValue()
+      };
+    });
+
+    it('should match only the collections and operations subscribed to', async () => {
+      await service.initialize();
+
+      expect(mockDb.watch).toHaveBeenCalledWith([{
+        $match: {
+          $or: [
+            { 'ns.coll': { $in: ['tracker:class:Issue', 'projects'] } },
+            { 'ns.coll': { $in: ['tx'] }, operationType: { $in: ['insert'] } },
+            { 'ns.coll': { $in: ['issues'] }, operationType: { $in: ['insert', 'update'] } }
+          ]
+        }
+      }], expect.any(Object));
+    });
+
+    it('should combine subscriptions with workspace databases', async () => {
+      mockClient.watch = jest.fn().mockReturnValue(mockChangeStream);
+      service.config.workspaces = { databases: ['ws-team-a'] };
+      webhookService.getActiveWebhooks.mockResolvedValue([{ events: ['issue.deleted'] }]);
+      service.txDecoder = null;
+
+      await service.initialize();
+
+      expect(mockClient.watch).toHaveBeenCalledWith([{
+        $match: {
+          'ns.db': { $in: ['ws-team-a'] },
+          $or: [
+            { 'ns.coll': { $in: ['tracker:class:Issue'] } },
+            { 'ns.coll': { $in: ['issues'] }, operationType: { $in: ['delete'] } }
+          ]
+        }
+      }], expect.any(Object));
+    });
+
+    it('should watch every collection when a subscription cannot be narrowed', async () => {
+      webhookService.getActiveWebhooks.mockResolvedValue([{ events: ['*.deleted'] }]);
+      await service.initialize();
+      expect(mockDb.watch).toHaveBeenLastCalledWith([], expect.any(Object));
+
+      webhookService.getActiveWebhooks.mockResolvedValue([{ events: [] }]);
+      expect(await service.buildPipeline()).toEqual([]);
+
+      webhookService.getActiveWebhooks.mockRejectedValue(new Error('db down'));
+      expect(await service.buildPipeline()).toEqual([]);
+    });
+
+    it('should restart from the last processed event when subscriptions change', async () => {
+      await service.initialize();
+      await service.handleChangeEvent({ _id: { _data: 'token-1' }, operationType: 'insert', ns: { coll: 'issues' } });
+
+      const nextStream = new EventEmitter();
+      nextStream.close = jest.fn().mockResolvedValue();
+      mockDb.watch.mockReturnValue(nextStream);
+      service.attemptReconnection = jest.fn();
+      webhookService.getActiveWebhooks.mockResolvedValue([{ events: ['issue.deleted'] }]);
+
+      expect(await service.refreshPipeline()).toBe(true);
+
+      expect(mockChangeStream.close).toHaveBeenCalled();
+      mockChangeStream.emit('close');
+      expect(service.attemptReconnection).not.toHaveBeenCalled();
+
+      expect(mockDb.watch).toHaveBeenLastCalledWith([{
+        $match: {
+          $or: [
+            { 'ns.coll': { $in: ['tracker:class:Issue'] } },
+            { 'ns.coll': { $in: ['tx'] }, operationType: { $in: ['insert'] } },
+            { 'ns.coll': { $in: ['issues'] }, operationType: { $in: ['delete'] } }
+          ]
+        }
+      }], expect.objectContaining({ resumeAfter: { _data: 'token-1' } }));
+      expect(service.changeStream).toBe(nextStream);
+      expect(service.pipelineRefreshes).toBe(1);
+    });
+
+    it('should keep the stream when the pipeline is unchanged', async () => {
+      await service.initialize();
+
+      expect(await service.refreshPipeline()).toBe(false);
+      expect(mockChangeStream.close).not.toHaveBeenCalled();
+    });
+
+    it('should refresh once after a burst of webhook changes', async () => {
+      await service.initialize();
+      service.refreshPipeline = jest.fn().mockResolvedValue(true);
+      jest.useFakeTimers();
+
+      try {
+        webhookService.emit('webhooks-changed', { action: 'created' });
+        webhookService.emit('webhooks-changed', { action: 'updated' });
+        jest.advanceTimersByTime(1000);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(service.refreshPipeline).toHaveBeenCalledTimes(1);
+
+      await service.shutdown();
+      expect(webhookService.listenerCount('webhooks-changed')).toBe(0);
+    });
+
+    it('should periodically pick up webhooks changed by other processes', async () => {
+      jest.useFakeTimers();
+
+      try {
+        service.refreshInterval = 30000;
+        await service.initialize();
+        service.refreshPipeline = jest.fn().mockResolvedValue(false);
+
+        jest.advanceTimersByTime(30000 + 1000);
+        expect(service.refreshPipeline).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(30000 + 1000);
+        expect(service.refreshPipeline).toHaveBeenCalledTimes(2);
+
+        await service.shutdown();
+        jest.advanceTimersByTime(60000);
+        expect(service.refreshPipeline).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('leadership', () => {
+    let leaderElection;
+
+    beforeEach(() => {
+      leaderElection = new EventEmitter();
+      leaderElection.setResumeTokenProvider = jest.fn();
+      leaderElection.isLeader = jest.fn().mockReturnValue(false);
+      leaderElection.stepDown = jest.fn().mockResolvedValue();
+      service.followLeadership(leaderElection);
+    });
+
+    it('should stay on standby until elected', () => {
+      expect(service.getRole()).toBe('standby');
+      expect(service.isActive()).toBe(false);
+      expect(MongoClient).not.toHaveBeenCalled();
+    });
+
+    it('should resume from the token handed over by the previous leader', async () => {
+      leaderElection.emit('elected', { resumeToken: { _data: 'handed-over' } });
+      await service.transition;
+
+      expect(service.isActive()).toBe(true);
+      expect(mockDb.watch).toHaveBeenCalledWith([], expect.objectContaining({ resumeAfter: { _data: 'handed-over' } }));
+      expect(service.resumeTokenService.saveResumeToken).toHaveBeenCalledWith({ _data: 'handed-over' }, true);
+
+      const provider = leaderElection.setResumeTokenProvider.mock.calls[0][0];
+      service.resumeToken = { _data: 'latest' };
+      expect(provider()).toEqual({ _data: 'latest' });
+    });
+
+    it('should stop tailing when demoted', async () => {
+      leaderElection.emit('elected', { resumeToken: null });
+      leaderElection.emit('demoted', { reason: 'stepped down' });
+      await service.transition;
+
+      expect(service.isActive()).toBe(false);
+      expect(mockChangeStream.close).toHaveBeenCalled();
+      expect(mockClient.close).toHaveBeenCalled();
+    });
+
+    it('should step down when the stream cannot be started', async () => {
+      mockClient.connect.mockRejectedValue(new Error('Connection failed'));
+
+      leaderElection.emit('elected', { resumeToken: null });
+      await service.transition;
+
+      expect(leaderElection.stepDown).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+  });
+
   describe('resume token management', () => {
     it('should get and set resume token', async () => {
       const token = { _data: 'test-token' };
@@ -473,6 +473,20 @@ describe('DeadLetterQueueService', () => {
       expect(entries.every(e => e.metadata.webhookId === 'webhook_1')).toBe(true);
     });
 
+    it('should match stored ObjectIds against string webhook IDs', () => {
+      const objectId = { toString: () => '507f1f77bcf86cd799439011' };
+      service.deadLetterQueue.push({
+        id: 'dlq_4',
+        metadata: { webhookId: objectId, eventType: 'event.type1' },
+        status: 'dead-lettered',
+        deadLetteredAt: new Date('2024-01-04')
+      });
+
+      const entries = service.getDeadLetterEntries({ webhookId: '507f1f77bcf86cd799439011' });
+
+      expect(entries.map(e => e.id)).toEqual(['dlq_4']);
+    });
+
     it('should filter by event type', () => {
       const entries = service.getDeadLetterEntries({ eventType: 'event.type1' });
 
@@ -221,6 +221,19 @@ describe('DeliveryHistoryService', () => {
       );
     });
 
+    it('should keep the response body up to the stored size', async () => {
+      service.maxResponseBodySize = 5;
+
+      await service.recordDelivery(mockDelivery, mockResult);
+
+      expect(mockDatabaseService.create).toHaveBeenCalledWith(
+        'delivery_history',
+        expect.objectContaining({
+          result: expect.objectContaining({ body: '{"ok"', bodySize: 11 })
+        })
+      );
+    });
+
     it('should compress payload when enabled', async () => {
       jest.spyOn(service, 'compressPayload');
       
@@ -580,6 +593,27 @@ describe('DeliveryHistoryService', () => {
     });
   });
 
+  describe('getDeliveryRecord', () => {
+    it('should return the record with its payload decompressed', async () => {
+      const payload = { id: 'event_1', data: 'x'.repeat(2000) };
+      mockDatabaseService.findOne = jest.fn().mockResolvedValue({
+        id: 'hist_1',
+        payload: service.compressPayload(payload)
+      });
+
+      const record = await service.getDeliveryRecord('hist_1');
+
+      expect(mockDatabaseService.findOne).toHaveBeenCalledWith('delivery_history', { id: 'hist_1' });
+      expect(record.payload).toEqual(payload);
+    });
+
+    it('should return null for unknown records', async () => {
+      mockDatabaseService.findOne = jest.fn().mockResolvedValue(null);
+
+      expect(await service.getDeliveryRecord('hist_missing')).toBeNull();
+    });
+  });
+
   describe('getEventDeliveryHistory', () => {
     it('should get history for specific event', async () => {
       jest.spyOn(service, 'getDeliveryHistory').mockResolvedValue([]);
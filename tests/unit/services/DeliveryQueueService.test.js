@@ -281,6 +281,28 @@ describe('DeliveryQueueService', () => {
       expect(service.priorityQueues.get(2).length).toBe(1);
     });
 
+    test('should count claims in flight against the concurrency limit', async () => {
+      service.isRunning = true;
+      service.maxConcurrentDeliveries = 1;
+
+      let resolveClaim;
+      const getNextDelivery = jest.spyOn(service, 'getNextDelivery')
+        .mockImplementation(() => new Promise(resolve => { resolveClaim = resolve; }));
+
+      const first = service.processNextDelivery();
+      await service.processNextDelivery();
+      expect(getNextDelivery).toHaveBeenCalledTimes(1);
+
+      // A claim that found nothing releases its slot
+      resolveClaim(null);
+      await first;
+      expect(service.claiming).toBe(0);
+
+      service.processNextDelivery();
+      expect(getNextDelivery).toHaveBeenCalledTimes(2);
+      resolveClaim(null);
+    });
+
     test('should process deliveries in priority order', async () => {
       await service.start();
 
@@ -398,6 +420,50 @@ describe('DeliveryQueueService', () => {
       expect(deadLetterListener).toHaveBeenCalledWith(delivery, expect.any(Object));
     });
 
+    test.each(['TOKEN_FETCH_FAILED', 'EGRESS_BLOCKED'])('should dead-letter %s failures that cannot be retried on the first attempt', async (errorType) => {
+      const deadLetterListener = jest.fn();
+      service.on('delivery-dead-lettered', deadLetterListener);
+
+      const delivery = {
+        ...mockDelivery,
+        id: 'test-123',
+        priority: 2,
+        attempts: 0,
+        maxAttempts: 3
+      };
+
+      service.on('delivery-attempt', (del, callback) => {
+        callback({ success: false, error: 'Delivery failed', errorType, retryable: false });
+      });
+
+      await service.processDelivery(delivery);
+
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.status).toBe('dead-lettered');
+      expect(service.stats.totalRetried).toBe(0);
+      expect(service.priorityQueues.get(2).length).toBe(0);
+      expect(deadLetterListener).toHaveBeenCalledWith(delivery, expect.objectContaining({ errorType }));
+    });
+
+    test('should retry receiver responses marked as not retryable', async () => {
+      const delivery = {
+        ...mockDelivery,
+        id: 'test-123',
+        priority: 2,
+        attempts: 0,
+        maxAttempts: 3
+      };
+
+      service.on('delivery-attempt', (del, callback) => {
+        callback({ success: false, statusCode: 401, error: 'HTTP 401: Unauthorized', retryable: false });
+      });
+
+      await service.processDelivery(delivery);
+
+      expect(delivery.status).not.toBe('dead-lettered');
+      expect(service.stats.totalRetried).toBe(1);
+    });
+
     test('should handle delivery timeout', async () => {
       const delivery = {
         ...mockDelivery,
@@ -412,13 +478,43 @@ describe('DeliveryQueueService', () => {
 
       const processPromise = service.processDelivery(delivery);
       
-      jest.advanceTimersByTime(30000);
+      jest.advanceTimersByTime(service.attemptTimeout);
       await processPromise;
 
       expect(delivery.lastError).toBe('Delivery attempt timeout');
       expect(service.stats.totalRetried).toBe(1);
     });
 
+    test('should wait for a token and the receiver before timing out an attempt', async () => {
+      service = new DeliveryQueueService({ delivery: { timeout: 10000 } });
+      expect(service.attemptTimeout).toBe(25000);
+
+      let finish;
+      service.on('delivery-attempt', (del, callback) => {
+        finish = callback;
+      });
+
+      const processPromise = service.processDelivery({ ...mockDelivery, attempts: 0, maxAttempts: 3, priority: 2 });
+
+      // Past the HTTP timeout the attempt is still in flight
+      jest.advanceTimersByTime(10000);
+      finish({ success: true, statusCode: 200 });
+      await processPromise;
+
+      expect(service.stats.totalRetried).toBe(0);
+      expect(service.stats.totalProcessed).toBe(1);
+    });
+
+    test('should clear the attempt timeout once the attempt finished', async () => {
+      service.on('delivery-attempt', (del, callback) => {
+        callback({ success: true, statusCode: 200 });
+      });
+
+      await service.attemptDelivery({ ...mockDelivery, attempts: 0, priority: 2 });
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
     test('should track processing times', async () => {
       service.on('delivery-attempt', (del, callback) => {
         callback({ success: true });
@@ -554,6 +650,162 @@ describe('DeliveryQueueService', () => {
     });
   });
 
+  describe('Ordered Delivery', () => {
+    const ordered = (id, overrides = {}) => ({
+      ...mockDelivery,
+      id,
+      orderingKey: 'webhook-1:issues:issue-1',
+      metadata: { webhookId: 'webhook-1', eventId: `event-${id}` },
+      ...overrides
+    });
+
+    const respondWith = (result) => {
+      service.on('delivery-attempt', (delivery, callback) => callback(result));
+    };
+
+    test('should hold back deliveries until the one ahead of them completed', async () => {
+      respondWith({ success: true });
+
+      await service.addDelivery(ordered('first'));
+      await service.addDelivery(ordered('second'));
+      await service.addDelivery({ ...mockDelivery, id: 'unordered' });
+
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['first', 'unordered']);
+      expect(service.getQueueStatus()).toMatchObject({ totalQueued: 3, waiting: 1 });
+
+      await service.processDelivery(service.getNextDelivery());
+
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['unordered', 'second']);
+      expect(service.orderingHeads.get('webhook-1:issues:issue-1').id).toBe('second');
+    });
+
+    test('should keep later deliveries behind a head that is being retried', async () => {
+      respondWith({ success: false, error: 'HTTP 500' });
+
+      await service.addDelivery(ordered('first'));
+      await service.addDelivery(ordered('second'));
+      await service.processDelivery(service.getNextDelivery());
+
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['first']);
+      expect(service.getOrderingStatus('webhook-1')).toEqual([
+        expect.objectContaining({
+          key: 'webhook-1:issues:issue-1',
+          state: 'retrying',
+          waiting: 1,
+          head: expect.objectContaining({ deliveryId: 'first', eventId: 'event-first', lastError: 'HTTP 500' })
+        })
+      ]);
+    });
+
+    test('should block on a dead-lettered head until it is skipped', async () => {
+      respondWith({ success: false, error: 'HTTP 500' });
+
+      await service.addDelivery(ordered('first', { maxAttempts: 1 }));
+      await service.addDelivery(ordered('second'));
+      await service.processDelivery(service.getNextDelivery());
+
+      expect(service.getTotalQueueSize()).toBe(1);
+      expect(service.getOrderingStatus('webhook-1')[0]).toMatchObject({ state: 'blocked', waiting: 1 });
+      expect(service.getOrderingStatus('webhook-2')).toEqual([]);
+
+      expect(await service.skipBlockedDelivery('first')).toBe(true);
+
+      expect(service.deadLetterQueue).toHaveLength(0);
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['second']);
+      expect(await service.skipBlockedDelivery('second')).toBe(false);
+    });
+
+    test('should let a dead-lettered head re-sent with its sequence take its place', async () => {
+      respondWith({ success: false, error: 'HTTP 500' });
+
+      await service.addDelivery(ordered('first', { maxAttempts: 1 }));
+      await service.addDelivery(ordered('second'));
+      const head = service.getNextDelivery();
+      await service.processDelivery(head);
+
+      await service.addDelivery(ordered('first-retry', {
+        sequence: head.sequence,
+        metadata: { webhookId: 'webhook-1', originalDeliveryId: 'first' }
+      }));
+
+      expect(service.deadLetterQueue).toHaveLength(0);
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['first-retry']);
+      expect(service.orderingWaiting.get('webhook-1:issues:issue-1').map(d => d.id)).toEqual(['second']);
+    });
+
+    test('should release ordering keys when the dead letter queue is cleared', async () => {
+      respondWith({ success: false, error: 'HTTP 500' });
+
+      await service.addDelivery(ordered('first', { maxAttempts: 1 }));
+      await service.addDelivery(ordered('second'));
+      await service.processDelivery(service.getNextDelivery());
+
+      service.clearDeadLetterQueue();
+
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['second']);
+    });
+  });
+
+  describe('Batched Delivery', () => {
+    const batched = (id, overrides = {}) => ({
+      ...mockDelivery,
+      id,
+      batch: { key: 'webhook-1', size: 3, timeout: 5000 },
+      ...overrides
+    });
+
+    test('should hold batched deliveries back until the batch is full or timed out', async () => {
+      await service.addDelivery(batched('first'));
+      await service.addDelivery(batched('second'));
+
+      const [first, second] = service.priorityQueues.get(2);
+      expect(first.scheduledFor.getTime()).toBe(Date.now() + 5000);
+      expect(second.scheduledFor.getTime()).toBe(Date.now() + 5000);
+
+      await service.addDelivery(batched('third'));
+      expect(service.priorityQueues.get(2)[2].scheduledFor.getTime()).toBe(Date.now());
+    });
+
+    test('should send a batch and settle each delivery on its own result', async () => {
+      const batchListener = jest.fn((deliveries, callback) => callback({
+        first: { success: true },
+        second: { success: false, error: 'Rejected by consumer' },
+        third: { success: true }
+      }));
+      service.on('batch-attempt', batchListener);
+      service.isRunning = true;
+
+      await service.addDelivery(batched('first'));
+      await service.addDelivery(batched('second'));
+      await service.addDelivery({ ...mockDelivery, id: 'unbatched', scheduledFor: new Date(Date.now() + 60000) });
+      await service.addDelivery(batched('third'));
+
+      // Deliveries that are not due yet rotate to the back until the full batch is reached
+      for (let tick = 0; tick < 4 && batchListener.mock.calls.length === 0; tick++) {
+        await service.processNextDelivery();
+      }
+
+      expect(batchListener).toHaveBeenCalledTimes(1);
+      expect(batchListener.mock.calls[0][0].map(d => d.id)).toEqual(['first', 'second', 'third']);
+      expect(service.priorityQueues.get(2).map(d => d.id).sort()).toEqual(['second', 'unbatched']);
+      expect(service.stats.totalProcessed).toBe(2);
+      expect(service.stats.totalRetried).toBe(1);
+      expect(service.processing.size).toBe(0);
+    });
+
+    test('should leave retries out of new batches until their backoff passed', async () => {
+      await service.addDelivery(batched('retry', { scheduledFor: new Date(Date.now() + 60000) }));
+      await service.addDelivery(batched('fresh', { scheduledFor: new Date() }));
+      service.priorityQueues.get(2)[0].attempts = 1;
+
+      const head = service.priorityQueues.get(2).splice(1, 1)[0];
+      const companions = await service.claimBatchCompanions(head);
+
+      expect(companions).toEqual([]);
+      expect(service.priorityQueues.get(2).map(d => d.id)).toEqual(['retry']);
+    });
+  });
+
   describe('Queue Status and Statistics', () => {
     test('should get queue status', async () => {
       await service.addDelivery(mockDelivery, 'HIGH');
@@ -567,6 +819,7 @@ describe('DeliveryQueueService', () => {
         isRunning: false,
         totalQueued: 2,
         processing: 1,
+        waiting: 0,
         deadLetterQueue: 1,
         queueSizes: { 1: 1, 2: 1, 3: 0 },
         maxQueueSize: 1000,
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for EncryptionService
+ */
+
+const EncryptionService = require('../../../src/services/EncryptionService');
+const CryptoUtils = require('../../../src/utils/crypto');
+
+const OLD_KEY = 'o'.repeat(32);
+const NEW_KEY = 'n'.repeat(32);
+
+describe('EncryptionService', () => {
+  let encryption;
+
+  const webhook = {
+    _id: 'webhook-1',
+    url: 'https://example.com/webhook',
+    secret: 'plain-secret-value',
+    previousSecrets: [{ secret: 'old-secret-value', expiresAt: new Date() }],
+    headers: { Authorization: 'Bearer downstream-token', 'X-Team': 'platform' }
+  };
+
+  beforeEach(() => {
+    encryption = new EncryptionService({ encryption: { key: OLD_KEY } });
+  });
+
+  describe('encryptWebhook', () => {
+    it('should encrypt secrets and sensitive headers only', () => {
+      const stored = encryption.encryptWebhook(webhook);
+
+      expect(stored.encryption).toEqual({ keyId: encryption.currentKeyId, dataKey: expect.stringMatching(/^enc:v1:/) });
+      expect(stored.secret).toMatch(/^enc:v1:/);
+      expect(stored.previousSecrets[0].secret).toMatch(/^enc:v1:/);
+      expect(stored.headers.Authorization).toMatch(/^enc:v1:/);
+      expect(stored.headers['X-Team']).toBe('platform');
+      expect(JSON.stringify(stored)).not.toContain('downstream-token');
+
+      expect(encryption.decryptWebhook(stored)).toEqual({ ...webhook, encryption: stored.encryption });
+    });
+
+    it('should keep the data key and stored values of an existing webhook', () => {
+      const stored = encryption.encryptWebhook(webhook);
+
+      const update = encryption.encryptWebhook({
+        encryption: stored.encryption,
+        headers: { ...stored.headers, 'X-Api-Key': 'new-key' }
+      });
+
+      expect(update.encryption).toBe(stored.encryption);
+      expect(update.headers.Authorization).toBe(stored.headers.Authorization);
+      expect(encryption.decryptWebhook({ ...stored, ...update }).headers).toEqual({
+        Authorization: 'Bearer downstream-token',
+        'X-Team': 'platform',
+        'X-Api-Key': 'new-key'
+      });
+    });
+
+    it('should encrypt the credentials of the auth configuration', () => {
+      const auth = { type: 'basic', username: 'huly', password: 'basic-password' };
+
+      const stored = encryption.encryptWebhook({ ...webhook, auth });
+
+      expect(stored.auth.username).toBe('huly');
+      expect(stored.auth.password).toMatch(/^enc:v1:/);
+      expect(encryption.decryptWebhook(stored).auth).toEqual(auth);
+    });
+
+    it('should pass webhooks stored before encryption through', () => {
+      expect(encryption.decryptWebhook(webhook)).toBe(webhook);
+    });
+  });
+
+  describe('reencryptWebhook', () => {
+    it('should re-wrap the data key with the new master key', () => {
+      const stored = encryption.encryptWebhook(webhook);
+      const rotated = new EncryptionService({ encryption: { key: NEW_KEY, previousKeys: [OLD_KEY] } });
+
+      // Records under the previous key stay readable until they are re-encrypted
+      expect(rotated.decryptWebhook(stored).secret).toBe('plain-secret-value');
+
+      const fields = rotated.reencryptWebhook(stored);
+      expect(Object.keys(fields)).toEqual(['encryption']);
+      expect(fields.encryption.keyId).toBe(rotated.currentKeyId);
+
+      const current = new EncryptionService({ encryption: { key: NEW_KEY } });
+      expect(current.decryptWebhook({ ...stored, ...fields }).headers.Authorization).toBe('Bearer downstream-token');
+      expect(() => current.decryptWebhook(stored)).toThrow(`Encryption key ${encryption.currentKeyId} is not configured`);
+      expect(current.reencryptWebhook({ ...stored, ...fields })).toBeNull();
+    });
+
+    it('should encrypt webhooks stored before encryption', () => {
+      const fields = encryption.reencryptWebhook(webhook);
+
+      expect(fields.secret).toMatch(/^enc:v1:/);
+      expect(fields.encryption.keyId).toBe(encryption.currentKeyId);
+    });
+  });
+
+  describe('signing keys', () => {
+    it('should seal the private key and re-wrap its data key with the new master key', () => {
+      const { publicKey, privateKey } = CryptoUtils.generateSigningKeyPair();
+      const stored = encryption.encryptSigningKey(privateKey);
+
+      expect(stored.privateKey).toMatch(/^enc:v1:/);
+      expect(stored.encryption.keyId).toBe(encryption.currentKeyId);
+      expect(encryption.reencryptSigningKey(stored)).toBeNull();
+
+      const rotated = new EncryptionService({ encryption: { key: NEW_KEY, previousKeys: [OLD_KEY] } });
+      const fields = rotated.reencryptSigningKey(stored);
+      expect(fields.encryption.keyId).toBe(rotated.currentKeyId);
+
+      const current = new EncryptionService({ encryption: { key: NEW_KEY } });
+      const signature = CryptoUtils.signEd25519('content', current.decryptSigningKey({ ...stored, ...fields }));
+      expect(CryptoUtils.verifyEd25519('content', signature, publicKey)).toBe(true);
+      expect(() => current.decryptSigningKey(stored)).toThrow(`Encryption key ${encryption.currentKeyId} is not configured`);
+    });
+  });
+
+  it('should require a master key', () => {
+    expect(() => new EncryptionService({})).toThrow('An encryption key is required to store webhook secrets');
+  });
+});
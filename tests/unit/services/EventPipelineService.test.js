@@ -0,0 +1,520 @@
+/**
+ * Unit tests for EventPipelineService
+ */
+
+const EventEmitter = require('events');
+const EventPipelineService = require('../../../src/services/EventPipelineService');
+const EventTypeDetectionService = require('../../../src/services/EventTypeDetectionService');
+const EventRoutingService = require('../../../src/services/EventRoutingService');
+const EventFilterService = require('../../../src/services/EventFilterService');
+const EventPayloadTransformerService = require('../../../src/services/EventPayloadTransformerService');
+const DeliveryQueueService = require('../../../src/services/DeliveryQueueService');
+const TxDecoderService = require('../../../src/services/TxDecoderService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('EventPipelineService', () => {
+  let pipeline;
+  let services;
+  let changeStream;
+  let webhooks;
+  let changeEvent;
+
+  beforeEach(() => {
+    webhooks = [
+      { _id: 'webhook-1', name: 'Issues', url: 'https://example.com/issues', active: true, events: ['issue.*'] },
+      { _id: 'webhook-2', name: 'Projects', url: 'https://example.com/projects', active: true, events: ['project.created'] },
+      { _id: 'webhook-3', name: 'Disabled', url: 'https://example.com/disabled', active: false, events: ['issue.created'] }
+    ];
+
+    changeEvent = {
+      _id: { _data: 'resume-token-1' },
+      operationType: 'insert',
+      ns: { db: 'huly', coll: 'issues' },
+      documentKey: { _id: 'issue-1' },
+      fullDocument: { _id: 'issue-1', title: 'Bug', status: 'open', priority: 'high', space: 'project-1' }
+    };
+
+    const deadLetterQueue = new EventEmitter();
+    deadLetterQueue.addToDeadLetterQueue = jest.fn().mockResolvedValue('dlq-1');
+    deadLetterQueue.updateDeadLetterEntryStatus = jest.fn().mockResolvedValue();
+
+    services = {
+      webhook: Object.assign(new EventEmitter(), {
+        getActiveWebhooks: jest.fn().mockResolvedValue(webhooks),
+        updateWebhookStats: jest.fn().mockResolvedValue()
+      }),
+      eventTypeDetection: new EventTypeDetectionService({}),
+      eventRouting: new EventRoutingService({}),
+      eventFilter: new EventFilterService({}),
+      payloadTransformer: new EventPayloadTransformerService({}),
+      deliveryQueue: new DeliveryQueueService({}),
+      delivery: {
+        deliverWebhook: jest.fn().mockResolvedValue({ success: true, statusCode: 200 })
+      },
+      circuitBreaker: {
+        executeWithCircuitBreaker: jest.fn((webhookId, webhook, operation) => operation())
+      },
+      rateLimit: {
+        checkRateLimit: jest.fn().mockResolvedValue({ allowed: true })
+      },
+      deliveryHistory: {
+        recordDelivery: jest.fn().mockResolvedValue('history-1')
+      },
+      deadLetterQueue
+    };
+
+    jest.spyOn(services.deliveryQueue, 'addDelivery');
+
+    changeStream = new EventEmitter();
+    pipeline = new EventPipelineService({}, services);
+  });
+
+  afterEach(async () => {
+    await pipeline.stop();
+  });
+
+  describe('start/stop', () => {
+    it('should subscribe to change stream and queue events', async () => {
+      await pipeline.start(changeStream);
+
+      expect(pipeline.isRunning).toBe(true);
+      expect(changeStream.listenerCount('change')).toBe(1);
+      expect(services.deliveryQueue.listenerCount('delivery-attempt')).toBe(1);
+      expect(services.deadLetterQueue.listenerCount('entry-retry')).toBe(1);
+    });
+
+    it('should detach listeners on stop', async () => {
+      await pipeline.start(changeStream);
+      await pipeline.stop();
+
+      expect(pipeline.isRunning).toBe(false);
+      expect(changeStream.listenerCount('change')).toBe(0);
+      expect(services.webhook.listenerCount('webhooks-changed')).toBe(0);
+      expect(services.deliveryQueue.listenerCount('delivery-attempt')).toBe(0);
+    });
+  });
+
+  describe('processEvent', () => {
+    it('should queue deliveries for matching active webhooks', async () => {
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary).toMatchObject({ eventType: 'issue.created', matched: 1, queued: 1, errors: 0 });
+      expect(services.deliveryQueue.addDelivery).toHaveBeenCalledTimes(1);
+
+      const [delivery, priority] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(priority).toBe('HIGH');
+      expect(delivery.url).toBe('https://example.com/issues');
+      expect(delivery.payload.event).toBe('issue.created');
+      expect(delivery.metadata.webhookId).toBe('webhook-1');
+      expect(summary.deliveries).toEqual([
+        { webhookId: 'webhook-1', webhookName: 'Issues', outcome: 'queued', deliveryId: expect.stringMatching(/^delivery_/) }
+      ]);
+    });
+
+    it('should deliver to the given webhooks without routing', async () => {
+      const summary = await pipeline.processEvent(changeEvent, { webhooks: [webhooks[1]] });
+
+      expect(summary.matched).toBe(1);
+      expect(services.webhook.getActiveWebhooks).not.toHaveBeenCalled();
+      expect(services.deliveryQueue.addDelivery.mock.calls[0][0].url).toBe('https://example.com/projects');
+    });
+
+    it('should drop events without matching webhooks', async () => {
+      services.webhook.getActiveWebhooks.mockResolvedValue([webhooks[1]]);
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.matched).toBe(0);
+      expect(services.deliveryQueue.addDelivery).not.toHaveBeenCalled();
+      expect(pipeline.getPipelineStats().droppedEvents).toBe(1);
+    });
+
+    it('should only route events to webhooks of their workspace', async () => {
+      webhooks[0].workspace = 'team-a';
+      webhooks.push({ _id: 'webhook-4', name: 'Team B', url: 'https://example.com/team-b', active: true, events: ['issue.*'], workspace: 'team-b' });
+
+      const summary = await pipeline.processEvent({ ...changeEvent, workspace: 'team-b' });
+
+      expect(summary).toMatchObject({ workspace: 'team-b', matched: 1 });
+      const [delivery] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(delivery.url).toBe('https://example.com/team-b');
+      expect(delivery.payload.workspace).toBe('team-b');
+      expect(delivery.metadata.workspace).toBe('team-b');
+    });
+
+    it('should not deliver to explicit webhooks of another workspace', async () => {
+      const summary = await pipeline.processEvent({ ...changeEvent, workspace: 'team-a' }, { webhooks: [webhooks[0]] });
+
+      expect(summary.matched).toBe(0);
+      expect(services.deliveryQueue.addDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should apply webhook field filters', async () => {
+      webhooks[0].filters = { statuses: ['closed'] };
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.filtered).toBe(1);
+      expect(services.deliveryQueue.addDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should apply filter expressions to the payload', async () => {
+      webhooks[0].filters = { expression: 'event == "issue.updated"' };
+      expect((await pipeline.processEvent(changeEvent)).filtered).toBe(1);
+
+      webhooks[0].filters = { expression: 'event == "issue.created"' };
+      expect((await pipeline.processEvent(changeEvent)).queued).toBe(1);
+    });
+
+    it('should defer rate limited deliveries until the limit resets', async () => {
+      const resetTime = Date.now() + 60000;
+      services.rateLimit.checkRateLimit.mockResolvedValue({ allowed: false, resetTime });
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.rateLimited).toBe(1);
+      const [delivery] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(delivery.scheduledFor.getTime()).toBe(resetTime);
+    });
+
+    it('should isolate failures to a single webhook', async () => {
+      webhooks[1].events = ['issue.created'];
+      services.rateLimit.checkRateLimit
+        .mockRejectedValueOnce(new Error('limiter unavailable'))
+        .mockResolvedValueOnce({ allowed: true });
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary).toMatchObject({ matched: 2, queued: 1, errors: 1 });
+      expect(pipeline.getPipelineStats().stages.rateLimit.errors).toBe(1);
+    });
+
+    it('should serialize deliveries of ordered webhooks by document', async () => {
+      webhooks[0].ordering = 'per-entity';
+
+      await pipeline.processEvent(changeEvent);
+      await pipeline.processEvent({ ...changeEvent, operationType: 'update' });
+
+      const [[first], [second]] = services.deliveryQueue.addDelivery.mock.calls;
+      expect(first.orderingKey).toBe('webhook-1:issues:issue-1');
+      expect(second.orderingKey).toBe('webhook-1:issues:issue-1');
+      expect(second.sequence).toBeGreaterThan(first.sequence);
+      expect(services.deliveryQueue.getQueueStatus().waiting).toBe(1);
+    });
+
+    it('should serialize all deliveries of a webhook ordered per webhook', async () => {
+      webhooks[0].ordering = 'per-webhook';
+
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.deliveryQueue.addDelivery.mock.calls[0][0].orderingKey).toBe('webhook-1');
+    });
+
+    it('should queue deliveries of batched webhooks with their batch settings', async () => {
+      webhooks[0].batch = { enabled: true, maxSize: 50 };
+
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.deliveryQueue.addDelivery.mock.calls[0][0].batch).toEqual({ key: 'webhook-1', size: 50, timeout: 5000 });
+    });
+
+    it('should not order deliveries by default', async () => {
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.deliveryQueue.addDelivery.mock.calls[0][0].orderingKey).toBeNull();
+    });
+
+    it('should cache active webhooks between events', async () => {
+      await pipeline.processEvent(changeEvent);
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.webhook.getActiveWebhooks).toHaveBeenCalledTimes(1);
+
+      pipeline.invalidateWebhookCache();
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.webhook.getActiveWebhooks).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read active webhooks for every event when the cache is disabled', async () => {
+      pipeline = new EventPipelineService({ pipeline: { webhookCacheTtl: 0 } }, services);
+
+      await pipeline.processEvent(changeEvent);
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.webhook.getActiveWebhooks).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reload active webhooks after a webhook changed', async () => {
+      await pipeline.start(changeStream);
+      await pipeline.processEvent(changeEvent);
+
+      services.webhook.getActiveWebhooks.mockResolvedValue([webhooks[1]]);
+      services.webhook.emit('webhooks-changed', { action: 'updated', webhookId: 'webhook-1' });
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(services.webhook.getActiveWebhooks).toHaveBeenCalledTimes(2);
+      expect(summary.matched).toBe(0);
+    });
+
+    it('should process change events emitted by the change stream', async () => {
+      await pipeline.start(changeStream);
+
+      const processed = new Promise(resolve => pipeline.once('event-processed', resolve));
+      changeStream.emit('change', changeEvent);
+      await processed;
+
+      expect(services.deliveryQueue.addDelivery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('event persistence', () => {
+    beforeEach(() => {
+      services.eventStore = {
+        persistEvent: jest.fn().mockResolvedValue({ event: { id: 'event-1' }, duplicate: false }),
+        markProcessed: jest.fn().mockResolvedValue(),
+        getStats: jest.fn().mockReturnValue({})
+      };
+      pipeline = new EventPipelineService({}, services);
+    });
+
+    it('should persist events and link deliveries to them', async () => {
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.eventId).toBe('event-1');
+      expect(services.eventStore.persistEvent).toHaveBeenCalledWith(
+        changeEvent, expect.objectContaining({ eventType: 'issue.created' })
+      );
+
+      const [delivery] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(delivery.payload.id).toBe('event-1');
+      expect(delivery.metadata.eventId).toBe('event-1');
+      expect(services.eventStore.markProcessed).toHaveBeenCalledWith('event-1');
+    });
+
+    it('should mark unmatched events as processed', async () => {
+      services.webhook.getActiveWebhooks.mockResolvedValue([]);
+
+      await pipeline.processEvent(changeEvent);
+
+      expect(services.eventStore.markProcessed).toHaveBeenCalledWith('event-1');
+    });
+
+    it('should skip events already stored from the same resume token', async () => {
+      services.eventStore.persistEvent.mockResolvedValue({ event: null, duplicate: true });
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.duplicate).toBe(true);
+      expect(services.deliveryQueue.addDelivery).not.toHaveBeenCalled();
+      expect(pipeline.getPipelineStats().duplicateEvents).toBe(1);
+    });
+
+    it('should still deliver when persistence fails', async () => {
+      services.eventStore.persistEvent.mockRejectedValue(new Error('db down'));
+
+      const summary = await pipeline.processEvent(changeEvent);
+
+      expect(summary.eventId).toBeNull();
+      expect(summary.queued).toBe(1);
+      expect(services.eventStore.markProcessed).not.toHaveBeenCalled();
+    });
+
+    it('should not persist events that are re-driven by ID', async () => {
+      await pipeline.processEvent(changeEvent, { eventId: 'event-9' });
+
+      expect(services.eventStore.persistEvent).not.toHaveBeenCalled();
+      expect(services.deliveryQueue.addDelivery.mock.calls[0][0].payload.id).toBe('event-9');
+    });
+  });
+
+  describe('transaction decoding', () => {
+    let txChangeEvent;
+
+    beforeEach(() => {
+      services.txDecoder = new TxDecoderService({}, {
+        find: jest.fn().mockResolvedValue({
+          documents: [{ _class: 'core:class:TxCreateDoc', attributes: { status: 'tracker:status:Todo' } }]
+        })
+      });
+      pipeline = new EventPipelineService({}, services);
+
+      txChangeEvent = {
+        _id: { _data: 'resume-token-2' },
+        operationType: 'insert',
+        ns: { db: 'huly', coll: 'tx' },
+        documentKey: { _id: 'tx-1' },
+        fullDocument: {
+          _id: 'tx-1',
+          _class: 'core:class:TxUpdateDoc',
+          objectId: 'issue-1',
+          objectClass: 'tracker:class:Issue',
+          objectSpace: 'project-1',
+          modifiedBy: 'user-1',
+          operations: { status: 'tracker:status:Done' }
+        }
+      };
+    });
+
+    it('should deliver decoded domain events with previous values', async () => {
+      const summary = await pipeline.processEvent(txChangeEvent);
+
+      expect(summary.eventType).toBe('issue.status_changed');
+      expect(summary.queued).toBe(1);
+
+      const [delivery] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(delivery.payload.event).toBe('issue.status_changed');
+      expect(delivery.payload.changes).toEqual({
+        status: { from: 'tracker:status:Todo', to: 'tracker:status:Done' }
+      });
+      expect(delivery.payload.metadata.transaction).toMatchObject({ id: 'tx-1', modifiedBy: 'user-1' });
+      expect(pipeline.getPipelineStats().txDecoder.totalDecoded).toBe(1);
+    });
+
+    it('should not decode events that are re-driven by ID', async () => {
+      jest.spyOn(services.txDecoder, 'decodeChangeEvent');
+
+      await pipeline.processEvent(changeEvent, { eventId: 'event-9' });
+
+      expect(services.txDecoder.decodeChangeEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delivery handling', () => {
+    const delivery = () => ({
+      id: 'delivery-1',
+      webhook: { _id: 'webhook-1', url: 'https://example.com/issues' },
+      payload: { id: 'event-1', event: 'issue.created', data: {} },
+      attempts: 1,
+      metadata: {}
+    });
+
+    it('should deliver through the circuit breaker and record history', async () => {
+      const callback = jest.fn();
+
+      await pipeline.handleDeliveryAttempt(delivery(), callback);
+
+      expect(services.circuitBreaker.executeWithCircuitBreaker).toHaveBeenCalledWith(
+        'webhook-1', expect.any(Object), expect.any(Function)
+      );
+      expect(services.delivery.deliverWebhook).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'webhook-1' }), expect.any(Object), 1
+      );
+      expect(services.deliveryHistory.recordDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'delivery-1', attempt: 1 }),
+        { success: true, statusCode: 200 }
+      );
+      expect(services.webhook.updateWebhookStats).toHaveBeenCalledWith('webhook-1', true);
+      expect(callback).toHaveBeenCalledWith({ success: true, statusCode: 200 });
+    });
+
+    it('should announce every delivery attempt', async () => {
+      const attempted = jest.fn();
+      pipeline.on('delivery-attempted', attempted);
+
+      await pipeline.handleDeliveryAttempt(delivery(), jest.fn());
+
+      expect(attempted).toHaveBeenCalledWith(expect.objectContaining({ id: 'delivery-1' }), { success: true, statusCode: 200 });
+    });
+
+    it('should deliver batches in one request and settle each delivery on its event result', async () => {
+      services.delivery.deliverBatch = jest.fn().mockResolvedValue({
+        success: true,
+        statusCode: 200,
+        batchId: 'batch-1',
+        events: {
+          'event-1': { success: true, statusCode: 200 },
+          'event-2': { success: false, error: 'Rejected by consumer', statusCode: 200 }
+        }
+      });
+      const callback = jest.fn();
+
+      await pipeline.handleBatchAttempt([
+        delivery(),
+        { ...delivery(), id: 'delivery-2', payload: { id: 'event-2', event: 'issue.updated' } }
+      ], callback);
+
+      expect(services.delivery.deliverBatch).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'webhook-1' }),
+        [expect.objectContaining({ id: 'event-1' }), expect.objectContaining({ id: 'event-2' })],
+        1
+      );
+      expect(services.deliveryHistory.recordDelivery).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith({
+        'delivery-1': expect.objectContaining({ success: true, batchId: 'batch-1' }),
+        'delivery-2': expect.objectContaining({ success: false, error: 'Rejected by consumer' })
+      });
+      expect(pipeline.getPipelineStats()).toMatchObject({ deliveriesSucceeded: 1, deliveriesFailed: 1 });
+    });
+
+    it('should still report the result when history recording fails', async () => {
+      services.deliveryHistory.recordDelivery.mockRejectedValue(new Error('db down'));
+      const callback = jest.fn();
+
+      await pipeline.handleDeliveryAttempt(delivery(), callback);
+
+      expect(callback).toHaveBeenCalledWith({ success: true, statusCode: 200 });
+    });
+
+    it('should move exhausted deliveries to the dead letter queue', async () => {
+      const result = { success: false, error: 'HTTP 500' };
+
+      await pipeline.handleDeliveryDeadLettered(delivery(), result);
+
+      expect(services.deadLetterQueue.addToDeadLetterQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'delivery-1' }), result
+      );
+    });
+
+    it('should re-enqueue dead letter retries and resolve them on completion', async () => {
+      await pipeline.handleDeadLetterRetry({ id: 'dlq-1', delivery: delivery() });
+
+      const [requeued] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(requeued.id).toBeUndefined();
+      expect(requeued.metadata).toMatchObject({ deadLetterEntryId: 'dlq-1', originalDeliveryId: 'delivery-1' });
+
+      await pipeline.handleDeliveryCompleted(requeued, { success: true });
+      expect(services.deadLetterQueue.updateDeadLetterEntryStatus).toHaveBeenCalledWith('dlq-1', true, { success: true });
+    });
+
+    it('should redeliver a recorded payload ahead of queued events', async () => {
+      const record = {
+        id: 'hist-1',
+        eventId: 'event-1',
+        eventType: 'issue.created',
+        workspace: 'team-a',
+        payload: { id: 'event-1', event: 'issue.created', data: {} }
+      };
+
+      const deliveryId = await pipeline.redeliver(record, webhooks[0]);
+
+      expect(services.deliveryQueue.addDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        webhook: webhooks[0],
+        payload: record.payload,
+        metadata: expect.objectContaining({ webhookId: 'webhook-1', workspace: 'team-a', redeliveryOf: 'hist-1' })
+      }), 'HIGH');
+      expect(deliveryId).toEqual(expect.any(String));
+    });
+  });
+
+  describe('getPipelineStats', () => {
+    it('should report per-stage metrics', async () => {
+      await pipeline.processEvent(changeEvent);
+
+      const stats = pipeline.getPipelineStats();
+
+      expect(stats.totalEvents).toBe(1);
+      expect(stats.deliveriesQueued).toBe(1);
+      expect(stats.stages.detection.count).toBe(1);
+      expect(stats.stages.routing.averageTime).toBeGreaterThanOrEqual(0);
+      expect(stats.queue).toBeDefined();
+    });
+  });
+});
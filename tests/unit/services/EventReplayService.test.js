@@ -0,0 +1,222 @@
+/**
+ * Unit tests for EventReplayService
+ */
+
+const EventReplayService = require('../../../src/services/EventReplayService');
+const EventPipelineService = require('../../../src/services/EventPipelineService');
+const EventTypeDetectionService = require('../../../src/services/EventTypeDetectionService');
+const EventRoutingService = require('../../../src/services/EventRoutingService');
+const EventFilterService = require('../../../src/services/EventFilterService');
+const EventPayloadTransformerService = require('../../../src/services/EventPayloadTransformerService');
+const DeliveryQueueService = require('../../../src/services/DeliveryQueueService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('EventReplayService', () => {
+  let replay;
+  let services;
+  let webhook;
+  let storedEvents;
+  let storedJobs;
+
+  const storedEvent = (id, fullDocument, overrides = {}) => ({
+    id,
+    type: 'issue.created',
+    timestamp: new Date('2024-01-01T01:00:00Z'),
+    sourceCollection: 'issues',
+    sourceDocument: fullDocument,
+    data: { id: fullDocument._id },
+    metadata: {
+      operationType: 'insert',
+      resumeToken: { _data: `82${id}` },
+      documentKey: { _id: fullDocument._id }
+    },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    webhook = { _id: 'webhook-1', name: 'Issues', url: 'https://example.com/issues', active: true, events: ['issue.created'] };
+
+    storedEvents = [
+      storedEvent('event-1', { _id: 'issue-1', title: 'Bug', status: 'open' }),
+      storedEvent('event-2', { _id: 'issue-2', title: 'Closed bug', status: 'closed' }),
+      storedEvent('event-3', { _id: 'project-1', name: 'Project' }, { type: 'project.created', sourceCollection: 'projects' })
+    ];
+
+    storedJobs = new Map();
+
+    services = {
+      database: {
+        countDocuments: jest.fn(() => Promise.resolve(storedEvents.length)),
+        find: jest.fn((collection, filter, options) => Promise.resolve({
+          documents: storedEvents.slice(options.offset, options.offset + options.limit)
+        })),
+        createIndexes: jest.fn().mockResolvedValue([]),
+        insertOne: jest.fn((collection, document) => {
+          storedJobs.set(document._id, document);
+          return Promise.resolve(document);
+        }),
+        updateOne: jest.fn((collection, filter, update) => {
+          storedJobs.set(filter._id, { ...storedJobs.get(filter._id), ...update.$set });
+          return Promise.resolve({ modifiedCount: 1 });
+        }),
+        findOne: jest.fn((collection, filter) => Promise.resolve(storedJobs.get(filter._id) || null))
+      },
+      webhook: {},
+      eventTypeDetection: new EventTypeDetectionService({}),
+      eventRouting: new EventRoutingService({}),
+      eventFilter: new EventFilterService({}),
+      payloadTransformer: new EventPayloadTransformerService({}),
+      deliveryQueue: new DeliveryQueueService({})
+    };
+    services.pipeline = new EventPipelineService({}, services);
+
+    jest.spyOn(services.deliveryQueue, 'addDelivery');
+
+    replay = new EventReplayService({ replay: { batchSize: 2 } }, services);
+  });
+
+  describe('buildEventFilter', () => {
+    it('should filter by time window', () => {
+      const from = new Date('2024-01-01T00:00:00Z');
+      const to = new Date('2024-01-01T06:00:00Z');
+
+      expect(replay.buildEventFilter({ from, to })).toEqual({
+        timestamp: { $gte: from, $lte: to }
+      });
+    });
+
+    it('should filter by resume token range', () => {
+      expect(replay.buildEventFilter({ fromToken: '8201', toToken: '8209' })).toEqual({
+        'metadata.resumeToken._data': { $gte: '8201', $lte: '8209' }
+      });
+    });
+
+    it('should only select events of the webhook workspace', () => {
+      expect(replay.buildEventFilter({ fromToken: '8201' }, 'team-a')).toEqual({
+        workspace: 'team-a',
+        'metadata.resumeToken._data': { $gte: '8201' }
+      });
+    });
+  });
+
+  describe('dryRun', () => {
+    it('should count matching events without enqueueing', async () => {
+      const job = await replay.dryRun(webhook, { from: new Date('2024-01-01T00:00:00Z') });
+
+      expect(job).toMatchObject({
+        status: 'completed',
+        dryRun: true,
+        truncated: false,
+        progress: { total: 3, processed: 3, queued: 2, skipped: 1, filtered: 0, errors: 0 }
+      });
+      expect(services.deliveryQueue.addDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should apply webhook field filters', async () => {
+      webhook.filters = { statuses: ['open'] };
+
+      const job = await replay.dryRun(webhook, { from: new Date('2024-01-01T00:00:00Z') });
+
+      expect(job.progress).toMatchObject({ queued: 1, filtered: 1, skipped: 1 });
+    });
+
+    it('should cap the number of replayed events', async () => {
+      const job = await replay.dryRun(webhook, { from: new Date('2024-01-01T00:00:00Z') }, { maxEvents: 1 });
+
+      expect(job.truncated).toBe(true);
+      expect(job.progress.total).toBe(1);
+      expect(job.progress.processed).toBe(1);
+    });
+
+    it('should not exceed the configured event cap', async () => {
+      replay.maxEvents = 10;
+
+      const job = await replay.createJob(webhook, {}, { maxEvents: 1000, dryRun: true });
+
+      expect(job.maxEvents).toBe(10);
+    });
+  });
+
+  describe('startReplay', () => {
+    it('should enqueue routed events at low priority and track progress', async () => {
+      const completion = new Promise(resolve => replay.once('job-completed', resolve));
+      const job = await replay.startReplay(webhook, { from: new Date('2024-01-01T00:00:00Z') });
+
+      expect(job.id).toMatch(/^replay_/);
+      expect(job.webhookId).toBe('webhook-1');
+
+      const completed = await completion;
+
+      expect(completed.progress.queued).toBe(2);
+      expect(await replay.getJob(job.id)).toMatchObject({ id: job.id, status: 'completed', progress: { queued: 2 } });
+      expect(services.deliveryQueue.addDelivery).toHaveBeenCalledTimes(2);
+
+      const [delivery, priority] = services.deliveryQueue.addDelivery.mock.calls[0];
+      expect(priority).toBe('LOW');
+      expect(delivery.payload.id).toBe('event-1');
+      expect(delivery.metadata).toMatchObject({ webhookId: 'webhook-1', eventId: 'event-1', replayJobId: job.id });
+    });
+
+    it('should mark the job as failed when events cannot be read', async () => {
+      services.database.countDocuments.mockRejectedValue(new Error('db down'));
+
+      const failure = new Promise(resolve => replay.once('job-failed', resolve));
+      const job = await replay.startReplay(webhook, { from: new Date('2024-01-01T00:00:00Z') });
+      const failed = await failure;
+
+      expect(failed.id).toBe(job.id);
+      expect(failed.error).toBe('db down');
+    });
+
+    it('should wait for queue capacity before enqueueing', async () => {
+      replay.backpressureDelay = 10;
+      const queueSize = jest.spyOn(services.deliveryQueue, 'getTotalQueueSize')
+        .mockReturnValueOnce(replay.queueHighWaterMark)
+        .mockReturnValue(0);
+
+      await replay.waitForQueueCapacity();
+
+      expect(queueSize).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getJob', () => {
+    it('should return null for unknown jobs', async () => {
+      expect(await replay.getJob('missing')).toBeNull();
+    });
+
+    it('should read jobs stored by other replicas', async () => {
+      const job = await replay.dryRun(webhook, { from: new Date('2024-01-01T00:00:00Z') });
+
+      const otherReplica = new EventReplayService({}, services);
+
+      expect(await otherReplica.getJob(job.id)).toEqual({ ...job, id: job.id });
+    });
+
+    it('should report jobs whose progress stopped being stored as interrupted', async () => {
+      storedJobs.set('replay_1', {
+        _id: 'replay_1',
+        status: 'running',
+        progress: { total: 10, processed: 4 },
+        updatedAt: new Date(Date.now() - 60000)
+      });
+
+      expect(await replay.getJob('replay_1')).toMatchObject({ id: 'replay_1', status: 'interrupted' });
+    });
+
+    it('should expire finished jobs after the retention period', async () => {
+      await replay.initialize();
+
+      expect(services.database.createIndexes).toHaveBeenCalledWith('replay_jobs', expect.arrayContaining([
+        { key: { completedAt: 1 }, options: { name: 'replay_jobs_ttl', expireAfterSeconds: 7 * 24 * 60 * 60 } }
+      ]));
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for EventStoreService
+ */
+
+const EventStoreService = require('../../../src/services/EventStoreService');
+const WebhookEvent = require('../../../src/models/WebhookEvent');
+const { ConflictError } = require('../../../src/middleware/errorHandler');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Mock config
+jest.mock('../../../src/config', () => ({
+  env: 'test'
+}));
+
+describe('EventStoreService', () => {
+  let eventStore;
+  let mockDb;
+  let changeEvent;
+  const eventDetails = { eventType: 'issue.created' };
+
+  beforeEach(() => {
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      insertOne: jest.fn().mockImplementation((collection, doc) => Promise.resolve(doc)),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      findOne: jest.fn()
+    };
+
+    changeEvent = {
+      _id: { _data: 'resume-token-1' },
+      operationType: 'insert',
+      ns: { db: 'huly', coll: 'issues' },
+      documentKey: { _id: 'issue-1' },
+      fullDocument: { _id: 'issue-1', title: 'Bug', space: 'project-1' }
+    };
+
+    eventStore = new EventStoreService({ events: { persistence: { retentionDays: 7 } } }, mockDb);
+  });
+
+  describe('initialize', () => {
+    it('should create a TTL index from the retention period', async () => {
+      await eventStore.initialize();
+
+      const [collection, indexes] = mockDb.createIndexes.mock.calls[0];
+      expect(collection).toBe('webhook_events');
+      expect(indexes).toContainEqual({
+        key: { createdAt: 1 },
+        options: { name: 'webhook_events_ttl', expireAfterSeconds: 7 * 24 * 60 * 60 }
+      });
+    });
+
+    it('should create a unique index on the resume token', async () => {
+      await eventStore.initialize();
+
+      const indexes = mockDb.createIndexes.mock.calls[0][1];
+      const resumeIndex = indexes.find(index => index.key['metadata.resumeToken._data']);
+      expect(resumeIndex.options).toMatchObject({ unique: true });
+    });
+
+    it('should default the retention period to 30 days', () => {
+      expect(new EventStoreService({}, mockDb).getStats().retentionDays).toBe(30);
+    });
+  });
+
+  describe('persistEvent', () => {
+    it('should store the normalized event', async () => {
+      const { event, duplicate } = await eventStore.persistEvent(changeEvent, eventDetails);
+
+      expect(duplicate).toBe(false);
+      expect(event).toBeInstanceOf(WebhookEvent);
+      expect(mockDb.insertOne).toHaveBeenCalledWith('webhook_events', expect.objectContaining({
+        id: event.id,
+        type: 'issue.created',
+        sourceCollection: 'issues',
+        processed: false,
+        metadata: expect.objectContaining({
+          operationType: 'insert',
+          resumeToken: { _data: 'resume-token-1' }
+        })
+      }));
+      expect(eventStore.getStats().totalPersisted).toBe(1);
+    });
+
+    it('should report duplicates without throwing', async () => {
+      mockDb.insertOne.mockRejectedValue(new ConflictError('Duplicate value for metadata.resumeToken._data'));
+
+      const result = await eventStore.persistEvent(changeEvent, eventDetails);
+
+      expect(result).toEqual({ event: null, duplicate: true });
+      expect(eventStore.getStats().totalDuplicates).toBe(1);
+    });
+
+    it('should rethrow other storage errors', async () => {
+      mockDb.insertOne.mockRejectedValue(new Error('db down'));
+
+      await expect(eventStore.persistEvent(changeEvent, eventDetails)).rejects.toThrow('db down');
+      expect(eventStore.getStats().totalErrors).toBe(1);
+    });
+  });
+
+  describe('markProcessed', () => {
+    it('should set processed and processedAt', async () => {
+      await eventStore.markProcessed('event-1');
+
+      expect(mockDb.updateOne).toHaveBeenCalledWith('webhook_events', { id: 'event-1' }, {
+        $set: { processed: true, processedAt: expect.any(Date) }
+      });
+    });
+  });
+
+  describe('getEvent', () => {
+    it('should return stored events as models', async () => {
+      mockDb.findOne.mockResolvedValue({ id: 'event-1', type: 'issue.created' });
+
+      const event = await eventStore.getEvent('event-1');
+
+      expect(event).toBeInstanceOf(WebhookEvent);
+      expect(event.id).toBe('event-1');
+    });
+
+    it('should return null for missing events', async () => {
+      mockDb.findOne.mockResolvedValue(null);
+
+      expect(await eventStore.getEvent('missing')).toBeNull();
+    });
+  });
+});
@@ -373,6 +373,19 @@ describe('EventTypeDetectionService', () => {
     });
   });
 
+  describe('getCollectionsForEntity', () => {
+    test('should return the collections mapped to an entity and its own name', () => {
+      service.addCollectionMapping('issue_archive', 'issue');
+
+      expect(service.getCollectionsForEntity('issue')).toEqual(['issues', 'issue_archive', 'issue']);
+    });
+
+    test('should fall back to the entity name for unmapped collections', () => {
+      expect(service.getCollectionsForEntity('invoice')).toEqual(['invoice']);
+      expect(service.getCollectionsForEntity('space')).toEqual(['space']);
+    });
+  });
+
   describe('addFieldMapping', () => {
     test('should add field mapping successfully', () => {
       service.addFieldMapping('customField', 'custom_changed');
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for LeaderElectionService
+ */
+
+const LeaderElectionService = require('../../../src/services/LeaderElectionService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const conflict = () => Object.assign(new Error('Duplicate value for _id'), { code: 'CONFLICT' });
+
+describe('LeaderElectionService', () => {
+  let election;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      findOneAndUpdate: jest.fn().mockResolvedValue(null),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+      findOne: jest.fn().mockResolvedValue(null),
+      find: jest.fn().mockResolvedValue({ documents: [] })
+    };
+
+    election = new LeaderElectionService({ cluster: { instanceId: 'replica-a', leaseTtl: 9000 } }, mockDb);
+  });
+
+  afterEach(async () => {
+    await election.stop();
+  });
+
+  describe('campaign', () => {
+    it('should take a free or expired lease and hand over the previous token', async () => {
+      const elected = jest.fn();
+      election.on('elected', elected);
+      mockDb.findOneAndUpdate.mockResolvedValue({ holder: 'replica-b', resumeToken: { _data: 'token-b' } });
+
+      expect(await election.campaign()).toBe(true);
+
+      const [collection, filter, update, options] = mockDb.findOneAndUpdate.mock.calls[0];
+      expect(collection).toBe('service_leases');
+      expect(filter).toEqual({
+        _id: 'change-stream',
+        $or: [{ holder: 'replica-a' }, { expiresAt: { $lte: expect.any(Date) } }]
+      });
+      expect(update.$set).toMatchObject({ holder: 'replica-a', acquiredAt: expect.any(Date) });
+      expect(update.$set.expiresAt.getTime() - update.$set.renewedAt.getTime()).toBe(9000);
+      expect(options).toEqual({ upsert: true, returnDocument: 'before' });
+
+      expect(elected).toHaveBeenCalledWith({ resumeToken: { _data: 'token-b' }, previousHolder: 'replica-b' });
+      expect(election.getRole()).toBe('leader');
+    });
+
+    it('should stay follower while another replica holds the lease', async () => {
+      const elected = jest.fn();
+      election.on('elected', elected);
+      mockDb.findOneAndUpdate.mockRejectedValue(conflict());
+
+      expect(await election.campaign()).toBe(false);
+      expect(elected).not.toHaveBeenCalled();
+      expect(election.getRole()).toBe('follower');
+    });
+
+    it('should store the latest resume token when renewing', async () => {
+      election.setResumeTokenProvider(() => ({ _data: 'token-a' }));
+      await election.campaign();
+      await election.campaign();
+
+      const update = mockDb.findOneAndUpdate.mock.calls[1][2];
+      expect(update.$set.resumeToken).toEqual({ _data: 'token-a' });
+      expect(update.$set.acquiredAt).toBeUndefined();
+    });
+
+    it('should step down when the lease was taken over', async () => {
+      const demoted = jest.fn();
+      election.on('demoted', demoted);
+      await election.campaign();
+
+      mockDb.findOneAndUpdate.mockRejectedValue(conflict());
+      await election.campaign();
+
+      expect(election.isLeader()).toBe(false);
+      expect(demoted).toHaveBeenCalledWith({ reason: 'lease was taken over by another instance' });
+    });
+
+    it('should keep leading through a failed renewal until the lease expires', async () => {
+      await election.campaign();
+      mockDb.findOneAndUpdate.mockRejectedValue(new Error('db down'));
+
+      await election.campaign();
+      expect(election.isLeader()).toBe(true);
+
+      election.leaseExpiresAt = new Date(Date.now() - 1);
+      await election.campaign();
+      expect(election.isLeader()).toBe(false);
+    });
+  });
+
+  describe('start and stop', () => {
+    it('should register the worker with its role', async () => {
+      await election.start();
+
+      expect(mockDb.updateOne).toHaveBeenCalledWith('service_workers', { _id: 'replica-a' }, {
+        $set: expect.objectContaining({ role: 'leader', pid: process.pid, expiresAt: expect.any(Date) })
+      }, { upsert: true });
+    });
+
+    it('should release the lease with the final resume token on stop', async () => {
+      election.setResumeTokenProvider(() => ({ _data: 'final-token' }));
+      await election.start();
+      await election.stop();
+
+      expect(mockDb.updateOne).toHaveBeenCalledWith('service_leases', { _id: 'change-stream', holder: 'replica-a' }, {
+        $set: expect.objectContaining({ resumeToken: { _data: 'final-token' }, expiresAt: expect.any(Date) })
+      });
+      expect(mockDb.deleteOne).toHaveBeenCalledWith('service_workers', { _id: 'replica-a' });
+      expect(election.isLeader()).toBe(false);
+    });
+  });
+
+  describe('clearResumeToken', () => {
+    it('should remove the token handed over through the lease', async () => {
+      await election.clearResumeToken();
+
+      expect(mockDb.updateOne).toHaveBeenCalledWith('service_leases', { _id: 'change-stream' }, {
+        $unset: { resumeToken: '' }
+      });
+    });
+  });
+
+  describe('getClusterStatus', () => {
+    it('should describe the leader and live workers', async () => {
+      mockDb.findOne.mockResolvedValue({
+        holder: 'replica-b',
+        hostname: 'host-b',
+        acquiredAt: new Date(),
+        expiresAt: new Date(Date.now() + 5000)
+      });
+      mockDb.find.mockResolvedValue({
+        documents: [
+          { _id: 'replica-b', role: 'leader', hostname: 'host-b' },
+          { _id: 'replica-a', role: 'follower', hostname: 'host-a' }
+        ]
+      });
+
+      const status = await election.getClusterStatus();
+
+      expect(status).toMatchObject({
+        instanceId: 'replica-a',
+        role: 'follower',
+        leader: { instanceId: 'replica-b', hostname: 'host-b' },
+        workers: [
+          { instanceId: 'replica-b', role: 'leader', self: false },
+          { instanceId: 'replica-a', role: 'follower', self: true }
+        ]
+      });
+    });
+
+    it('should report no leader when the lease expired', async () => {
+      mockDb.findOne.mockResolvedValue({ holder: 'replica-b', expiresAt: new Date(Date.now() - 1000) });
+
+      expect((await election.getClusterStatus()).leader).toBeNull();
+    });
+  });
+});
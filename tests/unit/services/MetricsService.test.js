@@ -0,0 +1,124 @@
+/**
+ * Unit tests for MetricsService
+ */
+
+const EventEmitter = require('events');
+const { Timestamp } = require('mongodb');
+const MetricsService = require('../../../src/services/MetricsService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('MetricsService', () => {
+  let service;
+  let services;
+
+  beforeEach(() => {
+    const pipeline = new EventEmitter();
+    pipeline.stats = {
+      processedEvents: 4,
+      droppedEvents: 1,
+      duplicateEvents: 0,
+      failedEvents: 0,
+      stages: { delivery: { count: 3, errors: 1, totalTime: 1500 } }
+    };
+
+    const changeStream = new EventEmitter();
+    changeStream.stats = { eventsByType: { insert: 3, update: 2 } };
+    changeStream.isActive = () => true;
+
+    services = {
+      pipeline,
+      changeStream,
+      deliveryQueue: {
+        priorities: { HIGH: 1, MEDIUM: 2, LOW: 3 },
+        getQueueStatus: () => ({ queueSizes: { 1: 2, 2: 5 }, waiting: 1, processing: 3, deadLetterQueue: 4 })
+      },
+      circuitBreaker: {
+        circuitBreakers: new Map([['webhook-1', { state: 'OPEN' }]]),
+        stats: { circuitOpenCount: 2, circuitHalfOpenCount: 1, circuitCloseCount: 1 }
+      },
+      rateLimit: {
+        rateLimitStats: { limitsByWebhook: { 'webhook-1': { allowed: 10, blocked: 2, total: 12 } } }
+      }
+    };
+
+    service = new MetricsService({ metrics: { port: 0 }, server: { host: '127.0.0.1' } }, services);
+  });
+
+  afterEach(async () => {
+    await service.stop();
+  });
+
+  it('should count deliveries by webhook, event type and status code', async () => {
+    await service.start();
+
+    const delivery = { webhook: { _id: 'webhook-1' }, payload: { event: 'issue.created' } };
+    services.pipeline.emit('delivery-attempted', delivery, { success: true, statusCode: 200, responseTime: 120 });
+    services.pipeline.emit('delivery-attempted', delivery, { success: false, statusCode: 503, responseTime: 30 });
+    services.pipeline.emit('delivery-attempted', delivery, { success: false, statusCode: null, errorType: 'EGRESS_BLOCKED' });
+
+    const metrics = await service.registry.render();
+
+    expect(metrics).toContain('huly_webhook_deliveries_total{webhook="webhook-1",event_type="issue.created",status_code="200",result="success"} 1');
+    expect(metrics).toContain('huly_webhook_deliveries_total{webhook="webhook-1",event_type="issue.created",status_code="503",result="failure"} 1');
+    expect(metrics).toContain('huly_webhook_deliveries_total{webhook="webhook-1",event_type="issue.created",status_code="none",result="failure"} 1');
+    expect(metrics).toContain('huly_webhook_delivery_duration_seconds_bucket{webhook="webhook-1",event_type="issue.created",status_code="200",le="0.25"} 1');
+    expect(metrics).toContain('huly_webhook_delivery_duration_seconds_count{webhook="webhook-1",event_type="issue.created",status_code="503"} 1');
+  });
+
+  it('should export queue depth, circuit states, rate limits and pipeline totals', async () => {
+    services.pipeline.emit('event-processed', {}, {
+      eventType: 'issue.updated',
+      deliveries: [{ outcome: 'queued' }, { outcome: 'filtered' }, { outcome: 'queued' }]
+    });
+    await service.start();
+    services.pipeline.emit('event-processed', {}, {
+      eventType: 'issue.updated',
+      deliveries: [{ outcome: 'queued' }, { outcome: 'filtered' }, { outcome: 'queued' }]
+    });
+
+    const metrics = await service.registry.render();
+
+    expect(metrics).toContain('huly_webhook_event_deliveries_total{event_type="issue.updated",outcome="queued"} 2');
+    expect(metrics).toContain('huly_webhook_pipeline_events_total{outcome="processed"} 4');
+    expect(metrics).toContain('huly_webhook_pipeline_stage_duration_seconds_total{stage="delivery"} 1.5');
+    expect(metrics).toContain('huly_webhook_queue_depth{priority="high"} 2');
+    expect(metrics).toContain('huly_webhook_queue_depth{priority="medium"} 5');
+    expect(metrics).toContain('huly_webhook_queue_depth{priority="low"} 0');
+    expect(metrics).toContain('huly_webhook_dead_letter_queue_size 4');
+    expect(metrics).toContain('huly_webhook_circuit_breaker_state{webhook="webhook-1",state="OPEN"} 1');
+    expect(metrics).toContain('huly_webhook_circuit_breaker_state{webhook="webhook-1",state="CLOSED"} 0');
+    expect(metrics).toContain('huly_webhook_rate_limit_checks_total{webhook="webhook-1",result="blocked"} 2');
+    expect(metrics).toContain('huly_webhook_change_stream_events_total{operation="insert"} 3');
+    expect(metrics).toContain('huly_webhook_change_stream_running 1');
+  });
+
+  it('should measure the change stream lag from the cluster time', async () => {
+    await service.start();
+
+    const clusterTime = Math.floor(Date.now() / 1000) - 30;
+    services.changeStream.emit('change', { operationType: 'insert', clusterTime: new Timestamp({ t: clusterTime, i: 1 }) });
+
+    expect(service.changeStreamLastEvent.values.get('[]')).toBe(clusterTime);
+    expect(service.changeStreamLag.values.get('[]')).toBeGreaterThanOrEqual(30);
+    expect(service.changeStreamLag.values.get('[]')).toBeLessThan(32);
+  });
+
+  it('should serve metrics over HTTP', async () => {
+    await service.start();
+    const { port } = service.server.address();
+
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(await response.text()).toContain('# TYPE huly_webhook_deliveries_total counter');
+
+    expect((await fetch(`http://127.0.0.1:${port}/`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for OAuthTokenService
+ */
+
+const OAuthTokenService = require('../../../src/services/OAuthTokenService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('OAuthTokenService', () => {
+  let service;
+
+  const auth = {
+    type: 'oauth2_client_credentials',
+    tokenUrl: 'https://auth.example.com/token',
+    clientId: 'huly',
+    clientSecret: 'client-secret',
+    scopes: ['webhooks:write', 'events:read']
+  };
+
+  const tokenResponse = (body, statusCode = 200) => ({ statusCode, body: JSON.stringify(body) });
+
+  beforeEach(() => {
+    service = new OAuthTokenService({ delivery: { oauth: { refreshMargin: 60000 } } });
+    jest.spyOn(service, 'postForm').mockResolvedValue(tokenResponse({ access_token: 'token-1', expires_in: 3600 }));
+  });
+
+  describe('getToken', () => {
+    it('should request a token with the client credentials grant', async () => {
+      await expect(service.getToken(auth)).resolves.toBe('token-1');
+
+      const [url, body, headers] = service.postForm.mock.calls[0];
+      expect(url).toBe('https://auth.example.com/token');
+      expect(Object.fromEntries(new URLSearchParams(body))).toEqual({
+        grant_type: 'client_credentials',
+        scope: 'webhooks:write events:read'
+      });
+      expect(headers.Authorization).toBe(`Basic ${Buffer.from('huly:client-secret').toString('base64')}`);
+    });
+
+    it('should send the credentials in the form for client_secret_post', async () => {
+      await service.getToken({ ...auth, clientAuthMethod: 'client_secret_post', audience: 'https://api.example.com' });
+
+      const [, body, headers] = service.postForm.mock.calls[0];
+      expect(Object.fromEntries(new URLSearchParams(body))).toMatchObject({
+        client_id: 'huly',
+        client_secret: 'client-secret',
+        audience: 'https://api.example.com'
+      });
+      expect(headers.Authorization).toBeUndefined();
+    });
+
+    it('should reuse the token until it is about to expire', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await service.getToken(auth);
+
+      Date.now.mockReturnValue(now + 3500 * 1000);
+      await expect(service.getToken(auth)).resolves.toBe('token-1');
+      expect(service.postForm).toHaveBeenCalledTimes(1);
+
+      service.postForm.mockResolvedValue(tokenResponse({ access_token: 'token-2', expires_in: 3600 }));
+      Date.now.mockReturnValue(now + 3550 * 1000);
+      await expect(service.getToken(auth)).resolves.toBe('token-2');
+    });
+
+    it('should share one request between concurrent deliveries', async () => {
+      const tokens = await Promise.all([service.getToken(auth), service.getToken(auth), service.getToken(auth)]);
+
+      expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+      expect(service.postForm).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fetch a new token when the client secret changed', async () => {
+      await service.getToken(auth);
+      await service.getToken({ ...auth, clientSecret: 'rotated-secret' });
+
+      expect(service.postForm).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fetch a new token after it was invalidated', async () => {
+      await service.getToken(auth);
+      service.invalidate(auth);
+      await service.getToken(auth);
+
+      expect(service.postForm).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('token fetch failures', () => {
+    it('should retry token endpoint server errors', async () => {
+      service.postForm.mockResolvedValue(tokenResponse({ error: 'temporarily_unavailable' }, 503));
+
+      await expect(service.getToken(auth)).rejects.toMatchObject({
+        code: 'TOKEN_FETCH_FAILED',
+        tokenEndpointStatus: 503,
+        retryable: true
+      });
+    });
+
+    it('should not retry rejected client credentials', async () => {
+      service.postForm.mockResolvedValue(tokenResponse({ error: 'invalid_client' }, 401));
+
+      await expect(service.getToken(auth)).rejects.toMatchObject({
+        code: 'TOKEN_FETCH_FAILED',
+        message: 'Token endpoint https://auth.example.com/token returned HTTP 401',
+        retryable: false
+      });
+      expect(service.stats.failures).toBe(1);
+    });
+
+    it('should retry network errors', async () => {
+      service.postForm.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(service.getToken(auth)).rejects.toMatchObject({
+        code: 'TOKEN_FETCH_FAILED',
+        tokenEndpointStatus: null,
+        retryable: true
+      });
+    });
+
+    it('should reject responses without an access token', async () => {
+      service.postForm.mockResolvedValue({ statusCode: 200, body: '<html></html>' });
+
+      await expect(service.getToken(auth)).rejects.toMatchObject({ code: 'TOKEN_FETCH_FAILED', retryable: false });
+    });
+  });
+});
@@ -0,0 +1,389 @@
+/**
+ * Unit tests for PersistentDeliveryQueueService
+ */
+
+const PersistentDeliveryQueueService = require('../../../src/services/PersistentDeliveryQueueService');
+const logger = require('../../../src/utils/logger');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('PersistentDeliveryQueueService', () => {
+  let queue;
+  let mockDb;
+
+  const delivery = {
+    id: 'delivery-1',
+    webhook: { _id: 'webhook-1', url: 'https://example.com/hook' },
+    payload: { id: 'event-1', type: 'issue.created' },
+    url: 'https://example.com/hook'
+  };
+
+  const storedJob = (overrides = {}) => ({
+    _id: 'delivery-1',
+    ...delivery,
+    priority: 2,
+    attempts: 0,
+    maxAttempts: 3,
+    scheduledFor: new Date(),
+    status: 'processing',
+    leaseOwner: queue.workerId,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      insertOne: jest.fn().mockResolvedValue({}),
+      findOneAndUpdate: jest.fn().mockResolvedValue(null),
+      findOneAndDelete: jest.fn().mockResolvedValue(null),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+      updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+      deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+      countDocuments: jest.fn().mockResolvedValue(0),
+      findOne: jest.fn().mockResolvedValue(null),
+      find: jest.fn().mockResolvedValue({ documents: [] }),
+      aggregate: jest.fn().mockResolvedValue([])
+    };
+
+    queue = new PersistentDeliveryQueueService({ queue: { visibilityTimeout: 90000 } }, mockDb);
+  });
+
+  afterEach(async () => {
+    if (queue.isRunning) {
+      queue.waitForProcessingToComplete = jest.fn().mockResolvedValue();
+      await queue.stop();
+    }
+  });
+
+  describe('addDelivery', () => {
+    it('should store queued deliveries keyed by their ID', async () => {
+      const deliveryId = await queue.addDelivery(delivery, 'HIGH');
+
+      expect(deliveryId).toBe('delivery-1');
+      expect(mockDb.insertOne).toHaveBeenCalledWith('delivery_queue', expect.objectContaining({
+        _id: 'delivery-1',
+        status: 'queued',
+        priority: 1,
+        attempts: 0,
+        leaseOwner: null
+      }));
+      expect(queue.getTotalQueueSize()).toBe(1);
+    });
+
+    it('should reject deliveries beyond the queue capacity', async () => {
+      queue.maxQueueSize = 1;
+      queue.counts.queued = 1;
+
+      await expect(queue.addDelivery(delivery)).rejects.toThrow('Queue capacity exceeded');
+      expect(mockDb.insertOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNextDelivery', () => {
+    it('should lease the most urgent due delivery to this worker', async () => {
+      mockDb.findOneAndUpdate.mockResolvedValue(storedJob());
+
+      const next = await queue.getNextDelivery();
+
+      expect(next).toMatchObject({ id: 'delivery-1', status: 'processing' });
+      expect(next._id).toBeUndefined();
+
+      const [collection, filter, update, options] = mockDb.findOneAndUpdate.mock.calls[0];
+      expect(collection).toBe('delivery_queue');
+      expect(filter).toEqual({ status: 'queued', scheduledFor: { $lte: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ status: 'processing', leaseOwner: queue.workerId });
+      expect(update.$set.leaseExpiresAt.getTime() - filter.scheduledFor.$lte.getTime()).toBe(90000);
+      expect(update.$inc).toEqual({ leases: 1, attempts: 1 });
+      expect(options).toMatchObject({ sort: { priority: 1, scheduledFor: 1 } });
+    });
+
+    it('should return null when nothing is due', async () => {
+      expect(await queue.getNextDelivery()).toBeNull();
+    });
+  });
+
+  describe('processing', () => {
+    it('should acknowledge delivered jobs under its lease', async () => {
+      mockDb.findOneAndUpdate.mockResolvedValueOnce(storedJob());
+      queue.isRunning = true;
+      queue.on('delivery-attempt', (_delivery, callback) => callback({ success: true }));
+
+      const completed = jest.fn();
+      queue.on('delivery-completed', completed);
+
+      await queue.processNextDelivery();
+
+      expect(mockDb.deleteOne).toHaveBeenCalledWith('delivery_queue', { _id: 'delivery-1', leaseOwner: queue.workerId });
+      expect(completed).toHaveBeenCalled();
+      expect(queue.processing.size).toBe(0);
+    });
+
+    it('should release failed jobs with a new schedule', async () => {
+      // The lease counted the first attempt
+      mockDb.findOneAndUpdate.mockResolvedValueOnce(storedJob({ attempts: 1 }));
+      queue.isRunning = true;
+      queue.on('delivery-attempt', (_delivery, callback) => callback({ success: false, error: 'HTTP 500' }));
+
+      await queue.processNextDelivery();
+
+      const [, filter, update] = mockDb.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'delivery-1', leaseOwner: queue.workerId });
+      expect(update.$set).toMatchObject({ status: 'queued', attempts: 1, lastError: 'HTTP 500', leaseOwner: null });
+      expect(update.$set.scheduledFor.getTime()).toBeGreaterThan(Date.now());
+      expect(mockDb.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter jobs that ran out of attempts', async () => {
+      mockDb.findOneAndUpdate.mockResolvedValueOnce(storedJob({ attempts: 3 }));
+      queue.isRunning = true;
+      queue.on('delivery-attempt', (_delivery, callback) => callback({ success: false, error: 'HTTP 500' }));
+
+      const deadLettered = jest.fn();
+      queue.on('delivery-dead-lettered', deadLettered);
+
+      await queue.processNextDelivery();
+
+      expect(mockDb.updateOne.mock.calls[0][2].$set).toMatchObject({ status: 'dead-lettered', attempts: 3 });
+      expect(deadLettered).toHaveBeenCalledWith(expect.objectContaining({ id: 'delivery-1' }), expect.any(Object));
+    });
+  });
+
+  describe('leases', () => {
+    it('should warn when a lease can expire before the delivery attempt times out', () => {
+      const shortLeases = new PersistentDeliveryQueueService({ queue: { visibilityTimeout: 60000 } }, mockDb);
+
+      expect(shortLeases.attemptTimeout).toBe(65000);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('QUEUE_VISIBILITY_TIMEOUT_MS (60000) should exceed'));
+    });
+
+    it('should return expired leases to the queue', async () => {
+      mockDb.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      expect(await queue.reclaimExpiredLeases()).toBe(2);
+
+      expect(mockDb.updateMany).toHaveBeenCalledWith(
+        'delivery_queue',
+        { status: 'processing', leaseExpiresAt: { $lte: expect.any(Date) } },
+        { $set: { status: 'queued', leaseOwner: null, leaseExpiresAt: null } }
+      );
+      expect(queue.getDeliveryStats().totalReclaimed).toBe(2);
+    });
+
+    it('should dead-letter jobs whose lease expired on their last attempt', async () => {
+      const crashed = storedJob({ attempts: 3, leases: 3, leaseOwner: 'stopped-worker' });
+      const interrupted = storedJob({ _id: 'delivery-2', id: 'delivery-2', attempts: 1, leases: 1, leaseOwner: 'stopped-worker' });
+      mockDb.find.mockResolvedValue({ documents: [crashed, interrupted] });
+      mockDb.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      mockDb.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const deadLettered = jest.fn();
+      queue.on('delivery-dead-lettered', deadLettered);
+
+      expect(await queue.reclaimExpiredLeases()).toBe(1);
+
+      expect(mockDb.updateOne).toHaveBeenCalledTimes(1);
+      const [, filter, update] = mockDb.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'delivery-1', status: 'processing', leaseExpiresAt: { $lte: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ status: 'dead-lettered', leaseOwner: null, lastError: 'Delivery lease expired after 3 attempts' });
+      expect(deadLettered).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'delivery-1', status: 'dead-lettered' }),
+        { error: 'Delivery lease expired after 3 attempts' }
+      );
+      expect(queue.getQueueStatus().deadLetterQueue).toBe(1);
+    });
+
+    it('should re-claim abandoned leases and load counts on start', async () => {
+      mockDb.aggregate.mockResolvedValue([
+        { _id: { status: 'queued', priority: 1 }, count: 4 },
+        { _id: { status: 'queued', priority: 3 }, count: 1 },
+        { _id: { status: 'dead-lettered', priority: 2 }, count: 2 }
+      ]);
+
+      await queue.start();
+
+      expect(mockDb.createIndexes).toHaveBeenCalledWith('delivery_queue', expect.any(Array));
+      expect(mockDb.updateMany).toHaveBeenCalled();
+      expect(queue.getQueueStatus()).toMatchObject({
+        persistent: true,
+        totalQueued: 5,
+        deadLetterQueue: 2,
+        queueSizes: { 1: 4, 3: 1 }
+      });
+    });
+  });
+
+  describe('ordered deliveries', () => {
+    const orderedDelivery = {
+      ...delivery,
+      orderingKey: 'webhook-1:issues:issue-1',
+      metadata: { webhookId: 'webhook-1' }
+    };
+
+    it('should store ordered deliveries as waiting and promote the earliest to head', async () => {
+      mockDb.findOne.mockResolvedValue({ _id: 'delivery-1', status: 'waiting' });
+      mockDb.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await queue.addDelivery(orderedDelivery);
+
+      expect(mockDb.insertOne.mock.calls[0][1]).toMatchObject({ status: 'waiting', orderingKey: 'webhook-1:issues:issue-1' });
+      expect(mockDb.findOne).toHaveBeenCalledWith(
+        'delivery_queue',
+        { orderingKey: 'webhook-1:issues:issue-1', status: 'waiting' },
+        { sort: { sequence: 1 } }
+      );
+      expect(mockDb.updateOne).toHaveBeenCalledWith(
+        'delivery_queue',
+        { _id: 'delivery-1', status: 'waiting' },
+        { $set: { status: 'queued', head: true } }
+      );
+      expect(queue.getQueueStatus()).toMatchObject({ totalQueued: 1, waiting: 0 });
+    });
+
+    it('should keep deliveries waiting while their key has a head', async () => {
+      mockDb.findOne.mockResolvedValue({ _id: 'delivery-2', status: 'waiting' });
+      mockDb.updateOne.mockRejectedValue(Object.assign(new Error('Duplicate value'), { code: 'CONFLICT' }));
+
+      await queue.addDelivery({ ...orderedDelivery, id: 'delivery-2' });
+
+      expect(queue.getQueueStatus()).toMatchObject({ totalQueued: 1, waiting: 1 });
+    });
+
+    it('should replace a dead-lettered head re-sent with its sequence', async () => {
+      mockDb.deleteMany.mockResolvedValue({ deletedCount: 1 });
+
+      await queue.addDelivery({
+        ...orderedDelivery,
+        id: 'delivery-3',
+        sequence: 42,
+        metadata: { webhookId: 'webhook-1', originalDeliveryId: 'delivery-1' }
+      });
+
+      expect(mockDb.deleteMany).toHaveBeenCalledWith('delivery_queue', {
+        orderingKey: 'webhook-1:issues:issue-1',
+        sequence: 42,
+        status: 'dead-lettered'
+      });
+    });
+
+    it('should promote the next delivery once the head was delivered', async () => {
+      mockDb.findOneAndUpdate.mockResolvedValueOnce(storedJob({ orderingKey: 'webhook-1:issues:issue-1', head: true }));
+      mockDb.findOne.mockResolvedValue({ _id: 'delivery-2', status: 'waiting' });
+      queue.isRunning = true;
+      queue.on('delivery-attempt', (_delivery, callback) => callback({ success: true }));
+
+      await queue.processNextDelivery();
+
+      expect(mockDb.deleteOne).toHaveBeenCalled();
+      expect(mockDb.updateOne).toHaveBeenCalledWith(
+        'delivery_queue',
+        { _id: 'delivery-2', status: 'waiting' },
+        { $set: { status: 'queued', head: true } }
+      );
+    });
+
+    it('should skip a blocking dead-lettered head', async () => {
+      mockDb.findOneAndDelete.mockResolvedValue(storedJob({
+        status: 'dead-lettered',
+        orderingKey: 'webhook-1:issues:issue-1',
+        head: true
+      }));
+
+      expect(await queue.skipBlockedDelivery('delivery-1')).toBe(true);
+
+      expect(mockDb.findOneAndDelete).toHaveBeenCalledWith('delivery_queue', {
+        _id: 'delivery-1',
+        status: 'dead-lettered',
+        head: true
+      });
+      expect(mockDb.findOne).toHaveBeenCalledWith(
+        'delivery_queue',
+        { orderingKey: 'webhook-1:issues:issue-1', status: 'waiting' },
+        { sort: { sequence: 1 } }
+      );
+    });
+
+    it('should report failing heads with the deliveries waiting behind them', async () => {
+      mockDb.find.mockResolvedValue({
+        documents: [storedJob({
+          status: 'dead-lettered',
+          orderingKey: 'webhook-1:issues:issue-1',
+          head: true,
+          attempts: 3,
+          lastError: 'HTTP 500',
+          metadata: { webhookId: 'webhook-1', eventId: 'event-1' }
+        })]
+      });
+      mockDb.aggregate.mockResolvedValue([{ _id: 'webhook-1:issues:issue-1', count: 4 }]);
+
+      const keys = await queue.getOrderingStatus('webhook-1');
+
+      expect(mockDb.find.mock.calls[0][1]).toEqual({
+        'metadata.webhookId': 'webhook-1',
+        head: true,
+        lastError: { $ne: null }
+      });
+      expect(keys).toEqual([expect.objectContaining({
+        key: 'webhook-1:issues:issue-1',
+        state: 'blocked',
+        waiting: 4,
+        head: expect.objectContaining({ deliveryId: 'delivery-1', eventId: 'event-1', attempts: 3 })
+      })]);
+    });
+  });
+
+  describe('batched deliveries', () => {
+    const batch = { key: 'webhook-1', size: 10, timeout: 5000 };
+
+    it('should make a batched delivery due once its batch is full', async () => {
+      mockDb.countDocuments.mockResolvedValue(9);
+
+      await queue.addDelivery({ ...delivery, batch });
+
+      expect(mockDb.countDocuments).toHaveBeenCalledWith('delivery_queue', { 'batch.key': 'webhook-1', status: 'queued', attempts: 0 });
+      expect(mockDb.insertOne.mock.calls[0][1].scheduledFor.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should lease the earliest unattempted deliveries of the batch', async () => {
+      mockDb.find
+        .mockResolvedValueOnce({ documents: [{ _id: 'delivery-2' }, { _id: 'delivery-3' }] })
+        .mockResolvedValueOnce({ documents: [storedJob({ _id: 'delivery-2', id: 'delivery-2', batch })] });
+      mockDb.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const companions = await queue.claimBatchCompanions({ id: 'delivery-1', batch });
+
+      expect(mockDb.find.mock.calls[0][2]).toMatchObject({ sort: { sequence: 1 }, limit: 9 });
+      const [, filter, update] = mockDb.updateMany.mock.calls[0];
+      expect(filter).toEqual({ _id: { $in: ['delivery-2', 'delivery-3'] }, status: 'queued' });
+      expect(update.$set).toMatchObject({ status: 'processing', leaseOwner: queue.workerId, batchId: expect.any(String) });
+      expect(mockDb.find.mock.calls[1][1]).toEqual({
+        batchId: update.$set.batchId,
+        leaseOwner: queue.workerId,
+        status: 'processing'
+      });
+      expect(companions.map(companion => companion.id)).toEqual(['delivery-2']);
+    });
+  });
+
+  describe('dead letters', () => {
+    it('should requeue dead-lettered deliveries', async () => {
+      mockDb.findOneAndUpdate.mockResolvedValue(storedJob({ status: 'queued' }));
+
+      expect(await queue.retryDeadLetteredDelivery('delivery-1')).toBe(true);
+
+      const [, filter, update] = mockDb.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'delivery-1', status: 'dead-lettered' });
+      expect(update.$set).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+
+    it('should report unknown dead-lettered deliveries', async () => {
+      expect(await queue.retryDeadLetteredDelivery('missing')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for SigningKeyService
+ */
+
+const SigningKeyService = require('../../../src/services/SigningKeyService');
+const EncryptionService = require('../../../src/services/EncryptionService');
+const CryptoUtils = require('../../../src/utils/crypto');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SigningKeyService', () => {
+  let service;
+  let mockDb;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    mockDb = {
+      createIndexes: jest.fn().mockResolvedValue([]),
+      find: jest.fn(async () => ({
+        documents: stored
+          .filter(key => !key.expiresAt || key.expiresAt > new Date())
+          .sort((a, b) => a.activatesAt - b.activatesAt)
+      })),
+      insertOne: jest.fn(async (collection, key) => {
+        stored.push(key);
+        return key;
+      }),
+      updateOne: jest.fn(async (collection, filter, update) => {
+        Object.assign(stored.find(key => key._id === filter._id), update.$set);
+        return { matchedCount: 1 };
+      })
+    };
+
+    service = new SigningKeyService({
+      signing: { rotationInterval: 30 * DAY, publishAhead: DAY, retention: 7 * DAY }
+    }, mockDb, new EncryptionService({ encryption: { key: 'k'.repeat(32) } }));
+  });
+
+  afterEach(async () => {
+    await service.stop();
+  });
+
+  describe('start', () => {
+    it('should create the first key with its private half encrypted', async () => {
+      await service.start();
+
+      expect(stored).toHaveLength(1);
+      expect(stored[0]).toMatchObject({ algorithm: 'EdDSA', previousKid: null, expiresAt: null });
+      expect(stored[0].privateKey).toMatch(/^enc:v1:/);
+      expect(stored[0].encryption.keyId).toBe(service.encryption.currentKeyId);
+      expect(service.getCurrentKey()._id).toBe(stored[0]._id);
+    });
+
+    it('should reuse an existing key', async () => {
+      await service.createKey(new Date(Date.now() - DAY), null);
+      mockDb.insertOne.mockClear();
+
+      await service.start();
+
+      expect(mockDb.insertOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateIfDue', () => {
+    it('should publish the successor ahead of time and schedule the old key to expire', async () => {
+      const current = await service.createKey(new Date(Date.now() - 29.5 * DAY), null);
+
+      await service.rotateIfDue();
+
+      expect(stored).toHaveLength(2);
+      const next = stored[1];
+      expect(next.previousKid).toBe(current._id);
+      expect(next.activatesAt.getTime()).toBeGreaterThanOrEqual(current.activatesAt.getTime() + 30 * DAY);
+      expect(current.expiresAt.getTime()).toBe(next.activatesAt.getTime() + 7 * DAY);
+
+      // The old key keeps signing until the successor activates, both are published
+      expect(service.getCurrentKey()._id).toBe(current._id);
+      expect(service.getJwks().keys.map(key => key.kid)).toEqual([current._id, next._id]);
+    });
+
+    it('should delay an overdue successor until receivers could fetch it', async () => {
+      await service.createKey(new Date(Date.now() - 60 * DAY), null);
+
+      await service.rotateIfDue();
+
+      expect(stored[1].activatesAt.getTime()).toBeGreaterThanOrEqual(Date.now() + DAY - 1000);
+    });
+
+    it('should leave the rotation to the replica that created the successor first', async () => {
+      await service.createKey(new Date(Date.now() - 29.5 * DAY), null);
+      mockDb.insertOne.mockRejectedValue(Object.assign(new Error('Duplicate value for previousKid'), { code: 'CONFLICT' }));
+
+      await expect(service.rotateIfDue()).resolves.toBeUndefined();
+      expect(mockDb.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sign', () => {
+    it('should sign with the current key so the JWKS verifies it', async () => {
+      await service.start();
+
+      const { kid, signature } = service.sign('msg_1.1700000000.{}');
+      const jwk = service.getJwks().keys.find(key => key.kid === kid);
+
+      expect(jwk).toMatchObject({ kty: 'OKP', crv: 'Ed25519', use: 'sig', alg: 'EdDSA' });
+      expect(CryptoUtils.verifyEd25519('msg_1.1700000000.{}', signature, jwk)).toBe(true);
+      expect(CryptoUtils.verifyEd25519('msg_1.1700000001.{}', signature, jwk)).toBe(false);
+    });
+
+    it('should refuse to sign without a key', () => {
+      expect(() => service.sign('content')).toThrow('No signing key is available');
+    });
+  });
+});
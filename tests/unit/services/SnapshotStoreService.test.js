@@ -0,0 +1,82 @@
+/**
+ * Unit tests for SnapshotStoreService
+ */
+
+const SnapshotStoreService = require('../../../src/services/SnapshotStoreService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('SnapshotStoreService', () => {
+  let store;
+
+  const changeEvent = (operationType, id, fullDocument, extra = {}) => ({
+    operationType,
+    ns: { db: 'huly', coll: 'issues' },
+    documentKey: { _id: id },
+    fullDocument,
+    ...extra
+  });
+
+  beforeEach(() => {
+    store = new SnapshotStoreService({ events: { snapshots: { maxEntries: 2 } } });
+  });
+
+  it('should attach the last seen document as pre-image', () => {
+    store.attachPreImage(changeEvent('insert', 'issue-1', { _id: 'issue-1', status: 'Backlog' }));
+
+    const result = store.attachPreImage(changeEvent('update', 'issue-1', { _id: 'issue-1', status: 'Done' }));
+
+    expect(result.fullDocumentBeforeChange).toEqual({ _id: 'issue-1', status: 'Backlog' });
+    expect(result.preImageSource).toBe('snapshot');
+    expect(store.getStats()).toMatchObject({ hits: 1, size: 1 });
+  });
+
+  it('should prefer change stream pre-images', () => {
+    store.attachPreImage(changeEvent('insert', 'issue-1', { _id: 'issue-1', status: 'Backlog' }));
+
+    const result = store.attachPreImage(changeEvent('update', 'issue-1', { _id: 'issue-1', status: 'Done' }, {
+      fullDocumentBeforeChange: { _id: 'issue-1', status: 'Todo' }
+    }));
+
+    expect(result.fullDocumentBeforeChange.status).toBe('Todo');
+    expect(result.preImageSource).toBe('changeStream');
+  });
+
+  it('should count misses for unseen documents', () => {
+    const event = changeEvent('update', 'issue-1', { _id: 'issue-1', status: 'Done' });
+
+    expect(store.attachPreImage(event)).toBe(event);
+    expect(store.getStats().misses).toBe(1);
+  });
+
+  it('should forget deleted documents', () => {
+    store.attachPreImage(changeEvent('insert', 'issue-1', { _id: 'issue-1' }));
+    store.attachPreImage(changeEvent('delete', 'issue-1'));
+
+    expect(store.getStats().size).toBe(0);
+  });
+
+  it('should evict the least recently used snapshots', () => {
+    store.attachPreImage(changeEvent('insert', 'issue-1', { _id: 'issue-1' }));
+    store.attachPreImage(changeEvent('insert', 'issue-2', { _id: 'issue-2' }));
+    store.get(store.getKey(changeEvent('update', 'issue-1')));
+    store.attachPreImage(changeEvent('insert', 'issue-3', { _id: 'issue-3' }));
+
+    expect(store.get('huly.issues:issue-1')).not.toBeNull();
+    expect(store.get('huly.issues:issue-2')).toBeNull();
+    expect(store.getStats().evictions).toBe(1);
+  });
+
+  it('should leave decoded Huly transactions alone', () => {
+    const event = changeEvent('update', 'issue-1', { _id: 'issue-1' }, { huly: { changes: {} } });
+
+    expect(store.attachPreImage(event)).toBe(event);
+    expect(store.getStats().size).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for TracingService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { trace, context, propagation } = require('@opentelemetry/api');
+const TracingService = require('../../../src/services/TracingService');
+const Tracing = require('../../../src/utils/tracing');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('TracingService', () => {
+  let dir;
+  let filePath;
+  let service;
+
+  const readSpans = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-'));
+    filePath = path.join(dir, 'traces.jsonl');
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    trace.disable();
+    context.disable();
+    propagation.disable();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write finished spans to the file exporter', async () => {
+    service = new TracingService({ tracing: { exporter: 'file', filePath, sampleRatio: 1 } });
+    service.start();
+
+    await Tracing.withSpan('change_stream.event', { attributes: { 'db.collection.name': 'tx' } }, () =>
+      Tracing.withSpan('pipeline.detection', {}, async () => {})
+    );
+    await service.stop();
+
+    const [detection, event] = readSpans();
+    expect(event).toEqual(expect.objectContaining({ name: 'change_stream.event', attributes: { 'db.collection.name': 'tx' } }));
+    expect(detection.traceId).toBe(event.traceId);
+    expect(detection.parentSpanId).toBe(event.spanId);
+  });
+
+  it('should not record spans of unsampled traces', async () => {
+    service = new TracingService({ tracing: { exporter: 'file', filePath, sampleRatio: 0 } });
+    service.start();
+
+    const carrier = await Tracing.withSpan('change_stream.event', {}, async () => Tracing.getTraceContext());
+    await service.stop();
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(carrier.traceparent).toMatch(/-00$/);
+  });
+
+  it('should describe where spans are exported', () => {
+    service = new TracingService({ tracing: { exporter: 'otlp', endpoint: 'http://collector:4318' } });
+    expect(service.describeExporter()).toBe('http://collector:4318');
+
+    service = new TracingService({ tracing: { exporter: 'otlp' } });
+    expect(service.describeExporter()).toBe('the default OTLP endpoint');
+
+    service = new TracingService({ tracing: { exporter: 'console' } });
+    expect(service.describeExporter()).toBe('the console');
+  });
+});
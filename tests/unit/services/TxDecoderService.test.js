@@ -0,0 +1,232 @@
+/**
+ * Unit tests for TxDecoderService
+ */
+
+const TxDecoderService = require('../../../src/services/TxDecoderService');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('TxDecoderService', () => {
+  let decoder;
+  let mockDb;
+
+  const txEvent = (fullDocument) => ({
+    _id: { _data: 'resume-token-1' },
+    operationType: 'insert',
+    ns: { db: 'huly', coll: 'tx' },
+    documentKey: { _id: fullDocument._id },
+    fullDocument
+  });
+
+  const updateIssue = (operations) => txEvent({
+    _id: 'tx-2',
+    _class: 'core:class:TxUpdateDoc',
+    objectId: 'issue-1',
+    objectClass: 'tracker:class:Issue',
+    objectSpace: 'project-1',
+    modifiedBy: 'user-1',
+    modifiedOn: 2000,
+    operations
+  });
+
+  beforeEach(() => {
+    mockDb = {
+      find: jest.fn().mockResolvedValue({ documents: [] })
+    };
+
+    decoder = new TxDecoderService({}, mockDb);
+  });
+
+  describe('decode', () => {
+    it('should ignore change events outside the tx collection', () => {
+      expect(decoder.isTransaction({ operationType: 'insert', ns: { coll: 'issues' }, fullDocument: {} })).toBe(false);
+      expect(decoder.decode({ operationType: 'insert', ns: { coll: 'issues' }, fullDocument: {} })).toBeNull();
+    });
+
+    it('should decode created issues', () => {
+      const decoded = decoder.decode(txEvent({
+        _id: 'tx-1',
+        _class: 'core:class:TxCreateDoc',
+        objectId: 'issue-1',
+        objectClass: 'tracker:class:Issue',
+        objectSpace: 'project-1',
+        attributes: { title: 'Bug', status: 'tracker:status:Backlog' }
+      }));
+
+      expect(decoded).toMatchObject({
+        eventType: 'issue.created',
+        entityType: 'issue',
+        operationType: 'insert',
+        objectId: 'issue-1',
+        attributes: { title: 'Bug' }
+      });
+    });
+
+    it('should derive status and assignment events from operations', () => {
+      expect(decoder.decode(updateIssue({ status: 'tracker:status:Done' })).eventType).toBe('issue.status_changed');
+      expect(decoder.decode(updateIssue({ assignee: 'user-2' })).eventType).toBe('issue.assigned');
+      expect(decoder.decode(updateIssue({ $push: { labels: 'bug' } })).eventType).toBe('issue.labels_changed');
+      expect(decoder.decode(updateIssue({ kind: 'task' })).eventType).toBe('issue.updated');
+    });
+
+    it('should emit archived events for archived projects', () => {
+      const decoded = decoder.decode(txEvent({
+        _id: 'tx-3',
+        _class: 'core:class:TxUpdateDoc',
+        objectId: 'project-1',
+        objectClass: 'tracker:class:Project',
+        operations: { archived: true }
+      }));
+
+      expect(decoded.eventType).toBe('project.archived');
+    });
+
+    it('should unwrap collection transactions', () => {
+      const decoded = decoder.decode(txEvent({
+        _id: 'tx-4',
+        _class: 'core:class:TxCollectionCUD',
+        objectId: 'issue-1',
+        objectClass: 'tracker:class:Issue',
+        collection: 'comments',
+        tx: {
+          _class: 'core:class:TxCreateDoc',
+          objectId: 'message-1',
+          objectClass: 'chunter:class:ChatMessage',
+          attributes: { message: '<p>Looks good</p>' }
+        }
+      }));
+
+      expect(decoded).toMatchObject({
+        eventType: 'comment.created',
+        objectId: 'message-1',
+        attachedTo: { id: 'issue-1', class: 'tracker:class:Issue', collection: 'comments' }
+      });
+    });
+
+    it('should keep the historical name for attached files', () => {
+      const decoded = decoder.decode(txEvent({
+        _id: 'tx-5',
+        _class: 'core:class:TxCreateDoc',
+        objectId: 'attachment-1',
+        objectClass: 'attachment:class:Attachment',
+        attachedTo: 'issue-1',
+        attachedToClass: 'tracker:class:Issue',
+        collection: 'attachments',
+        attributes: { name: 'screenshot.png' }
+      }));
+
+      expect(decoded.eventType).toBe('attachment.added');
+    });
+
+    it('should skip transactions for unmapped classes', () => {
+      expect(decoder.decode(txEvent({
+        _id: 'tx-6',
+        _class: 'core:class:TxCreateDoc',
+        objectClass: 'core:class:Status'
+      }))).toBeNull();
+    });
+  });
+
+  describe('decodeChangeEvent', () => {
+    it('should look up previous values from earlier transactions', async () => {
+      mockDb.find.mockResolvedValue({
+        documents: [{ _class: 'core:class:TxUpdateDoc', operations: { status: 'tracker:status:Todo' } }]
+      });
+
+      const domainEvent = await decoder.decodeChangeEvent(updateIssue({ status: 'tracker:status:Done' }));
+
+      expect(domainEvent).toMatchObject({
+        _id: { _data: 'resume-token-1' },
+        operationType: 'update',
+        ns: { db: 'huly', coll: 'tracker:class:Issue' },
+        documentKey: { _id: 'issue-1' },
+        fullDocument: { _id: 'issue-1', space: 'project-1', status: 'tracker:status:Done' },
+        updateDescription: { updatedFields: { status: 'tracker:status:Done' }, removedFields: [] },
+        huly: {
+          eventType: 'issue.status_changed',
+          entityType: 'issue',
+          changes: { status: { from: 'tracker:status:Todo', to: 'tracker:status:Done' } }
+        }
+      });
+
+      const [collection, filter, options] = mockDb.find.mock.calls[0];
+      expect(collection).toBe('tx');
+      expect(filter).toMatchObject({ _id: { $ne: 'tx-2' }, modifiedOn: { $lte: 2000 } });
+      expect(options).toEqual({ sort: { modifiedOn: -1 }, limit: 1 });
+    });
+
+    it('should read previous values from collection transactions and creations', async () => {
+      mockDb.find.mockResolvedValue({
+        documents: [{ _class: 'core:class:TxCollectionCUD', tx: { attributes: { assignee: 'user-1' } } }]
+      });
+
+      const domainEvent = await decoder.decodeChangeEvent(updateIssue({ assignee: 'user-2' }));
+
+      expect(domainEvent.huly.changes.assignee).toEqual({ from: 'user-1', to: 'user-2' });
+    });
+
+    it('should report null when a field was never set and keep going when the lookup fails', async () => {
+      mockDb.find
+        .mockResolvedValueOnce({ documents: [] })
+        .mockRejectedValueOnce(new Error('db down'));
+
+      const domainEvent = await decoder.decodeChangeEvent(updateIssue({ dueDate: 100, priority: 1 }));
+
+      expect(domainEvent.huly.changes).toEqual({
+        dueDate: { from: null, to: 100 },
+        priority: { from: undefined, to: 1 }
+      });
+      expect(decoder.getStats().totalLookupErrors).toBe(1);
+    });
+
+    it('should not look up previous values when disabled', async () => {
+      decoder = new TxDecoderService({ events: { txDecoder: { previousStateLookup: false } } }, mockDb);
+
+      await decoder.decodeChangeEvent(updateIssue({ status: 'tracker:status:Done' }));
+
+      expect(mockDb.find).not.toHaveBeenCalled();
+    });
+
+    it('should keep previous value lookups inside the workspace', async () => {
+      decoder = new TxDecoderService({ mongodb: { dbName: 'huly' }, workspaces: { field: 'workspaceId' } }, mockDb);
+
+      const domainEvent = await decoder.decodeChangeEvent({ ...updateIssue({ status: 'tracker:status:Done' }), workspace: 'team-a' });
+
+      expect(domainEvent.workspace).toBe('team-a');
+      expect(mockDb.find.mock.calls[0][1]).toMatchObject({ workspaceId: 'team-a' });
+
+      mockDb.find.mockClear();
+      const otherDatabase = updateIssue({ status: 'tracker:status:Done' });
+      otherDatabase.ns = { db: 'ws-team-b', coll: 'tx' };
+
+      await decoder.decodeChangeEvent(otherDatabase);
+
+      expect(mockDb.find).not.toHaveBeenCalled();
+    });
+
+    it('should build delete events without a document', async () => {
+      const domainEvent = await decoder.decodeChangeEvent(txEvent({
+        _id: 'tx-7',
+        _class: 'core:class:TxRemoveDoc',
+        objectId: 'issue-1',
+        objectClass: 'tracker:class:Issue'
+      }));
+
+      expect(domainEvent.operationType).toBe('delete');
+      expect(domainEvent.fullDocument).toBeUndefined();
+      expect(domainEvent.huly.eventType).toBe('issue.deleted');
+    });
+
+    it('should return other change events unchanged', async () => {
+      const changeEvent = { operationType: 'update', ns: { coll: 'issues' } };
+
+      expect(await decoder.decodeChangeEvent(changeEvent)).toBe(changeEvent);
+    });
+  });
+});
@@ -3,8 +3,12 @@
  */
 
 const crypto = require('crypto');
+const dns = require('dns');
 const { ObjectId } = require('mongodb');
 const WebhookService = require('../../../src/services/WebhookService');
+const EncryptionService = require('../../../src/services/EncryptionService');
+const EgressPolicy = require('../../../src/utils/egress');
+const logger = require('../../../src/utils/logger');
 const { createMockDatabaseService } = require('../../helpers/mockServices');
 const { 
   activeWebhook, 
@@ -61,6 +65,9 @@ describe('WebhookService', () => {
     mockObjectId = new ObjectId();
     mockDatabaseService.createObjectId.mockReturnValue(mockObjectId);
     
+    // Webhook hosts resolve to a public address
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
     // Initialize service
     service = new WebhookService(mockDatabaseService);
   });
@@ -174,6 +181,24 @@ describe('WebhookService', () => {
     });
   });
 
+  describe('getWebhookForDelivery', () => {
+    it('should return the webhook with its secret unmasked', async () => {
+      mockDatabaseService.findOne.mockResolvedValue(activeWebhook);
+
+      const result = await service.getWebhookForDelivery('507f1f77bcf86cd799439011');
+
+      expect(mockDatabaseService.findOne).toHaveBeenCalledWith('webhooks', { _id: mockObjectId });
+      expect(result.secret).toBe(activeWebhook.secret);
+    });
+
+    it('should throw NotFoundError if webhook does not exist', async () => {
+      mockDatabaseService.findOne.mockResolvedValue(null);
+
+      await expect(service.getWebhookForDelivery('507f1f77bcf86cd799439011'))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+
   describe('getWebhook', () => {
     it('should retrieve webhook by ID', async () => {
       mockDatabaseService.findOne.mockResolvedValue(activeWebhook);
@@ -242,6 +267,22 @@ describe('WebhookService', () => {
       expect(result.documents[0].active).toBe(true);
     });
 
+    it('should filter by URL, events and literal search text', async () => {
+      logger.timeStart.mockReturnValue({ end: jest.fn() });
+      mockDatabaseService.find.mockResolvedValue({ documents: [], total: 0, hasMore: false });
+
+      await service.listWebhooks({ url: 'https://example.com/hook', events: ['issue.created'], search: 'a.b' });
+
+      expect(mockDatabaseService.find).toHaveBeenCalledWith('webhooks', {
+        url: 'https://example.com/hook',
+        events: { $in: ['issue.created'] },
+        $or: [
+          { name: { $regex: 'a\\.b', $options: 'i' } },
+          { url: { $regex: 'a\\.b', $options: 'i' } }
+        ]
+      }, expect.any(Object));
+    });
+
     it('should support custom pagination options', async () => {
       const mockResult = {
         documents: [],
@@ -395,6 +436,18 @@ describe('WebhookService', () => {
       expect(result).toBe(true);
     });
 
+    it('should notify listeners that webhooks changed', async () => {
+      const listener = jest.fn();
+      service.on('webhooks-changed', listener);
+      logger.timeStart.mockReturnValue({ end: jest.fn() });
+      mockDatabaseService.findOne.mockResolvedValue(activeWebhook);
+      mockDatabaseService.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await service.deleteWebhook('507f1f77bcf86cd799439011');
+
+      expect(listener).toHaveBeenCalledWith({ action: 'deleted', webhookId: '507f1f77bcf86cd799439011' });
+    });
+
     it('should throw NotFoundError if webhook does not exist', async () => {
       mockDatabaseService.findOne.mockResolvedValue(null);
 
@@ -423,8 +476,7 @@ describe('WebhookService', () => {
       const result = await service.getWebhooksByEvent('issue.created');
 
       expect(mockDatabaseService.find).toHaveBeenCalledWith('webhooks', {
-        active: true,
-        events: 'issue.created'
+        active: true
       }, {
         limit: 1000,
         sort: { createdAt: 1 }
@@ -433,6 +485,22 @@ describe('WebhookService', () => {
       expect(result[0].events).toContain('issue.created');
     });
 
+    it('should match wildcard and negated subscriptions', async () => {
+      mockDatabaseService.find.mockResolvedValue({
+        documents: [
+          { ...activeWebhook, id: 'all-issues', events: ['issue.*'] },
+          { ...activeWebhook, id: 'quiet-issues', events: ['issue.*', '!issue.updated'] },
+          { ...activeWebhook, id: 'deletions', events: ['*.deleted'] }
+        ],
+        total: 3,
+        hasMore: false
+      });
+
+      const result = await service.getWebhooksByEvent('issue.updated');
+
+      expect(result.map(webhook => webhook.id)).toEqual(['all-issues']);
+    });
+
     it('should apply additional filters', async () => {
       const mockResult = {
         documents: [],
@@ -445,7 +513,6 @@ describe('WebhookService', () => {
 
       expect(mockDatabaseService.find).toHaveBeenCalledWith('webhooks', {
         active: true,
-        events: 'issue.updated',
         'filters.projects': ['PROJECT-1']
       }, expect.any(Object));
     });
@@ -621,6 +688,146 @@ describe('WebhookService', () => {
     });
   });
 
+  describe('rotateSecret', () => {
+    it('should keep the old secret active until it expires', async () => {
+      mockDatabaseService.findOne.mockResolvedValue({
+        _id: mockObjectId,
+        secret: 'old-secret-value',
+        previousSecrets: [{ secret: 'expired-secret', expiresAt: new Date(Date.now() - 1000) }]
+      });
+      mockDatabaseService.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const rotation = await service.rotateSecret('507f1f77bcf86cd799439011', { expiresIn: 3600 });
+
+      expect(rotation.secret).toMatch(/^[a-f0-9]{64}$/);
+      expect(rotation.activeSecrets).toBe(2);
+      expect(rotation.previousSecretExpiresAt.getTime() - Date.now()).toBeGreaterThan(3590 * 1000);
+
+      const [collection, filter, update] = mockDatabaseService.updateOne.mock.calls[0];
+      expect(collection).toBe('webhooks');
+      expect(filter).toEqual({ _id: mockObjectId, secret: 'old-secret-value' });
+      expect(update.$set.secret).toBe(rotation.secret);
+      expect(update.$set.previousSecrets).toEqual([
+        { secret: 'old-secret-value', expiresAt: rotation.previousSecretExpiresAt, rotatedAt: expect.any(Date) }
+      ]);
+    });
+
+    it('should revoke the old secret immediately without an expiry', async () => {
+      mockDatabaseService.findOne.mockResolvedValue({ _id: mockObjectId, secret: 'old-secret-value', signatureScheme: 'standard' });
+      mockDatabaseService.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const rotation = await service.rotateSecret('507f1f77bcf86cd799439011', { expiresIn: 0 });
+
+      expect(rotation.secret).toMatch(/^whsec_/);
+      expect(rotation.previousSecretExpiresAt).toBeNull();
+      expect(mockDatabaseService.updateOne.mock.calls[0][2].$set.previousSecrets).toEqual([]);
+    });
+
+    it('should reject a concurrent rotation', async () => {
+      mockDatabaseService.findOne.mockResolvedValue({ _id: mockObjectId, secret: 'old-secret-value' });
+      mockDatabaseService.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(service.rotateSecret('507f1f77bcf86cd799439011', { secret: 'new-secret-value' }))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('should throw NotFoundError for a missing webhook', async () => {
+      mockDatabaseService.findOne.mockResolvedValue(null);
+
+      await expect(service.rotateSecret('507f1f77bcf86cd799439011')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('getActiveWebhooks', () => {
+    it('should page through all active webhooks', async () => {
+      const page = Array.from({ length: 1000 }, (_, i) => ({ _id: `webhook-${String(i).padStart(4, '0')}`, active: true }));
+      mockDatabaseService.find
+        .mockResolvedValueOnce({ documents: page })
+        .mockResolvedValueOnce({ documents: [{ _id: 'webhook-1000', active: true }] });
+
+      const webhooks = await service.getActiveWebhooks();
+
+      expect(webhooks).toHaveLength(1001);
+      expect(mockDatabaseService.find).toHaveBeenNthCalledWith(1, 'webhooks', { active: true }, { limit: 1000, sort: { _id: 1 } });
+      expect(mockDatabaseService.find).toHaveBeenNthCalledWith(2, 'webhooks',
+        { active: true, _id: { $gt: 'webhook-0999' } }, { limit: 1000, sort: { _id: 1 } });
+    });
+  });
+
+  describe('encryption at rest', () => {
+    let encryption;
+
+    beforeEach(() => {
+      logger.timeStart.mockReturnValue({ end: jest.fn() });
+      encryption = new EncryptionService({ encryption: { key: 'k'.repeat(32) } });
+      service = new WebhookService(mockDatabaseService, encryption);
+    });
+
+    it('should store the secret and credential headers encrypted', async () => {
+      mockDatabaseService.findOne.mockResolvedValue(null);
+      mockDatabaseService.insertOne.mockImplementation(async (collection, doc) => ({ ...doc, _id: mockObjectId }));
+
+      const result = await service.createWebhook({
+        name: 'Encrypted Webhook',
+        url: 'https://test.example.com/webhook',
+        events: ['issue.created'],
+        secret: 'plain-secret-value',
+        headers: { Authorization: 'Bearer downstream-token', 'X-Team': 'platform' }
+      });
+
+      const stored = mockDatabaseService.insertOne.mock.calls[0][1];
+      expect(stored.secret).toMatch(/^enc:v1:/);
+      expect(stored.headers.Authorization).toMatch(/^enc:v1:/);
+      expect(stored.headers['X-Team']).toBe('platform');
+
+      // Responses are decrypted and masked
+      expect(result.secret).toBe('plain-se...');
+      expect(result.headers).toEqual({ Authorization: 'Bearer d...', 'X-Team': 'platform' });
+      expect(result.encryption).toBeUndefined();
+    });
+
+    it('should encrypt updated headers with the webhook data key', async () => {
+      const existing = encryption.encryptWebhook({ _id: mockObjectId, secret: 'plain-secret-value', headers: { Authorization: 'Bearer old' } });
+      mockDatabaseService.findOne.mockResolvedValue(existing);
+      mockDatabaseService.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await service.updateWebhook('507f1f77bcf86cd799439011', { headers: { Authorization: 'Bearer new' } });
+
+      const update = mockDatabaseService.updateOne.mock.calls[0][2].$set;
+      expect(update.encryption).toEqual(existing.encryption);
+      expect(update.secret).toBeUndefined();
+      expect(encryption.decryptWebhook({ ...existing, ...update }).headers.Authorization).toBe('Bearer new');
+    });
+
+    it('should re-encrypt webhooks under a previous key', async () => {
+      const stored = new EncryptionService({ encryption: { key: 'o'.repeat(32) } })
+        .encryptWebhook({ _id: 'webhook-1', secret: 'plain-secret-value' });
+      service = new WebhookService(mockDatabaseService, new EncryptionService({
+        encryption: { key: 'n'.repeat(32), previousKeys: ['o'.repeat(32)] }
+      }));
+      const signingKey = { _id: 'key-1', ...new EncryptionService({ encryption: { key: 'o'.repeat(32) } }).encryptSigningKey('pem') };
+      mockDatabaseService.find
+        .mockResolvedValueOnce({ documents: [stored, { _id: 'webhook-2', secret: 'lost', encryption: { keyId: 'unknown', dataKey: 'x' } }] })
+        .mockResolvedValueOnce({ documents: [] })
+        .mockResolvedValueOnce({ documents: [signingKey] })
+        .mockResolvedValueOnce({ documents: [] });
+      mockDatabaseService.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const results = await service.reencryptWebhooks();
+
+      expect(results).toEqual({ reencrypted: 1, failed: ['webhook-2'], signingKeys: { reencrypted: 1, failed: [] } });
+      expect(mockDatabaseService.updateOne).toHaveBeenCalledWith('signing_keys',
+        { _id: 'key-1', encryption: signingKey.encryption },
+        { $set: { encryption: { keyId: service.encryption.currentKeyId, dataKey: expect.any(String) } } }
+      );
+      expect(mockDatabaseService.updateOne).toHaveBeenCalledWith('webhooks',
+        { _id: 'webhook-1', encryption: stored.encryption },
+        { $set: { encryption: { keyId: service.encryption.currentKeyId, dataKey: expect.any(String) } } }
+      );
+      expect(mockDatabaseService.find.mock.calls[1][1]._id).toEqual({ $nin: ['webhook-2'] });
+    });
+  });
+
   describe('validateWebhookUrl', () => {
     it('should accept valid HTTP URL', () => {
       expect(() => service.validateWebhookUrl('http://example.com/webhook')).not.toThrow();
@@ -644,26 +851,55 @@ describe('WebhookService', () => {
         .toThrow(ValidationError);
     });
 
-    it('should allow localhost in non-production', () => {
-      require('../../../src/config').validate.isProduction.mockReturnValue(false);
-      
+    it('should allow allowlisted hosts', () => {
+      service = new WebhookService(mockDatabaseService, null, new EgressPolicy({ allowlist: ['localhost', '127.0.0.1'] }));
+
       expect(() => service.validateWebhookUrl('http://localhost:3000/webhook')).not.toThrow();
       expect(() => service.validateWebhookUrl('http://127.0.0.1:3000/webhook')).not.toThrow();
     });
 
-    it('should reject private networks in production', () => {
-      require('../../../src/config').validate.isProduction.mockReturnValue(true);
-      
+    it('should reject private networks', () => {
       expect(() => service.validateWebhookUrl('http://localhost/webhook'))
-        .toThrow('Webhook URL cannot target private networks in production');
+        .toThrow('Webhook URL is not allowed by the egress policy: localhost is a loopback host');
       expect(() => service.validateWebhookUrl('http://127.0.0.1/webhook'))
-        .toThrow('Webhook URL cannot target private networks in production');
-      expect(() => service.validateWebhookUrl('http://192.168.1.1/webhook'))
-        .toThrow('Webhook URL cannot target private networks in production');
-      expect(() => service.validateWebhookUrl('http://10.0.0.1/webhook'))
-        .toThrow('Webhook URL cannot target private networks in production');
-      expect(() => service.validateWebhookUrl('http://172.16.0.1/webhook'))
-        .toThrow('Webhook URL cannot target private networks in production');
+        .toThrow('Webhook URL is not allowed by the egress policy: 127.0.0.1 is in a blocked address range');
+      expect(() => service.validateWebhookUrl('http://192.168.1.1/webhook')).toThrow(ValidationError);
+      expect(() => service.validateWebhookUrl('http://10.0.0.1/webhook')).toThrow(ValidationError);
+      expect(() => service.validateWebhookUrl('http://172.16.0.1/webhook')).toThrow(ValidationError);
+      expect(() => service.validateWebhookUrl('http://169.254.169.254/latest/meta-data')).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateEgress', () => {
+    it('should reject hosts resolving to private networks', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.12', family: 4 }]);
+
+      await expect(service.validateEgress(['https://mongo.internal.example.com/webhook'])).rejects.toThrow(
+        'URL https://mongo.internal.example.com/webhook is not allowed by the egress policy: ' +
+        'mongo.internal.example.com resolves to 10.0.0.12, which is in a blocked address range'
+      );
+    });
+
+    it('should check the token URL of OAuth2 webhooks on create', async () => {
+      mockDatabaseService.findOne.mockResolvedValue(null);
+      dns.promises.lookup.mockImplementation(async (hostname) => [{
+        address: hostname === 'auth.example.com' ? '169.254.169.254' : '93.184.216.34',
+        family: 4
+      }]);
+
+      await expect(service.createWebhook({
+        name: 'Gateway',
+        url: 'https://hooks.example.com/webhook',
+        events: ['issue.created'],
+        auth: { type: 'oauth2_client_credentials', tokenUrl: 'https://auth.example.com/token', clientId: 'huly', clientSecret: 'secret' }
+      })).rejects.toThrow(ValidationError);
+      expect(mockDatabaseService.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave hosts that do not resolve to the delivery', async () => {
+      dns.promises.lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+      await expect(service.validateEgress(['https://not-yet-live.example.com/webhook'])).resolves.toBeUndefined();
     });
   });
 
@@ -116,6 +116,57 @@ describe('CryptoUtils', () => {
     });
   });
 
+  describe('Standard Webhooks signatures', () => {
+    const secret = 'whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw';
+    const id = 'msg_p5jXN8AQM9LWM0D4loKWxJek';
+    const payload = '{"test": 2432232314}';
+
+    test('should match the Standard Webhooks reference signature', () => {
+      expect(CryptoUtils.generateStandardWebhookSignature(id, 1614265330, payload, secret))
+        .toBe('v1,g0hM9SsE+OTPJTGt/tmIKtSyZlE3uFJELVlNIOLJ1OE=');
+    });
+
+    test('should verify any of several signatures within the tolerance', () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = CryptoUtils.generateStandardWebhookSignature(id, timestamp, payload, secret);
+
+      expect(CryptoUtils.verifyStandardWebhookSignature(id, timestamp, payload, `v1,b3RoZXI= ${signature}`, secret)).toBe(true);
+      expect(CryptoUtils.verifyStandardWebhookSignature(id, timestamp, 'tampered', signature, secret)).toBe(false);
+    });
+
+    test('should reject stale timestamps', () => {
+      const timestamp = Math.floor(Date.now() / 1000) - 600;
+      const signature = CryptoUtils.generateStandardWebhookSignature(id, timestamp, payload, secret);
+
+      expect(CryptoUtils.verifyStandardWebhookSignature(id, timestamp, payload, signature, secret)).toBe(false);
+    });
+
+    test('should generate whsec_ secrets', () => {
+      const generated = CryptoUtils.generateStandardWebhookSecret();
+
+      expect(generated).toMatch(/^whsec_[A-Za-z0-9+/]+=*$/);
+      expect(CryptoUtils.getStandardWebhookKey(generated)).toHaveLength(24);
+    });
+  });
+
+  describe('Ed25519 signing keys', () => {
+    test('should identify a key pair by its JWK thumbprint', () => {
+      const { kid, publicKey } = CryptoUtils.generateSigningKeyPair();
+
+      expect(publicKey).toEqual({ kty: 'OKP', crv: 'Ed25519', x: expect.any(String) });
+      expect(kid).toBe(CryptoUtils.getJwkThumbprint(publicKey));
+    });
+
+    test('should sign with the private key and verify with the public key', () => {
+      const { publicKey, privateKey } = CryptoUtils.generateSigningKeyPair();
+
+      const signature = CryptoUtils.signEd25519('content', crypto.createPrivateKey(privateKey));
+
+      expect(CryptoUtils.verifyEd25519('content', signature, publicKey)).toBe(true);
+      expect(CryptoUtils.verifyEd25519('tampered', signature, publicKey)).toBe(false);
+    });
+  });
+
   describe('verifyWebhookSignature', () => {
     test('should verify valid signature', () => {
       const payload = 'test payload';
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for DiffUtils
+ */
+
+const DiffUtils = require('../../../src/utils/diff');
+
+describe('DiffUtils', () => {
+  describe('diff', () => {
+    test('should report changed fields with previous and new values', () => {
+      const changes = DiffUtils.diff(
+        { status: 'Backlog', title: 'Bug', priority: 1 },
+        { status: 'In Progress', title: 'Bug', priority: 1 }
+      );
+
+      expect(changes).toEqual({ status: { from: 'Backlog', to: 'In Progress' } });
+    });
+
+    test('should diff nested objects by dotted path', () => {
+      const changes = DiffUtils.diff(
+        { meta: { owner: { name: 'Ann', team: 'core' } } },
+        { meta: { owner: { name: 'Bob', team: 'core' }, label: 'x' } }
+      );
+
+      expect(changes).toEqual({
+        'meta.owner.name': { from: 'Ann', to: 'Bob' },
+        'meta.label': { from: null, to: 'x' }
+      });
+    });
+
+    test('should report added and removed array items', () => {
+      const changes = DiffUtils.diff(
+        { labels: ['bug', 'ui'] },
+        { labels: ['bug', 'backend'] }
+      );
+
+      expect(changes.labels).toEqual({
+        from: ['bug', 'ui'],
+        to: ['bug', 'backend'],
+        added: ['backend'],
+        removed: ['ui']
+      });
+    });
+
+    test('should mark removed fields', () => {
+      expect(DiffUtils.diff({ dueDate: 100 }, {})).toEqual({
+        dueDate: { from: 100, to: null, removed: true }
+      });
+    });
+
+    test('should compare dates by value and honour ignored paths', () => {
+      const changes = DiffUtils.diff(
+        { dueDate: new Date('2024-01-01'), modifiedOn: 1 },
+        { dueDate: new Date('2024-01-01'), modifiedOn: 2 },
+        { ignore: ['modifiedOn'] }
+      );
+
+      expect(changes).toEqual({});
+    });
+  });
+
+  describe('diffChangeEvent', () => {
+    test('should only diff the paths touched by the update', () => {
+      const changes = DiffUtils.diffChangeEvent({
+        operationType: 'update',
+        fullDocumentBeforeChange: { status: 'Backlog', labels: ['bug'], views: 1 },
+        fullDocument: { status: 'Done', labels: ['bug', 'ui'], views: 2 },
+        updateDescription: { updatedFields: { status: 'Done', 'labels.1': 'ui' }, removedFields: [] }
+      });
+
+      expect(changes).toEqual({
+        status: { from: 'Backlog', to: 'Done' },
+        labels: { from: ['bug'], to: ['bug', 'ui'], added: ['ui'], removed: [] }
+      });
+    });
+
+    test('should fall back to the update description without a pre-image', () => {
+      const changes = DiffUtils.diffChangeEvent({
+        operationType: 'update',
+        fullDocument: { status: 'Done' },
+        updateDescription: { updatedFields: { status: 'Done' }, removedFields: ['dueDate'] }
+      });
+
+      expect(changes).toEqual({
+        status: { to: 'Done' },
+        dueDate: { to: null, removed: true }
+      });
+    });
+
+    test('should diff whole documents for replacements', () => {
+      const changes = DiffUtils.diffChangeEvent({
+        operationType: 'replace',
+        fullDocumentBeforeChange: { _id: '1', name: 'Old' },
+        fullDocument: { _id: '1', name: 'New' }
+      });
+
+      expect(changes).toEqual({ name: { from: 'Old', to: 'New' } });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for EgressPolicy
+ */
+
+const dns = require('dns');
+const EgressPolicy = require('../../../src/utils/egress');
+
+describe('EgressPolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new EgressPolicy();
+  });
+
+  describe('checkUrl', () => {
+    it('should block private, loopback and link-local addresses by default', () => {
+      expect(policy.checkUrl('http://169.254.169.254/latest/meta-data')).toBe('169.254.169.254 is in a blocked address range');
+      expect(policy.checkUrl('http://10.1.2.3:27017')).not.toBeNull();
+      expect(policy.checkUrl('http://100.64.0.1/')).not.toBeNull();
+      expect(policy.checkUrl('http://[::1]/')).toBe('::1 is in a blocked address range');
+      expect(policy.checkUrl('http://[fd00::1]/')).not.toBeNull();
+      expect(policy.checkUrl('http://[::ffff:127.0.0.1]/')).not.toBeNull();
+      expect(policy.checkUrl('http://api.localhost/')).toBe('api.localhost is a loopback host');
+    });
+
+    it('should see through alternative IPv4 notations', () => {
+      expect(policy.checkUrl('http://2130706433/')).not.toBeNull();
+      expect(policy.checkUrl('http://0x7f.1/')).not.toBeNull();
+    });
+
+    it('should allow public addresses and host names', () => {
+      expect(policy.checkUrl('https://93.184.216.34/webhook')).toBeNull();
+      expect(policy.checkUrl('https://hooks.example.com/webhook')).toBeNull();
+    });
+
+    it('should allow allowlisted hosts and ranges', () => {
+      policy = new EgressPolicy({ allowlist: ['localhost', '*.svc.cluster.local', '10.1.0.0/16', '192.168.1.5'] });
+
+      expect(policy.checkUrl('http://localhost:3000/')).toBeNull();
+      expect(policy.checkUrl('http://receiver.svc.cluster.local/')).toBeNull();
+      expect(policy.checkUrl('http://10.1.200.3/')).toBeNull();
+      expect(policy.checkUrl('http://192.168.1.5/')).toBeNull();
+      expect(policy.checkUrl('http://10.2.0.1/')).not.toBeNull();
+      expect(policy.checkUrl('http://192.168.1.6/')).not.toBeNull();
+    });
+
+    it('should allow everything when private networks are not blocked', () => {
+      policy = new EgressPolicy({ blockPrivateNetworks: false });
+
+      expect(policy.checkUrl('http://localhost/')).toBeNull();
+      expect(policy.checkUrl('http://10.0.0.1/')).toBeNull();
+    });
+  });
+
+  describe('lookup', () => {
+    const resolve = (hostname, options = {}) => new Promise((resolve, reject) => {
+      policy.lookup(hostname, options, (error, address, family) => error ? reject(error) : resolve({ address, family }));
+    });
+
+    it('should fail connections to hosts resolving to blocked addresses', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '169.254.169.254', 4));
+
+      await expect(resolve('rebound.example.com')).rejects.toMatchObject({
+        code: 'EGRESS_BLOCKED',
+        message: 'Egress policy blocked the request: rebound.example.com resolves to 169.254.169.254, which is in a blocked address range'
+      });
+    });
+
+    it('should check every address when all addresses are requested', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [
+        { address: '93.184.216.34', family: 4 },
+        { address: 'fe80::1', family: 6 }
+      ]));
+
+      await expect(resolve('mixed.example.com', { all: true })).rejects.toMatchObject({ code: 'EGRESS_BLOCKED' });
+    });
+
+    it('should pass public addresses through', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+
+      await expect(resolve('hooks.example.com')).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for metrics utilities
+ */
+
+const { MetricsRegistry } = require('../../../src/utils/metrics');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  it('should render counters and gauges in the text exposition format', async () => {
+    const counter = registry.counter({ name: 'deliveries_total', help: 'Deliveries', labelNames: ['webhook', 'result'] });
+    const gauge = registry.gauge({ name: 'queue_depth', help: 'Queued deliveries' });
+
+    counter.inc({ webhook: 'a', result: 'success' });
+    counter.inc({ webhook: 'a', result: 'success' }, 2);
+    counter.inc({ webhook: 'b"\\', result: 'failure' });
+    gauge.set({}, 7);
+
+    expect(await registry.render()).toBe([
+      '# HELP deliveries_total Deliveries',
+      '# TYPE deliveries_total counter',
+      'deliveries_total{webhook="a",result="success"} 3',
+      'deliveries_total{webhook="b\\"\\\\",result="failure"} 1',
+      '# HELP queue_depth Queued deliveries',
+      '# TYPE queue_depth gauge',
+      'queue_depth 7',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets', async () => {
+    const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['webhook'], buckets: [0.1, 1] });
+
+    histogram.observe({ webhook: 'a' }, 0.05);
+    histogram.observe({ webhook: 'a' }, 0.5);
+    histogram.observe({ webhook: 'a' }, 3);
+
+    expect((await registry.render()).split('\n').slice(2, 7)).toEqual([
+      'duration_seconds_bucket{webhook="a",le="0.1"} 1',
+      'duration_seconds_bucket{webhook="a",le="1"} 2',
+      'duration_seconds_bucket{webhook="a",le="+Inf"} 3',
+      'duration_seconds_sum{webhook="a"} 3.55',
+      'duration_seconds_count{webhook="a"} 3'
+    ]);
+  });
+
+  it('should run collectors before rendering', async () => {
+    const gauge = registry.gauge({ name: 'circuits_open', help: 'Open circuits' });
+    let open = 1;
+    registry.addCollector(() => gauge.set({}, open));
+
+    expect(await registry.render()).toContain('circuits_open 1');
+    open = 0;
+    expect(await registry.render()).toContain('circuits_open 0');
+  });
+
+  it('should reject duplicate metric names', () => {
+    registry.counter({ name: 'events_total', help: 'Events' });
+    expect(() => registry.gauge({ name: 'events_total', help: 'Events' })).toThrow('Metric events_total is already registered');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for tracing utilities
+ */
+
+const { trace, context, propagation } = require('@opentelemetry/api');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const Tracing = require('../../../src/utils/tracing');
+
+describe('Tracing', () => {
+  describe('without a tracer provider', () => {
+    it('should run functions without propagating a trace context', async () => {
+      const headers = {};
+
+      const result = await Tracing.withSpan('noop', {}, async () => {
+        Tracing.injectHeaders(headers);
+        return Tracing.getTraceContext();
+      });
+
+      expect(result).toBeNull();
+      expect(headers).toEqual({});
+      expect(Tracing.getLink(null)).toBeNull();
+    });
+  });
+
+  describe('with a tracer provider', () => {
+    let exporter;
+    let provider;
+
+    const span = (name) => exporter.getFinishedSpans().find(finished => finished.name === name);
+
+    beforeEach(() => {
+      exporter = new InMemorySpanExporter();
+      provider = new NodeTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] });
+      provider.register();
+    });
+
+    afterEach(async () => {
+      await provider.shutdown();
+      trace.disable();
+      context.disable();
+      propagation.disable();
+    });
+
+    it('should nest spans started inside another span', async () => {
+      await Tracing.withSpan('parent', {}, () => Tracing.withSpan('child', {}, async () => {}));
+
+      expect(span('child').parentSpanId).toBe(span('parent').spanContext().spanId);
+      expect(span('child').spanContext().traceId).toBe(span('parent').spanContext().traceId);
+    });
+
+    it('should record errors on the span and rethrow them', async () => {
+      await expect(Tracing.withSpan('failing', {}, async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(span('failing').status).toEqual({ code: Tracing.SpanStatusCode.ERROR, message: 'boom' });
+      expect(span('failing').events[0].name).toBe('exception');
+    });
+
+    it('should add a W3C traceparent header for the active span', async () => {
+      const headers = { 'Content-Type': 'application/json' };
+
+      await Tracing.withSpan('request', {}, async () => Tracing.injectHeaders(headers));
+
+      const { traceId, spanId } = span('request').spanContext();
+      expect(headers.traceparent).toBe(`00-${traceId}-${spanId}-01`);
+      expect(headers['Content-Type']).toBe('application/json');
+    });
+
+    it('should continue a kept trace context later', async () => {
+      const carrier = await Tracing.withSpan('event', {}, async () => Tracing.getTraceContext());
+
+      await Tracing.withContext(Tracing.extractContext(carrier), () => Tracing.withSpan('delivery', {}, async () => {}));
+      Tracing.recordSpan('queue_wait', { startTime: new Date(Date.now() - 1000) }, new Date(), Tracing.extractContext(carrier));
+
+      const eventSpanId = span('event').spanContext().spanId;
+      expect(span('delivery').parentSpanId).toBe(eventSpanId);
+      expect(span('queue_wait').parentSpanId).toBe(eventSpanId);
+      expect(span('queue_wait').duration[0]).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should link to the span of a kept trace context', async () => {
+      const carrier = await Tracing.withSpan('event', {}, async () => Tracing.getTraceContext());
+
+      expect(Tracing.getLink(carrier).context).toEqual(expect.objectContaining({
+        traceId: span('event').spanContext().traceId,
+        spanId: span('event').spanContext().spanId
+      }));
+      expect(Tracing.getLink({ traceparent: 'invalid' })).toBeNull();
+    });
+
+    it('should set attributes on the active span', async () => {
+      await Tracing.withSpan('event', {}, async () => Tracing.setAttributes({ 'huly.event.type': 'issue.created' }));
+
+      expect(span('event').attributes).toEqual({ 'huly.event.type': 'issue.created' });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for WorkspaceScope
+ */
+
+const WorkspaceScope = require('../../../src/utils/workspace');
+
+describe('WorkspaceScope', () => {
+  describe('scopes', () => {
+    test('should allow every workspace without restrictions', () => {
+      const scope = new WorkspaceScope(['*']);
+
+      expect(scope.isUnrestricted()).toBe(true);
+      expect(scope.includes('team-a')).toBe(true);
+      expect(scope.filter()).toEqual({});
+      expect(scope.getDefaultWorkspace()).toBe('default');
+    });
+
+    test('should only include the listed workspaces', () => {
+      const scope = new WorkspaceScope(['team-a', 'team-b']);
+
+      expect(scope.includes('team-a')).toBe(true);
+      expect(scope.includes('team-c')).toBe(false);
+      expect(scope.includes(null)).toBe(false);
+      expect(scope.getDefaultWorkspace()).toBeNull();
+      expect(scope.filter()).toEqual({ workspace: { $in: ['team-a', 'team-b'] } });
+    });
+
+    test('should treat missing workspaces as the default workspace', () => {
+      const scope = new WorkspaceScope(['main'], 'main');
+
+      expect(scope.includes(undefined)).toBe(true);
+      expect(scope.getDefaultWorkspace()).toBe('main');
+      expect(scope.filter('metadata.workspace')).toEqual({ 'metadata.workspace': { $in: ['main', null] } });
+    });
+
+    test('should fall back to an unrestricted scope for requests without one', () => {
+      expect(WorkspaceScope.fromRequest({}).isUnrestricted()).toBe(true);
+      expect(WorkspaceScope.fromRequest({ workspaceScope: new WorkspaceScope([]) }).includes('team-a')).toBe(false);
+    });
+  });
+
+  describe('resolveWorkspace', () => {
+    const options = { databases: ['ws-team-a', 'ws-team-b'], field: 'workspaceId', default: 'main' };
+
+    test('should keep an existing tag', () => {
+      expect(WorkspaceScope.resolveWorkspace({ workspace: 'team-a', ns: { db: 'ws-team-b' } }, options)).toBe('team-a');
+    });
+
+    test('should prefer the workspace field of the document', () => {
+      expect(WorkspaceScope.resolveWorkspace({
+        ns: { db: 'ws-team-b' },
+        fullDocument: { workspaceId: 'team-a' }
+      }, options)).toBe('team-a');
+    });
+
+    test('should use watched workspace databases', () => {
+      expect(WorkspaceScope.resolveWorkspace({ ns: { db: 'ws-team-b' }, fullDocument: {} }, options)).toBe('ws-team-b');
+    });
+
+    test('should fall back to the default workspace', () => {
+      expect(WorkspaceScope.resolveWorkspace({ ns: { db: 'huly' } }, options)).toBe('main');
+      expect(WorkspaceScope.resolveWorkspace({ ns: { db: 'huly' } })).toBe('default');
+    });
+  });
+});